@@ -0,0 +1,230 @@
+// lib/attendance.js — Presenze giornaliere in cantiere: ingresso con tesserino, registro, uomini-giorno effettivi
+//
+// Presenza: { id, site_id, worker_id, company_id, date, status: in|out|denied, check_in, check_out, hours,
+//             method: badge|manual, compliance, reasons (solo denied), in_by, out_by, auto_closed }
+// Tesserino: worker.badge = { code, issued_at, issued_by }; il QR contiene "kanthera:badge:<code>"
+// (art. 18 c. 1 lett. u e art. 26 c. 8 D.Lgs 81/08).
+//
+// L'ingresso è ammesso solo a cantiere attivo, lavoratore assegnato e conforme, impresa in cantiere
+// e non bloccata. Gli ingressi respinti restano nel registro con i motivi.
+
+import QRCode from "qrcode";
+import { renderPdf, title, heading, paragraph, keyValues, table, signatures, fmtDate } from "./pdf.js";
+import { workingDays } from "./schedule.js";
+
+export const ATTENDANCE_METHODS = ["badge", "manual"];
+export const BADGE_PREFIX = "kanthera:badge:";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY = 86400000;
+
+// Giorno e ora locali del server: il registro segue il calendario del cantiere, non UTC
+export const localDay = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+const localTime = iso => {
+  if (!iso) return null;
+  const d = new Date(iso);
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+};
+const round2 = n => Math.round(n * 100) / 100;
+
+/* -------------------- Tesserino -------------------- */
+export const badgeQrText = code => BADGE_PREFIX + code;
+
+// Accetta il testo del QR o il solo codice
+export const parseBadge = text => {
+  const s = String(text || "").trim();
+  return s.toLowerCase().startsWith(BADGE_PREFIX) ? s.slice(BADGE_PREFIX.length) : s;
+};
+
+// Tesserino di riconoscimento in formato carta (85,6 x 54 mm) con QR per il controllo accessi
+export async function buildBadgePdf({ worker, company = {}, employer = {} }) {
+  const qr = await QRCode.toBuffer(badgeQrText(worker.badge.code), { margin: 1, width: 300 });
+  const W = 242.6, H = 153;
+  return renderPdf(doc => {
+    doc.rect(10, 10, W, H).lineWidth(0.8).strokeColor("#555555").stroke().strokeColor("black");
+    doc.font("Helvetica-Bold").fontSize(9).text("TESSERINO DI RICONOSCIMENTO", 18, 18, { width: W - 16 });
+    doc.font("Helvetica").fontSize(6.5).fillColor("#555555")
+      .text("art. 18 c. 1 lett. u e art. 26 c. 8 D.Lgs 81/08", 18, 30, { width: W - 16 }).fillColor("black");
+    doc.font("Helvetica-Bold").fontSize(10).text(worker.name, 18, 48, { width: 140 });
+    doc.font("Helvetica").fontSize(7.5);
+    const lines = [
+      `C.F. ${worker.cf || "-"}`,
+      `Mansione: ${worker.role || "-"}`,
+      `Datore di lavoro: ${employer.name || company.name || "-"}`,
+      employer.vat ? `P. IVA ${employer.vat}` : null,
+      employer.type === "autonomo" ? "Lavoratore autonomo" : null,
+      `Rilasciato il ${fmtDate(worker.badge.issued_at)}`
+    ].filter(Boolean);
+    doc.text(lines.join("\n"), 18, doc.y + 4, { width: 140, lineGap: 1 });
+    doc.image(qr, 10 + W - 92, 48, { width: 84 });
+    doc.fontSize(6).fillColor("#555555").text(worker.badge.code, 10 + W - 92, 134, { width: 84, align: "center" }).fillColor("black");
+  }, {
+    title: `Tesserino ${worker.name}`,
+    author: company.name
+  });
+}
+
+/* -------------------- Controllo accessi -------------------- */
+// Motivi di rifiuto dell'ingresso; vuoto = ammesso. compliance / itp già calcolati alla data
+export function entryCheck({ site, worker, siteActive, compliance, employerOnSite, itp }) {
+  const reasons = [];
+  if (!siteActive) reasons.push({ code: "site_not_active", message: "Cantiere non attivo" });
+  if (!(site.workers || []).includes(worker.id)) {
+    reasons.push({ code: "not_assigned", message: "Lavoratore non assegnato al cantiere" });
+  }
+  if (compliance.status === "non_compliant") {
+    const docs = [...compliance.missing.map(k => `${k} mancante`), ...compliance.expired.map(k => `${k} scaduto`)];
+    reasons.push({ code: "non_compliant", message: `Lavoratore non conforme: ${docs.join(", ")}` });
+  }
+  if (!employerOnSite) reasons.push({ code: "company_not_on_site", message: "Impresa del lavoratore non presente in cantiere" });
+  else if (itp?.blocked) reasons.push({ code: "company_blocked", message: `Impresa bloccata: idoneità tecnico-professionale (${[...itp.missing, ...itp.expired].join(", ")})` });
+  return reasons;
+}
+
+export const hoursBetween = (from, to) => round2(Math.max(0, Date.parse(to) - Date.parse(from)) / 3600000);
+
+/* -------------------- Registro giornaliero -------------------- */
+// rows per giorno e lavoratore (più ingressi nello stesso giorno restano separati)
+export function attendanceRegister(records, { workers = [], companies = [], from, to }) {
+  const name = id => workers.find(w => w.id === id);
+  const company = id => companies.find(c => c.id === id);
+  const inRange = r => r.date >= from && r.date <= to;
+  const sort = (a, b) => a.date.localeCompare(b.date) || a.check_in.localeCompare(b.check_in);
+
+  const rows = records.filter(r => inRange(r) && r.status !== "denied").sort(sort).map(r => ({
+    id: r.id,
+    date: r.date,
+    worker_id: r.worker_id,
+    name: name(r.worker_id)?.name || r.worker_id,
+    cf: name(r.worker_id)?.cf || null,
+    company: company(r.company_id)?.name || null,
+    check_in: localTime(r.check_in),
+    check_out: localTime(r.check_out),
+    hours: r.hours ?? null,
+    open: r.status === "in",
+    method: r.method,
+    auto_closed: !!r.auto_closed
+  }));
+  const denied = records.filter(r => inRange(r) && r.status === "denied").sort(sort).map(r => ({
+    id: r.id,
+    date: r.date,
+    time: localTime(r.check_in),
+    worker_id: r.worker_id,
+    name: name(r.worker_id)?.name || r.worker_id,
+    cf: name(r.worker_id)?.cf || null,
+    company: company(r.company_id)?.name || null,
+    reasons: (r.reasons || []).map(x => x.message).join("; ")
+  }));
+
+  const presences = new Set(rows.map(r => `${r.date}:${r.worker_id}`));
+  return {
+    from, to, rows, denied,
+    totals: {
+      days: new Set(rows.map(r => r.date)).size,
+      workers: new Set(rows.map(r => r.worker_id)).size,
+      man_days: presences.size,
+      hours: round2(rows.reduce((s, r) => s + (r.hours || 0), 0)),
+      open: rows.filter(r => r.open).length,
+      denied: denied.length
+    }
+  };
+}
+
+/* -------------------- Uomini-giorno: effettivi e da cronoprogramma -------------------- */
+// Un uomo-giorno per lavoratore presente nel giorno (più ingressi contano una volta).
+// phases: fasi analizzate (analyzeSchedule); companies per attribuire le presenze alle ragioni sociali
+export function manDaysComparison({ phases = [], records, companies = [], from, to, opts = {} }) {
+  const present = records.filter(r => r.status !== "denied" && r.date >= from && r.date <= to);
+  const days = new Map();
+  for (const r of present) {
+    if (!days.has(r.date)) days.set(r.date, new Map());
+    days.get(r.date).set(r.worker_id, r.company_id);
+  }
+
+  const byDay = [];
+  for (let t = Date.parse(from); t <= Date.parse(to); t += DAY) {
+    const day = new Date(t).toISOString().slice(0, 10);
+    const working = workingDays(day, day, opts) === 1;
+    const planned = working
+      ? phases.filter(f => f.start <= day && f.end >= day)
+        .reduce((s, f) => s + ((f.workers || []).length || Number(f.crew_size) || 0), 0)
+      : 0;
+    const actual = days.get(day)?.size || 0;
+    if (planned || actual) byDay.push({ date: day, planned, actual, variance: actual - planned });
+  }
+
+  // Per impresa: le fasi con più imprese dividono gli uomini-giorno in parti uguali
+  const byCompany = {};
+  const slot = n => (byCompany[n] ||= { company: n, planned: 0, actual: 0 });
+  for (const d of byDay) {
+    for (const f of phases.filter(f => f.start <= d.date && f.end >= d.date && d.planned)) {
+      const crew = (f.workers || []).length || Number(f.crew_size) || 0;
+      const list = (f.companies || []).length ? f.companies : ["(non indicata)"];
+      for (const c of list) slot(c).planned += crew / list.length;
+    }
+    for (const companyId of days.get(d.date)?.values() || []) {
+      slot(companies.find(c => c.id === companyId)?.name || "(non indicata)").actual += 1;
+    }
+  }
+
+  const planned = byDay.reduce((s, d) => s + d.planned, 0);
+  const actual = byDay.reduce((s, d) => s + d.actual, 0);
+  return {
+    from, to,
+    planned, actual,
+    variance: actual - planned,
+    ratio: planned ? round2(actual / planned) : null,
+    by_company: Object.values(byCompany).map(c => ({ ...c, planned: round2(c.planned), variance: round2(c.actual - c.planned) })),
+    by_day: byDay
+  };
+}
+
+export const validRange = (from, to) => ISO_DATE.test(from || "") && ISO_DATE.test(to || "") && from <= to;
+
+/* -------------------- Registro (PDF) -------------------- */
+export function buildAttendanceRegisterPdf({ company = {}, site, register }) {
+  const period = register.from === register.to ? fmtDate(register.from) : `${fmtDate(register.from)} - ${fmtDate(register.to)}`;
+  return renderPdf(doc => {
+    title(doc, "Registro presenze di cantiere", period);
+    keyValues(doc, [
+      ["Cantiere", `${site.name} - ${site.address || ""}`],
+      ["Committente", site.client],
+      ["Impresa affidataria", company.name],
+      ["Presenze", `${register.totals.man_days} uomini-giorno, ${register.totals.workers} lavoratori, ${register.totals.hours} ore`]
+    ]);
+
+    const dates = [...new Set(register.rows.map(r => r.date))];
+    if (!dates.length) paragraph(doc, "Nessuna presenza registrata nel periodo.");
+    for (const date of dates) {
+      heading(doc, fmtDate(date));
+      table(doc, [
+        { label: "Lavoratore", key: "name", width: 0.24 },
+        { label: "Codice fiscale", key: "cf", width: 0.18 },
+        { label: "Impresa", key: "company", width: 0.24 },
+        { label: "Ingresso", key: "check_in", width: 0.1, align: "center" },
+        { label: "Uscita", key: r => (r.auto_closed ? "n.r.*" : r.check_out || "in cantiere"), width: 0.12, align: "center" },
+        { label: "Ore", key: r => (r.hours != null ? String(r.hours).replace(".", ",") : ""), width: 0.12, align: "right" }
+      ], register.rows.filter(r => r.date === date), { fontSize: 8 });
+    }
+    if (register.rows.some(r => r.auto_closed)) paragraph(doc, "* n.r.: uscita non registrata, presenza chiusa d'ufficio il giorno successivo.");
+
+    if (register.denied.length) {
+      heading(doc, "Ingressi respinti");
+      table(doc, [
+        { label: "Data", key: r => fmtDate(r.date), width: 0.12 },
+        { label: "Ora", key: "time", width: 0.08, align: "center" },
+        { label: "Lavoratore", key: "name", width: 0.22 },
+        { label: "Impresa", key: "company", width: 0.2 },
+        { label: "Motivo", key: "reasons", width: 0.38 }
+      ], register.denied, { fontSize: 8 });
+    }
+
+    signatures(doc, [{ role: "Il preposto / capocantiere", name: "" }], { place: `${site.address || ""}, ${fmtDate(new Date().toISOString())}` });
+  }, {
+    title: `Registro presenze ${site.name} ${period}`,
+    author: company.name,
+    header: `Registro presenze - ${site.name}`,
+    headerRight: period,
+    footer: company.name
+  });
+}
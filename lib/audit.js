@@ -0,0 +1,74 @@
+// lib/audit.js — Registro delle modifiche (append-only): chi, quando, cosa, prima/dopo
+
+import { nanoid } from "nanoid";
+import { toCsv } from "./csv.js";
+
+// Mai nel registro
+const REDACTED = new Set(["password_hash", "hash"]);
+
+const isPlain = v => v && typeof v === "object" && !Array.isArray(v);
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Differenze campo per campo ("docs.visita_medica"); array e valori semplici confrontati interi
+export function diff(before, after, prefix = "") {
+  const out = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const k of keys) {
+    if (REDACTED.has(k)) continue;
+    const path = prefix ? `${prefix}.${k}` : k;
+    const a = before?.[k], b = after?.[k];
+    if (isPlain(a) && isPlain(b)) out.push(...diff(a, b, path));
+    else if (!same(a, b)) out.push({ path, before: a ?? null, after: b ?? null });
+  }
+  return out;
+}
+
+export function auditEntry({ actor, action, entity, entity_id, site_ids = [], before = null, after = null, note = null }) {
+  return {
+    id: "AUD-" + nanoid(10),
+    at: new Date().toISOString(),
+    actor: actor ? { id: actor.id, name: actor.name || null, email: actor.email || null } : null,
+    action,
+    entity,
+    entity_id,
+    site_ids: site_ids.filter(Boolean),
+    changes: diff(before || {}, after || {}),
+    note
+  };
+}
+
+// ?entity= &entity_id= &actor= &action= &site= &from= &to= (date ISO, "to" inclusa)
+export function filterAudit(list, q = {}) {
+  const to = q.to && q.to.length === 10 ? `${q.to}T23:59:59.999Z` : q.to;
+  return list
+    .filter(e => !q.entity    || e.entity === q.entity)
+    .filter(e => !q.entity_id || e.entity_id === q.entity_id)
+    .filter(e => !q.actor     || e.actor?.id === q.actor)
+    .filter(e => !q.action    || e.action === q.action)
+    .filter(e => !q.site      || e.site_ids.includes(q.site))
+    .filter(e => !q.from      || e.at >= q.from)
+    .filter(e => !to          || e.at <= to)
+    .sort((a, b) => b.at.localeCompare(a.at));
+}
+
+// Una riga per campo modificato, così l'ispettore legge prima/dopo senza JSON annidati
+export function auditCsv(list) {
+  const rows = list.flatMap(e => (e.changes.length ? e.changes : [{ path: "", before: null, after: null }]).map(c => ({
+    at: e.at,
+    actor: e.actor ? `${e.actor.name || ""} <${e.actor.email || e.actor.id}>` : "",
+    action: e.action,
+    entity: e.entity,
+    entity_id: e.entity_id,
+    sites: e.site_ids.join(" "),
+    field: c.path,
+    before: c.before,
+    after: c.after,
+    note: e.note
+  })));
+  return toCsv(rows, [
+    { key: "at", label: "Data/ora" }, { key: "actor", label: "Utente" }, { key: "action", label: "Azione" },
+    { key: "entity", label: "Entità" }, { key: "entity_id", label: "ID" }, { key: "sites", label: "Cantieri" },
+    { key: "field", label: "Campo" }, { key: "before", label: "Prima" }, { key: "after", label: "Dopo" },
+    { key: "note", label: "Note" }
+  ]);
+}
@@ -0,0 +1,70 @@
+// lib/auth.js — Password, token firmati (JWT HS256) e token monouso
+
+import crypto from "crypto";
+
+const b64url = buf => Buffer.from(buf).toString("base64url");
+
+let SECRET = process.env.AUTH_SECRET;
+if (!SECRET && process.env.NODE_ENV === "production") {
+  // Un segreto casuale in produzione vuol dire sessioni che saltano a ogni deploy e fra istanze
+  throw new Error("AUTH_SECRET obbligatoria con NODE_ENV=production");
+}
+if (!SECRET) {
+  // Solo sviluppo: al riavvio tutte le sessioni decadono
+  SECRET = crypto.randomBytes(32).toString("hex");
+  console.warn("AUTH_SECRET non impostata: uso un segreto temporaneo");
+}
+
+export const ACCESS_TTL  = Number(process.env.AUTH_ACCESS_TTL  || 15 * 60);          // secondi
+export const REFRESH_TTL = Number(process.env.AUTH_REFRESH_TTL || 30 * 24 * 3600);
+export const INVITE_TTL  = 72 * 3600;
+export const MAGIC_TTL   = 15 * 60;
+export const FEED_TTL    = 365 * 24 * 3600; // link ICS per i calendari esterni
+
+/* -------------------- Password (scrypt) -------------------- */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${b64url(salt)}$${b64url(hash)}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [alg, salt, hash] = String(stored || "").split("$");
+  if (alg !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64url");
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, "base64url"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/* -------------------- JWT HS256 -------------------- */
+function hmac(data) {
+  return crypto.createHmac("sha256", SECRET).update(data).digest("base64url");
+}
+
+export function signToken(claims, ttl = ACCESS_TTL) {
+  const now = Math.floor(Date.now() / 1000);
+  const header  = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = b64url(JSON.stringify({ ...claims, iat: now, exp: now + ttl }));
+  return `${header}.${payload}.${hmac(`${header}.${payload}`)}`;
+}
+
+// Ritorna i claims o null se la firma non torna o il token è scaduto
+export function verifyToken(token) {
+  const [header, payload, sig] = String(token || "").split(".");
+  if (!header || !payload || !sig) return null;
+  const expected = Buffer.from(hmac(`${header}.${payload}`));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch { return null; }
+}
+
+/* -------------------- Token opachi (attivazione, magic link, refresh) -------------------- */
+export const randomToken = () => crypto.randomBytes(32).toString("base64url");
+export const sha256 = s => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+export const expiresIn = sec => new Date(Date.now() + sec * 1000).toISOString();
+export const isExpired = iso => !iso || new Date(iso) < new Date();
@@ -0,0 +1,187 @@
+// lib/authz.js — Permessi di cantiere e aziendali, dichiarati per route
+//
+//   app.get("/api/sites/:id/workers", allow.site("VIEW_SITE"), handler)
+//   app.post("/api/workers",          allow.company("EDIT_WORKERS"), handler)
+//
+// 401 / 403 hanno sempre la stessa forma:
+//   { ok:false, error:"Unauthorized", code:"unauthorized" }
+//   { ok:false, error:"Forbidden", code:"forbidden", scope:"site"|"company", action, site_id? }
+
+/* -------------------- Ruoli di cantiere -------------------- */
+export const ALL_SITE_ROLES = ['owner','coordinator','contractor','subcontractor','supervisor','admin'];
+
+export const PERM = {
+  VIEW_SITE:                ALL_SITE_ROLES,
+  EDIT_SITE:                ['owner','coordinator','admin'],
+  MANAGE_SITE_WORKERS:      ['owner','coordinator','contractor','subcontractor','supervisor','admin'],
+  VIEW_PSC:                 ALL_SITE_ROLES,
+  EDIT_PSC:                 ['coordinator','admin'],
+  ACKNOWLEDGE_PSC:          ['contractor','subcontractor','admin'],
+  UPLOAD_POS:               ['contractor','subcontractor','supervisor','admin'],
+  APPROVE_DOCS:             ['owner','coordinator','supervisor','admin'],
+  VIEW_MINUTES:             ALL_SITE_ROLES,
+  EDIT_MINUTES:             ['coordinator','admin'],
+  MANAGE_SITE_USERS:        ['owner','coordinator','admin'],
+  MANAGE_SITE_COMPANIES:    ['owner','coordinator','contractor','admin'],
+  VIEW_DVR:                 ALL_SITE_ROLES,
+  UPLOAD_SAL:               ['owner','contractor','supervisor','admin'],
+  APPROVE_SAL:              ['owner','admin'],
+  VIEW_SCHEDULE:            ALL_SITE_ROLES,
+  EDIT_SCHEDULE:            ['owner','coordinator','contractor','admin'],
+  UPLOAD_INSPECTION_PHOTOS: ['coordinator','contractor','subcontractor','supervisor','admin'],
+  INSPECT:                  ['owner','coordinator','supervisor','admin'],
+  RESOLVE_NC:               ['coordinator','contractor','subcontractor','supervisor','admin'],
+  VIEW_TRAINING:            ALL_SITE_ROLES,
+  VIEW_ATTENDANCE:          ALL_SITE_ROLES,
+  RECORD_ATTENDANCE:        ['owner','coordinator','contractor','subcontractor','supervisor','admin'],
+  MANAGE_SITE_EQUIPMENT:    ['owner','coordinator','contractor','admin'],
+  DOWNLOAD_REPORTS:         ['owner','coordinator','contractor','supervisor','admin']
+};
+
+/* -------------------- Ruoli aziendali -------------------- */
+export const COMPANY_ROLES = ['company_admin','company_manager','company_operator','company_viewer'];
+
+export const COMPANY_PERM = {
+  VIEW_COMPANY:   ['company_admin','company_manager','company_operator','company_viewer'],
+  EDIT_COMPANY:   ['company_admin'],
+  VIEW_USERS:     ['company_admin','company_manager','company_operator'],
+  INVITE_USERS:   ['company_admin','company_manager'],
+  CREATE_SITES:   ['company_admin','company_manager'],
+  VIEW_WORKERS:   ['company_admin','company_manager','company_operator','company_viewer'],
+  EDIT_WORKERS:   ['company_admin','company_manager','company_operator'],
+  DELETE_WORKERS: ['company_admin','company_manager'],
+  REVIEW_DOCS:    ['company_admin','company_manager'],
+  VIEW_AUDIT:     ['company_admin','company_manager'],
+  // Libreria lavorazioni (rischi, misure, DPI) usata dai POS
+  EDIT_LIBRARY:   ['company_admin','company_manager'],
+  // Anagrafica imprese e lavoratori autonomi, documenti di idoneità tecnico-professionale
+  EDIT_COMPANIES: ['company_admin','company_manager'],
+  // Catalogo corsi di formazione (durate, validità, varianti)
+  EDIT_COURSES:   ['company_admin','company_manager'],
+  // Registro macchine e attrezzature: anagrafica, verifiche, manutenzioni, operatori abilitati
+  EDIT_EQUIPMENT: ['company_admin','company_manager','company_operator'],
+  // Ruolo "admin" implicito su tutti i cantieri
+  ALL_SITES:      ['company_admin'],
+  SEED_DATA:      ['company_admin']
+};
+
+export function unauthorized() {
+  return Object.assign(new Error("Unauthorized"), { status: 401, extra: { code: "unauthorized" } });
+}
+
+export function forbidden(scope, action, site_id) {
+  const extra = { code: "forbidden", scope, action };
+  if (site_id) extra.site_id = site_id;
+  return Object.assign(new Error("Forbidden"), { status: 403, extra });
+}
+
+/* -------------------- Motore -------------------- */
+export function createAuthz(db) {
+  const canCompany = (user, action) => !!user && !!COMPANY_PERM[action]?.includes(user.company_role);
+
+  function roleOn(user, site) {
+    if (!user || !site) return null;
+    if (canCompany(user, "ALL_SITES")) return "admin";
+    return (site.roles || []).find(r => r.user_id === user.id)?.role || null;
+  }
+
+  function canOnSite(user, action, site) {
+    const role = roleOn(user, site);
+    if (!role) return false;
+    return role === "admin" || !!PERM[action]?.includes(role);
+  }
+
+  // Ruoli di cantiere che l'utente può assegnare o revocare: solo quelli i cui permessi ha già sul
+  // cantiere (di fatto il proprio ruolo), "admin" solo da admin. Niente autopromozioni.
+  function canGrant(user, role, site) {
+    const own = roleOn(user, site);
+    if (!own || !ALL_SITE_ROLES.includes(role)) return false;
+    if (own === "admin") return true;
+    if (role === "admin") return false;
+    return Object.values(PERM).every(roles => !roles.includes(role) || roles.includes(own));
+  }
+
+  // Lo stesso per i ruoli aziendali (inviti): nessun permesso aziendale che il chiamante non abbia
+  function canGrantCompany(user, role) {
+    if (!user || !COMPANY_ROLES.includes(role)) return false;
+    return Object.values(COMPANY_PERM).every(roles => !roles.includes(role) || roles.includes(user.company_role));
+  }
+
+  async function can(user, action, siteId) {
+    if (COMPANY_PERM[action]) return canCompany(user, action);
+    return canOnSite(user, action, siteId ? await db.sites.get(siteId) : null);
+  }
+
+  // Cantieri in cui l'utente ha un ruolo (tutti per company_admin)
+  async function visibleSites(user) {
+    if (canCompany(user, "ALL_SITES")) return db.sites.all();
+    return db.sites.filter(s => (s.roles || []).some(r => r.user_id === user?.id));
+  }
+
+  // Per le risorse del lavoratore: serve l'azione su almeno un cantiere in cui è assegnato
+  async function canOnWorkerSites(user, action, workerId) {
+    const sites = await db.sites.filter(s => (s.workers || []).includes(workerId));
+    return sites.some(s => canOnSite(user, action, s));
+  }
+
+  // File archiviati: access deciso al caricamento (azioni aziendali, oppure di cantiere sul cantiere
+  // del file o su uno dei cantieri del lavoratore)
+  async function canAccess(user, access = {}) {
+    if ((access.company || []).some(a => canCompany(user, a))) return true;
+    const actions = access.site || [];
+    if (access.site_id) {
+      const site = await db.sites.get(access.site_id);
+      return actions.some(a => canOnSite(user, a, site));
+    }
+    if (access.worker_id) {
+      for (const a of actions) if (await canOnWorkerSites(user, a, access.worker_id)) return true;
+    }
+    return false;
+  }
+
+  const wrap = check => async (req, res, next) => {
+    try {
+      if (!req.user) throw unauthorized();
+      await check(req);
+      next();
+    } catch (e) { next(e); }
+  };
+
+  const allow = {
+    // Basta essere autenticati
+    authenticated: () => wrap(async () => {}),
+
+    company: action => wrap(async req => {
+      if (!canCompany(req.user, action)) throw forbidden("company", action);
+    }),
+
+    // siteId: nome del parametro di route o funzione req => id. Il cantiere finisce in req.site
+    site: (action, siteId = "id") => wrap(async req => {
+      const id = typeof siteId === "function" ? siteId(req) : req.params[siteId];
+      const site = id ? await db.sites.get(id) : null;
+      if (!site) {
+        if (canCompany(req.user, "ALL_SITES")) throw Object.assign(new Error("site not found"), { status: 404 });
+        throw forbidden("site", action, id);
+      }
+      if (!canOnSite(req.user, action, site)) throw forbidden("site", action, site.id);
+      req.site = site;
+    }),
+
+    // Risorse aziendali consultabili anche da chi ha l'azione su almeno un cantiere (es. catalogo corsi)
+    anySite: (companyAction, siteAction) => wrap(async req => {
+      if (canCompany(req.user, companyAction)) return;
+      if ((await visibleSites(req.user)).some(s => canOnSite(req.user, siteAction, s))) return;
+      throw forbidden("company", companyAction);
+    }),
+
+    // Risorsa di un lavoratore: permesso aziendale oppure azione di cantiere su uno dei suoi cantieri.
+    // workerId può essere async (es. risalire al lavoratore da un documento)
+    worker: (companyAction, siteAction, workerId = req => req.params.id) => wrap(async req => {
+      if (canCompany(req.user, companyAction)) return;
+      if (siteAction && await canOnWorkerSites(req.user, siteAction, await workerId(req))) return;
+      throw forbidden("company", companyAction);
+    })
+  };
+
+  return { can, canCompany, canOnSite, canGrant, canGrantCompany, roleOn, visibleSites, canOnWorkerSites, canAccess, allow };
+}
@@ -0,0 +1,87 @@
+// lib/cf.js — Codice fiscale delle persone fisiche (D.M. 23/12/1976)
+//
+//   RSS MRA 80 A 01 H501 U
+//   cognome, nome, anno, mese (lettera), giorno (+40 per le donne), comune o stato estero, controllo
+//
+// Omocodia: l'Agenzia delle Entrate può sostituire le cifre con le lettere LMNPQRSTUV;
+// il codice resta valido e il controllo si calcola sul codice così com'è.
+
+const CF_RE = /^[A-Z]{6}[0-9LMNPQRSTUV]{2}[A-EHLMPRST][0-9LMNPQRSTUV]{2}[A-Z][0-9LMNPQRSTUV]{3}[A-Z]$/;
+const MONTHS = "ABCDEHLMPRST";
+const OMOCODE = "LMNPQRSTUV";
+
+// Valori per le posizioni dispari (1a, 3a, ...) del calcolo del carattere di controllo
+const ODD = [1, 0, 5, 7, 9, 13, 15, 17, 19, 21, 2, 4, 18, 20, 11, 3, 6, 8, 12, 14, 16, 10, 22, 25, 24, 23];
+
+const charValue = c => (c >= "0" && c <= "9" ? c.charCodeAt(0) - 48 : c.charCodeAt(0) - 65);
+
+export const normCf = s => String(s || "").toUpperCase().replace(/\s+/g, "");
+
+export function checkChar(cf15) {
+  let sum = 0;
+  for (let i = 0; i < 15; i++) {
+    const v = charValue(cf15[i]);
+    sum += i % 2 === 0 ? ODD[v] : v;
+  }
+  return String.fromCharCode(65 + (sum % 26));
+}
+
+/* -------------------- Nominativo -------------------- */
+const letters = s => String(s || "").normalize("NFD").replace(/[̀-ͯ]/g, "").toUpperCase().replace(/[^A-Z]/g, "");
+const isVowel = c => "AEIOU".includes(c);
+
+export function surnameCode(surname) {
+  const l = letters(surname);
+  const cons = [...l].filter(c => !isVowel(c)).join(""), vow = [...l].filter(isVowel).join("");
+  return (cons + vow + "XXX").slice(0, 3);
+}
+
+export function nameCode(name) {
+  const l = letters(name);
+  const cons = [...l].filter(c => !isVowel(c)).join(""), vow = [...l].filter(isVowel).join("");
+  if (cons.length >= 4) return cons[0] + cons[2] + cons[3];
+  return (cons + vow + "XXX").slice(0, 3);
+}
+
+// Con cognome e nome separati il confronto è diretto; con il solo nominativo ("Mario Rossi",
+// "Rossi Mario", "De Luca Anna Maria") si prova ogni divisione in nome e cognome, nei due ordini
+export function matchesName(cf, { name, first_name, last_name } = {}) {
+  const code = normCf(cf).slice(0, 6);
+  if (first_name || last_name) return surnameCode(last_name) + nameCode(first_name) === code;
+  const parts = String(name || "").trim().split(/\s+/).filter(Boolean);
+  for (let k = 1; k < parts.length; k++) {
+    const a = parts.slice(0, k).join(" "), b = parts.slice(k).join(" ");
+    if (surnameCode(b) + nameCode(a) === code || surnameCode(a) + nameCode(b) === code) return true;
+  }
+  return false;
+}
+
+/* -------------------- Validazione -------------------- */
+const decodeOmocode = s => [...s].map(c => (OMOCODE.includes(c) ? String(OMOCODE.indexOf(c)) : c)).join("");
+
+// -> { valid, cf, errors, birth_date (YY-MM-DD a due cifre), sex }
+export function validateCf(value, person = null) {
+  const cf = normCf(value);
+  const errors = [];
+  if (!cf) return { valid: false, cf, errors: ["Inserisci il codice fiscale"] };
+  if (cf.length !== 16 || !CF_RE.test(cf)) {
+    return { valid: false, cf, errors: ["Codice fiscale non valido: servono 16 caratteri nel formato RSSMRA80A01H501U"] };
+  }
+  const expected = checkChar(cf.slice(0, 15));
+  if (cf[15] !== expected) errors.push(`Codice fiscale: carattere di controllo errato (atteso ${expected})`);
+
+  const yy = decodeOmocode(cf.slice(6, 8)), month = MONTHS.indexOf(cf[8]) + 1;
+  let day = Number(decodeOmocode(cf.slice(9, 11)));
+  const sex = day > 40 ? "F" : "M";
+  if (day > 40) day -= 40;
+  if (day < 1 || day > 31) errors.push("Codice fiscale: giorno di nascita non valido");
+
+  if (person && !matchesName(cf, person)) errors.push("Codice fiscale non coerente con nome e cognome");
+  return {
+    valid: errors.length === 0,
+    cf,
+    errors,
+    birth_date: `${yy}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`,
+    sex
+  };
+}
@@ -0,0 +1,169 @@
+// lib/companies.js — Imprese e lavoratori autonomi, idoneità tecnico-professionale (art. 90 c. 9 e Allegato XVII D.Lgs 81/08)
+//
+// Impresa: { id, name, vat, cf, type: impresa|autonomo, address, legal_rep, own (impresa del gestionale),
+//            docs: { durc: "2026-12-01", dvr: true, ... }, documents: [{ doc, value, issue_date, file, ... }] }
+// Cantiere: site.companies = [{ company_id, role, parent_id, added_by, added_at }]
+//   role: affidataria | esecutrice | subappaltatrice | autonomo
+//   parent_id: impresa che ha affidato i lavori (null = contratto diretto con il committente)
+//
+// Un'impresa con ITP non conforme (documenti mancanti o scaduti) è bloccata: non entra in cantiere
+// e i suoi lavoratori non possono esservi assegnati.
+
+import { classifyDoc } from "./compliance.js";
+
+export const COMPANY_TYPES = ["impresa", "autonomo"];
+
+// validity_days: se si indica la data di rilascio la scadenza si calcola da qui
+export const ITP_DOCS = {
+  visura_camerale:              { label: "Iscrizione CCIAA (visura camerale)", kind: "date", validity_days: 180 },
+  durc:                         { label: "DURC", kind: "date", validity_days: 120 },
+  dvr:                          { label: "Documento di valutazione dei rischi (DVR)", kind: "flag" },
+  nomine_sicurezza:             { label: "Nomine RSPP, medico competente e addetti alle emergenze", kind: "flag" },
+  dichiarazione_organico:       { label: "Dichiarazione organico medio annuo e CCNL applicato", kind: "flag" },
+  dichiarazione_non_sospensione:{ label: "Dichiarazione di non sospensione (art. 14)", kind: "flag" },
+  attrezzature:                 { label: "Documentazione macchine e attrezzature", kind: "flag" },
+  elenco_dpi:                   { label: "Elenco dei DPI in dotazione", kind: "flag" },
+  polizza_rct:                  { label: "Polizza RCT/RCO", kind: "date" }
+};
+
+// Allegato XVII: punto 1 per le imprese, punto 2 per i lavoratori autonomi
+export const ITP_REQUIREMENTS = {
+  impresa:  ["visura_camerale", "durc", "dvr", "nomine_sicurezza", "dichiarazione_organico",
+             "dichiarazione_non_sospensione", "attrezzature"],
+  autonomo: ["visura_camerale", "durc", "attrezzature", "elenco_dpi", "dichiarazione_non_sospensione"]
+};
+
+export const SITE_COMPANY_ROLES = {
+  affidataria:     "Impresa affidataria",
+  esecutrice:      "Impresa esecutrice",
+  subappaltatrice: "Impresa subappaltatrice",
+  autonomo:        "Lavoratore autonomo"
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const VAT = /^(IT)?\d{11}$/i;
+
+const addDays = (iso, n) => new Date(Date.parse(iso.slice(0, 10)) + n * 86400000).toISOString().slice(0, 10);
+
+/* -------------------- Anagrafica -------------------- */
+export function validateCompany(p) {
+  const errors = [];
+  if (!p.name) errors.push("Inserisci la ragione sociale");
+  if (!p.vat) errors.push("Inserisci la partita IVA");
+  else if (!VAT.test(String(p.vat).replace(/\s+/g, ""))) errors.push("Partita IVA non valida (11 cifre, prefisso IT facoltativo)");
+  if (p.type && !COMPANY_TYPES.includes(p.type)) errors.push(`type non valido (${COMPANY_TYPES.join(", ")})`);
+  return errors;
+}
+
+export const normVat = v => {
+  const s = String(v || "").replace(/\s+/g, "").toUpperCase();
+  return s && !s.startsWith("IT") ? "IT" + s : s;
+};
+
+/* -------------------- Documenti ITP -------------------- */
+// p: { doc, expiry_date | issue_date } per i documenti con scadenza; -> { value, issue_date } oppure { errors }
+export function itpDocValue(p) {
+  const type = ITP_DOCS[p.doc];
+  if (!type) return { errors: [`doc non valido (${Object.keys(ITP_DOCS).join(", ")})`] };
+  if (type.kind === "flag") return { value: true, issue_date: p.issue_date || null };
+  if (p.expiry_date) {
+    if (!ISO_DATE.test(p.expiry_date)) return { errors: ["expiry_date in formato YYYY-MM-DD"] };
+    return { value: p.expiry_date, issue_date: p.issue_date || null };
+  }
+  if (p.issue_date && type.validity_days) {
+    if (!ISO_DATE.test(p.issue_date)) return { errors: ["issue_date in formato YYYY-MM-DD"] };
+    return { value: addDays(p.issue_date, type.validity_days), issue_date: p.issue_date };
+  }
+  return { errors: [type.validity_days ? "Indica expiry_date oppure issue_date" : "Indica expiry_date"] };
+}
+
+// Stessa forma di workerCompliance
+export function companyItp(company, opts = {}) {
+  const docs = company?.docs || {};
+  const required = ITP_REQUIREMENTS[company?.type] || ITP_REQUIREMENTS.impresa;
+  const keys = [...new Set([...required, ...Object.keys(docs)])];
+
+  const documents = keys.map(key => ({
+    key,
+    label: ITP_DOCS[key]?.label || key,
+    required: required.includes(key),
+    ...classifyDoc(key, docs[key], opts)
+  }));
+
+  const req = documents.filter(d => d.required);
+  const missing  = req.filter(d => d.status === "missing").map(d => d.key);
+  const expired  = req.filter(d => d.status === "expired").map(d => d.key);
+  const expiring = req.filter(d => d.status === "expiring").map(d => d.key);
+
+  let status = "compliant";
+  if (missing.length || expired.length) status = "non_compliant";
+  else if (expiring.length) status = "expiring";
+
+  return { company_id: company.id, name: company.name, status, blocked: status === "non_compliant",
+           missing, expired, expiring, documents };
+}
+
+/* -------------------- Catena di affidamento -------------------- */
+// list: site.companies dopo la modifica; controlla ruoli, imprese, padri e cicli
+export function validateChain(list, companies) {
+  const errors = [];
+  const ids = new Set();
+  for (const e of list) {
+    const c = companies.find(x => x.id === e.company_id);
+    if (!c) { errors.push(`Impresa sconosciuta: ${e.company_id}`); continue; }
+    if (ids.has(e.company_id)) errors.push(`${c.name}: già presente in cantiere`);
+    ids.add(e.company_id);
+    if (!SITE_COMPANY_ROLES[e.role]) errors.push(`${c.name}: ruolo non valido (${Object.keys(SITE_COMPANY_ROLES).join(", ")})`);
+    if (e.role === "autonomo" && c.type !== "autonomo") errors.push(`${c.name}: non è registrata come lavoratore autonomo`);
+    if (e.role !== "autonomo" && c.type === "autonomo") errors.push(`${c.name}: un lavoratore autonomo entra solo con ruolo autonomo`);
+    if (e.role === "affidataria" && e.parent_id) errors.push(`${c.name}: l'affidataria ha contratto diretto con il committente`);
+    if (["subappaltatrice", "autonomo"].includes(e.role) && !e.parent_id) errors.push(`${c.name}: indica l'impresa che affida i lavori (parent_id)`);
+  }
+  for (const e of list.filter(x => x.parent_id)) {
+    const parent = list.find(x => x.company_id === e.parent_id);
+    if (!parent) { errors.push(`${e.company_id}: l'impresa che affida (${e.parent_id}) non è in cantiere`); continue; }
+    if (parent.role === "autonomo") errors.push(`${e.company_id}: un lavoratore autonomo non può affidare lavori`);
+    // Risalendo la catena si deve arrivare al committente
+    const seen = new Set([e.company_id]);
+    for (let p = parent; p; p = list.find(x => x.company_id === p.parent_id)) {
+      if (seen.has(p.company_id)) { errors.push(`${e.company_id}: catena di affidamento circolare`); break; }
+      seen.add(p.company_id);
+    }
+  }
+  return errors;
+}
+
+// Albero in ordine di visita con livello e percorso: [{ ...entry, company, level, path, itp, workers }]
+export function siteChain(site, companies, workers = [], opts = {}) {
+  const list = site.companies || [];
+  const out = [];
+  const visit = (parentId, level, path) => {
+    for (const e of list.filter(x => (x.parent_id || null) === parentId)) {
+      const c = companies.find(x => x.id === e.company_id) || { id: e.company_id, name: e.company_id };
+      const names = [...path, c.name];
+      out.push({
+        ...e,
+        role_label: SITE_COMPANY_ROLES[e.role] || e.role,
+        name: c.name,
+        vat: c.vat || null,
+        level,
+        path: names.join(" > "),
+        itp: companyItp(c, opts),
+        workers: workers.filter(w => (site.workers || []).includes(w.id) && w.company_id === c.id).map(w => w.id)
+      });
+      if (level < list.length) visit(e.company_id, level + 1, names);
+    }
+  };
+  visit(null, 0, []);
+  return out;
+}
+
+// Riepilogo per report e compliance di cantiere
+export function chainSummary(chain) {
+  return {
+    companies: chain.length,
+    compliant: chain.filter(c => c.itp.status === "compliant").length,
+    expiring:  chain.filter(c => c.itp.status === "expiring").length,
+    blocked:   chain.filter(c => c.itp.blocked).map(c => c.company_id)
+  };
+}
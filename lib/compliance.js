@@ -0,0 +1,178 @@
+// lib/compliance.js — Regole di conformità documentale lavoratori / cantiere
+
+/* -------------------- Catalogo documenti -------------------- */
+// kind "date": il valore in docs è la data di scadenza (true = senza scadenza)
+// kind "flag": basta un valore truthy (consegna avvenuta, nomina, ...)
+export const DOC_TYPES = {
+  visita_medica:      { label: "Idoneità sanitaria",            short: "Idoneità", kind: "date" },
+  corso_generale:     { label: "Formazione generale",           short: "Gen",      kind: "date" },
+  corso_specifica_fs: { label: "Formazione specifica",          short: "Spec",     kind: "date" },
+  dpi_consegna:       { label: "Consegna DPI",                  short: "DPI",      kind: "flag" },
+  tesserino:          { label: "Tesserino di riconoscimento",   short: "Tesserino",kind: "flag" },
+  antincendio:        { label: "Addetto antincendio",           short: "AI",       kind: "date" },
+  ps:                 { label: "Addetto primo soccorso",        short: "PS",       kind: "date" },
+  preposto:           { label: "Formazione preposto",           short: "Preposto", kind: "date" },
+  rls:                { label: "Rappresentante lavoratori (RLS)", short: "RLS",    kind: "flag" },
+  lavori_quota:       { label: "Lavori in quota / DPI III cat.", short: "Quota",   kind: "date" },
+  ponteggi:           { label: "Montaggio/smontaggio ponteggi", short: "Ponteggi", kind: "date" },
+  pes_pav:            { label: "Lavori elettrici PES/PAV",      short: "PES/PAV",  kind: "date" },
+  spazi_confinati:    { label: "Ambienti confinati",            short: "Confinati",kind: "date" },
+  // Abilitazioni all'uso delle attrezzature (art. 73 c. 5, Accordo Stato-Regioni 22/02/2012)
+  abilitazione_ple:           { label: "Abilitazione PLE",                       short: "PLE",        kind: "date" },
+  abilitazione_gru_autocarro: { label: "Abilitazione gru su autocarro",          short: "Gru autoc.", kind: "date" },
+  abilitazione_gru_torre:     { label: "Abilitazione gru a torre",               short: "Gru torre",  kind: "date" },
+  abilitazione_carrelli:      { label: "Abilitazione carrelli elevatori",        short: "Carrelli",   kind: "date" },
+  abilitazione_mmt:           { label: "Abilitazione macchine movimento terra",  short: "MMT",        kind: "date" },
+  abilitazione_pompe_cls:     { label: "Abilitazione pompe per calcestruzzo",    short: "Pompe cls",  kind: "date" }
+};
+
+// Documenti richiesti a chiunque entri in cantiere
+export const BASE_REQUIREMENTS = ["visita_medica", "corso_generale", "corso_specifica_fs", "dpi_consegna", "tesserino"];
+
+// Requisiti aggiuntivi per mansione (match sul campo worker.role)
+export const ROLE_REQUIREMENTS = [
+  { match: /prepost|capo\s?squadra|capocantiere/i, docs: ["preposto"] },
+  { match: /elettricist/i,                         docs: ["pes_pav"] },
+  { match: /ponteggiator/i,                        docs: ["ponteggi", "lavori_quota"] },
+  { match: /lattoniere|copertur|facciat/i,         docs: ["lavori_quota"] }
+];
+
+// Requisiti aggiuntivi per tipo di lavorazione del cantiere (site.meta.work_type)
+export const WORK_TYPE_REQUIREMENTS = [
+  { match: /copertur|tetto|facciat|quota/i, docs: ["lavori_quota"] },
+  { match: /ponteg/i,                       docs: ["ponteggi"] },
+  { match: /impiant.*elettr|elettric/i,     docs: ["pes_pav"] },
+  { match: /confinat|pozz|cisterna/i,       docs: ["spazi_confinati"] }
+];
+
+// Figure che il cantiere deve avere tra i lavoratori presenti
+export const SITE_COVERAGE = [
+  { doc: "antincendio", label: "Almeno un addetto antincendio" },
+  { doc: "ps",          label: "Almeno un addetto primo soccorso" },
+  { doc: "preposto",    label: "Almeno un preposto" }
+];
+
+export const DEFAULT_WARN_DAYS = 30;
+
+/* -------------------- Helpers -------------------- */
+function parseDay(v) {
+  if (typeof v !== "string" || !/^\d{4}-\d{2}-\d{2}/.test(v)) return null;
+  const d = new Date(v.slice(0, 10) + "T00:00:00Z");
+  return isNaN(d) ? null : d;
+}
+
+function today(opts) {
+  const d = opts?.today ? parseDay(opts.today) : null;
+  if (d) return d;
+  return parseDay(new Date().toISOString());
+}
+
+const uniq = a => Array.from(new Set(a));
+
+/* -------------------- Classificazione -------------------- */
+// Ritorna { status: valid | expiring | expired | missing, expiry, days_left }
+export function classifyDoc(key, value, opts = {}) {
+  const type = DOC_TYPES[key] || { kind: "date" };
+  const warnDays = opts.warnDays ?? DEFAULT_WARN_DAYS;
+
+  if (value === undefined || value === null || value === false || value === "") {
+    return { status: "missing", expiry: null, days_left: null };
+  }
+  if (type.kind === "flag" || value === true) {
+    return { status: "valid", expiry: null, days_left: null };
+  }
+  const exp = parseDay(value);
+  if (!exp) return { status: "missing", expiry: null, days_left: null };
+
+  const days_left = Math.round((exp - today(opts)) / 86400000);
+  const expiry = value.slice(0, 10);
+  if (days_left < 0)         return { status: "expired",  expiry, days_left };
+  if (days_left <= warnDays) return { status: "expiring", expiry, days_left };
+  return { status: "valid", expiry, days_left };
+}
+
+export function requiredDocs(worker, site) {
+  const req = [...BASE_REQUIREMENTS];
+  for (const r of ROLE_REQUIREMENTS) if (r.match.test(worker?.role || "")) req.push(...r.docs);
+  const workType = site?.meta?.work_type || "";
+  for (const r of WORK_TYPE_REQUIREMENTS) if (r.match.test(workType)) req.push(...r.docs);
+  req.push(...(site?.meta?.required_docs || []));
+  return uniq(req);
+}
+
+/* -------------------- Lavoratore -------------------- */
+export function workerCompliance(worker, site = null, opts = {}) {
+  const docs = worker?.docs || {};
+  const required = requiredDocs(worker, site);
+  const keys = uniq([...required, ...Object.keys(docs)]);
+
+  const documents = keys.map(key => ({
+    key,
+    label: DOC_TYPES[key]?.label || key,
+    required: required.includes(key),
+    ...classifyDoc(key, docs[key], opts)
+  }));
+
+  const req = documents.filter(d => d.required);
+  const missing  = req.filter(d => d.status === "missing").map(d => d.key);
+  const expired  = req.filter(d => d.status === "expired").map(d => d.key);
+  const expiring = req.filter(d => d.status === "expiring").map(d => d.key);
+
+  let status = "compliant";
+  if (missing.length || expired.length) status = "non_compliant";
+  else if (expiring.length) status = "expiring";
+
+  return {
+    worker_id: worker.id,
+    name: worker.name,
+    role: worker.role || null,
+    status,
+    missing,
+    expired,
+    expiring,
+    documents
+  };
+}
+
+/* -------------------- Cantiere -------------------- */
+export function siteCompliance(site, workers, opts = {}) {
+  const list = (workers || []).map(w => workerCompliance(w, site, opts));
+
+  const coverage = SITE_COVERAGE.map(c => {
+    const holders = (workers || []).filter(w => {
+      const s = classifyDoc(c.doc, w.docs?.[c.doc], opts).status;
+      return s === "valid" || s === "expiring";
+    });
+    return { doc: c.doc, label: c.label, ok: holders.length > 0, workers: holders.map(w => w.id) };
+  });
+
+  const summary = {
+    workers: list.length,
+    compliant:     list.filter(w => w.status === "compliant").length,
+    expiring:      list.filter(w => w.status === "expiring").length,
+    non_compliant: list.filter(w => w.status === "non_compliant").length
+  };
+
+  let status = "compliant";
+  if (summary.non_compliant || coverage.some(c => !c.ok)) status = "non_compliant";
+  else if (summary.expiring) status = "expiring";
+
+  return { site_id: site.id, status, summary, coverage, workers: list };
+}
+
+// Valore da scrivere in worker.docs quando si approva un documento:
+// true per i flag, la scadenza per i documenti a scadenza (true se dichiarato senza scadenza), null se manca
+export function approvedDocValue(type, expiry, { noExpiry = false } = {}) {
+  const t = DOC_TYPES[type];
+  if (!t) return null;
+  if (t.kind === "flag") return true;
+  return expiry || (noExpiry ? true : null);
+}
+
+// Testo breve per il POS: "OK (scad. 2026-08-30)", "SCADUTO 2025-01-10", "—"
+export function docLabel(entry) {
+  if (!entry || entry.status === "missing") return "—";
+  if (entry.status === "expired") return `SCADUTO ${entry.expiry}`;
+  if (entry.expiry) return `${entry.status === "expiring" ? "IN SCADENZA" : "OK"} ${entry.expiry}`;
+  return "OK";
+}
@@ -0,0 +1,23 @@
+// lib/csv.js — CSV (separatore ";" come si aspetta Excel in italiano)
+
+const SEP = ";";
+
+function cell(v) {
+  if (v === null || v === undefined) return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[";\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// columns: [{ key, label }] oppure ["key", ...]; BOM iniziale per gli accenti in Excel
+export function toCsv(rows, columns) {
+  const cols = columns.map(c => (typeof c === "string" ? { key: c, label: c } : c));
+  const lines = [cols.map(c => cell(c.label)).join(SEP)];
+  for (const r of rows) lines.push(cols.map(c => cell(typeof c.key === "function" ? c.key(r) : r[c.key])).join(SEP));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+export function sendCsv(res, filename, csv) {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(csv);
+}
@@ -0,0 +1,217 @@
+// lib/equipment.js — Registro macchine e attrezzature (artt. 70-73 e Allegato VII D.Lgs 81/08)
+//
+// Attrezzatura: { id, name, type (EQUIPMENT_TYPES), category, brand, model, serial, year, ce_marking,
+//                 company_id, status: active|out_of_service|disposed, notes,
+//                 inspection: { interval_months, last_date, due_date },
+//                 maintenance: [{ id, date, kind, description, provider, outcome, next_due, file, file_id, by, at }],
+//                 operators: [worker_id],
+//                 assignments: [{ id, site_id, from, to (null = fino a revoca), added_by, added_at }] }
+//
+// Verifica periodica: la prossima scade a last_date + interval_months, salvo due_date indicata nel verbale.
+// Una verifica scaduta rende non conforme il cantiere in cui l'attrezzatura è in uso e ne impedisce
+// nuove assegnazioni. Gli operatori delle attrezzature che richiedono abilitazione devono avere il
+// documento valido in worker.docs (aggiornato dal registro formazione).
+
+import { DOC_TYPES, classifyDoc } from "./compliance.js";
+
+export const EQUIPMENT_CATEGORIES = {
+  macchina:     "Macchine",
+  sollevamento: "Apparecchi e accessori di sollevamento",
+  ponteggio:    "Ponteggi e opere provvisionali",
+  attrezzatura: "Attrezzature di lavoro"
+};
+
+// qualification: documento del lavoratore richiesto per l'uso; interval_months: cadenza della verifica
+// periodica (Allegato VII, controllo trimestrale di funi e catene), null = nessuna verifica obbligatoria
+export const EQUIPMENT_TYPES = {
+  escavatore:              { label: "Escavatore",                            category: "macchina",     qualification: "abilitazione_mmt",           interval_months: null },
+  pala_caricatrice:        { label: "Pala caricatrice / terna",              category: "macchina",     qualification: "abilitazione_mmt",           interval_months: null },
+  pompa_cls:               { label: "Pompa per calcestruzzo",                category: "macchina",     qualification: "abilitazione_pompe_cls",     interval_months: null },
+  autogru:                 { label: "Gru su autocarro / autogru",            category: "sollevamento", qualification: "abilitazione_gru_autocarro", interval_months: 12 },
+  gru_torre:               { label: "Gru a torre",                           category: "sollevamento", qualification: "abilitazione_gru_torre",     interval_months: 12 },
+  ple:                     { label: "Piattaforma di lavoro elevabile (PLE)", category: "sollevamento", qualification: "abilitazione_ple",           interval_months: 12 },
+  sollevatore_telescopico: { label: "Sollevatore telescopico",               category: "sollevamento", qualification: "abilitazione_carrelli",      interval_months: 12 },
+  carrello_elevatore:      { label: "Carrello elevatore",                    category: "sollevamento", qualification: "abilitazione_carrelli",      interval_months: null },
+  argano:                  { label: "Argano / paranco (oltre 200 kg)",       category: "sollevamento", qualification: null,                         interval_months: 12 },
+  accessori_sollevamento:  { label: "Funi, catene e brache",                 category: "sollevamento", qualification: null,                         interval_months: 3 },
+  ponteggio:               { label: "Ponteggio metallico fisso",             category: "ponteggio",    qualification: "ponteggi",                   interval_months: null },
+  trabattello:             { label: "Trabattello",                           category: "ponteggio",    qualification: null,                         interval_months: null },
+  betoniera:               { label: "Betoniera",                             category: "attrezzatura", qualification: null,                         interval_months: null },
+  sega_circolare:          { label: "Sega circolare",                        category: "attrezzatura", qualification: null,                         interval_months: null },
+  martello_demolitore:     { label: "Martello demolitore",                   category: "attrezzatura", qualification: null,                         interval_months: null },
+  generatore:              { label: "Gruppo elettrogeno",                    category: "attrezzatura", qualification: null,                         interval_months: null },
+  altro:                   { label: "Altra attrezzatura",                    category: "attrezzatura", qualification: null,                         interval_months: null }
+};
+
+export const EQUIPMENT_STATUSES = ["active", "out_of_service", "disposed"];
+
+export const MAINTENANCE_KINDS = {
+  verifica_periodica: "Verifica periodica",
+  controllo:          "Controllo",
+  ordinaria:          "Manutenzione ordinaria",
+  straordinaria:      "Manutenzione straordinaria",
+  riparazione:        "Riparazione"
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const addMonths = (iso, n) => {
+  const d = new Date(iso.slice(0, 10) + "T00:00:00Z");
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + n);
+  // 31/01 + 1 mese = 28/02 (o 29), non 03/03
+  const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, last));
+  return d.toISOString().slice(0, 10);
+};
+
+/* -------------------- Anagrafica -------------------- */
+export function validateEquipment(p, { partial = false } = {}) {
+  const errors = [];
+  const has = k => !partial || p[k] !== undefined;
+  if (has("name") && !String(p.name || "").trim()) errors.push("Inserisci il nome dell'attrezzatura");
+  if (has("type") && !EQUIPMENT_TYPES[p.type]) errors.push(`type non valido (${Object.keys(EQUIPMENT_TYPES).join(", ")})`);
+  if (p.status !== undefined && !EQUIPMENT_STATUSES.includes(p.status)) errors.push(`status non valido (${EQUIPMENT_STATUSES.join(", ")})`);
+  if (p.year != null && p.year !== "" && !(Number.isInteger(Number(p.year)) && Number(p.year) > 1900)) errors.push("year non valido");
+  const i = p.inspection || {};
+  if (i.interval_months != null && i.interval_months !== "" && !(Number.isInteger(Number(i.interval_months)) && Number(i.interval_months) > 0)) {
+    errors.push("inspection.interval_months deve essere un numero intero di mesi (null = nessuna verifica)");
+  }
+  for (const k of ["last_date", "due_date"]) {
+    if (i[k] && !ISO_DATE.test(i[k])) errors.push(`inspection.${k} in formato YYYY-MM-DD`);
+  }
+  return errors;
+}
+
+// Creazione (base vuota) o modifica: si aggiornano solo i campi presenti
+export function normalizeEquipment(p, base = {}) {
+  const pick = (k, def = null) => (p[k] !== undefined ? p[k] : base[k] ?? def);
+  const type = pick("type");
+  const i = { ...(base.inspection || {}), ...(p.inspection || {}) };
+  const interval = i.interval_months !== undefined ? i.interval_months : EQUIPMENT_TYPES[type]?.interval_months ?? null;
+  return {
+    ...base,
+    name: String(pick("name", "")).trim(),
+    type,
+    category: EQUIPMENT_TYPES[type]?.category || "attrezzatura",
+    brand: pick("brand"),
+    model: pick("model"),
+    serial: pick("serial"),
+    year: pick("year") != null && pick("year") !== "" ? Number(pick("year")) : null,
+    ce_marking: p.ce_marking !== undefined ? !!p.ce_marking : base.ce_marking ?? null,
+    company_id: pick("company_id"),
+    status: pick("status", "active"),
+    notes: pick("notes", ""),
+    inspection: {
+      interval_months: interval != null && interval !== "" ? Number(interval) : null,
+      last_date: i.last_date || null,
+      due_date: i.due_date || null
+    },
+    maintenance: base.maintenance || [],
+    operators: base.operators || [],
+    assignments: base.assignments || []
+  };
+}
+
+/* -------------------- Verifiche periodiche -------------------- */
+// -> { required, interval_months, last_date, due_date, status: ok|expiring|overdue|missing|not_required, days_left }
+export function inspectionStatus(eq, opts = {}) {
+  const i = eq.inspection || {};
+  const due = i.due_date || (i.last_date && i.interval_months ? addMonths(i.last_date, i.interval_months) : null);
+  const required = !!(i.interval_months || i.due_date);
+  const base = { required, interval_months: i.interval_months ?? null, last_date: i.last_date || null, due_date: due };
+  if (!required) return { ...base, status: "not_required", days_left: null };
+  if (!due) return { ...base, status: "missing", days_left: null };
+  const c = classifyDoc("verifica", due, opts);
+  const status = { valid: "ok", expiring: "expiring", expired: "overdue" }[c.status];
+  return { ...base, status, days_left: c.days_left };
+}
+
+export const inspectionBlocks = st => st.status === "overdue" || st.status === "missing";
+
+/* -------------------- Manutenzione -------------------- */
+export function validateMaintenance(p) {
+  const errors = [];
+  if (!ISO_DATE.test(p.date || "")) errors.push("date in formato YYYY-MM-DD");
+  if (!MAINTENANCE_KINDS[p.kind]) errors.push(`kind non valido (${Object.keys(MAINTENANCE_KINDS).join(", ")})`);
+  if (p.kind === "verifica_periodica" && !["positivo", "negativo"].includes(p.outcome)) errors.push("outcome: positivo o negativo");
+  if (p.next_due && !ISO_DATE.test(p.next_due)) errors.push("next_due in formato YYYY-MM-DD");
+  return errors;
+}
+
+// Una verifica periodica positiva sposta la scadenza (next_due del verbale, altrimenti la cadenza) e
+// rimette in servizio l'attrezzatura fermata da una verifica negativa, che la mette fuori servizio
+export function applyMaintenance(eq, entry) {
+  const next = { ...eq, maintenance: [...(eq.maintenance || []), entry] };
+  if (entry.kind !== "verifica_periodica") return next;
+  if (entry.outcome === "negativo") return { ...next, status: "out_of_service" };
+  const last = eq.inspection?.last_date;
+  if (last && last > entry.date) return next;
+  return {
+    ...next,
+    status: eq.status === "out_of_service" ? "active" : eq.status,
+    inspection: { ...(eq.inspection || {}), last_date: entry.date, due_date: entry.next_due || null }
+  };
+}
+
+/* -------------------- Operatori -------------------- */
+// Abilitazione del lavoratore per il tipo di attrezzatura: stessa classificazione dei documenti
+export function operatorCheck(eq, worker, opts = {}) {
+  const doc = EQUIPMENT_TYPES[eq.type]?.qualification || null;
+  if (!doc) return { worker_id: worker.id, name: worker.name, doc: null, status: "qualified", expiry: null };
+  const c = classifyDoc(doc, worker.docs?.[doc], opts);
+  const status = { valid: "qualified", expiring: "expiring", expired: "not_qualified", missing: "not_qualified" }[c.status];
+  return { worker_id: worker.id, name: worker.name, doc, doc_label: DOC_TYPES[doc]?.label || doc, status, expiry: c.expiry };
+}
+
+/* -------------------- Assegnazione ai cantieri -------------------- */
+export function validateAssignment(p) {
+  const errors = [];
+  if (!ISO_DATE.test(p.from || "")) errors.push("from in formato YYYY-MM-DD");
+  if (p.to && !ISO_DATE.test(p.to)) errors.push("to in formato YYYY-MM-DD (vuoto = fino a revoca)");
+  if (p.from && p.to && p.to < p.from) errors.push("to prima di from");
+  return errors;
+}
+
+const overlaps = (a, b) => a.from <= (b.to || "9999-12-31") && b.from <= (a.to || "9999-12-31");
+
+// Assegnazione in conflitto (un'attrezzatura è in un solo cantiere per volta)
+export const conflictingAssignment = (eq, range, exceptId = null) =>
+  (eq.assignments || []).find(a => a.id !== exceptId && overlaps(a, range)) || null;
+
+export const activeOn = (a, day) => a.from <= day && (!a.to || a.to >= day);
+
+// Attrezzature del cantiere: [{ assignment, equipment, inspection, operators, active }]
+// operators: operatori abilitati tra i lavoratori assegnati al cantiere
+export function siteEquipment(site, equipment, { workers = [], opts = {}, day }) {
+  const onSite = workers.filter(w => (site.workers || []).includes(w.id));
+  return equipment
+    .flatMap(eq => (eq.assignments || []).filter(a => a.site_id === site.id).map(a => ({ eq, a })))
+    .sort((x, y) => x.a.from.localeCompare(y.a.from) || x.eq.name.localeCompare(y.eq.name))
+    .map(({ eq, a }) => {
+      const { assignments, maintenance, ...info } = eq;
+      return {
+        assignment: a,
+        equipment: { ...info, type_label: EQUIPMENT_TYPES[eq.type]?.label || eq.type },
+        inspection: inspectionStatus(eq, opts),
+        operators: onSite.filter(w => (eq.operators || []).includes(w.id)).map(w => operatorCheck(eq, w, opts)),
+        active: activeOn(a, day)
+      };
+    });
+}
+
+// Per la compliance di cantiere: contano le attrezzature in uso alla data
+export function equipmentSummary(list) {
+  const active = list.filter(e => e.active);
+  const needsOperator = e => EQUIPMENT_TYPES[e.equipment.type]?.qualification;
+  return {
+    items: active.length,
+    overdue:  active.filter(e => inspectionBlocks(e.inspection)).map(e => e.equipment.id),
+    expiring: active.filter(e => e.inspection.status === "expiring").map(e => e.equipment.id),
+    out_of_service: active.filter(e => e.equipment.status !== "active").map(e => e.equipment.id),
+    no_qualified_operator: active
+      .filter(e => needsOperator(e) && !e.operators.some(o => o.status !== "not_qualified"))
+      .map(e => e.equipment.id)
+  };
+}
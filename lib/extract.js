@@ -0,0 +1,165 @@
+// lib/extract.js — Estrazione campi da testo OCR (LLM o regole) e verifica sul lavoratore
+
+import { DOC_TYPES } from "./compliance.js";
+import { normCf } from "./cf.js";
+
+// Nomi usati dai modelli / dai vecchi client → chiavi di worker.docs
+const DOC_TYPE_ALIASES = {
+  formazione_generale:  "corso_generale",
+  formazione_specifica: "corso_specifica_fs",
+  primo_soccorso:       "ps",
+  dpi:                  "dpi_consegna",
+  alto_rischio:         "corso_specifica_fs"
+};
+
+export function normalizeDocType(t) {
+  if (!t) return null;
+  const k = String(t).trim().toLowerCase();
+  if (DOC_TYPES[k]) return k;
+  return DOC_TYPE_ALIASES[k] || "altro";
+}
+
+/* -------------------- LLM -------------------- */
+export async function extractWithLlm(openai, text) {
+  const types = [...Object.keys(DOC_TYPES), "altro"].join(" | ");
+  const prompt = `
+Estrai i seguenti campi dal testo OCR. Rispondi SOLO in JSON:
+{
+  "doc_type": "${types}",
+  "holder_name": "string",
+  "cf": "string|null",
+  "issue_date": "YYYY-MM-DD|null",
+  "expiry_date": "YYYY-MM-DD|null",
+  "confidence_overall": 0.0-1.0
+}
+TESTO:
+"""${text}"""
+  `.trim();
+
+  const out = await openai.chat.completions.create({
+    model: "gpt-4o-mini",
+    temperature: 0,
+    response_format: { type: "json_object" },
+    messages: [{ role: "user", content: prompt }]
+  });
+  const parsed = JSON.parse(out.choices?.[0]?.message?.content || "{}");
+  return { ...parsed, doc_type: normalizeDocType(parsed.doc_type), source: "llm" };
+}
+
+/* -------------------- Regole -------------------- */
+const CF_RE = /\b[A-Z]{6}[0-9LMNPQRSTUV]{2}[A-EHLMPRST][0-9LMNPQRSTUV]{2}[A-Z][0-9LMNPQRSTUV]{3}[A-Z]\b/;
+
+// In ordine di priorità: un attestato di "formazione generale e specifica" è specifica
+const DOC_TYPE_RULES = [
+  ["visita_medica",      /idoneit[àa]|visita medica|giudizio di idoneit|sorveglianza sanitaria|medico competente/i],
+  ["preposto",           /\bprepost[oi]\b/i],
+  ["ponteggi",           /ponteggi/i],
+  ["lavori_quota",       /lavori in quota|dpi di (iii|terza) categoria|anticaduta/i],
+  ["pes_pav",            /\bPES\b|\bPAV\b|CEI 11-27/],
+  ["spazi_confinati",    /confinat/i],
+  ["antincendio",        /antincendio|prevenzione incendi|lotta antincendio/i],
+  ["ps",                 /primo soccorso/i],
+  ["rls",                /rappresentante dei lavoratori|\bRLS\b/],
+  ["corso_specifica_fs", /formazione specifica|rischio (basso|medio|alto)/i],
+  ["corso_generale",     /formazione generale/i],
+  ["dpi_consegna",       /consegna (dei )?dpi/i],
+  ["tesserino",          /tesserino|tessera di riconoscimento/i]
+];
+
+const MONTHS = ["gennaio","febbraio","marzo","aprile","maggio","giugno","luglio","agosto","settembre","ottobre","novembre","dicembre"];
+const EXPIRY_CTX = /(scadenz|scade|valid[oa]\s+fino|fino\s+al|entro\s+il|prossima\s+visita|rinnov)/i;
+const ISSUE_CTX  = /(rilasciat|emess|conseguit|effettuat|svolt|data\s+(del\s+)?(corso|visita|rilascio)|in\s+data)/i;
+const BIRTH_CTX  = /(nat[oa]\s|nascita)/i;
+
+const pad = n => String(n).padStart(2, "0");
+
+function toIso(y, m, d) {
+  y = Number(y); m = Number(m); d = Number(d);
+  if (y < 100) y += 2000;
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+function findDates(text) {
+  const out = [];
+  const push = (iso, index) => { if (iso) out.push({ iso, ctx: text.slice(Math.max(0, index - 40), index) }); };
+  for (const m of text.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) push(toIso(m[1], m[2], m[3]), m.index);
+  for (const m of text.matchAll(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/g)) push(toIso(m[3], m[2], m[1]), m.index);
+  const monthRe = new RegExp(`\\b(\\d{1,2})\\s+(${MONTHS.join("|")})\\s+(\\d{4})\\b`, "gi");
+  for (const m of text.matchAll(monthRe)) push(toIso(m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, m[1]), m.index);
+  return out.filter(d => !BIRTH_CTX.test(d.ctx));
+}
+
+function findHolderName(text) {
+  const kw = /(sig\.?(ra)?|lavorator[ea]|nominativo|cognome e nome|rilasciat[oa] a|attesta che( il| la)?)\s*:?\s*/gi;
+  const name = /^([A-ZÀ-Ý][A-Za-zÀ-ÿ']+(?:\s+[A-ZÀ-Ý][A-Za-zÀ-ÿ']+){1,3})/;
+  const stop = /^(C\.?F\.?|CODICE|NAT[OA]|RESIDENTE|HA|IN|DATA)$/i;
+  for (const m of text.matchAll(kw)) {
+    const hit = text.slice(m.index + m[0].length).match(name);
+    if (!hit) continue;
+    const tokens = hit[1].split(/\s+/);
+    const cut = tokens.findIndex(t => stop.test(t));
+    const kept = cut === -1 ? tokens : tokens.slice(0, cut);
+    if (kept.length >= 2) return kept.join(" ");
+  }
+  return null;
+}
+
+export function extractWithRules(text = "") {
+  const cf = text.toUpperCase().match(CF_RE)?.[0] || null;
+  const doc_type = DOC_TYPE_RULES.find(([, re]) => re.test(text))?.[0] || (text.trim() ? "altro" : null);
+  const holder_name = findHolderName(text);
+
+  const dates = findDates(text);
+  let expiry_date = dates.find(d => EXPIRY_CTX.test(d.ctx))?.iso || null;
+  let issue_date  = dates.find(d => ISSUE_CTX.test(d.ctx) && d.iso !== expiry_date)?.iso || null;
+  if (!expiry_date && !issue_date && dates.length >= 2) {
+    const sorted = dates.map(d => d.iso).sort();
+    issue_date = sorted[0];
+    expiry_date = sorted[sorted.length - 1] > issue_date ? sorted[sorted.length - 1] : null;
+  } else if (!issue_date && !expiry_date && dates.length === 1) {
+    issue_date = dates[0].iso;
+  }
+
+  const found = [cf, holder_name, doc_type && doc_type !== "altro", expiry_date || issue_date].filter(Boolean).length;
+  return {
+    doc_type, holder_name, cf, issue_date, expiry_date,
+    confidence_overall: Math.round(Math.min(0.9, 0.3 + 0.15 * found) * 100) / 100,
+    source: "rules"
+  };
+}
+
+/* -------------------- Entry point -------------------- */
+export async function extractFields(text, { openai } = {}) {
+  if (!text?.trim()) return {};
+  if (openai) {
+    try { return await extractWithLlm(openai, text); }
+    catch { /* fallback sulle regole */ }
+  }
+  return extractWithRules(text);
+}
+
+/* -------------------- Verifica sul lavoratore -------------------- */
+const nameTokens = s => String(s || "")
+  .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+  .toUpperCase().replace(/[^A-Z' ]/g, " ")
+  .split(/\s+/).filter(t => t.length > 1);
+
+// Ritorna { ok, mismatches, cf: {status,...}, name: {status,...} }, status = match | mismatch | not_found
+export function validateAgainstWorker(extracted, worker) {
+  let cf = { status: "not_found", expected: worker.cf || null, found: null };
+  if (extracted?.cf) {
+    cf = { ...cf, found: extracted.cf, status: normCf(extracted.cf) === normCf(worker.cf) ? "match" : "mismatch" };
+  }
+
+  let name = { status: "not_found", expected: worker.name || null, found: null };
+  if (extracted?.holder_name) {
+    const a = nameTokens(extracted.holder_name), b = nameTokens(worker.name);
+    const shorter = a.length <= b.length ? a : b, longer = shorter === a ? b : a;
+    const ok = shorter.length > 0 && shorter.every(t => longer.includes(t));
+    name = { ...name, found: extracted.holder_name, status: ok ? "match" : "mismatch" };
+  }
+
+  const mismatches = [["cf", cf], ["name", name]].filter(([, v]) => v.status === "mismatch").map(([k]) => k);
+  return { ok: mismatches.length === 0, mismatches, cf, name };
+}
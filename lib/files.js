@@ -0,0 +1,90 @@
+// lib/files.js — Controllo dei file caricati: tipo dal contenuto (magic bytes), dimensione, checksum
+//
+// Il tipo dichiarato dal client (estensione, Content-Type) non conta: si guarda ai primi byte.
+// File: { id, sha256, key, size, mime, ext, original_name, kind: upload|generated,
+//         access: { company: [azioni aziendali], site: [azioni di cantiere], site_id | worker_id },
+//         uploaded_by, uploaded_at }
+// Il contenuto è salvato una volta per checksum (key = sha256) anche se più record lo usano.
+
+import crypto from "crypto";
+
+const MB = 1024 * 1024;
+
+// Gruppi di formati ammessi per tipo di caricamento, con la dimensione massima
+export const UPLOAD_KINDS = {
+  documents:    { label: "PDF o immagine",               types: ["pdf", "jpg", "png", "tif", "webp", "heic"],         max: 20 * MB },
+  pdf:          { label: "PDF",                          types: ["pdf"],                                             max: 50 * MB },
+  images:       { label: "immagine",                     types: ["jpg", "png", "webp", "heic", "gif"],               max: 15 * MB },
+  attachments:  { label: "PDF, immagine o foglio Excel", types: ["pdf", "jpg", "png", "tif", "webp", "heic", "xlsx"], max: 20 * MB },
+  spreadsheets: { label: "CSV o XLSX",                   types: ["txt", "xlsx"],                                     max: 5 * MB }
+};
+
+const MIME = {
+  pdf: "application/pdf",
+  jpg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  tif: "image/tiff",
+  webp: "image/webp",
+  heic: "image/heic",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  zip: "application/zip",
+  txt: "text/plain"
+};
+
+const startsWith = (buf, bytes, offset = 0) => bytes.every((b, i) => buf[offset + i] === b);
+const ascii = (buf, from, to) => buf.subarray(from, to).toString("latin1");
+
+// -> { ext, mime } oppure null se il formato non è riconosciuto
+export function sniffType(buf) {
+  if (!buf?.length) return null;
+  let ext = null;
+  if (ascii(buf, 0, 1024).includes("%PDF-")) ext = "pdf";
+  else if (startsWith(buf, [0xff, 0xd8, 0xff])) ext = "jpg";
+  else if (startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) ext = "png";
+  else if (/^GIF8[79]a/.test(ascii(buf, 0, 6))) ext = "gif";
+  else if (startsWith(buf, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buf, [0x4d, 0x4d, 0x00, 0x2a])) ext = "tif";
+  else if (ascii(buf, 0, 4) === "RIFF" && ascii(buf, 8, 12) === "WEBP") ext = "webp";
+  else if (ascii(buf, 4, 8) === "ftyp" && /^(heic|heix|hevc|mif1|msf1)$/.test(ascii(buf, 8, 12))) ext = "heic";
+  else if (startsWith(buf, [0x50, 0x4b, 0x03, 0x04])) {
+    // Un .xlsx è uno zip con la cartella xl/: i nomi dei file sono in chiaro negli header locali
+    ext = ascii(buf, 0, Math.min(buf.length, 64 * 1024)).includes("xl/") ? "xlsx" : "zip";
+  } else if (isText(buf)) ext = "txt";
+  return ext && { ext, mime: MIME[ext] };
+}
+
+// Testo UTF-8 senza byte di controllo (a parte tab e a capo): CSV e simili
+function isText(buf) {
+  const head = buf.subarray(0, 8192);
+  for (const b of head) if (b < 0x09 || (b > 0x0d && b < 0x20) || b === 0x7f) return false;
+  // stream: un carattere multibyte tagliato a fine blocco non è un errore
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch { return false; }
+}
+
+// -> { ext, mime } oppure { status, error, ... } da restituire al client (413 dimensione, 415 formato)
+export function checkUpload(buffer, kind) {
+  const k = UPLOAD_KINDS[kind];
+  if (!buffer?.length) return { status: 400, error: "File vuoto" };
+  if (buffer.length > k.max) return { status: 413, error: `File troppo grande (massimo ${k.max / MB} MB)` };
+  const type = sniffType(buffer);
+  if (!type || !k.types.includes(type.ext)) {
+    return { status: 415, error: `Formato non ammesso: serve ${k.label}`, detected: type?.mime || null, accepted: k.types };
+  }
+  return type;
+}
+
+export const checksum = buffer => crypto.createHash("sha256").update(buffer).digest("hex");
+
+// Chiave nell'archivio: il contenuto identico finisce sempre nello stesso oggetto
+export const blobKey = sha256 => `${sha256.slice(0, 2)}/${sha256}`;
+
+// Nome scaricato: niente percorsi né caratteri di controllo; per l'header anche la forma RFC 5987
+export function contentDisposition(file) {
+  const name = String(file.original_name || file.id).replace(/[\\/\r\n"]+/g, "_");
+  const inline = /^(application\/pdf|image\/)/.test(file.mime || "");
+  const fallback = name.normalize("NFD").replace(/[^\x20-\x7e]/g, "");
+  return `${inline ? "inline" : "attachment"}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
@@ -0,0 +1,116 @@
+// lib/filestore.js — Archivio dei contenuti dei file (disco locale | storage compatibile S3)
+//
+// FILE_STORAGE=local (default): FILES_DIR, default DATA_DIR/files
+// FILE_STORAGE=s3: S3_BUCKET, S3_REGION (default us-east-1), S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//   S3_ENDPOINT per MinIO / s3rver / provider compatibili (indirizzi path-style), S3_PREFIX facoltativo.
+//   Le richieste sono firmate AWS Signature V4, senza SDK.
+//
+// Interfaccia: put(key, buffer, { mime }), get(key) -> Buffer | null, has(key), remove(key)
+// I contenuti non sono mai serviti direttamente: passano da /api/files/:id con il controllo dei permessi.
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/* -------------------- Disco locale -------------------- */
+function localStore({ dir }) {
+  const root = path.resolve(dir);
+  if (!fs.existsSync(root)) fs.mkdirSync(root, { recursive: true });
+  const full = key => {
+    const p = path.resolve(root, key);
+    if (!p.startsWith(root + path.sep)) throw new Error(`chiave non valida: ${key}`);
+    return p;
+  };
+
+  return {
+    driver: "local",
+    async put(key, buffer) {
+      const p = full(key);
+      await fsp.mkdir(path.dirname(p), { recursive: true });
+      // Scrittura atomica: un download concorrente non vede mai un file a metà
+      const tmp = `${p}.${process.pid}.${Date.now()}.tmp`;
+      await fsp.writeFile(tmp, buffer);
+      await fsp.rename(tmp, p);
+    },
+    get: key => fsp.readFile(full(key)).catch(e => (e.code === "ENOENT" ? null : Promise.reject(e))),
+    has: key => fsp.access(full(key)).then(() => true, () => false),
+    remove: key => fsp.rm(full(key), { force: true })
+  };
+}
+
+/* -------------------- S3 (Signature V4) -------------------- */
+const sha256hex = data => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+const encodeKey = key => key.split("/").map(encodeURIComponent).join("/");
+
+function s3Store({ bucket, region = "us-east-1", endpoint, accessKeyId, secretAccessKey, prefix = "" }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("FILE_STORAGE=s3: servono S3_BUCKET, S3_ACCESS_KEY_ID e S3_SECRET_ACCESS_KEY");
+  }
+  // Con un endpoint esplicito (MinIO, s3rver) si usa il path-style: niente DNS per bucket
+  const base = endpoint ? `${endpoint.replace(/\/$/, "")}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`;
+
+  async function request(method, key, body = null, headers = {}) {
+    const url = new URL(`${base}/${encodeKey(prefix + key)}`);
+    const amzDate = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    const day = amzDate.slice(0, 8);
+    const payloadHash = sha256hex(body || "");
+    const h = { host: url.host, "x-amz-content-sha256": payloadHash, "x-amz-date": amzDate, ...headers };
+    const names = Object.keys(h).sort();
+    const canonical = [
+      method,
+      url.pathname,
+      "",
+      names.map(n => `${n}:${String(h[n]).trim()}`).join("\n") + "\n",
+      names.join(";"),
+      payloadHash
+    ].join("\n");
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const toSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256hex(canonical)].join("\n");
+    const signingKey = ["s3", "aws4_request"].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+    const signature = crypto.createHmac("sha256", signingKey).update(toSign).digest("hex");
+
+    const { host, ...sent } = h;
+    const res = await fetch(url, {
+      method,
+      body,
+      headers: {
+        ...sent,
+        authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`
+      }
+    });
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`S3 ${method} ${key}: ${res.status} ${(await res.text()).slice(0, 200)}`);
+    return res;
+  }
+
+  return {
+    driver: "s3",
+    async put(key, buffer, { mime } = {}) {
+      await request("PUT", key, buffer, { "content-type": mime || "application/octet-stream" });
+    },
+    async get(key) {
+      const res = await request("GET", key);
+      return res && Buffer.from(await res.arrayBuffer());
+    },
+    has: async key => !!(await request("HEAD", key)),
+    remove: async key => { await request("DELETE", key); }
+  };
+}
+
+export function createFileStore({ dir }) {
+  const driver = process.env.FILE_STORAGE || "local";
+  if (driver === "local") return localStore({ dir: process.env.FILES_DIR || path.join(dir, "files") });
+  if (driver === "s3") {
+    return s3Store({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix: process.env.S3_PREFIX
+    });
+  }
+  throw new Error(`file storage sconosciuto: ${driver}`);
+}
@@ -0,0 +1,230 @@
+// lib/inspections.js — Sopralluoghi di cantiere: checklist, foto, non conformità e azioni correttive
+//
+// Ispezione: { id, site_id, date, inspector:{ user_id, name }, status: draft|completed, notes,
+//              items:[{ key, label, category, outcome: ok|nc|na|null, note }],
+//              photos:[{ id, item_key, nc_id, file, caption, ... }],
+//              nonconformities:[{ id, item_key, description, severity, assignee, due_date, status, history }] }
+//
+// Azione correttiva:  open ──> resolved ──> verified
+//                       ^          │
+//                       └──────────┘ (verifica negativa)
+
+import { renderPdf, title, heading, subheading, paragraph, keyValues, table, ensureSpace, innerWidth, fmtDate } from "./pdf.js";
+
+export const DEFAULT_CHECKLIST = [
+  { key: "ponteggi_ancoraggi",   category: "Ponteggi e opere provvisionali", label: "Ponteggi ancorati, con parapetti e fermapiede, conformi al PiMUS" },
+  { key: "ponteggi_accessi",     category: "Ponteggi e opere provvisionali", label: "Accessi ai piani di lavoro sicuri (scale, botole)" },
+  { key: "aperture_protette",    category: "Ponteggi e opere provvisionali", label: "Aperture verso il vuoto e vani scala protetti" },
+  { key: "dpi_uso",              category: "DPI",                            label: "DPI indossati correttamente (casco, scarpe, guanti)" },
+  { key: "dpi_anticaduta",       category: "DPI",                            label: "Sistemi anticaduta usati nei lavori in quota" },
+  { key: "segnaletica",          category: "Segnaletica",                    label: "Cartellonistica e segnaletica di sicurezza presenti" },
+  { key: "recinzione",           category: "Segnaletica",                    label: "Recinzione e delimitazione delle aree integre" },
+  { key: "ordine_pulizia",       category: "Ordine e pulizia",               label: "Vie di transito sgombre, materiali stoccati in sicurezza" },
+  { key: "rifiuti",              category: "Ordine e pulizia",               label: "Rifiuti separati e allontanati regolarmente" },
+  { key: "impianto_elettrico",   category: "Impianti e attrezzature",        label: "Quadri e cavi elettrici integri e protetti" },
+  { key: "attrezzature",         category: "Impianti e attrezzature",        label: "Macchine e attrezzature in buono stato, con protezioni" },
+  { key: "emergenza",            category: "Emergenza",                      label: "Estintori, cassetta di primo soccorso e numeri utili disponibili" }
+];
+
+export const OUTCOMES = ["ok", "nc", "na"];
+
+// Scadenza di default dell'azione correttiva, in giorni dalla segnalazione
+export const SEVERITIES = {
+  critical: { label: "Critica", due_days: 0 },
+  high:     { label: "Alta",    due_days: 2 },
+  medium:   { label: "Media",   due_days: 7 },
+  low:      { label: "Bassa",   due_days: 30 }
+};
+
+export const NC_TRANSITIONS = {
+  open:     ["resolved"],
+  resolved: ["verified", "open"],
+  verified: []
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const today = () => new Date().toISOString().slice(0, 10);
+const addDays = (iso, n) => new Date(Date.parse(iso) + n * 86400000).toISOString().slice(0, 10);
+
+export function checklistFrom(items) {
+  const src = items?.length ? items : DEFAULT_CHECKLIST;
+  return src.map((it, i) => ({
+    key: it.key || `voce_${i + 1}`,
+    label: it.label,
+    category: it.category || "Generale",
+    outcome: null,
+    note: ""
+  }));
+}
+
+export function validateInspection(p) {
+  const errors = [];
+  if (p.date !== undefined && !ISO_DATE.test(p.date || "")) errors.push("date in formato YYYY-MM-DD");
+  if (p.checklist !== undefined) {
+    if (!Array.isArray(p.checklist)) errors.push("checklist deve essere una lista");
+    else p.checklist.forEach((it, i) => { if (!it?.label) errors.push(`checklist[${i}]: label mancante`); });
+  }
+  if (p.items !== undefined) {
+    if (!Array.isArray(p.items)) errors.push("items deve essere una lista");
+    else p.items.forEach((it, i) => {
+      if (!it?.key) errors.push(`items[${i}]: key mancante`);
+      if (it?.outcome != null && !OUTCOMES.includes(it.outcome)) errors.push(`items[${i}]: esito non valido (${OUTCOMES.join(", ")})`);
+    });
+  }
+  return errors;
+}
+
+// Esiti e note della checklist: solo voci esistenti
+export function applyItems(inspection, items = []) {
+  const errors = [];
+  const next = inspection.items.map(it => ({ ...it }));
+  for (const u of items) {
+    const it = next.find(x => x.key === u.key);
+    if (!it) { errors.push(`voce sconosciuta: ${u.key}`); continue; }
+    if (u.outcome !== undefined) it.outcome = u.outcome;
+    if (u.note !== undefined) it.note = u.note;
+  }
+  return { items: next, errors };
+}
+
+export function validateNonconformity(p, inspection) {
+  const errors = [];
+  if (!p.description) errors.push("Descrivi la non conformità");
+  if (!SEVERITIES[p.severity]) errors.push(`severity non valida (${Object.keys(SEVERITIES).join(", ")})`);
+  if (p.item_key && !inspection.items.some(it => it.key === p.item_key)) errors.push(`voce sconosciuta: ${p.item_key}`);
+  if (p.due_date !== undefined && !ISO_DATE.test(p.due_date || "")) errors.push("due_date in formato YYYY-MM-DD");
+  if (!p.assignee || !(p.assignee.user_id || p.assignee.name || p.assignee.company)) errors.push("Indica a chi è assegnata l'azione correttiva");
+  return errors;
+}
+
+export function newNonconformity(p, { id, by, at = new Date().toISOString() }) {
+  return {
+    id,
+    item_key: p.item_key || null,
+    description: p.description,
+    severity: p.severity,
+    assignee: { user_id: p.assignee.user_id || null, name: p.assignee.name || null, company: p.assignee.company || null },
+    due_date: p.due_date || addDays(at.slice(0, 10), SEVERITIES[p.severity].due_days),
+    status: "open",
+    resolution_note: null,
+    photos: [],
+    created_by: by,
+    created_at: at,
+    history: [{ from: null, to: "open", at, by, note: null }]
+  };
+}
+
+export function ncTransition(nc, to, { by, note, at = new Date().toISOString() }) {
+  if (!NC_TRANSITIONS[nc.status]?.includes(to)) {
+    return { error: `transizione non ammessa: ${nc.status} -> ${to}`, allowed: NC_TRANSITIONS[nc.status] || [] };
+  }
+  const next = { ...nc, status: to, history: [...(nc.history || []), { from: nc.status, to, at, by, note: note || null }] };
+  if (to === "resolved") Object.assign(next, { resolution_note: note || null, resolved_at: at, resolved_by: by });
+  if (to === "verified") Object.assign(next, { verified_at: at, verified_by: by });
+  if (to === "open") Object.assign(next, { resolved_at: null, resolved_by: null });
+  return { nc: next };
+}
+
+export const isOverdue = (nc, on = today()) => nc.status !== "verified" && !!nc.due_date && nc.due_date < on;
+
+export function inspectionSummary(insp) {
+  const count = o => insp.items.filter(it => it.outcome === o).length;
+  const ncs = insp.nonconformities || [];
+  return {
+    items: insp.items.length,
+    ok: count("ok"), nc: count("nc"), na: count("na"), pending: count(null),
+    photos: (insp.photos || []).length,
+    open: ncs.filter(n => n.status === "open").length,
+    resolved: ncs.filter(n => n.status === "resolved").length,
+    verified: ncs.filter(n => n.status === "verified").length,
+    overdue: ncs.filter(n => isOverdue(n)).length
+  };
+}
+
+/* -------------------- Verbale di sopralluogo (PDF) -------------------- */
+const OUTCOME_LABEL = { ok: "Conforme", nc: "Non conforme", na: "Non applicabile" };
+const STATUS_LABEL = { open: "Aperta", resolved: "Risolta", verified: "Verificata" };
+const EMBEDDABLE = ["image/jpeg", "image/png"];
+
+const assigneeLabel = a => [a?.name, a?.company].filter(Boolean).join(" - ") || a?.user_id || "—";
+
+// readPhoto(photo) -> Buffer | null; pdfkit incorpora solo JPEG e PNG
+export function buildInspectionReport({ company = {}, site, inspection, readPhoto }) {
+  const ncs = inspection.nonconformities || [];
+  const openItems = ncs.filter(n => n.status !== "verified");
+  const label = key => inspection.items.find(it => it.key === key)?.label;
+
+  return renderPdf(async doc => {
+    title(doc, "Verbale di sopralluogo", site.name);
+    keyValues(doc, [
+      ["Cantiere", `${site.name} - ${site.address || ""}`],
+      ["Data", fmtDate(inspection.date)],
+      ["Ispettore", inspection.inspector?.name],
+      ["Stato", inspection.status === "completed" ? "Concluso" : "Bozza"]
+    ]);
+    paragraph(doc, inspection.notes);
+
+    heading(doc, "Checklist");
+    table(doc, [
+      { label: "Ambito", key: "category", width: 0.2 },
+      { label: "Verifica", key: "label", width: 0.42 },
+      { label: "Esito", key: it => OUTCOME_LABEL[it.outcome] || "Da verificare", width: 0.14,
+        color: it => (it.outcome === "nc" ? "red" : null) },
+      { label: "Note", key: "note", width: 0.24 }
+    ], inspection.items, { fontSize: 8 });
+
+    heading(doc, "Azioni correttive aperte");
+    table(doc, [
+      { label: "Non conformità", key: n => n.description + (n.item_key ? ` (${label(n.item_key) || n.item_key})` : ""), width: 0.34 },
+      { label: "Gravità", key: n => SEVERITIES[n.severity]?.label, width: 0.1 },
+      { label: "Assegnata a", key: n => assigneeLabel(n.assignee), width: 0.2 },
+      { label: "Entro il", key: n => fmtDate(n.due_date), width: 0.12, color: n => (isOverdue(n) ? "red" : null) },
+      { label: "Stato", key: n => STATUS_LABEL[n.status], width: 0.12 },
+      { label: "Risoluzione", key: "resolution_note", width: 0.12 }
+    ], openItems, { empty: "Nessuna azione correttiva aperta", fontSize: 8 });
+
+    const closed = ncs.filter(n => n.status === "verified");
+    if (closed.length) {
+      subheading(doc, "Azioni correttive verificate");
+      table(doc, [
+        { label: "Non conformità", key: "description", width: 0.5 },
+        { label: "Assegnata a", key: n => assigneeLabel(n.assignee), width: 0.25 },
+        { label: "Verificata il", key: n => fmtDate(n.verified_at), width: 0.25 }
+      ], closed, { fontSize: 8 });
+    }
+
+    /* ---- Foto: due per riga ---- */
+    const photos = inspection.photos || [];
+    if (photos.length) {
+      heading(doc, "Documentazione fotografica");
+      const gap = 12, w = (innerWidth(doc) - gap) / 2, h = w * 0.75, x0 = doc.page.margins.left;
+      for (let i = 0; i < photos.length; i += 2) {
+        ensureSpace(doc, h + 30);
+        const y = doc.y;
+        for (const [j, p] of photos.slice(i, i + 2).entries()) {
+          const x = x0 + j * (w + gap);
+          const buf = EMBEDDABLE.includes(p.mime) ? await readPhoto(p) : null;
+          if (buf) {
+            try { doc.image(buf, x, y, { fit: [w, h], align: "center", valign: "center" }); }
+            catch { doc.fontSize(8).text("(immagine non leggibile)", x, y + h / 2, { width: w, align: "center" }); }
+          } else {
+            doc.rect(x, y, w, h).strokeColor("#cccccc").stroke().strokeColor("black");
+            doc.fontSize(8).text(`(formato non incorporabile: ${p.original_name || p.mime})`, x, y + h / 2, { width: w, align: "center" });
+          }
+          const caption = [p.caption, p.item_key ? label(p.item_key) : null,
+                           p.nc_id ? ncs.find(n => n.id === p.nc_id)?.description : null].filter(Boolean).join(" - ");
+          doc.fontSize(8).text(caption || p.original_name || "", x, y + h + 4, { width: w, align: "center" });
+        }
+        doc.fontSize(10);
+        doc.x = x0;
+        doc.y = y + h + 26;
+      }
+    }
+  }, {
+    title: `Sopralluogo ${site.name} ${fmtDate(inspection.date)}`,
+    author: company.name,
+    header: `Sopralluogo - ${site.name}`,
+    headerRight: fmtDate(inspection.date),
+    footer: company.name
+  });
+}
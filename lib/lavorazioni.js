@@ -0,0 +1,212 @@
+// lib/lavorazioni.js — Libreria lavorazioni: rischi (P x D), misure, DPI e attrezzature tipiche
+//
+// Il POS (sezioni 5–8) si compone scegliendo le lavorazioni dalla libreria aziendale;
+// al primo avvio la collezione "lavorazioni" viene popolata con DEFAULT_LAVORAZIONI.
+
+// Matrice di rischio R = P x D (probabilità e danno 1–4)
+export function riskLevel(p, d) {
+  const r = Number(p) * Number(d);
+  if (r >= 9) return { r, level: "molto_alto", label: "Molto alto" };
+  if (r >= 6) return { r, level: "alto", label: "Alto" };
+  if (r >= 3) return { r, level: "medio", label: "Medio" };
+  return { r, level: "basso", label: "Basso" };
+}
+
+const inRange = v => Number.isInteger(Number(v)) && Number(v) >= 1 && Number(v) <= 4;
+
+export function validateLavorazione(p) {
+  const errors = [];
+  if (!p.name) errors.push("Inserisci il nome della lavorazione");
+  if (p.risks !== undefined && !Array.isArray(p.risks)) errors.push("risks deve essere una lista");
+  (Array.isArray(p.risks) ? p.risks : []).forEach((r, i) => {
+    if (!r?.name) errors.push(`Rischio ${i + 1}: nome mancante`);
+    if (!inRange(r?.p) || !inRange(r?.d)) errors.push(`Rischio ${i + 1}: P e D devono essere tra 1 e 4`);
+  });
+  for (const k of ["measures", "dpi", "equipment"]) {
+    if (p[k] !== undefined && !Array.isArray(p[k])) errors.push(`${k} deve essere una lista`);
+  }
+  return errors;
+}
+
+export function normalizeLavorazione(p, base = {}) {
+  const pick = k => (p[k] !== undefined ? p[k] : base[k]);
+  return {
+    id: base.id,
+    name: pick("name"),
+    description: pick("description") || "",
+    procedure: pick("procedure") || "",
+    risks: (pick("risks") || []).map(r => ({ name: r.name, p: Number(r.p), d: Number(r.d) })),
+    measures: pick("measures") || [],
+    dpi: pick("dpi") || [],
+    equipment: pick("equipment") || []
+  };
+}
+
+/* -------------------- Libreria di base -------------------- */
+const DPI_BASE = ["Casco di protezione (EN 397)", "Scarpe antinfortunistiche S3", "Guanti da lavoro (EN 388)"];
+
+export const DEFAULT_LAVORAZIONI = [
+  {
+    id: "LAV-ALLESTIMENTO",
+    name: "Allestimento e smobilizzo del cantiere",
+    description: "Recinzione, accessi, baraccamenti, servizi igienici, impianto elettrico di cantiere.",
+    procedure: "Delimitare l'area prima di ogni altra attività; posare la segnaletica; far certificare l'impianto elettrico e di terra da installatore abilitato.",
+    risks: [
+      { name: "Investimento da mezzi in manovra", p: 2, d: 3 },
+      { name: "Movimentazione manuale dei carichi", p: 3, d: 2 },
+      { name: "Elettrocuzione", p: 1, d: 4 }
+    ],
+    measures: ["Viabilità di cantiere segnalata e separata dai pedoni", "Carichi oltre 25 kg movimentati in due o con mezzi", "Quadri elettrici ASC con differenziale da 30 mA"],
+    dpi: [...DPI_BASE, "Gilet ad alta visibilità"],
+    equipment: ["Autocarro con gru", "Attrezzi manuali"]
+  },
+  {
+    id: "LAV-SCAVI",
+    name: "Scavi e movimento terra",
+    description: "Scavi di sbancamento e a sezione obbligata, rinterri, carico e trasporto del materiale.",
+    procedure: "Verificare la presenza di sottoservizi prima dello scavo; armare le pareti oltre 1,5 m di profondità; vietare la sosta nel raggio d'azione dell'escavatore.",
+    risks: [
+      { name: "Seppellimento per franamento delle pareti", p: 2, d: 4 },
+      { name: "Investimento da mezzi in manovra", p: 2, d: 4 },
+      { name: "Caduta nello scavo", p: 2, d: 3 },
+      { name: "Rumore", p: 3, d: 2 },
+      { name: "Polveri", p: 3, d: 2 }
+    ],
+    measures: ["Armatura o scarpa naturale delle pareti", "Parapetti o delimitazione del ciglio dello scavo", "Segnalatore a terra durante le manovre", "Bagnatura delle piste contro le polveri"],
+    dpi: [...DPI_BASE, "Gilet ad alta visibilità", "Otoprotettori (EN 352)"],
+    equipment: ["Escavatore", "Autocarro", "Pala gommata"]
+  },
+  {
+    id: "LAV-DEMOLIZIONI",
+    name: "Demolizioni e rimozioni",
+    description: "Demolizione di tramezzi, massetti, pavimenti e rivestimenti; rimozione di infissi e impianti.",
+    procedure: "Programma delle demolizioni secondo art. 151 D.Lgs 81/08; procedere dall'alto verso il basso; allontanare il materiale con canali di scarico chiusi.",
+    risks: [
+      { name: "Caduta di materiale dall'alto", p: 3, d: 3 },
+      { name: "Polveri (anche silice)", p: 3, d: 3 },
+      { name: "Rumore", p: 3, d: 3 },
+      { name: "Vibrazioni mano-braccio", p: 2, d: 2 },
+      { name: "Crollo di strutture", p: 1, d: 4 }
+    ],
+    measures: ["Zona di demolizione interdetta ai non addetti", "Bagnatura delle macerie", "Puntellamento preventivo delle strutture", "Turnazione degli addetti al martello demolitore"],
+    dpi: [...DPI_BASE, "Occhiali a maschera (EN 166)", "Facciale filtrante FFP3", "Otoprotettori (EN 352)"],
+    equipment: ["Martello demolitore", "Canale di scarico macerie", "Smerigliatrice"]
+  },
+  {
+    id: "LAV-MURATURE",
+    name: "Murature e tramezzature",
+    description: "Realizzazione di murature portanti e divisorie in laterizio o blocchi.",
+    procedure: "Lavorare da ponti su cavalletti o trabattelli con parapetto oltre 2 m; depositare i materiali lontano dai bordi.",
+    risks: [
+      { name: "Movimentazione manuale dei carichi", p: 3, d: 2 },
+      { name: "Caduta dall'alto", p: 2, d: 3 },
+      { name: "Contatto con malte cementizie", p: 3, d: 1 },
+      { name: "Tagli e abrasioni", p: 2, d: 2 }
+    ],
+    measures: ["Ponti di servizio con parapetto e fermapiede", "Blocchi pesanti movimentati con ausili", "Guanti impermeabili per le malte"],
+    dpi: [...DPI_BASE, "Guanti in nitrile per malte", "Occhiali di protezione (EN 166)"],
+    equipment: ["Betoniera", "Ponte su cavalletti", "Trabattello", "Clipper"]
+  },
+  {
+    id: "LAV-INTONACI",
+    name: "Intonaci e rasature",
+    description: "Intonaci interni ed esterni a mano o a macchina, rasature e stuccature.",
+    procedure: "Per intonaci esterni solo da ponteggio con piano di lavoro completo; proteggere gli occhi durante la spruzzatura.",
+    risks: [
+      { name: "Caduta dall'alto", p: 2, d: 3 },
+      { name: "Schizzi negli occhi", p: 3, d: 2 },
+      { name: "Posture incongrue", p: 3, d: 1 }
+    ],
+    measures: ["Piani di lavoro completi e parapettati", "Occhiali durante la spruzzatura", "Alternanza delle attività"],
+    dpi: [...DPI_BASE, "Occhiali di protezione (EN 166)"],
+    equipment: ["Intonacatrice", "Trabattello"]
+  },
+  {
+    id: "LAV-PAVIMENTI",
+    name: "Posa di pavimenti e rivestimenti",
+    description: "Massetti, posa di piastrelle, pietre e parquet, stuccatura e sigillatura.",
+    procedure: "Tagli a umido o con aspirazione localizzata; ventilare i locali durante l'uso di collanti a solvente.",
+    risks: [
+      { name: "Posture incongrue (lavoro in ginocchio)", p: 3, d: 2 },
+      { name: "Polveri di silice durante il taglio", p: 2, d: 3 },
+      { name: "Tagli con attrezzature", p: 2, d: 2 },
+      { name: "Rumore", p: 2, d: 2 },
+      { name: "Inalazione di vapori di collanti", p: 2, d: 2 }
+    ],
+    measures: ["Ginocchiere e pause programmate", "Taglio ad acqua o aspirazione", "Ventilazione dei locali chiusi"],
+    dpi: [...DPI_BASE, "Ginocchiere", "Facciale filtrante FFP2", "Otoprotettori (EN 352)"],
+    equipment: ["Tagliapiastrelle elettrica", "Smerigliatrice", "Miscelatore"]
+  },
+  {
+    id: "LAV-IMP-ELETTRICI",
+    name: "Impianti elettrici",
+    description: "Tracce, posa di canalizzazioni e cavi, montaggio di quadri e apparecchi.",
+    procedure: "Lavori fuori tensione con sezionamento, blocco e cartello (CEI 11-27); verifica di assenza tensione prima di intervenire.",
+    risks: [
+      { name: "Elettrocuzione", p: 2, d: 4 },
+      { name: "Caduta dall'alto da scale", p: 2, d: 3 },
+      { name: "Polveri durante le tracce", p: 3, d: 2 },
+      { name: "Rumore", p: 2, d: 2 }
+    ],
+    measures: ["Personale PES/PAV per lavori elettrici", "Scale conformi EN 131 trattenute al piede", "Tracciatrice con aspirazione"],
+    dpi: [...DPI_BASE, "Guanti isolanti (EN 60903)", "Occhiali di protezione (EN 166)"],
+    equipment: ["Tracciatrice", "Trapano", "Scala portatile"]
+  },
+  {
+    id: "LAV-IMP-IDRAULICI",
+    name: "Impianti idrico-sanitari e termici",
+    description: "Posa di tubazioni, collettori, sanitari, caldaie e terminali.",
+    procedure: "Saldature solo con estintore a portata di mano e fuori da zone con materiali infiammabili; bombole fissate in posizione verticale.",
+    risks: [
+      { name: "Ustioni e incendio durante le saldature", p: 2, d: 3 },
+      { name: "Tagli e abrasioni", p: 2, d: 2 },
+      { name: "Movimentazione manuale dei carichi", p: 2, d: 2 }
+    ],
+    measures: ["Estintore nelle vicinanze delle saldature", "Bombole fissate e lontane da fonti di calore", "Carichi pesanti movimentati in due"],
+    dpi: [...DPI_BASE, "Schermo per saldatura (EN 175)"],
+    equipment: ["Cannello a gas", "Filettatrice", "Trapano"]
+  },
+  {
+    id: "LAV-COPERTURE",
+    name: "Lavori in copertura",
+    description: "Rifacimento di manti, lattonerie, impermeabilizzazioni e linee vita.",
+    procedure: "Accesso solo con dispositivi anticaduta agganciati a linea vita o punti di ancoraggio; sospendere i lavori con vento forte o pioggia; verificare la portata delle coperture fragili.",
+    risks: [
+      { name: "Caduta dall'alto", p: 3, d: 4 },
+      { name: "Sfondamento di coperture fragili", p: 2, d: 4 },
+      { name: "Caduta di materiale dall'alto", p: 2, d: 3 },
+      { name: "Condizioni meteo avverse", p: 2, d: 2 }
+    ],
+    measures: ["Parapetti perimetrali o reti anticaduta", "Linea vita o ancoraggi EN 795", "Camminamenti su coperture fragili", "Area sottostante interdetta"],
+    dpi: [...DPI_BASE, "Imbracatura anticaduta (EN 361)", "Cordino con assorbitore (EN 355)"],
+    equipment: ["Piattaforma di lavoro elevabile (PLE)", "Ponteggio", "Linea vita provvisoria"]
+  },
+  {
+    id: "LAV-PONTEGGI",
+    name: "Montaggio e smontaggio ponteggi",
+    description: "Montaggio, trasformazione e smontaggio di ponteggi metallici fissi secondo PiMUS.",
+    procedure: "Solo personale formato (Allegato XXI) sotto la sorveglianza di un preposto; seguire il PiMUS; verificare gli ancoraggi prima dell'uso.",
+    risks: [
+      { name: "Caduta dall'alto", p: 3, d: 4 },
+      { name: "Caduta di materiale dall'alto", p: 3, d: 3 },
+      { name: "Movimentazione manuale dei carichi", p: 3, d: 2 }
+    ],
+    measures: ["PiMUS redatto e disponibile in cantiere", "Sistema anticaduta durante il montaggio", "Area sottostante delimitata"],
+    dpi: [...DPI_BASE, "Imbracatura anticaduta (EN 361)", "Cordino con assorbitore (EN 355)"],
+    equipment: ["Ponteggio metallico", "Argano a bandiera"]
+  },
+  {
+    id: "LAV-TINTEGGIATURE",
+    name: "Tinteggiature e verniciature",
+    description: "Preparazione dei fondi, tinteggiature interne ed esterne, verniciature.",
+    procedure: "Consultare le schede di sicurezza dei prodotti; ventilare gli ambienti; nessuna fiamma libera durante l'uso di solventi.",
+    risks: [
+      { name: "Inalazione di vapori e solventi", p: 2, d: 2 },
+      { name: "Caduta dall'alto da trabattelli e scale", p: 2, d: 3 },
+      { name: "Contatto con prodotti irritanti", p: 2, d: 2 }
+    ],
+    measures: ["Ventilazione naturale o forzata", "Trabattelli con parapetto e ruote bloccate", "Schede di sicurezza in cantiere"],
+    dpi: [...DPI_BASE, "Semimaschera con filtri A2", "Occhiali di protezione (EN 166)"],
+    equipment: ["Trabattello", "Scala portatile", "Pompa airless"]
+  }
+];
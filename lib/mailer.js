@@ -0,0 +1,45 @@
+// lib/mailer.js — Invio email
+//
+// Trasporto "outbox" (default): nessun invio reale, ogni messaggio è salvato come JSON
+// in OUTBOX_DIR e loggato. Utile in sviluppo e nei test per leggere link e token.
+// Trasporto "smtp" (MAIL_TRANSPORT=smtp): nodemailer con SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+// SMTP_USER, SMTP_PASS. Gli errori di invio vengono propagati: chi deve ritentare li gestisce.
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+function smtpTransport() {
+  const port = Number(process.env.SMTP_PORT || 587);
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+}
+
+export function createMailer({ dir }) {
+  const outbox = process.env.OUTBOX_DIR || path.join(dir, "outbox");
+  const from = process.env.MAIL_FROM || "Kanthera <no-reply@kanthera.local>";
+  const transport = process.env.MAIL_TRANSPORT === "smtp" ? smtpTransport() : null;
+
+  return {
+    transport: transport ? "smtp" : "outbox",
+
+    async send({ to, subject, text }) {
+      if (transport) {
+        const info = await transport.sendMail({ from, to, subject, text });
+        console.log(`[mail] ${to} — ${subject} (smtp ${info.messageId})`);
+        return { ok: true, transport: "smtp", id: info.messageId };
+      }
+      if (!fs.existsSync(outbox)) fs.mkdirSync(outbox, { recursive: true });
+      const msg = { from, to, subject, text, date: new Date().toISOString() };
+      const name = `${Date.now()}_${String(to).replace(/[^a-z0-9@._-]/gi, "_")}.json`;
+      await fsp.writeFile(path.join(outbox, name), JSON.stringify(msg, null, 2), "utf8");
+      console.log(`[mail] ${to} — ${subject} (outbox/${name})`);
+      return { ok: true, transport: "outbox", id: name };
+    }
+  };
+}
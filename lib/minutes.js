@@ -0,0 +1,173 @@
+// lib/minutes.js — Verbali delle riunioni di coordinamento (art. 92 D.Lgs 81/08)
+//
+// Verbale: { id, site_id, number, date, place, status: draft|issued,
+//            participants:[{ id, user_id, name, company, role, present, acknowledged_at, acknowledged_by, on_behalf }],
+//            agenda:[{ id, title, notes }], decisions:[{ id, text, agenda_id }],
+//            actions:[{ id, text, assignee:{ user_id, name, company }, due_date, status: open|done|carried,
+//                       carried_from, origin }] }
+//
+// Alla creazione le azioni ancora aperte dell'ultimo verbale emesso passano nel nuovo
+// (l'originale diventa "carried"), così le azioni aperte stanno sempre nell'ultimo verbale.
+
+import { nanoid } from "nanoid";
+import { renderPdf, title, heading, subheading, paragraph, keyValues, table, signatures, fmtDate } from "./pdf.js";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const newId = prefix => `${prefix}-${nanoid(4).toUpperCase()}`;
+
+export const ACTION_STATUSES = ["open", "done", "carried"];
+
+export function validateMinutes(p) {
+  const errors = [];
+  if (p.date !== undefined && !ISO_DATE.test(p.date || "")) errors.push("date in formato YYYY-MM-DD");
+  const list = (k, check) => {
+    if (p[k] === undefined) return;
+    if (!Array.isArray(p[k])) return errors.push(`${k} deve essere una lista`);
+    p[k].forEach((v, i) => { const e = check(v || {}); if (e) errors.push(`${k}[${i}]: ${e}`); });
+  };
+  list("participants", x => (x.user_id || x.name ? null : "user_id o nome mancante"));
+  list("agenda", x => (x.title ? null : "titolo mancante"));
+  list("decisions", x => (x.text ? null : "testo mancante"));
+  list("actions", x => {
+    if (!x.text) return "testo mancante";
+    if (x.due_date && !ISO_DATE.test(x.due_date)) return "due_date in formato YYYY-MM-DD";
+    if (!x.assignee || !(x.assignee.user_id || x.assignee.name || x.assignee.company)) return "assegnatario mancante";
+    return null;
+  });
+  return errors;
+}
+
+// users: utenti noti (per risolvere nome/email dagli id), prev: elementi esistenti da cui conservare id e stato
+export function normalizeParticipants(list, { users = [], prev = [] } = {}) {
+  return list.map(p => {
+    const u = p.user_id ? users.find(x => x.id === p.user_id) : null;
+    const old = prev.find(x => (p.id && x.id === p.id) || (p.user_id && x.user_id === p.user_id));
+    return {
+      id: old?.id || newId("PRT"),
+      user_id: p.user_id || null,
+      name: p.name || u?.name || null,
+      email: u?.email || p.email || null,
+      company: p.company ?? old?.company ?? null,
+      role: p.role ?? old?.role ?? null,
+      present: p.present ?? old?.present ?? true,
+      acknowledged_at: old?.acknowledged_at || null,
+      acknowledged_by: old?.acknowledged_by || null,
+      on_behalf: old?.on_behalf || false
+    };
+  });
+}
+
+export const normalizeAgenda = (list, prev = []) =>
+  list.map(a => ({ id: prev.some(x => x.id === a.id) ? a.id : newId("ODG"), title: a.title, notes: a.notes || "" }));
+
+export const normalizeDecisions = (list, prev = []) =>
+  list.map(d => ({ id: prev.some(x => x.id === d.id) ? d.id : newId("DEC"), text: d.text, agenda_id: d.agenda_id || null }));
+
+export function normalizeActions(list, prev = []) {
+  return list.map(a => {
+    const old = prev.find(x => x.id === a.id);
+    return {
+      ...(old || {}),
+      id: old?.id || newId("AZ"),
+      text: a.text,
+      assignee: { user_id: a.assignee.user_id || null, name: a.assignee.name || null, company: a.assignee.company || null },
+      due_date: a.due_date || null,
+      status: old?.status || "open",
+      carried_from: old?.carried_from || null,
+      origin: old?.origin || null
+    };
+  });
+}
+
+// Azioni aperte del verbale precedente, da copiare nel nuovo
+export function carryOver(prev) {
+  if (!prev) return [];
+  return (prev.actions || []).filter(a => a.status === "open").map(a => ({
+    ...a,
+    id: newId("AZ"),
+    status: "open",
+    carried_from: { minutes_id: prev.id, number: prev.number, action_id: a.id },
+    // Prima comparsa dell'azione, anche dopo più riunioni
+    origin: a.origin || { minutes_id: prev.id, number: prev.number, action_id: a.id }
+  }));
+}
+
+export function minutesSummary(m) {
+  const participants = m.participants || [];
+  return {
+    participants: participants.length,
+    present: participants.filter(p => p.present).length,
+    acknowledged: participants.filter(p => p.acknowledged_at).length,
+    pending_acknowledgements: participants.filter(p => p.present && !p.acknowledged_at).map(p => p.name),
+    actions_open: (m.actions || []).filter(a => a.status === "open").length,
+    actions_carried_in: (m.actions || []).filter(a => a.carried_from).length
+  };
+}
+
+/* -------------------- PDF -------------------- */
+const ACTION_LABEL = { open: "Aperta", done: "Chiusa", carried: "Riportata" };
+const assigneeLabel = a => [a?.name, a?.company].filter(Boolean).join(" - ") || "—";
+const fmtDateTime = iso => (iso ? `${fmtDate(iso)} ${iso.slice(11, 16)}` : "—");
+
+export function buildMinutesPdf({ company = {}, site, minutes }) {
+  const m = minutes;
+  const subject = `Verbale n. ${m.number} - riunione di coordinamento`;
+
+  return renderPdf(doc => {
+    title(doc, "Verbale di riunione di coordinamento", `n. ${m.number} del ${fmtDate(m.date)}`);
+    keyValues(doc, [
+      ["Cantiere", `${site.name} - ${site.address || ""}`],
+      ["Committente", site.client],
+      ["Coordinatore per l'esecuzione", site.cse?.name],
+      ["Luogo", m.place],
+      ["Stato", m.status === "issued" ? `Emesso il ${fmtDate(m.issued_at)}` : "Bozza"]
+    ]);
+
+    heading(doc, "Partecipanti");
+    table(doc, [
+      { label: "Nominativo", key: "name", width: 0.26 },
+      { label: "Impresa", key: "company", width: 0.22 },
+      { label: "Ruolo", key: "role", width: 0.16 },
+      { label: "Presente", key: p => (p.present ? "Sì" : "No"), width: 0.1, align: "center" },
+      { label: "Presa visione", key: p => (p.acknowledged_at ? fmtDateTime(p.acknowledged_at) + (p.on_behalf ? " (*)" : "") : null), width: 0.26 }
+    ], m.participants, { empty: "Nessun partecipante" });
+    if (m.participants.some(p => p.on_behalf)) paragraph(doc, "(*) presa visione registrata dal coordinatore per conto del partecipante.");
+
+    heading(doc, "Ordine del giorno");
+    if (!m.agenda.length) paragraph(doc, "—");
+    m.agenda.forEach((a, i) => {
+      subheading(doc, `${i + 1}. ${a.title}`);
+      paragraph(doc, a.notes);
+      const dec = m.decisions.filter(d => d.agenda_id === a.id);
+      for (const d of dec) paragraph(doc, `Decisione: ${d.text}`, { indent: 8 });
+    });
+
+    const loose = m.decisions.filter(d => !d.agenda_id || !m.agenda.some(a => a.id === d.agenda_id));
+    if (loose.length) {
+      heading(doc, "Decisioni");
+      for (const d of loose) paragraph(doc, `- ${d.text}`, { indent: 8 });
+    }
+
+    heading(doc, "Azioni");
+    table(doc, [
+      { label: "Azione", key: "text", width: 0.36 },
+      { label: "Assegnata a", key: a => assigneeLabel(a.assignee), width: 0.22 },
+      { label: "Entro il", key: a => fmtDate(a.due_date), width: 0.12 },
+      { label: "Stato", key: a => ACTION_LABEL[a.status], width: 0.1 },
+      { label: "Dal verbale", key: a => (a.origin ? `n. ${a.origin.number}` : "—"), width: 0.2 }
+    ], m.actions.filter(a => a.status !== "carried"), { empty: "Nessuna azione", fontSize: 8 });
+
+    doc.addPage();
+    heading(doc, "Firme dei partecipanti");
+    signatures(doc, m.participants.filter(p => p.present).map(p => ({
+      role: [p.role, p.company].filter(Boolean).join(" - ") || "Partecipante",
+      name: p.name
+    })), { place: `${m.place || site.address || ""}, ${fmtDate(m.date)}` });
+  }, {
+    title: subject,
+    author: company.name,
+    header: `${site.name} - ${subject}`,
+    headerRight: fmtDate(m.date),
+    footer: company.name
+  });
+}
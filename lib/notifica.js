@@ -0,0 +1,73 @@
+// lib/notifica.js — Notifica preliminare (art. 99 e Allegato XII D.Lgs 81/08)
+//
+// notificaData() raccoglie i 13 punti dell'Allegato XII da cantiere, impresa e motore regole;
+// i campi senza dato finiscono in `missing`, così il client sa cosa completare.
+// Dati facoltativi in site.meta: client_address, work_type, responsabile_lavori, csp, works_amount.
+
+import { renderPdf, title, heading, paragraph, keyValues, table, signatures, fmtDate } from "./pdf.js";
+
+const money = n => `€ ${Number(n).toLocaleString("it-IT", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+// Persona come stringa oppure { name, email }
+const person = p => (typeof p === "string" ? p || null : p?.name ? [p.name, p.email].filter(Boolean).join(" - ") : null);
+
+// companies: [{ name, vat, role }] imprese già selezionate; amount: importo presunto (es. dal contratto)
+export function notificaData({ site, company = {}, facts, companies = [], amount = null, at = new Date().toISOString() }) {
+  const meta = site.meta || {};
+  const total = amount ?? meta.works_amount ?? null;
+  const fields = [
+    ["date",                "1. Data della comunicazione",                        fmtDate(at)],
+    ["address",             "2. Indirizzo del cantiere",                          site.address],
+    ["client",              "3. Committente (nome e indirizzo)",                  [site.client, meta.client_address].filter(Boolean).join(" - ")],
+    ["work_type",           "4. Natura dell'opera",                               meta.work_type],
+    ["responsabile_lavori", "5. Responsabile dei lavori",                         person(meta.responsabile_lavori)],
+    ["csp",                 "6. Coordinatore per la progettazione",               person(meta.csp)],
+    ["cse",                 "7. Coordinatore per l'esecuzione",                   person(site.cse)],
+    ["start",               "8. Data presunta di inizio dei lavori",              site.dates?.start ? fmtDate(site.dates.start) : null],
+    ["duration",            "9. Durata presunta dei lavori",                      facts.duration_days ? `${facts.duration_days} giorni (${facts.working_days} lavorativi)` : null],
+    ["max_workers",         "10. Numero massimo presunto di lavoratori",          facts.max_workers || null],
+    ["companies",           "11. Numero previsto di imprese e lavoratori autonomi", facts.companies],
+    ["selected",            "12. Imprese già selezionate",                        companies.length ? `${companies.length} (vedi elenco)` : null],
+    ["amount",              "13. Ammontare complessivo presunto dei lavori",      total != null ? money(total) : null]
+  ];
+  return {
+    fields: fields.map(([key, label, value]) => ({ key, label, value: value === "" ? null : value ?? null })),
+    missing: fields.filter(([, , v]) => v === null || v === undefined || v === "").map(([key]) => key),
+    companies,
+    man_days: facts.man_days,
+    sender: { name: company.name, vat: company.vat, address: company.address }
+  };
+}
+
+export function buildNotificaPreliminare({ company = {}, site, data, obligation = null }) {
+  return renderPdf(doc => {
+    title(doc, "Notifica preliminare", "art. 99 e Allegato XII del D.Lgs 81/08");
+    paragraph(doc, "Spett.le Azienda Sanitaria Locale e Ispettorato Territoriale del Lavoro competenti per territorio");
+    if (obligation && !obligation.required) {
+      paragraph(doc, "Nota: in base ai dati del cantiere la notifica non risulta obbligatoria; il documento è predisposto a titolo informativo.");
+    }
+
+    heading(doc, "Contenuto della notifica");
+    keyValues(doc, data.fields.map(f => [f.label, f.value]));
+    paragraph(doc, `Entità presunta del lavoro: ${data.man_days} uomini-giorno.`);
+
+    heading(doc, "Imprese e lavoratori autonomi già selezionati");
+    table(doc, [
+      { label: "Ragione sociale", key: "name", width: 0.45 },
+      { label: "Codice fiscale / Partita IVA", key: "vat", width: 0.3 },
+      { label: "Ruolo", key: "role", width: 0.25 }
+    ], data.companies, { empty: "Nessuna impresa ancora selezionata" });
+
+    paragraph(doc, "La notifica va trasmessa prima dell'inizio dei lavori, esposta in cantiere in maniera visibile "
+      + "e custodita a disposizione dell'organo di vigilanza territorialmente competente; va aggiornata in caso di variazioni.");
+
+    signatures(doc, [
+      { role: "Il committente o il responsabile dei lavori", name: site.client }
+    ], { place: `${site.address || ""}, ${data.fields[0].value}` });
+  }, {
+    title: `Notifica preliminare ${site.name}`,
+    author: company.name,
+    header: `Notifica preliminare - ${site.name}`,
+    headerRight: data.fields[0].value,
+    footer: company.name
+  });
+}
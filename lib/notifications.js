@@ -0,0 +1,405 @@
+// lib/notifications.js — Avvisi di scadenza, digest per utente, webhook e consegne con retry
+//
+// Avviso: { key, type: worker_doc|company_doc|site_doc|corrective_action|equipment_inspection, status: expired|expiring|overdue|due|missing|pending,
+//           date, days_left, title, site_ids, user_ids }
+// Consegna (collezione deliveries): { id, key, channel: email|webhook, user_id|webhook_id, to, subject, text|payload,
+//           status: pending|sent|failed, attempts, next_attempt_at, last_error, sent_at }
+//
+// Il notifier a ogni giro: raccoglie gli avvisi (collect, fornito dal server), crea i digest dovuti
+// (una consegna per utente e periodo, chiave univoca) e le chiamate webhook giornaliere, poi invia le
+// consegne in attesa. Un errore rimanda il tentativo con backoff esponenziale fino a MAX_ATTEMPTS.
+
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import { nanoid } from "nanoid";
+import { DOC_TYPES, classifyDoc, DEFAULT_WARN_DAYS } from "./compliance.js";
+import { ITP_DOCS } from "./companies.js";
+import { inspectionStatus } from "./equipment.js";
+
+export const DIGESTS = ["daily", "weekly", "off"];
+export const MAX_ATTEMPTS = 5;
+export const RETRY_BASE_MINUTES = 5;
+export const MAX_LEAD_DAYS = 180;
+
+export const DEFAULT_PREFS = { lead_days: DEFAULT_WARN_DAYS, digest: "daily", weekday: 1 };
+
+// Ruoli di cantiere avvisati per tipo; company_admin e company_manager ricevono tutto
+export const NOTIFY_ROLES = {
+  worker_doc:        ["coordinator", "contractor", "subcontractor", "supervisor"],
+  company_doc:       ["owner", "coordinator", "contractor"],
+  site_doc:          ["owner", "coordinator", "contractor"],
+  corrective_action: ["coordinator", "supervisor"],
+  equipment_inspection: ["owner", "coordinator", "contractor", "supervisor"]
+};
+const MANAGER_ROLES = ["company_admin", "company_manager"];
+
+// Sempre nel digest, a prescindere dal preavviso
+const URGENT = ["expired", "overdue", "missing", "pending"];
+
+const DAY = 86400000;
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY);
+
+/* -------------------- Preferenze -------------------- */
+export const userPrefs = user => ({ ...DEFAULT_PREFS, ...(user?.notifications || {}) });
+
+export function validatePrefs(p) {
+  const errors = [];
+  if (p.lead_days !== undefined && !(Number.isInteger(p.lead_days) && p.lead_days >= 0 && p.lead_days <= MAX_LEAD_DAYS)) {
+    errors.push(`lead_days: intero tra 0 e ${MAX_LEAD_DAYS}`);
+  }
+  if (p.digest !== undefined && !DIGESTS.includes(p.digest)) errors.push(`digest non valido (${DIGESTS.join(", ")})`);
+  if (p.weekday !== undefined && !(Number.isInteger(p.weekday) && p.weekday >= 0 && p.weekday <= 6)) {
+    errors.push("weekday: 0 (domenica) - 6 (sabato)");
+  }
+  return errors;
+}
+
+/* -------------------- Avvisi -------------------- */
+// Documenti con scadenza dei lavoratori entro MAX_LEAD_DAYS (o già scaduti)
+export function workerDocAlerts(workers, { today, sitesOf }) {
+  const out = [];
+  for (const w of workers) {
+    for (const [key, value] of Object.entries(w.docs || {})) {
+      if (DOC_TYPES[key]?.kind === "flag") continue;
+      const c = classifyDoc(key, value, { today, warnDays: MAX_LEAD_DAYS });
+      if (c.status !== "expired" && c.status !== "expiring") continue;
+      out.push({
+        key: `worker_doc:${w.id}:${key}`,
+        type: "worker_doc",
+        status: c.status,
+        date: c.expiry,
+        days_left: c.days_left,
+        title: `${w.name} - ${DOC_TYPES[key]?.label || key}`,
+        worker_id: w.id,
+        site_ids: sitesOf(w.id),
+        user_ids: []
+      });
+    }
+  }
+  return out;
+}
+
+// Documenti ITP con scadenza delle imprese (DURC, visura, ...): scaduti bloccano l'impresa in cantiere
+export function companyDocAlerts(companies, { today, sitesOf }) {
+  const out = [];
+  for (const c of companies) {
+    for (const [key, value] of Object.entries(c.docs || {})) {
+      if (ITP_DOCS[key]?.kind !== "date") continue;
+      const st = classifyDoc(key, value, { today, warnDays: MAX_LEAD_DAYS });
+      if (st.status !== "expired" && st.status !== "expiring") continue;
+      out.push({
+        key: `company_doc:${c.id}:${key}`,
+        type: "company_doc",
+        status: st.status,
+        date: st.expiry,
+        days_left: st.days_left,
+        title: `${c.name} - ${ITP_DOCS[key].label}`,
+        company_id: c.id,
+        site_ids: sitesOf(c.id),
+        user_ids: []
+      });
+    }
+  }
+  return out;
+}
+
+// Verifiche periodiche delle attrezzature non dismesse (sitesOf: cantieri in cui sono assegnate)
+export function equipmentAlerts(equipment, { today, sitesOf }) {
+  const out = [];
+  for (const eq of equipment.filter(e => e.status !== "disposed")) {
+    const st = inspectionStatus(eq, { today, warnDays: MAX_LEAD_DAYS });
+    if (!["overdue", "expiring", "missing"].includes(st.status)) continue;
+    out.push({
+      key: `equipment_inspection:${eq.id}:${st.due_date || "none"}`,
+      type: "equipment_inspection",
+      status: st.status,
+      date: st.due_date,
+      days_left: st.days_left,
+      title: `${eq.name}${eq.serial ? ` (matr. ${eq.serial})` : ""} - verifica periodica`,
+      equipment_id: eq.id,
+      site_ids: sitesOf(eq),
+      user_ids: []
+    });
+  }
+  return out;
+}
+
+// Azioni correttive dei sopralluoghi non ancora verificate, con scadenza
+export function correctiveActionAlerts(inspections, { today, sites }) {
+  const out = [];
+  for (const insp of inspections) {
+    const site = sites.find(s => s.id === insp.site_id);
+    for (const nc of insp.nonconformities || []) {
+      if (nc.status === "verified" || !nc.due_date) continue;
+      const days_left = daysBetween(today, nc.due_date);
+      out.push({
+        key: `corrective_action:${nc.id}`,
+        type: "corrective_action",
+        status: days_left < 0 ? "overdue" : "due",
+        date: nc.due_date,
+        days_left,
+        title: `${site?.name || insp.site_id} - ${nc.description}${nc.status === "resolved" ? " (da verificare)" : ""}`,
+        site_ids: [insp.site_id],
+        user_ids: nc.assignee?.user_id ? [nc.assignee.user_id] : []
+      });
+    }
+  }
+  return out;
+}
+
+// Documenti di cantiere: PSC obbligatorio mancante, prese visione in attesa, notifica preliminare
+// da trasmettere prima dell'inizio lavori (cantieri ancora "planned")
+export function siteDocAlerts({ site, required = [], psc = null, pendingAcks = [], planned = false, today }) {
+  const out = [];
+  const base = { type: "site_doc", site_ids: [site.id], user_ids: [], date: null, days_left: null };
+  if (required.includes("psc") && !psc) {
+    out.push({ ...base, key: `site_doc:${site.id}:psc`, status: "missing", title: `${site.name} - PSC obbligatorio non caricato` });
+  }
+  if (psc && pendingAcks.length) {
+    out.push({
+      ...base, key: `site_doc:${site.id}:psc_ack:${psc.version}`, status: "pending",
+      title: `${site.name} - presa visione PSC rev. ${psc.version} (${pendingAcks.map(c => c.name || c.user_id).join(", ")})`,
+      user_ids: pendingAcks.map(c => c.user_id)
+    });
+  }
+  if (required.includes("notifica_preliminare") && planned && site.dates?.start) {
+    const days_left = daysBetween(today, site.dates.start);
+    out.push({
+      ...base, key: `site_doc:${site.id}:notifica_preliminare`, status: days_left < 0 ? "overdue" : "due",
+      date: site.dates.start, days_left, title: `${site.name} - notifica preliminare da trasmettere prima dell'inizio lavori`
+    });
+  }
+  return out;
+}
+
+// Avvisi per un utente: preavviso personale, urgenti sempre
+export function alertsFor(user, alerts, { sites }) {
+  const prefs = userPrefs(user);
+  const manager = MANAGER_ROLES.includes(user.company_role);
+  return alerts.filter(a => {
+    if (!URGENT.includes(a.status) && !(a.days_left <= prefs.lead_days)) return false;
+    if (manager || a.user_ids?.includes(user.id)) return true;
+    return (a.site_ids || []).some(id => {
+      const role = sites.find(s => s.id === id)?.roles?.find(r => r.user_id === user.id)?.role;
+      return NOTIFY_ROLES[a.type]?.includes(role);
+    });
+  });
+}
+
+/* -------------------- Digest -------------------- */
+const isoWeek = d => {
+  const t = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+  const day = t.getUTCDay() || 7;
+  t.setUTCDate(t.getUTCDate() + 4 - day);
+  const y = t.getUTCFullYear();
+  return `${y}-W${String(Math.ceil(((t - Date.UTC(y, 0, 1)) / DAY + 1) / 7)).padStart(2, "0")}`;
+};
+const localDay = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+// Chiave del periodo se il digest è dovuto a quest'ora (ora locale del server), altrimenti null
+export function digestPeriod(prefs, at, { hour = 7, force = false } = {}) {
+  if (prefs.digest === "off") return null;
+  if (!force && at.getHours() < hour) return null;
+  if (prefs.digest === "weekly") return force || at.getDay() === prefs.weekday ? isoWeek(at) : null;
+  return localDay(at);
+}
+
+const STATUS_LABEL = { expired: "SCADUTO", expiring: "in scadenza", overdue: "IN RITARDO", due: "in scadenza",
+                       missing: "MANCANTE", pending: "in attesa" };
+const SECTIONS = [
+  ["worker_doc", "Documenti dei lavoratori"],
+  ["company_doc", "Idoneità delle imprese"],
+  ["site_doc", "Documenti di cantiere"],
+  ["corrective_action", "Azioni correttive"],
+  ["equipment_inspection", "Verifiche periodiche attrezzature"]
+];
+const fmt = iso => (iso ? iso.slice(0, 10).split("-").reverse().join("/") : "");
+
+export function digestMessage(user, alerts, { appUrl, period }) {
+  const lines = [`Ciao ${user.name},`, `ecco le scadenze di Kanthera (${period}).`, ""];
+  for (const [type, label] of SECTIONS) {
+    const list = alerts.filter(a => a.type === type).sort((a, b) => (a.date || "").localeCompare(b.date || ""));
+    if (!list.length) continue;
+    lines.push(`${label}:`);
+    for (const a of list) lines.push(`- [${STATUS_LABEL[a.status] || a.status}] ${a.title}${a.date ? ` - ${fmt(a.date)}` : ""}`);
+    lines.push("");
+  }
+  lines.push(`Preferenze di notifica: ${appUrl}/settings/notifications`);
+  const urgent = alerts.filter(a => URGENT.includes(a.status)).length;
+  return {
+    subject: `Kanthera - ${alerts.length} scadenze${urgent ? ` (${urgent} urgenti)` : ""}`,
+    text: lines.join("\n") + "\n"
+  };
+}
+
+/* -------------------- Webhook -------------------- */
+// Loopback, reti private e link-local solo con WEBHOOK_ALLOW_PRIVATE=true: altrimenti un webhook
+// farebbe chiamare al server i servizi interni della sua rete
+const privateAllowed = () => process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+
+export function isPrivateAddress(ip) {
+  if (net.isIPv6(ip)) {
+    const a = ip.toLowerCase();
+    // IPv4 mappato, anche nella forma esadecimale prodotta da new URL()
+    const dotted = a.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) return isPrivateAddress(dotted[1]);
+    const hex = a.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (hex) {
+      const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+      return isPrivateAddress([hi >> 8, hi & 255, lo >> 8, lo & 255].join("."));
+    }
+    return a === "::" || a === "::1" || /^f[cd]/.test(a) || /^fe[89ab]/.test(a);
+  }
+  const [a, b] = ip.split(".").map(Number);
+  return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+}
+
+const privateHost = hostname => {
+  const h = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  return h === "localhost" || h.endsWith(".localhost") || (net.isIP(h) > 0 && isPrivateAddress(h));
+};
+
+export function validateWebhook(p, { allowPrivate = privateAllowed() } = {}) {
+  const errors = [];
+  try {
+    const u = new URL(p.url || "");
+    if (!["http:", "https:"].includes(u.protocol)) errors.push("url deve essere http o https");
+    else if (!allowPrivate && privateHost(u.hostname)) errors.push("url verso un indirizzo interno non ammesso (WEBHOOK_ALLOW_PRIVATE)");
+  } catch { errors.push("url non valido"); }
+  if (p.active !== undefined && typeof p.active !== "boolean") errors.push("active deve essere booleano");
+  return errors;
+}
+
+export const signPayload = (secret, body) => "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+async function postWebhook(hook, payload) {
+  // Un nome pubblico può risolvere su un indirizzo interno: si ricontrolla all'invio
+  if (!privateAllowed()) {
+    const host = new URL(hook.url).hostname.replace(/^\[|\]$/g, "");
+    const internal = privateHost(host)
+      || (!net.isIP(host) && (await dns.lookup(host, { all: true })).some(a => isPrivateAddress(a.address)));
+    if (internal) throw new Error("indirizzo interno non ammesso");
+  }
+  const body = JSON.stringify(payload);
+  const res = await fetch(hook.url, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "x-kanthera-event": payload.event,
+      "x-kanthera-signature": signPayload(hook.secret, body)
+    },
+    body,
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return { status: res.status };
+}
+
+/* -------------------- Consegne -------------------- */
+export const retryDelay = attempts => RETRY_BASE_MINUTES * 2 ** (attempts - 1) * 60000;
+
+export function newDelivery(fields, at = new Date()) {
+  return {
+    id: "NTF-" + nanoid(8).toUpperCase(),
+    status: "pending",
+    attempts: 0,
+    next_attempt_at: at.toISOString(),
+    last_error: null,
+    sent_at: null,
+    created_at: at.toISOString(),
+    ...fields
+  };
+}
+
+// collect(today) -> avvisi; hour: ora locale dei digest. start(intervalMs) avvia il giro periodico (0 = disattivato)
+export function createNotifier({ db, mailer, collect, appUrl, hour = 7 }) {
+  let timer = null, running = null;
+
+  async function deliver(d) {
+    if (d.channel === "email") return mailer.send({ to: d.to, subject: d.subject, text: d.text });
+    const hook = await db.webhooks.get(d.webhook_id);
+    if (!hook || !hook.active) throw new Error("webhook disattivato o rimosso");
+    return postWebhook(hook, d.payload);
+  }
+
+  // Invia le consegne in attesa scadute; l'esito si registra sulla consegna
+  async function processDeliveries(at = new Date()) {
+    const due = await db.deliveries.filter(d => d.status === "pending" && d.next_attempt_at <= at.toISOString());
+    const results = [];
+    for (const d of due) {
+      let patch;
+      try {
+        const r = await deliver(d);
+        patch = { status: "sent", sent_at: new Date().toISOString(), attempts: d.attempts + 1, last_error: null, result: r };
+      } catch (e) {
+        const attempts = d.attempts + 1;
+        patch = attempts >= MAX_ATTEMPTS
+          ? { status: "failed", attempts, last_error: e.message }
+          : { attempts, last_error: e.message, next_attempt_at: new Date(at.getTime() + retryDelay(attempts)).toISOString() };
+      }
+      await db.tx(async t => {
+        const cur = await t.deliveries.get(d.id);
+        if (cur) await t.deliveries.put({ ...cur, ...patch });
+      });
+      results.push({ id: d.id, ...patch });
+    }
+    return results;
+  }
+
+  // Crea digest e chiamate webhook dovuti (chiave univoca per periodo), poi invia
+  async function run({ at = new Date(), force = false } = {}) {
+    const today = localDay(at);
+    const alerts = await collect(today);
+    const [users, sites, hooks] = [await db.users.all(), await db.sites.all(), await db.webhooks.all()];
+
+    const created = await db.tx(async t => {
+      const keys = new Set((await t.deliveries.all()).map(d => d.key));
+      const out = [];
+      for (const u of users.filter(u => u.status === "active" && u.email)) {
+        const prefs = userPrefs(u);
+        const period = digestPeriod(prefs, at, { hour, force });
+        const key = period && `digest:${u.id}:${period}`;
+        if (!key || keys.has(key)) continue;
+        const mine = alertsFor(u, alerts, { sites });
+        if (!mine.length) continue;
+        const msg = digestMessage(u, mine, { appUrl, period });
+        out.push(await t.deliveries.insert(newDelivery({
+          key, channel: "email", user_id: u.id, to: u.email, ...msg, alerts: mine.length
+        }, at)));
+      }
+      for (const h of hooks.filter(h => h.active)) {
+        const key = `webhook:${h.id}:${today}`;
+        if (keys.has(key) || !alerts.length || (!force && at.getHours() < hour)) continue;
+        out.push(await t.deliveries.insert(newDelivery({
+          key, channel: "webhook", webhook_id: h.id, to: h.url,
+          payload: { event: "alerts.digest", date: today, generated_at: at.toISOString(), alerts }
+        }, at)));
+      }
+      return out;
+    });
+    return { alerts: alerts.length, created: created.map(d => d.id), deliveries: await processDeliveries(at) };
+  }
+
+  // Un giro alla volta: le chiamate manuali attendono quello in corso, il timer lo salta
+  const exclusive = fn => async (...args) => {
+    while (running) await running.catch(() => {});
+    running = fn(...args);
+    try { return await running; } finally { running = null; }
+  };
+  const runOnce = exclusive(run);
+
+  return {
+    run: runOnce,
+    processDeliveries: exclusive(processDeliveries),
+    start(intervalMs) {
+      if (!intervalMs || timer) return;
+      const tick = () => { if (!running) runOnce().catch(e => console.error("[notify]", e.message)); };
+      timer = setInterval(tick, intervalMs);
+      timer.unref();
+      setTimeout(tick, 5000).unref();
+    },
+    stop() { clearInterval(timer); timer = null; }
+  };
+}
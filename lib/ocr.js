@@ -0,0 +1,145 @@
+// lib/ocr.js — OCR dei documenti caricati, con provider intercambiabili
+//
+// OCR_PROVIDER = google | tesseract | fixture
+// Default: google se GOOGLE_APPLICATION_CREDENTIALS è impostata, altrimenti tesseract.
+// Per i PDF si usa prima il testo incorporato (PDF nativi), l'OCR solo se manca: Google legge il PDF,
+// tesseract le prime PDF_OCR_MAX_PAGES pagine rasterizzate (pdf.js + canvas, tramite pdf-parse).
+
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+const PDF_TEXT_MIN_CHARS = 20;
+// Come il limite della richiesta sincrona di Google Vision
+const PDF_OCR_MAX_PAGES = 5;
+// ~150 dpi per una pagina A4: sotto tesseract perde i caratteri piccoli, sopra rallenta e basta
+const PDF_OCR_WIDTH = 1240;
+
+function isPdf(meta) {
+  return meta.mime === "application/pdf" || /\.pdf$/i.test(meta.filename || "");
+}
+
+/* -------------------- Testo incorporato nei PDF -------------------- */
+async function pdfText(buffer) {
+  const { PDFParse } = await import("pdf-parse");
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const out = await parser.getText();
+    return (out.text || "").replace(/^-- \d+ of \d+ --$/gm, "").trim();
+  } finally {
+    await parser.destroy();
+  }
+}
+
+// Pagine del PDF come immagini PNG -> { images: [Buffer], total }
+async function pdfPageImages(buffer, max = PDF_OCR_MAX_PAGES) {
+  const { PDFParse } = await import("pdf-parse");
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const out = await parser.getScreenshot({ first: max, desiredWidth: PDF_OCR_WIDTH, imageBuffer: true, imageDataUrl: false });
+    return { images: out.pages.map(p => Buffer.from(p.data)), total: out.total };
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/* -------------------- Provider -------------------- */
+const google = {
+  name: "google",
+  async recognize(buffer, meta) {
+    const { default: vision } = await import("@google-cloud/vision");
+    const client = new vision.ImageAnnotatorClient();
+
+    if (isPdf(meta)) {
+      // Sincrono, contenuto inline: max 5 pagine per richiesta
+      const [out] = await client.batchAnnotateFiles({
+        requests: [{
+          inputConfig: { content: buffer, mimeType: "application/pdf" },
+          features: [{ type: "DOCUMENT_TEXT_DETECTION" }],
+          pages: [1, 2, 3, 4, 5]
+        }]
+      });
+      const pages = out.responses?.[0]?.responses || [];
+      const text = pages.map(p => p.fullTextAnnotation?.text || "").join("\n");
+      return { text, confidence: avgConfidence(pages.flatMap(p => p.fullTextAnnotation?.pages || [])) };
+    }
+
+    const [out] = await client.documentTextDetection({ image: { content: buffer } });
+    const ann = out.fullTextAnnotation;
+    return { text: ann?.text || "", confidence: avgConfidence(ann?.pages || []) };
+  }
+};
+
+const tesseract = {
+  name: "tesseract",
+  async recognize(buffer, meta) {
+    // PDF scansionato: OCR pagina per pagina sulle immagini rasterizzate
+    const { images, total } = isPdf(meta) ? await pdfPageImages(buffer) : { images: [buffer], total: 1 };
+    const { createWorker } = await import("tesseract.js");
+    const worker = await createWorker(process.env.TESSERACT_LANG || "ita");
+    try {
+      const pages = [];
+      for (const image of images) pages.push((await worker.recognize(image)).data);
+      const out = {
+        text: pages.map(d => d.text || "").join("\n"),
+        confidence: pages.length ? pages.reduce((a, d) => a + (d.confidence ?? 0), 0) / pages.length / 100 : 0
+      };
+      if (total > images.length) out.warning = `OCR sulle prime ${images.length} pagine di ${total}`;
+      return out;
+    } finally {
+      await worker.terminate();
+    }
+  }
+};
+
+// Deterministico, per test e demo: cerca <nome file>.txt o <sha256>.txt in OCR_FIXTURES_DIR
+const fixture = {
+  name: "fixture",
+  async recognize(buffer, meta) {
+    const dir = process.env.OCR_FIXTURES_DIR || path.join(process.cwd(), "data", "ocr-fixtures");
+    const sha = crypto.createHash("sha256").update(buffer).digest("hex");
+    for (const name of [meta.filename, sha].filter(Boolean)) {
+      try {
+        const text = await fsp.readFile(path.join(dir, `${path.basename(name)}.txt`), "utf8");
+        return { text, confidence: 1 };
+      } catch { /* prova il prossimo */ }
+    }
+    if (meta.mime?.startsWith("text/")) return { text: buffer.toString("utf8"), confidence: 1 };
+    return { text: "", confidence: 0, warning: "nessuna fixture OCR per questo file" };
+  }
+};
+
+export const OCR_PROVIDERS = { google, tesseract, fixture };
+
+function avgConfidence(pages) {
+  const vals = pages.map(p => p.confidence).filter(v => typeof v === "number");
+  return vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+}
+
+export function getOcrProvider(name = process.env.OCR_PROVIDER) {
+  if (name) {
+    const p = OCR_PROVIDERS[name];
+    if (!p) throw new Error(`OCR provider sconosciuto: ${name}`);
+    return p;
+  }
+  return process.env.GOOGLE_APPLICATION_CREDENTIALS ? google : tesseract;
+}
+
+/* -------------------- Pipeline -------------------- */
+// meta: { filename, mime }. Non lancia: in caso di errore ritorna text "" ed error.
+export async function runOcr(buffer, meta = {}, provider = getOcrProvider()) {
+  if (isPdf(meta) && provider.name !== "fixture") {
+    try {
+      const text = await pdfText(buffer);
+      if (text.replace(/\s/g, "").length >= PDF_TEXT_MIN_CHARS) {
+        return { provider: "pdf-text", text, confidence: 1 };
+      }
+    } catch { /* PDF non leggibile: si passa all'OCR */ }
+  }
+  try {
+    const out = await provider.recognize(buffer, meta);
+    return { provider: provider.name, ...out };
+  } catch (e) {
+    return { provider: provider.name, text: "", confidence: 0, error: e.message };
+  }
+}
@@ -0,0 +1,189 @@
+// lib/pdf.js — Helper PDF condivisi (POS e report): tabelle, intestazioni, piè di pagina, firme
+//
+// Font standard Helvetica (WinAnsi): niente frecce o simboli fuori dal Latin-1.
+
+import PDFDocument from "pdfkit";
+
+const MARGINS = { top: 60, bottom: 55, left: 40, right: 40 };
+const BORDER = "#999999";
+const HEAD_BG = "#e8e8e8";
+
+// build(doc) può essere async; ritorna il Buffer del PDF con header/footer su ogni pagina
+export function renderPdf(build, meta = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: meta.layout || "portrait",
+      margins: MARGINS,
+      bufferPages: true,
+      info: { Title: meta.title || "Kanthera", Author: meta.author || "Kanthera" }
+    });
+    const chunks = [];
+    doc.on("data", c => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.font("Helvetica").fontSize(10);
+
+    Promise.resolve(build(doc))
+      .then(() => { decorate(doc, meta); doc.end(); })
+      .catch(reject);
+  });
+}
+
+// Intestazione (titolo / sottotitolo) e "Pagina X di Y" su tutte le pagine
+function decorate(doc, meta) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const { width, height, margins } = doc.page;
+    const inner = width - margins.left - margins.right;
+    const bottom = margins.bottom;
+    doc.page.margins.bottom = 0; // scrivere nel margine senza aprire nuove pagine
+
+    doc.fontSize(8).fillColor("#555555");
+    if (meta.header) {
+      doc.text(meta.header, margins.left, 25, { width: inner, align: "left", lineBreak: false });
+    }
+    if (meta.headerRight) {
+      doc.text(meta.headerRight, margins.left, 25, { width: inner, align: "right", lineBreak: false });
+    }
+    doc.moveTo(margins.left, 40).lineTo(width - margins.right, 40).strokeColor("#cccccc").stroke();
+    doc.moveTo(margins.left, height - 40).lineTo(width - margins.right, height - 40).stroke();
+    if (meta.footer) {
+      doc.text(meta.footer, margins.left, height - 33, { width: inner, align: "left", lineBreak: false });
+    }
+    doc.text(`Pagina ${i - start + 1} di ${count}`, margins.left, height - 33, { width: inner, align: "right", lineBreak: false });
+
+    doc.page.margins.bottom = bottom;
+    doc.fillColor("black").strokeColor("black");
+  }
+}
+
+/* -------------------- Layout -------------------- */
+export const innerWidth = doc => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+const bottomLimit = doc => doc.page.height - doc.page.margins.bottom;
+
+export function ensureSpace(doc, h) {
+  if (doc.y + h > bottomLimit(doc)) doc.addPage();
+}
+
+export function title(doc, text, sub) {
+  doc.font("Helvetica-Bold").fontSize(18).text(text, { align: "center" });
+  if (sub) doc.font("Helvetica").fontSize(11).text(sub, { align: "center" });
+  doc.font("Helvetica").fontSize(10).moveDown();
+}
+
+export function heading(doc, text) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.5);
+  doc.font("Helvetica-Bold").fontSize(12).text(text, doc.page.margins.left);
+  doc.font("Helvetica").fontSize(10).moveDown(0.3);
+}
+
+export function subheading(doc, text) {
+  ensureSpace(doc, 40);
+  doc.font("Helvetica-Bold").fontSize(10).text(text, doc.page.margins.left);
+  doc.font("Helvetica").moveDown(0.2);
+}
+
+export function paragraph(doc, text, opts = {}) {
+  if (!text) return;
+  doc.font("Helvetica").fontSize(10).text(text, doc.page.margins.left, doc.y, { width: innerWidth(doc), ...opts });
+  doc.moveDown(0.3);
+}
+
+export function bullets(doc, items) {
+  for (const it of items || []) paragraph(doc, `- ${it}`, { indent: 8 });
+}
+
+// Coppie etichetta / valore su due colonne
+export function keyValues(doc, pairs) {
+  const x = doc.page.margins.left, w = innerWidth(doc), lw = Math.min(170, w * 0.35);
+  for (const [k, v] of pairs) {
+    const val = v === undefined || v === null || v === "" ? "—" : String(v);
+    const h = Math.max(doc.heightOfString(k, { width: lw }), doc.heightOfString(val, { width: w - lw }));
+    ensureSpace(doc, h + 2);
+    const y = doc.y;
+    doc.font("Helvetica-Bold").text(k, x, y, { width: lw });
+    doc.font("Helvetica").text(val, x + lw, y, { width: w - lw });
+    doc.y = y + h + 2;
+  }
+  doc.x = x;
+  doc.moveDown(0.3);
+}
+
+/* -------------------- Tabelle -------------------- */
+// columns: [{ label, width (frazione), key | (row)=>string, align }]
+// Va a capo nelle celle, spezza le pagine e ripete l'intestazione.
+export function table(doc, columns, rows, opts = {}) {
+  const x0 = doc.page.margins.left, total = innerWidth(doc), pad = 4;
+  const fontSize = opts.fontSize || 9;
+  const widths = columns.map(c => (c.width || 1 / columns.length) * total);
+  const cellText = (c, r) => {
+    const v = typeof c.key === "function" ? c.key(r) : r[c.key];
+    return v === undefined || v === null || v === "" ? "—" : String(v);
+  };
+
+  const rowHeight = (cells, bold) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(fontSize);
+    return Math.max(...cells.map((t, i) => doc.heightOfString(t, { width: widths[i] - 2 * pad }))) + 2 * pad;
+  };
+
+  const drawRow = (cells, bold, fill, colors = []) => {
+    const h = rowHeight(cells, bold);
+    let x = x0;
+    const y = doc.y;
+    cells.forEach((t, i) => {
+      if (fill) doc.rect(x, y, widths[i], h).fill(fill);
+      doc.rect(x, y, widths[i], h).strokeColor(BORDER).lineWidth(0.5).stroke();
+      doc.fillColor(colors[i] || "black").font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(fontSize)
+        .text(t, x + pad, y + pad, { width: widths[i] - 2 * pad, align: columns[i].align || "left" });
+      x += widths[i];
+    });
+    doc.fillColor("black").strokeColor("black");
+    doc.y = y + h;
+  };
+
+  const header = columns.map(c => c.label);
+  ensureSpace(doc, rowHeight(header, true) + 20);
+  drawRow(header, true, HEAD_BG);
+
+  if (!rows.length) {
+    drawRow(columns.map((c, i) => (i === 0 ? opts.empty || "Nessun elemento" : "")), false);
+  }
+  for (const r of rows) {
+    const cells = columns.map(c => cellText(c, r));
+    if (doc.y + rowHeight(cells, false) > bottomLimit(doc)) {
+      doc.addPage();
+      drawRow(header, true, HEAD_BG);
+    }
+    drawRow(cells, false, null, columns.map(c => (c.color ? c.color(r) : null)));
+  }
+  doc.x = x0;
+  doc.moveDown(0.5);
+  doc.fontSize(10);
+}
+
+/* -------------------- Firme -------------------- */
+// signers: [{ role, name }]
+export function signatures(doc, signers, opts = {}) {
+  const x0 = doc.page.margins.left, w = innerWidth(doc);
+  if (opts.place) paragraph(doc, `Luogo e data: ${opts.place}`);
+  doc.moveDown();
+  for (const s of signers) {
+    ensureSpace(doc, 60);
+    const y = doc.y;
+    doc.font("Helvetica-Bold").fontSize(10).text(s.role, x0, y, { width: w * 0.45 });
+    doc.font("Helvetica").text(s.name || "—", x0, doc.y, { width: w * 0.45 });
+    doc.moveTo(x0 + w * 0.5, y + 30).lineTo(x0 + w, y + 30).strokeColor("#555555").stroke().strokeColor("black");
+    doc.fontSize(8).fillColor("#555555").text("Firma", x0 + w * 0.5, y + 33, { width: w * 0.5 }).fillColor("black").fontSize(10);
+    doc.y = y + 55;
+  }
+  doc.x = x0;
+}
+
+export const fmtDate = d => {
+  if (!d) return "—";
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(d));
+  return m ? `${m[3]}/${m[2]}/${m[1]}` : String(d);
+};
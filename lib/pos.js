@@ -0,0 +1,343 @@
+// lib/pos.js — Piano Operativo di Sicurezza (All. XV D.Lgs 81/08) composto dai dati salvati
+//
+// buildPos({ company, site, workers, lavorazioni, inputs, schedule, version, revisions, psc }) -> Buffer PDF
+// `psc` è l'ultima revisione del PSC del cantiere (lib/psc.js), citata in copertina.
+// `schedule` è l'analisi del cronoprogramma (lib/schedule.js): se ha fasi sostituisce inputs.schedule.
+// `equipment` sono le attrezzature del registro assegnate al cantiere (lib/equipment.js siteEquipment):
+// aprono la sezione 5, seguite da inputs.machinery e dalle attrezzature delle lavorazioni.
+// `inputs` raccoglie i dati strutturati delle sezioni che non stanno nell'anagrafica:
+//   lavorazioni   ["LAV-SCAVI", ...]                       (dalla libreria aziendale)
+//   machinery     [{ name, model, serial, ce, last_check }]
+//   procedures    [{ title, text }]
+//   measures      ["...", ...]                             (misure aggiuntive)
+//   emergency     { numbers:[{ name, phone }], hospital, assembly_point, equipment:[], procedures:[] }
+//   schedule      [{ phase, start, end, lavorazioni:[ids], team }]
+//   organization  { medico_competente, rls, preposto, addetti_ps:[], addetti_antincendio:[] }
+//   company       { inail, inps, cassa_edile, ccnl }
+//   description, working_hours, notes
+
+import { siteCompliance, classifyDoc, docLabel, DOC_TYPES } from "./compliance.js";
+import { riskLevel } from "./lavorazioni.js";
+import {
+  renderPdf, title, heading, subheading, paragraph, bullets, keyValues, table, signatures, fmtDate
+} from "./pdf.js";
+
+export const POS_INPUT_KEYS = [
+  "lavorazioni", "machinery", "procedures", "measures", "emergency", "schedule",
+  "organization", "company", "description", "working_hours", "notes"
+];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_NUMBERS = [
+  { name: "Numero unico di emergenza", phone: "112" },
+  { name: "Vigili del Fuoco", phone: "115" },
+  { name: "Emergenza sanitaria", phone: "118" }
+];
+
+export function pickPosInputs(body = {}) {
+  const out = {};
+  for (const k of POS_INPUT_KEYS) if (body[k] !== undefined) out[k] = body[k];
+  return out;
+}
+
+export function validatePosInputs(inputs, library) {
+  const errors = [];
+  const ids = new Set(library.map(l => l.id));
+  const list = (k, check) => {
+    if (inputs[k] === undefined) return;
+    if (!Array.isArray(inputs[k])) return errors.push(`${k} deve essere una lista`);
+    inputs[k].forEach((v, i) => { const e = check(v); if (e) errors.push(`${k}[${i}]: ${e}`); });
+  };
+
+  list("lavorazioni", id => (ids.has(id) ? null : `lavorazione sconosciuta ${id}`));
+  list("machinery", m => (m?.name ? null : "nome mancante"));
+  list("procedures", p => (p?.title || p?.text ? null : "titolo o testo mancante"));
+  list("schedule", s => {
+    if (!s?.phase) return "fase mancante";
+    if (!ISO_DATE.test(s.start || "") || !ISO_DATE.test(s.end || "")) return "date in formato YYYY-MM-DD";
+    if (s.end < s.start) return "fine prima dell'inizio";
+    const unknown = (s.lavorazioni || []).filter(id => !ids.has(id));
+    return unknown.length ? `lavorazione sconosciuta ${unknown.join(", ")}` : null;
+  });
+  if (inputs.emergency !== undefined && (typeof inputs.emergency !== "object" || Array.isArray(inputs.emergency))) {
+    errors.push("emergency deve essere un oggetto");
+  }
+  return errors;
+}
+
+const names = list => (list || []).filter(Boolean).join(", ");
+
+// Titolari validi (o in scadenza) di un documento tra i lavoratori del cantiere
+const holders = (workers, key) => workers.filter(w => {
+  const s = classifyDoc(key, w.docs?.[key]).status;
+  return s === "valid" || s === "expiring";
+});
+
+export function buildPos({ company = {}, site, workers = [], lavorazioni = [], inputs = {}, schedule = null, equipment = [], version = 1, revisions = [], psc = null }) {
+  const now = new Date().toISOString();
+  const byId = new Map(lavorazioni.map(l => [l.id, l]));
+  // Lavorazioni scelte più quelle previste nelle fasi del cronoprogramma
+  const chosen = [...new Set([
+    ...(inputs.lavorazioni || []),
+    ...[...(schedule?.phases || []), ...(inputs.schedule || [])].flatMap(s => s.lavorazioni || [])
+  ])].map(id => byId.get(id)).filter(Boolean);
+  const org = inputs.organization || {};
+  const compliance = siteCompliance(site, workers);
+  const compById = new Map(compliance.workers.map(c => [c.worker_id, c]));
+
+  const preposto = org.preposto || names(holders(workers, "preposto").map(w => w.name));
+  const rls = org.rls || names(holders(workers, "rls").map(w => w.name));
+  const addettiPs = org.addetti_ps?.length ? names(org.addetti_ps) : names(holders(workers, "ps").map(w => w.name));
+  const addettiAi = org.addetti_antincendio?.length ? names(org.addetti_antincendio) : names(holders(workers, "antincendio").map(w => w.name));
+  const medico = org.medico_competente || company.medico_competente?.name || company.medico_competente;
+
+  return renderPdf(doc => {
+    /* ---- Copertina ---- */
+    doc.moveDown(4);
+    title(doc, "Piano Operativo di Sicurezza (POS)", "ai sensi dell'art. 89 e dell'Allegato XV del D.Lgs 81/08");
+    doc.moveDown(2);
+    keyValues(doc, [
+      ["Impresa", company.name],
+      ["Cantiere", site.name],
+      ["Indirizzo", site.address],
+      ["Committente", site.client],
+      ["Revisione", `${version} del ${fmtDate(now)}`],
+      ["PSC di riferimento", psc ? `rev. ${psc.version} del ${fmtDate(psc.uploaded_at)}` : null]
+    ]);
+    if (revisions.length) {
+      subheading(doc, "Revisioni");
+      table(doc, [
+        { label: "Rev.", key: "version", width: 0.1, align: "center" },
+        { label: "Data", key: r => fmtDate(r.created_at), width: 0.2 },
+        { label: "Note", key: "note", width: 0.7 }
+      ], revisions);
+    }
+
+    /* ---- 1) Impresa ---- */
+    doc.addPage();
+    heading(doc, "1) Identificazione impresa");
+    const ci = inputs.company || {};
+    keyValues(doc, [
+      ["Ragione sociale", company.name],
+      ["Partita IVA", company.vat],
+      ["Sede", company.address],
+      ["Legale rappresentante", company.legal_rep],
+      ["Posizione INAIL", ci.inail],
+      ["Posizione INPS", ci.inps],
+      ["Cassa Edile", ci.cassa_edile],
+      ["CCNL applicato", ci.ccnl]
+    ]);
+
+    /* ---- 2) Cantiere ---- */
+    heading(doc, "2) Descrizione cantiere");
+    keyValues(doc, [
+      ["Cantiere", site.name],
+      ["Indirizzo", site.address],
+      ["Committente", site.client],
+      ["Durata", `dal ${fmtDate(site.dates?.start)} al ${fmtDate(site.dates?.end)} (${site.meta?.duration_days || "—"} gg)`],
+      ["Tipologia di lavori", site.meta?.work_type],
+      ["Orario di lavoro", inputs.working_hours],
+      ["Lavorazioni dell'impresa", names(chosen.map(l => l.name))]
+    ]);
+    paragraph(doc, inputs.description);
+
+    /* ---- 3) Organizzazione ---- */
+    heading(doc, "3) Organizzazione della sicurezza");
+    table(doc, [
+      { label: "Figura", key: "role", width: 0.35 },
+      { label: "Nominativo", key: "name", width: 0.4 },
+      { label: "Contatto", key: "contact", width: 0.25 }
+    ], [
+      { role: "Datore di lavoro", name: company.legal_rep },
+      { role: "RSPP", name: company.rspp?.name, contact: company.rspp?.email },
+      { role: "Medico competente", name: medico },
+      { role: "RLS / RLST", name: rls },
+      { role: "Preposto", name: preposto },
+      { role: "Addetti primo soccorso", name: addettiPs },
+      { role: "Addetti antincendio ed emergenze", name: addettiAi },
+      { role: "Coordinatore per l'esecuzione (CSE)", name: site.cse?.name, contact: site.cse?.email }
+    ]);
+
+    /* ---- 4) Lavoratori (stesse regole di /api/sites/:id/compliance) ---- */
+    heading(doc, "4) Elenco lavoratori");
+    const short = (c, k) => docLabel(c.documents.find(d => d.key === k));
+    table(doc, [
+      { label: "Lavoratore", key: "name", width: 0.22 },
+      { label: "Mansione", key: r => r.role || "Operaio", width: 0.14 },
+      { label: "Idoneità", key: r => short(compById.get(r.id), "visita_medica"), width: 0.16 },
+      { label: `${DOC_TYPES.corso_generale.short} / ${DOC_TYPES.corso_specifica_fs.short}`,
+        key: r => `${short(compById.get(r.id), "corso_generale")} / ${short(compById.get(r.id), "corso_specifica_fs")}`, width: 0.24 },
+      { label: "DPI", key: r => short(compById.get(r.id), "dpi_consegna"), width: 0.1 },
+      { label: "Stato", key: r => statusLabel(compById.get(r.id).status), width: 0.14,
+        color: r => (compById.get(r.id).status === "non_compliant" ? "red" : null) }
+    ], workers, { empty: "Nessun lavoratore assegnato al cantiere" });
+    for (const w of workers) {
+      const c = compById.get(w.id);
+      if (c.status !== "non_compliant") continue;
+      const issues = [...c.missing.map(k => `manca ${DOC_TYPES[k]?.label || k}`),
+                      ...c.expired.map(k => `scaduto ${DOC_TYPES[k]?.label || k}`)];
+      doc.fillColor("red");
+      paragraph(doc, `NON CONFORME ${w.name}: ${issues.join("; ")}`);
+      doc.fillColor("black");
+    }
+
+    /* ---- 5) Macchinari e attrezzature ---- */
+    heading(doc, "5) Macchinari e attrezzature");
+    const machinery = equipment.map(({ equipment: e, inspection: i }) => ({
+      name: e.name,
+      model: [e.brand, e.model].filter(Boolean).join(" "),
+      serial: e.serial,
+      ce: e.ce_marking ?? undefined,
+      last_check: i.last_date,
+      next_check: i.required ? i.due_date || "mancante" : "non prevista",
+      overdue: i.status === "overdue" || i.status === "missing"
+    }));
+    const listed = new Set(machinery.map(m => m.name.toLowerCase()));
+    for (const m of inputs.machinery || []) {
+      if (listed.has(m.name.toLowerCase())) continue;
+      listed.add(m.name.toLowerCase());
+      machinery.push(m);
+    }
+    for (const l of chosen) {
+      for (const e of l.equipment || []) {
+        if (listed.has(e.toLowerCase())) continue;
+        listed.add(e.toLowerCase());
+        machinery.push({ name: e });
+      }
+    }
+    table(doc, [
+      { label: "Macchina / attrezzatura", key: "name", width: 0.26 },
+      { label: "Marca e modello", key: "model", width: 0.2 },
+      { label: "Matricola", key: "serial", width: 0.14 },
+      { label: "Marcatura CE", key: m => (m.ce === undefined ? null : m.ce ? "Sì" : "No"), width: 0.1, align: "center" },
+      { label: "Ultima verifica", key: m => (m.last_check ? fmtDate(m.last_check) : null), width: 0.15 },
+      { label: "Prossima verifica", key: m => (ISO_DATE.test(m.next_check || "") ? fmtDate(m.next_check) : m.next_check), width: 0.15,
+        color: m => (m.overdue ? "red" : null) }
+    ], machinery, { empty: "Nessuna attrezzatura indicata" });
+    const operators = equipment.flatMap(e => e.operators.map(o => ({ ...o, equipment: e.equipment.name })));
+    if (operators.length) {
+      subheading(doc, "Operatori abilitati");
+      table(doc, [
+        { label: "Macchina / attrezzatura", key: "equipment", width: 0.3 },
+        { label: "Operatore", key: "name", width: 0.3 },
+        { label: "Abilitazione", key: o => o.doc_label || "non richiesta", width: 0.25 },
+        { label: "Scadenza", key: o => (o.expiry ? fmtDate(o.expiry) : null), width: 0.15,
+          color: o => (o.status === "not_qualified" ? "red" : null) }
+      ], operators);
+    }
+
+    /* ---- 6) Procedure operative ---- */
+    heading(doc, "6) Procedure operative");
+    if (!chosen.length && !(inputs.procedures || []).length) paragraph(doc, "Nessuna lavorazione selezionata.");
+    for (const l of chosen) {
+      subheading(doc, l.name);
+      paragraph(doc, l.description);
+      paragraph(doc, l.procedure);
+    }
+    for (const p of inputs.procedures || []) {
+      if (p.title) subheading(doc, p.title);
+      paragraph(doc, p.text);
+    }
+
+    /* ---- 7) Valutazione dei rischi ---- */
+    heading(doc, "7) Valutazione dei rischi specifici");
+    paragraph(doc, "R = P x D, con probabilità (P) e danno (D) da 1 a 4. Livelli: 1-2 basso, 3-4 medio, 6-8 alto, 9-16 molto alto.");
+    const risks = chosen.flatMap(l => (l.risks || []).map(r => ({ lav: l.name, ...r, ...riskLevel(r.p, r.d) })));
+    table(doc, [
+      { label: "Lavorazione", key: "lav", width: 0.28 },
+      { label: "Rischio", key: "name", width: 0.34 },
+      { label: "P", key: "p", width: 0.07, align: "center" },
+      { label: "D", key: "d", width: 0.07, align: "center" },
+      { label: "R", key: "r", width: 0.08, align: "center" },
+      { label: "Livello", key: "label", width: 0.16,
+        color: r => (r.level === "molto_alto" ? "red" : r.level === "alto" ? "#c05000" : null) }
+    ], risks, { empty: "Nessuna lavorazione selezionata" });
+
+    /* ---- 8) Misure di prevenzione e DPI ---- */
+    heading(doc, "8) Misure di prevenzione e protezione");
+    for (const l of chosen) {
+      if (!(l.measures || []).length) continue;
+      subheading(doc, l.name);
+      bullets(doc, l.measures);
+    }
+    if ((inputs.measures || []).length) {
+      subheading(doc, "Misure aggiuntive");
+      bullets(doc, inputs.measures);
+    }
+    const dpi = new Map();
+    for (const l of chosen) for (const d of l.dpi || []) dpi.set(d, [...(dpi.get(d) || []), l.name]);
+    subheading(doc, "Dispositivi di protezione individuale");
+    table(doc, [
+      { label: "DPI", key: "dpi", width: 0.4 },
+      { label: "Lavorazioni", key: "lav", width: 0.6 }
+    ], [...dpi].map(([d, l]) => ({ dpi: d, lav: l.join(", ") })), { empty: "Nessun DPI associato" });
+
+    /* ---- 9) Emergenza ---- */
+    heading(doc, "9) Piano di emergenza");
+    const em = inputs.emergency || {};
+    keyValues(doc, [
+      ["Ospedale più vicino", em.hospital],
+      ["Punto di raccolta", em.assembly_point],
+      ["Addetti primo soccorso", addettiPs],
+      ["Addetti antincendio", addettiAi],
+      ["Presidi", names(em.equipment)]
+    ]);
+    table(doc, [
+      { label: "Servizio", key: "name", width: 0.6 },
+      { label: "Telefono", key: "phone", width: 0.4 }
+    ], em.numbers?.length ? em.numbers : DEFAULT_NUMBERS);
+    if ((em.procedures || []).length) {
+      subheading(doc, "Procedure di emergenza");
+      bullets(doc, em.procedures);
+    }
+
+    /* ---- 10) Cronoprogramma ---- */
+    heading(doc, "10) Cronoprogramma dei lavori");
+    const workerName = new Map(workers.map(w => [w.id, w.name]));
+    const rows = schedule?.phases.length
+      ? schedule.phases.map(f => ({
+          phase: f.name, start: f.start, end: f.end, lavorazioni: f.lavorazioni, man_days: f.man_days,
+          team: [...(f.companies || []), ...(f.workers || []).map(id => workerName.get(id) || id)]
+        }))
+      : (inputs.schedule || []).length ? inputs.schedule
+      : [{ phase: "Intero cantiere", start: site.dates?.start, end: site.dates?.end, lavorazioni: inputs.lavorazioni }];
+    table(doc, [
+      { label: "Fase", key: "phase", width: 0.22 },
+      { label: "Dal", key: s => fmtDate(s.start), width: 0.11 },
+      { label: "Al", key: s => fmtDate(s.end), width: 0.11 },
+      { label: "Lavorazioni", key: s => names((s.lavorazioni || []).map(id => byId.get(id)?.name || id)), width: 0.28 },
+      { label: "Squadra", key: s => (Array.isArray(s.team) ? names(s.team) : s.team), width: 0.2 },
+      { label: "U-G", key: "man_days", width: 0.08, align: "center" }
+    ], [...rows].sort((a, b) => String(a.start).localeCompare(String(b.start))));
+    if (schedule?.phases.length) {
+      paragraph(doc, `Totale uomini-giorno stimati: ${schedule.summary.man_days}.`);
+      if (schedule.interferences.length) {
+        paragraph(doc, "Fasi interferenti, da coordinare con il CSE: "
+          + schedule.interferences.map(i => `${i.names.join(" / ")} (dal ${fmtDate(i.from)} al ${fmtDate(i.to)})`).join("; ") + ".");
+      }
+    }
+    paragraph(doc, inputs.notes);
+
+    /* ---- Firme ---- */
+    doc.addPage();
+    heading(doc, "Sottoscrizione");
+    paragraph(doc, "Il presente POS è redatto dal datore di lavoro dell'impresa esecutrice, previa consultazione del RLS, "
+      + "ed è trasmesso al Coordinatore per l'esecuzione per la verifica di idoneità prima dell'inizio dei lavori.");
+    signatures(doc, [
+      { role: "Il datore di lavoro", name: company.legal_rep },
+      { role: "RSPP", name: company.rspp?.name },
+      { role: "Medico competente", name: medico },
+      { role: "RLS (per consultazione)", name: rls },
+      { role: "Preposto", name: preposto },
+      { role: "CSE (per presa visione)", name: site.cse?.name }
+    ], { place: `${site.address || ""}, ${fmtDate(now)}` });
+  }, {
+    title: `POS ${site.name} rev. ${version}`,
+    author: company.name,
+    header: `POS - ${site.name}`,
+    headerRight: `Rev. ${version} del ${fmtDate(now)}`,
+    footer: company.name
+  });
+}
+
+const statusLabel = s => ({ compliant: "Conforme", expiring: "In scadenza", non_compliant: "NON CONFORME" }[s] || s);
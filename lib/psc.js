@@ -0,0 +1,90 @@
+// lib/psc.js — Piano di Sicurezza e Coordinamento (art. 100 D.Lgs 81/08): revisioni, presa visione, coerenza dei POS
+//
+// Revisione: { id, site_id, version, file, original_name, mime, size, note (changelog),
+//              lavorazioni:[ids] (previste dal PSC, facoltative), safety_costs,
+//              acknowledgements:[{ user_id, role, at }], uploaded_by, uploaded_at }
+//
+// Ogni nuova revisione azzera le prese visione: contractor e subcontractor del cantiere
+// devono confermare l'ultima. Il POS generato registra la revisione del PSC su cui è redatto.
+
+export const ACK_ROLES = ["contractor", "subcontractor"];
+
+// Esito del motore regole (lib/rules.js) salvato sul cantiere; i cantieri non ancora
+// rivalutati hanno solo l'avviso
+export const pscRequired = site =>
+  site.meta?.obligations ? site.meta.obligations.includes("psc") : (site.meta?.warnings || []).includes("PSC obbligatorio");
+
+// Da multipart i campi arrivano come stringhe: lista JSON oppure separata da virgole
+export function parseList(v) {
+  if (v === undefined || v === null || v === "") return [];
+  if (Array.isArray(v)) return v.map(String);
+  const s = String(v).trim();
+  if (s.startsWith("[")) {
+    try { return JSON.parse(s).map(String); } catch { return null; }
+  }
+  return s.split(",").map(x => x.trim()).filter(Boolean);
+}
+
+export function validatePscVersion(p, library = []) {
+  const errors = [];
+  if (!String(p.note || "").trim()) errors.push("Descrivi le modifiche della revisione (note)");
+  const lav = parseList(p.lavorazioni);
+  if (lav === null) errors.push("lavorazioni: lista non valida");
+  else for (const id of lav) if (!library.some(l => l.id === id)) errors.push(`lavorazione sconosciuta: ${id}`);
+  if (p.safety_costs !== undefined && p.safety_costs !== "" && !(Number(p.safety_costs) >= 0)) {
+    errors.push("safety_costs non valido");
+  }
+  return errors;
+}
+
+// Imprese tenute alla presa visione e stato rispetto alla revisione `psc` (null se assente)
+export function ackStatus(site, psc, users = []) {
+  const companies = (site.roles || []).filter(r => ACK_ROLES.includes(r.role)).map(r => {
+    const u = users.find(x => x.id === r.user_id);
+    const ack = psc?.acknowledgements?.find(a => a.user_id === r.user_id);
+    return {
+      user_id: r.user_id,
+      name: u?.name || null,
+      email: u?.email || null,
+      role: r.role,
+      acknowledged: !!ack,
+      acknowledged_at: ack?.at || null
+    };
+  });
+  return {
+    version: psc?.version || null,
+    companies,
+    pending: psc ? companies.filter(c => !c.acknowledged) : companies
+  };
+}
+
+// Verifica di un POS rispetto all'ultima revisione del PSC
+export function checkPosConsistency(pos, psc, { site, library = [] } = {}) {
+  const issues = [];
+  const name = id => library.find(l => l.id === id)?.name || id;
+
+  if (!psc) {
+    if (site && pscRequired(site)) issues.push({ code: "psc_missing", message: "PSC obbligatorio non ancora caricato" });
+    return { consistent: !issues.length, psc_version: null, issues };
+  }
+  if (pos.psc_version !== psc.version) {
+    issues.push({
+      code: "psc_outdated",
+      message: pos.psc_version
+        ? `POS redatto sul PSC rev. ${pos.psc_version}, ultima revisione ${psc.version}`
+        : `POS redatto senza PSC, ultima revisione ${psc.version}`
+    });
+  }
+  if (psc.lavorazioni?.length) {
+    for (const id of pos.lavorazioni || pos.inputs?.lavorazioni || []) {
+      if (!psc.lavorazioni.includes(id)) {
+        issues.push({ code: "lavorazione_non_prevista", lavorazione: id, message: `Lavorazione non prevista dal PSC: ${name(id)}` });
+      }
+    }
+  }
+  const author = (site?.roles || []).find(r => r.user_id === pos.created_by);
+  if (ACK_ROLES.includes(author?.role) && !psc.acknowledgements?.some(a => a.user_id === pos.created_by)) {
+    issues.push({ code: "psc_not_acknowledged", message: `Presa visione del PSC rev. ${psc.version} non confermata da chi ha redatto il POS` });
+  }
+  return { consistent: !issues.length, psc_version: psc.version, issues };
+}
@@ -0,0 +1,198 @@
+// lib/rules.js — Obblighi del D.Lgs 81/08 valutati sui dati del cantiere (Titolo IV)
+//
+// Le regole sono dati: { id, title, reference, warning, when, threshold? }
+//   when:      condizione   { fact, op, value } | { all:[...] } | { any:[...] } | { not: cond } | { always: true }
+//   threshold: soglia da rispettare, riportata con margine  { fact, op, value }
+// Le regole predefinite possono essere sostituite (PUT /api/rules) senza toccare il codice.
+//
+// Fatti (siteFacts): companies, man_days, workers, max_workers, duration_days, working_days
+
+import { workingDays } from "./schedule.js";
+
+export const FACTS = {
+  companies:     "imprese esecutrici",
+  man_days:      "uomini-giorno presunti",
+  workers:       "lavoratori assegnati",
+  max_workers:   "lavoratori contemporanei (picco)",
+  duration_days: "durata in giorni di calendario",
+  working_days:  "giorni lavorativi"
+};
+
+const OPS = {
+  gt:  { label: ">",  test: (a, b) => a > b },
+  gte: { label: ">=", test: (a, b) => a >= b },
+  lt:  { label: "<",  test: (a, b) => a < b },
+  lte: { label: "<=", test: (a, b) => a <= b },
+  eq:  { label: "=",  test: (a, b) => a === b }
+};
+
+export const DEFAULT_RULES = [
+  {
+    id: "csp_cse",
+    title: "Nomina del coordinatore per la progettazione (CSP) e per l'esecuzione (CSE)",
+    reference: "art. 90 c. 3-5 D.Lgs 81/08",
+    warning: "Nomina CSP/CSE obbligatoria",
+    when: { fact: "companies", op: "gt", value: 1 }
+  },
+  {
+    id: "psc",
+    title: "Piano di Sicurezza e Coordinamento (PSC) e fascicolo dell'opera",
+    reference: "artt. 91 e 100 D.Lgs 81/08",
+    warning: "PSC obbligatorio",
+    when: { fact: "companies", op: "gt", value: 1 }
+  },
+  {
+    id: "notifica_preliminare",
+    title: "Notifica preliminare ad ASL e Ispettorato del lavoro",
+    reference: "art. 99 c. 1 D.Lgs 81/08",
+    warning: "Notifica preliminare obbligatoria",
+    when: { any: [
+      { fact: "companies", op: "gt", value: 1 },
+      { fact: "man_days", op: "gte", value: 200 }
+    ] }
+  },
+  {
+    // Con una sola impresa la soglia dei 200 uomini-giorno fa scattare la notifica
+    id: "soglia_uomini_giorno",
+    title: "Soglia di 200 uomini-giorno per cantieri con un'unica impresa",
+    reference: "art. 99 c. 1 lett. c D.Lgs 81/08",
+    warning: null,
+    when: { fact: "companies", op: "eq", value: 1 },
+    threshold: { fact: "man_days", op: "lt", value: 200 }
+  },
+  {
+    id: "pos",
+    title: "Piano Operativo di Sicurezza (POS) per ciascuna impresa esecutrice",
+    reference: "artt. 89 c. 1 lett. h e 96 c. 1 lett. g D.Lgs 81/08",
+    warning: null,
+    when: { always: true }
+  }
+];
+
+/* -------------------- Validazione delle regole -------------------- */
+function validateCondition(c, path, errors) {
+  if (!c || typeof c !== "object") return errors.push(`${path}: condizione mancante`);
+  if (c.always === true) return;
+  if (c.all || c.any) {
+    const list = c.all || c.any;
+    if (!Array.isArray(list) || !list.length) return errors.push(`${path}: all/any deve essere una lista non vuota`);
+    return list.forEach((x, i) => validateCondition(x, `${path}.${c.all ? "all" : "any"}[${i}]`, errors));
+  }
+  if (c.not) return validateCondition(c.not, `${path}.not`, errors);
+  if (!FACTS[c.fact]) errors.push(`${path}: fatto sconosciuto ${c.fact} (${Object.keys(FACTS).join(", ")})`);
+  if (!OPS[c.op]) errors.push(`${path}: operatore non valido ${c.op} (${Object.keys(OPS).join(", ")})`);
+  if (typeof c.value !== "number") errors.push(`${path}: value deve essere un numero`);
+}
+
+export function validateRules(rules) {
+  const errors = [];
+  if (!Array.isArray(rules) || !rules.length) return ["rules deve essere una lista non vuota"];
+  const ids = new Set();
+  rules.forEach((r, i) => {
+    if (!r?.id) errors.push(`rules[${i}]: id mancante`);
+    else if (ids.has(r.id)) errors.push(`rules[${i}]: id duplicato ${r.id}`);
+    ids.add(r?.id);
+    if (!r?.title) errors.push(`rules[${i}]: title mancante`);
+    validateCondition(r?.when, `rules[${i}].when`, errors);
+    if (r?.threshold) validateCondition(r.threshold, `rules[${i}].threshold`, errors);
+  });
+  return errors;
+}
+
+/* -------------------- Fatti del cantiere -------------------- */
+// Picco di lavoratori: per ogni giorno di inizio fase, somma delle squadre delle fasi in corso
+function peakWorkers(phases) {
+  let peak = 0;
+  for (const day of new Set(phases.map(f => f.start))) {
+    const active = phases.filter(f => f.start <= day && f.end >= day);
+    const named = new Set(active.flatMap(f => f.workers || []));
+    const crews = active.filter(f => !(f.workers || []).length).reduce((s, f) => s + (Number(f.crew_size) || 0), 0);
+    peak = Math.max(peak, named.size + crews);
+  }
+  return peak;
+}
+
+// site.meta può dichiarare stime (expected_companies, estimated_man_days, max_workers):
+// valgono se superiori a quanto ricavato da imprese in cantiere, ruoli e cronoprogramma.
+// companyNames: ragioni sociali della catena di affidamento (site.companies)
+export function siteFacts({ site, company = {}, analysis = null, companyRoles = [], companyNames = [], opts = {} }) {
+  const meta = site.meta || {};
+  const phases = analysis?.phases || [];
+  const start = site.dates?.start, end = site.dates?.end;
+
+  const names = new Set([company.name, ...companyNames, ...phases.flatMap(f => f.companies || [])]
+    .filter(Boolean).map(n => String(n).trim().toLowerCase()));
+  const companies = Math.max(1, names.size, companyRoles.length, Number(meta.expected_companies) || 0);
+
+  const workers = (site.workers || []).length;
+  const working_days = workingDays(start, end, opts);
+  const fromSchedule = analysis?.summary.man_days || 0;
+  const computed = fromSchedule || workers * working_days;
+  const declared = Number(meta.estimated_man_days) || 0;
+
+  return {
+    companies,
+    man_days: Math.max(computed, declared),
+    man_days_source: declared > computed ? "dichiarati" : fromSchedule ? "cronoprogramma" : "lavoratori x giorni lavorativi",
+    workers,
+    max_workers: Math.max(peakWorkers(phases), Number(meta.max_workers) || 0, phases.length ? 0 : workers),
+    duration_days: meta.duration_days || 0,
+    working_days
+  };
+}
+
+/* -------------------- Valutazione -------------------- */
+// -> { met, reasons:[testo delle condizioni verificate] }
+function test(c, facts) {
+  if (c.always) return { met: true, reasons: [] };
+  if (c.all) {
+    const r = c.all.map(x => test(x, facts));
+    return { met: r.every(x => x.met), reasons: r.flatMap(x => x.reasons) };
+  }
+  if (c.any) {
+    const r = c.any.map(x => test(x, facts)).filter(x => x.met);
+    return { met: r.length > 0, reasons: r.flatMap(x => x.reasons) };
+  }
+  if (c.not) {
+    const r = test(c.not, facts);
+    return { met: !r.met, reasons: [] };
+  }
+  const v = facts[c.fact] ?? 0;
+  const met = OPS[c.op].test(v, c.value);
+  return { met, reasons: met ? [`${FACTS[c.fact]} ${OPS[c.op].label} ${c.value} (${v})`] : [] };
+}
+
+export function evaluateRules(rules, facts) {
+  const obligations = rules.map(r => {
+    const { met, reasons } = test(r.when, facts);
+    const out = { id: r.id, title: r.title, reference: r.reference || null, required: met, reasons };
+    if (r.threshold && met) {
+      const t = r.threshold, value = facts[t.fact] ?? 0;
+      out.threshold = {
+        fact: t.fact, label: FACTS[t.fact], op: t.op, limit: t.value, value,
+        respected: OPS[t.op].test(value, t.value),
+        margin: t.value - value
+      };
+    }
+    return out;
+  });
+  return {
+    facts,
+    obligations,
+    required: obligations.filter(o => o.required).map(o => o.id),
+    warnings: rules.filter(r => r.warning && obligations.find(o => o.id === r.id).required).map(r => r.warning)
+  };
+}
+
+// Avvisi derivati dalle regole: sostituiscono quelli della valutazione precedente (anche di regole
+// nel frattempo modificate, tracciati in meta.rule_warnings), gli altri avvisi restano
+export function applyObligations(meta = {}, rules, result) {
+  const stale = new Set([...(meta.rule_warnings || []), ...rules.map(r => r.warning).filter(Boolean)]);
+  return {
+    ...meta,
+    warnings: [...(meta.warnings || []).filter(w => !stale.has(w)), ...result.warnings],
+    rule_warnings: result.warnings,
+    obligations: result.required,
+    obligations_at: new Date().toISOString()
+  };
+}
@@ -0,0 +1,263 @@
+// lib/sal.js — Stati di avanzamento lavori: computo, quantità per periodo, importi cumulati e ritenute
+//
+// Contratto (computo metrico): { site_id, currency, retention_pct, safety_costs,
+//   items:[{ code, description, unit, quantity, unit_price, phase_id }] }
+// SAL: { site_id, number, period:{ from, to }, status: draft|submitted|approved,
+//        lines:[{ code, quantity }]  (quantità eseguite nel periodo), totals, files, history }
+//
+// Gli oneri della sicurezza (non soggetti a ribasso) maturano in proporzione all'avanzamento
+// dei lavori; la ritenuta di garanzia si applica al cumulato e si svincola a fine lavori.
+
+import { workingDays } from "./schedule.js";
+import { renderPdf, title, heading, paragraph, keyValues, table, signatures, fmtDate } from "./pdf.js";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const EPS = 1e-9;
+
+export const DEFAULT_RETENTION_PCT = 5;
+
+export const SAL_TRANSITIONS = {
+  draft:     ["submitted"],
+  submitted: ["approved", "draft"],
+  approved:  []
+};
+
+const round2 = n => Math.round((n + Number.EPSILON) * 100) / 100;
+const round4 = n => Math.round((n + Number.EPSILON) * 10000) / 10000;
+const num = v => (v === "" || v === null || v === undefined ? NaN : Number(v));
+
+/* -------------------- Contratto -------------------- */
+export function validateContract(p) {
+  const errors = [];
+  if (!Array.isArray(p.items) || !p.items.length) errors.push("Inserisci almeno una voce di computo");
+  const codes = new Set();
+  (Array.isArray(p.items) ? p.items : []).forEach((it, i) => {
+    if (!it?.code) errors.push(`items[${i}]: codice mancante`);
+    else if (codes.has(it.code)) errors.push(`items[${i}]: codice duplicato ${it.code}`);
+    else codes.add(it.code);
+    if (!it?.description) errors.push(`items[${i}]: descrizione mancante`);
+    if (!(num(it?.quantity) > 0)) errors.push(`items[${i}]: quantità non valida`);
+    if (!(num(it?.unit_price) >= 0)) errors.push(`items[${i}]: prezzo unitario non valido`);
+  });
+  if (p.retention_pct !== undefined && !(num(p.retention_pct) >= 0 && num(p.retention_pct) <= 100)) errors.push("retention_pct tra 0 e 100");
+  if (p.safety_costs !== undefined && !(num(p.safety_costs) >= 0)) errors.push("safety_costs non valido");
+  return errors;
+}
+
+export function normalizeContract(p, base = {}) {
+  const items = p.items.map(it => ({
+    code: String(it.code),
+    description: it.description,
+    unit: it.unit || "",
+    quantity: Number(it.quantity),
+    unit_price: Number(it.unit_price),
+    amount: round2(Number(it.quantity) * Number(it.unit_price)),
+    phase_id: it.phase_id || null
+  }));
+  return {
+    ...base,
+    currency: p.currency || base.currency || "EUR",
+    retention_pct: Number(p.retention_pct ?? base.retention_pct ?? DEFAULT_RETENTION_PCT),
+    safety_costs: Number(p.safety_costs ?? base.safety_costs ?? 0),
+    items,
+    works_value: round2(items.reduce((s, it) => s + it.amount, 0))
+  };
+}
+
+/* -------------------- Calcolo del SAL -------------------- */
+export function validateSalInput(p) {
+  const errors = [];
+  if (p.period !== undefined) {
+    if (!ISO_DATE.test(p.period?.from || "") || !ISO_DATE.test(p.period?.to || "")) errors.push("period.from e period.to in formato YYYY-MM-DD");
+    else if (p.period.to < p.period.from) errors.push("Il periodo termina prima di iniziare");
+  }
+  if (p.lines !== undefined) {
+    if (!Array.isArray(p.lines)) errors.push("lines deve essere una lista");
+    else p.lines.forEach((l, i) => {
+      if (!l?.code) errors.push(`lines[${i}]: codice mancante`);
+      if (!(num(l?.quantity) >= 0)) errors.push(`lines[${i}]: quantità non valida`);
+    });
+  }
+  return errors;
+}
+
+// previous: SAL precedenti (approvati) dello stesso cantiere
+export function computeSal(contract, previous, lines) {
+  const errors = [];
+  const byCode = new Map(contract.items.map(it => [it.code, it]));
+  for (const l of lines) if (!byCode.has(l.code)) errors.push(`voce di computo sconosciuta: ${l.code}`);
+
+  const prevQty = code => previous.reduce((s, sal) => s + (sal.lines.find(l => l.code === code)?.quantity || 0), 0);
+
+  const rows = contract.items.map(it => {
+    const prev = prevQty(it.code);
+    const period = lines.filter(l => l.code === it.code).reduce((s, l) => s + Number(l.quantity), 0);
+    const cum = prev + period;
+    if (cum > it.quantity + EPS) errors.push(`${it.code}: quantità cumulata ${cum} oltre il computo (${it.quantity})`);
+    return {
+      code: it.code, description: it.description, unit: it.unit, unit_price: it.unit_price,
+      contract_qty: it.quantity,
+      prev_qty: round4(prev), period_qty: round4(period), cum_qty: round4(cum),
+      cum_pct: round4(it.quantity ? cum / it.quantity : 0),
+      period_amount: round2(period * it.unit_price),
+      cum_amount: round2(cum * it.unit_price)
+    };
+  });
+
+  const sum = k => round2(rows.reduce((s, r) => s + r[k], 0));
+  const works = contract.works_value || 0;
+  const cumWorks = sum("cum_amount"), periodWorks = sum("period_amount"), prevWorks = round2(cumWorks - periodWorks);
+  const pct = v => (works ? v / works : 0);
+
+  const cumSafety = round2(contract.safety_costs * pct(cumWorks));
+  const prevSafety = round2(contract.safety_costs * pct(prevWorks));
+  const cumTotal = round2(cumWorks + cumSafety), prevTotal = round2(prevWorks + prevSafety);
+  const cumRetention = round2(cumTotal * contract.retention_pct / 100);
+  const prevRetention = round2(prevTotal * contract.retention_pct / 100);
+
+  return {
+    errors,
+    rows,
+    totals: {
+      contract_value: round2(works + contract.safety_costs),
+      works_value: works,
+      safety_costs: contract.safety_costs,
+      retention_pct: contract.retention_pct,
+      period_works: periodWorks,
+      previous_works: prevWorks,
+      cumulative_works: cumWorks,
+      cumulative_pct: round4(pct(cumWorks)),
+      cumulative_safety: cumSafety,
+      cumulative_total: cumTotal,
+      cumulative_retention: cumRetention,
+      // Certificati precedenti (al netto delle loro ritenute) e importo di questo SAL
+      previous_certified: round2(prevTotal - prevRetention),
+      amount_due: round2(cumTotal - cumRetention - (prevTotal - prevRetention))
+    }
+  };
+}
+
+export function salTransition(sal, to, { by, note, at = new Date().toISOString() }) {
+  if (!SAL_TRANSITIONS[sal.status]?.includes(to)) {
+    return { error: `transizione non ammessa: ${sal.status} -> ${to}`, allowed: SAL_TRANSITIONS[sal.status] || [] };
+  }
+  const next = { ...sal, status: to, history: [...(sal.history || []), { from: sal.status, to, at, by, note: note || null }] };
+  if (to === "submitted") Object.assign(next, { submitted_at: at, submitted_by: by, reject_reason: null });
+  if (to === "approved") Object.assign(next, { approved_at: at, approved_by: by });
+  if (to === "draft") Object.assign(next, { reject_reason: note || null });
+  return { sal: next };
+}
+
+/* -------------------- Avanzamento previsto -------------------- */
+// Quota di una fase completata alla data, in giorni lavorativi
+function phaseProgress(start, end, at) {
+  if (!start || !end || at < start) return 0;
+  if (at >= end) return 1;
+  const total = workingDays(start, end);
+  return total ? workingDays(start, at) / total : 0;
+}
+
+// Percentuale prevista dal cronoprogramma: voci legate a una fase (phase_id) seguono la fase,
+// le altre sono distribuite sulle date del cantiere (o sull'arco delle fasi)
+export function plannedPct(contract, { site, phases = [] }, at) {
+  const byId = new Map(phases.map(f => [f.id, f]));
+  const starts = phases.map(f => f.start).sort(), ends = phases.map(f => f.end).sort();
+  const start = site.dates?.start || starts[0], end = site.dates?.end || ends.at(-1);
+  const works = contract.works_value || 0;
+  if (!works) return 0;
+  const planned = contract.items.reduce((s, it) => {
+    const f = byId.get(it.phase_id);
+    return s + it.amount * (f ? phaseProgress(f.start, f.end, at) : phaseProgress(start, end, at));
+  }, 0);
+  return round4(planned / works);
+}
+
+export function salSummary(contract, sals, ctx, at = new Date().toISOString().slice(0, 10)) {
+  const approved = sals.filter(s => s.status === "approved").sort((a, b) => a.number - b.number);
+  const last = approved.at(-1);
+  const actual = last?.totals.cumulative_pct || 0;
+  const planned = plannedPct(contract, ctx, at);
+  const delta = round4(actual - planned);
+  return {
+    at,
+    contract_value: round2((contract.works_value || 0) + (contract.safety_costs || 0)),
+    approved_sal: approved.length,
+    pending_sal: sals.filter(s => s.status !== "approved").map(s => ({ id: s.id, number: s.number, status: s.status })),
+    certified_works: last?.totals.cumulative_works || 0,
+    certified_total: last?.totals.cumulative_total || 0,
+    retention_held: last?.totals.cumulative_retention || 0,
+    actual_pct: actual,
+    planned_pct: planned,
+    delta_pct: delta,
+    // Tolleranza di 5 punti percentuali
+    status: delta < -0.05 ? "in_ritardo" : delta > 0.05 ? "in_anticipo" : "in_linea",
+    history: approved.map(s => ({
+      number: s.number,
+      period_to: s.period.to,
+      actual_pct: s.totals.cumulative_pct,
+      planned_pct: plannedPct(contract, ctx, s.period.to)
+    }))
+  };
+}
+
+/* -------------------- PDF -------------------- */
+const money = n => `€ ${Number(n || 0).toLocaleString("it-IT", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const qty = n => Number(n || 0).toLocaleString("it-IT", { maximumFractionDigits: 3 });
+const pctLabel = p => `${(Number(p || 0) * 100).toLocaleString("it-IT", { maximumFractionDigits: 2 })}%`;
+const STATUS_LABEL = { draft: "BOZZA", submitted: "Presentato", approved: "Approvato" };
+
+export function buildSalPdf({ company = {}, site, contract, sal }) {
+  const t = sal.totals;
+  return renderPdf(doc => {
+    title(doc, `Stato di avanzamento lavori n. ${sal.number}`, `lavori eseguiti dal ${fmtDate(sal.period.from)} al ${fmtDate(sal.period.to)}`);
+    keyValues(doc, [
+      ["Cantiere", `${site.name} - ${site.address || ""}`],
+      ["Committente", site.client],
+      ["Impresa", company.name],
+      ["Importo contrattuale", `${money(t.contract_value)} (lavori ${money(t.works_value)}, oneri sicurezza ${money(t.safety_costs)})`],
+      ["Stato", STATUS_LABEL[sal.status] + (sal.approved_at ? ` il ${fmtDate(sal.approved_at)}` : "")]
+    ]);
+
+    heading(doc, "Libretto delle misure");
+    table(doc, [
+      { label: "Codice", key: "code", width: 0.07 },
+      { label: "Descrizione", key: "description", width: 0.23 },
+      { label: "U.M.", key: "unit", width: 0.05, align: "center" },
+      { label: "Prezzo", key: r => money(r.unit_price), width: 0.08, align: "right" },
+      { label: "Q.tà contr.", key: r => qty(r.contract_qty), width: 0.07, align: "right" },
+      { label: "Q.tà prec.", key: r => qty(r.prev_qty), width: 0.07, align: "right" },
+      { label: "Q.tà periodo", key: r => qty(r.period_qty), width: 0.07, align: "right" },
+      { label: "Q.tà cumul.", key: r => qty(r.cum_qty), width: 0.07, align: "right" },
+      { label: "%", key: r => pctLabel(r.cum_pct), width: 0.07, align: "right" },
+      { label: "Importo periodo", key: r => money(r.period_amount), width: 0.11, align: "right" },
+      { label: "Importo cumul.", key: r => money(r.cum_amount), width: 0.11, align: "right" }
+    ], sal.rows, { fontSize: 7 });
+
+    heading(doc, "Riepilogo");
+    table(doc, [
+      { label: "Voce", key: "label", width: 0.7 },
+      { label: "Importo", key: r => money(r.value), width: 0.3, align: "right" }
+    ], [
+      { label: `Lavori eseguiti a tutto il presente SAL (${pctLabel(t.cumulative_pct)})`, value: t.cumulative_works },
+      { label: "Oneri della sicurezza maturati", value: t.cumulative_safety },
+      { label: "Totale a tutto il presente SAL", value: t.cumulative_total },
+      { label: `A dedurre ritenuta di garanzia (${t.retention_pct}%)`, value: -t.cumulative_retention },
+      { label: "A dedurre certificati precedenti", value: -t.previous_certified },
+      { label: `Importo del SAL n. ${sal.number}`, value: t.amount_due }
+    ]);
+    paragraph(doc, sal.notes);
+    if ((sal.files || []).length) paragraph(doc, `Allegati: ${sal.files.map(f => f.original_name).join(", ")}`);
+
+    signatures(doc, [
+      { role: "L'impresa", name: company.legal_rep },
+      { role: "Il committente", name: site.client }
+    ], { place: `${site.address || ""}, ${fmtDate(sal.period.to)}` });
+  }, {
+    layout: "landscape",
+    title: `SAL ${sal.number} ${site.name}`,
+    author: company.name,
+    header: `SAL n. ${sal.number} - ${site.name}`,
+    headerRight: STATUS_LABEL[sal.status],
+    footer: company.name
+  });
+}
@@ -0,0 +1,296 @@
+// lib/schedule.js — Cronoprogramma: fasi, giorni lavorativi, uomini-giorno, interferenze, Gantt e ICS
+//
+// Fase: { id, site_id, name, start, end, depends_on:[ids], companies:[], workers:[ids],
+//         lavorazioni:[ids], area, crew_size, notes }
+// Le date sono giorni interi (YYYY-MM-DD), fine inclusa.
+
+import { renderPdf, title, heading, paragraph, table, innerWidth, ensureSpace, fmtDate } from "./pdf.js";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY = 86400000;
+
+const toDay = iso => Date.UTC(+iso.slice(0, 4), +iso.slice(5, 7) - 1, +iso.slice(8, 10));
+const toIso = ms => new Date(ms).toISOString().slice(0, 10);
+const addDays = (iso, n) => toIso(toDay(iso) + n * DAY);
+
+/* -------------------- Calendario -------------------- */
+// Pasqua (algoritmo di Gauss/Meeus), per il lunedì dell'Angelo
+function easter(year) {
+  const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30, i = Math.floor(c / 4), k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7, m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31), day = ((h + l - 7 * m + 114) % 31) + 1;
+  return toIso(Date.UTC(year, month - 1, day));
+}
+
+const FIXED_HOLIDAYS = ["01-01", "01-06", "04-25", "05-01", "06-02", "08-15", "11-01", "12-08", "12-25", "12-26"];
+
+export function isHoliday(iso) {
+  if (FIXED_HOLIDAYS.includes(iso.slice(5))) return true;
+  return iso === addDays(easter(+iso.slice(0, 4)), 1);
+}
+
+// Giorni lavorativi tra start ed end inclusi (lun–ven, o lun–sab con saturday:true), festività escluse
+export function workingDays(start, end, opts = {}) {
+  if (!ISO_DATE.test(start || "") || !ISO_DATE.test(end || "") || end < start) return 0;
+  let n = 0;
+  for (let t = toDay(start); t <= toDay(end); t += DAY) {
+    const wd = new Date(t).getUTCDay();
+    if (wd === 0 || (wd === 6 && !opts.saturday)) continue;
+    if (isHoliday(toIso(t))) continue;
+    n++;
+  }
+  return n;
+}
+
+// Uomini-giorno: lavoratori assegnati (o crew_size se la squadra non è nominativa) x giorni lavorativi
+export function manDays(phase, opts = {}) {
+  const crew = (phase.workers || []).length || Number(phase.crew_size) || 0;
+  return crew * workingDays(phase.start, phase.end, opts);
+}
+
+/* -------------------- Validazione -------------------- */
+// ctx: { phases (del cantiere, esclusa quella in modifica), library, siteWorkers }
+export function validatePhase(p, ctx = {}) {
+  const errors = [];
+  if (!p.name) errors.push("Inserisci il nome della fase");
+  if (!ISO_DATE.test(p.start || "")) errors.push("Inserisci data inizio (YYYY-MM-DD)");
+  if (!ISO_DATE.test(p.end || "")) errors.push("Inserisci data fine (YYYY-MM-DD)");
+  if (p.start && p.end && p.end < p.start) errors.push("La data di fine precede l’inizio");
+  if (p.crew_size !== undefined && p.crew_size !== null && !(Number(p.crew_size) >= 0)) errors.push("crew_size non valido");
+
+  for (const k of ["depends_on", "companies", "workers", "lavorazioni"]) {
+    if (p[k] !== undefined && !Array.isArray(p[k])) errors.push(`${k} deve essere una lista`);
+  }
+  if (errors.length) return errors;
+
+  const phases = ctx.phases || [];
+  const ids = new Set(phases.map(f => f.id));
+  const unknownDeps = (p.depends_on || []).filter(id => !ids.has(id));
+  if (p.id && (p.depends_on || []).includes(p.id)) errors.push("una fase non può dipendere da se stessa");
+  else if (unknownDeps.length) errors.push(`fase sconosciuta: ${unknownDeps.join(", ")}`);
+  else if (p.id && hasCycle([...phases, p])) errors.push("dipendenze circolari");
+
+  if (ctx.library) {
+    const lib = new Set(ctx.library.map(l => l.id));
+    const unknown = (p.lavorazioni || []).filter(id => !lib.has(id));
+    if (unknown.length) errors.push(`lavorazione sconosciuta: ${unknown.join(", ")}`);
+  }
+  if (ctx.siteWorkers) {
+    const notAssigned = (p.workers || []).filter(id => !ctx.siteWorkers.includes(id));
+    if (notAssigned.length) errors.push(`lavoratori non assegnati al cantiere: ${notAssigned.join(", ")}`);
+  }
+  return errors;
+}
+
+function hasCycle(phases) {
+  const deps = new Map(phases.map(f => [f.id, f.depends_on || []]));
+  const state = new Map(); // 1 = in visita, 2 = chiuso
+  const visit = id => {
+    if (state.get(id) === 1) return true;
+    if (state.get(id) === 2) return false;
+    state.set(id, 1);
+    const cyc = (deps.get(id) || []).some(visit);
+    state.set(id, 2);
+    return cyc;
+  };
+  return phases.some(f => visit(f.id));
+}
+
+/* -------------------- Analisi -------------------- */
+// Fasi sovrapposte nel tempo (stessa area o area non indicata): da coordinare a cura del CSE.
+// Stessi lavoratori su due fasi sovrapposte = doppia assegnazione.
+export function interferences(phases) {
+  const out = [];
+  const sorted = [...phases].sort((a, b) => a.start.localeCompare(b.start));
+  for (let i = 0; i < sorted.length; i++) {
+    for (let j = i + 1; j < sorted.length; j++) {
+      const a = sorted[i], b = sorted[j];
+      if (b.start > a.end) break;
+      if (a.area && b.area && a.area !== b.area) continue;
+      const from = b.start, to = a.end < b.end ? a.end : b.end;
+      const companies = [...new Set([...(a.companies || []), ...(b.companies || [])])];
+      const shared = (a.workers || []).filter(w => (b.workers || []).includes(w));
+      out.push({
+        phases: [a.id, b.id],
+        names: [a.name, b.name],
+        from, to,
+        days: workingDays(from, to),
+        companies,
+        shared_workers: shared,
+        severity: shared.length ? "conflict" : companies.length > 1 ? "high" : "medium"
+      });
+    }
+  }
+  return out;
+}
+
+// Fasi che iniziano prima della fine di una fase da cui dipendono
+export function dependencyIssues(phases) {
+  const byId = new Map(phases.map(f => [f.id, f]));
+  const out = [];
+  for (const f of phases) {
+    for (const id of f.depends_on || []) {
+      const dep = byId.get(id);
+      if (dep && f.start <= dep.end) {
+        out.push({ phase: f.id, depends_on: id, message: `${f.name} inizia prima della fine di ${dep.name}` });
+      }
+    }
+  }
+  return out;
+}
+
+export function analyzeSchedule(phases, opts = {}) {
+  const list = [...phases]
+    .sort((a, b) => a.start.localeCompare(b.start) || a.name.localeCompare(b.name))
+    .map(f => ({ ...f, working_days: workingDays(f.start, f.end, opts), man_days: manDays(f, opts) }));
+
+  const byCompany = {};
+  for (const f of list) {
+    const n = (f.companies || []).length;
+    for (const c of f.companies || []) byCompany[c] = (byCompany[c] || 0) + f.man_days / n;
+  }
+  for (const c in byCompany) byCompany[c] = Math.round(byCompany[c] * 10) / 10;
+
+  return {
+    phases: list,
+    interferences: interferences(list),
+    dependency_issues: dependencyIssues(list),
+    summary: {
+      phases: list.length,
+      start: list.length ? list.map(f => f.start).sort()[0] : null,
+      end: list.length ? list.map(f => f.end).sort().at(-1) : null,
+      man_days: list.reduce((s, f) => s + f.man_days, 0),
+      man_days_by_company: byCompany
+    }
+  };
+}
+
+/* -------------------- Gantt (PDF) -------------------- */
+const BAR = "#4a7bb7";
+const BAR_INTERFERENCE = "#d9822b";
+
+export function buildGantt({ site, company = {}, analysis }) {
+  const { phases, interferences: inter, summary } = analysis;
+  const hot = new Set(inter.flatMap(i => i.phases));
+
+  return renderPdf(doc => {
+    title(doc, "Cronoprogramma dei lavori", site.name);
+    paragraph(doc, `Dal ${fmtDate(summary.start)} al ${fmtDate(summary.end)} - ${summary.phases} fasi, ${summary.man_days} uomini-giorno`);
+
+    if (phases.length) {
+      const x0 = doc.page.margins.left, labelW = 180, rowH = 16;
+      const chartX = x0 + labelW, chartW = innerWidth(doc) - labelW;
+      const t0 = toDay(summary.start), span = (toDay(summary.end) - t0) / DAY + 1;
+      const px = iso => chartX + ((toDay(iso) - t0) / DAY) * (chartW / span);
+
+      const drawScale = () => {
+        const y = doc.y;
+        doc.fontSize(7).fillColor("#555555");
+        // Una tacca per mese (o per settimana se il cantiere dura meno di due mesi)
+        const step = span <= 60 ? 7 : null;
+        let d = summary.start;
+        while (d <= summary.end) {
+          const x = px(d);
+          doc.moveTo(x, y + 10).lineTo(x, y + 14).strokeColor("#999999").stroke();
+          doc.text(step ? fmtDate(d).slice(0, 5) : d.slice(5, 7) + "/" + d.slice(2, 4), x + 1, y, { lineBreak: false });
+          d = step ? addDays(d, step) : toIso(Date.UTC(+d.slice(0, 4), +d.slice(5, 7), 1));
+        }
+        doc.fillColor("black").strokeColor("black").fontSize(8);
+        doc.y = y + 18;
+      };
+
+      drawScale();
+      for (const f of phases) {
+        if (doc.y + rowH > doc.page.height - doc.page.margins.bottom) { doc.addPage(); drawScale(); }
+        const y = doc.y;
+        doc.fontSize(8).text(f.name, x0, y + 3, { width: labelW - 6, height: rowH, ellipsis: true, lineBreak: false });
+        const x1 = px(f.start), x2 = px(addDays(f.end, 1));
+        doc.rect(x1, y + 3, Math.max(2, x2 - x1), rowH - 6).fill(hot.has(f.id) ? BAR_INTERFERENCE : BAR);
+        doc.fillColor("black");
+        doc.moveTo(x0, y + rowH).lineTo(x0 + innerWidth(doc), y + rowH).strokeColor("#eeeeee").stroke().strokeColor("black");
+        doc.y = y + rowH;
+      }
+      doc.x = x0;
+      doc.moveDown();
+      doc.fontSize(8).fillColor(BAR_INTERFERENCE).text("Arancione: fase con interferenze da coordinare", x0).fillColor("black").fontSize(10);
+    }
+
+    heading(doc, "Fasi");
+    table(doc, [
+      { label: "Fase", key: "name", width: 0.22 },
+      { label: "Dal", key: f => fmtDate(f.start), width: 0.09 },
+      { label: "Al", key: f => fmtDate(f.end), width: 0.09 },
+      { label: "GG lav.", key: "working_days", width: 0.07, align: "center" },
+      { label: "U-G", key: "man_days", width: 0.07, align: "center" },
+      { label: "Imprese", key: f => (f.companies || []).join(", "), width: 0.2 },
+      { label: "Area", key: "area", width: 0.12 },
+      { label: "Dipende da", key: f => (f.depends_on || []).map(id => phases.find(p => p.id === id)?.name || id).join(", "), width: 0.14 }
+    ], phases, { empty: "Nessuna fase pianificata", fontSize: 8 });
+
+    ensureSpace(doc, 80);
+    heading(doc, "Interferenze");
+    table(doc, [
+      { label: "Fasi", key: i => i.names.join(" / "), width: 0.4 },
+      { label: "Dal", key: i => fmtDate(i.from), width: 0.12 },
+      { label: "Al", key: i => fmtDate(i.to), width: 0.12 },
+      { label: "Imprese", key: i => i.companies.join(", "), width: 0.24 },
+      { label: "Livello", key: i => ({ conflict: "Doppia assegnazione", high: "Alta", medium: "Media" }[i.severity]), width: 0.12,
+        color: i => (i.severity === "conflict" ? "red" : null) }
+    ], inter, { empty: "Nessuna interferenza", fontSize: 8 });
+  }, {
+    layout: "landscape",
+    title: `Cronoprogramma ${site.name}`,
+    author: company.name,
+    header: `Cronoprogramma - ${site.name}`,
+    headerRight: `Generato il ${fmtDate(new Date().toISOString())}`,
+    footer: company.name
+  });
+}
+
+/* -------------------- ICS -------------------- */
+const icsEscape = s => String(s ?? "").replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/([,;])/g, "\\$1");
+
+// Righe oltre 75 ottetti spezzate con CRLF + spazio (RFC 5545 §3.1)
+function fold(line) {
+  const out = [];
+  let buf = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(buf + ch) > (out.length ? 74 : 75)) { out.push(buf); buf = ""; }
+    buf += ch;
+  }
+  out.push(buf);
+  return out.join("\r\n ");
+}
+
+export function toIcs(site, phases) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Kanthera//Cronoprogramma//IT",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${icsEscape(`Cronoprogramma ${site.name}`)}`
+  ];
+  for (const f of phases) {
+    const desc = [
+      f.companies?.length ? `Imprese: ${f.companies.join(", ")}` : null,
+      f.area ? `Area: ${f.area}` : null,
+      f.notes || null
+    ].filter(Boolean).join("\n");
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${f.id}@kanthera`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${f.start.replace(/-/g, "")}`,
+      `DTEND;VALUE=DATE:${addDays(f.end, 1).replace(/-/g, "")}`,
+      `SUMMARY:${icsEscape(`${f.name} - ${site.name}`)}`,
+      `LOCATION:${icsEscape(site.address)}`,
+      ...(desc ? [`DESCRIPTION:${icsEscape(desc)}`] : []),
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
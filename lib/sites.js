@@ -0,0 +1,50 @@
+// lib/sites.js — Ciclo di vita del cantiere: stati, transizioni ammesse, congelamento
+//
+//   planned ──> active <──> suspended
+//      │          │            │
+//      │          └──> closed <┘
+//      └──────────────> archived <── closed
+//
+// Alla chiusura i lavoratori vengono rilasciati e i documenti del cantiere (POS, assegnazioni…)
+// diventano di sola lettura. Un cantiere archiviato sparisce dagli elenchi di default.
+
+export const SITE_STATUSES = ["planned", "active", "suspended", "closed", "archived"];
+
+export const SITE_TRANSITIONS = {
+  planned:   ["active", "archived"],
+  active:    ["suspended", "closed"],
+  suspended: ["active", "closed"],
+  closed:    ["archived"],
+  archived:  ["closed"]
+};
+
+// Cantieri creati prima degli stati: si considerano attivi
+export const siteStatus = site => site?.status || "active";
+
+export const canTransition = (from, to) => !!SITE_TRANSITIONS[from]?.includes(to);
+
+export const isFrozen = site => ["closed", "archived"].includes(siteStatus(site));
+
+// Applica la transizione e ritorna il nuovo cantiere (o { error })
+export function transition(site, to, { by, reason, at = new Date().toISOString() } = {}) {
+  const from = siteStatus(site);
+  if (!SITE_STATUSES.includes(to)) return { error: `stato non valido: ${to}` };
+  if (!canTransition(from, to)) {
+    return { error: `transizione non ammessa: ${from} -> ${to}`, allowed: SITE_TRANSITIONS[from] || [] };
+  }
+
+  const next = { ...site, status: to, status_changed_at: at };
+  const entry = { from, to, at, by: by || null, reason: reason || null };
+
+  if (!isFrozen(site) && isFrozen(next)) {
+    entry.released_workers = site.workers || [];
+    next.workers = [];
+    next.frozen_at = at;
+  }
+  if (to === "closed" && from !== "archived") next.closed_at = at;
+  if (to === "archived") next.archived_at = at;
+  if (from === "archived") next.archived_at = null;
+
+  next.status_history = [...(site.status_history || []), entry];
+  return { site: next, entry };
+}
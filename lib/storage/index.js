@@ -0,0 +1,151 @@
+// lib/storage/index.js — Repository sopra i backend di persistenza (json | sqlite)
+//
+// Uso:
+//   const db = await openStore({ driver: "sqlite", dir: DATA_DIR });
+//   const site = await db.sites.get("CNT-0001");
+//   await db.tx(async t => {
+//     const s = await t.sites.get(id);
+//     s.workers.push(workerId);
+//     await t.sites.put(s);
+//   });
+//
+// Tutte le scritture passano da una coda seriale: le transazioni non si sovrappongono,
+// leggono lo stato aggiornato e fanno commit tutto-o-niente (per collezione nel backend json).
+// Dentro una tx usare solo `t`: chiamare db.* in scrittura lì dentro bloccherebbe la coda.
+
+import { createJsonBackend } from "./json.js";
+import { createSqliteBackend } from "./sqlite.js";
+
+export const COLLECTIONS = ["sites", "workers", "users", "documents", "sessions", "tokens", "audit",
+                            "lavorazioni", "pos", "phases", "inspections", "minutes",
+                            "contracts", "sal", "psc", "courses", "training",
+                            "deliveries", "webhooks", "companies", "attendance", "files", "equipment"];
+export const SINGLETONS  = ["company", "rules"];
+
+const BACKENDS = { json: createJsonBackend, sqlite: createSqliteBackend };
+
+const clone = v => (v === undefined ? v : structuredClone(v));
+
+/* -------------------- Viste -------------------- */
+// Vista diretta: ogni lettura va al backend, ogni scrittura è una mini-transazione
+function directView(backend, tx) {
+  return {
+    all:  name => backend.load(name),
+    get:  (name, id) => backend.get ? backend.get(name, id) : backend.load(name).then(l => l.find(d => d.id === id) || null),
+    one:  name => backend.loadSingleton(name),
+    write: (name, op, arg) => tx(t => t.__view.write(name, op, arg)),
+    setOne: (name, value) => tx(t => t[name].set(value))
+  };
+}
+
+// Vista transazionale: copie di lavoro caricate on demand, modifiche applicate al commit
+function txView(backend) {
+  const state = new Map();    // name -> array (collezioni) | object (singleton)
+  const changes = new Map();  // name -> [{ op, id, doc }]
+
+  async function load(name) {
+    if (!state.has(name)) state.set(name, clone(await backend.load(name)));
+    return state.get(name);
+  }
+  function log(name, entry) {
+    if (!changes.has(name)) changes.set(name, []);
+    changes.get(name).push(entry);
+  }
+
+  return {
+    all:  async name => clone(await load(name)),
+    get:  async (name, id) => clone((await load(name)).find(d => d.id === id) || null),
+    one:  async name => {
+      if (!state.has(name)) state.set(name, clone(await backend.loadSingleton(name)));
+      return clone(state.get(name));
+    },
+    async write(name, op, arg) {
+      const list = await load(name);
+      if (op === "replace") {
+        const docs = clone(arg || []);
+        list.splice(0, list.length, ...docs);
+        log(name, { op: "replace", docs });
+        return docs;
+      }
+      if (op === "remove") {
+        const i = list.findIndex(d => d.id === arg);
+        if (i === -1) return false;
+        list.splice(i, 1);
+        log(name, { op: "remove", id: arg });
+        return true;
+      }
+      const doc = clone(arg);
+      if (!doc?.id) throw new Error(`${name}: id mancante`);
+      const i = list.findIndex(d => d.id === doc.id);
+      if (op === "insert" && i > -1) throw new Error(`${name}: id duplicato ${doc.id}`);
+      if (i > -1) list[i] = doc; else list.push(doc);
+      log(name, { op: "put", id: doc.id, doc });
+      return clone(doc);
+    },
+    setOne(name, value) {
+      state.set(name, clone(value));
+      log(name, { op: "set", doc: clone(value) });
+    },
+    pending: () => [...changes.entries()].map(([name, ops]) => ({
+      name,
+      singleton: SINGLETONS.includes(name),
+      ops,
+      docs: state.get(name)
+    }))
+  };
+}
+
+/* -------------------- API pubblica -------------------- */
+function collectionApi(name, view) {
+  return {
+    all:    () => view.all(name),
+    get:    id => view.get(name, id),
+    find:   async pred => (await view.all(name)).find(pred) || null,
+    filter: async pred => (await view.all(name)).filter(pred),
+    insert: doc  => view.write(name, "insert", doc),
+    put:    doc  => view.write(name, "put", doc),
+    remove: id   => view.write(name, "remove", id),
+    replaceAll: docs => view.write(name, "replace", docs)
+  };
+}
+
+function singletonApi(name, view) {
+  return {
+    get: () => view.one(name),
+    set: value => view.setOne(name, value)
+  };
+}
+
+function buildApi(view) {
+  const api = { __view: view };
+  for (const c of COLLECTIONS) api[c] = collectionApi(c, view);
+  for (const s of SINGLETONS)  api[s] = singletonApi(s, view);
+  return api;
+}
+
+export async function openStore(opts = {}) {
+  const driver = opts.driver || process.env.STORAGE_DRIVER || "json";
+  const create = BACKENDS[driver];
+  if (!create) throw new Error(`storage driver sconosciuto: ${driver}`);
+  const backend = await create({ ...opts, collections: COLLECTIONS, singletons: SINGLETONS });
+
+  let queue = Promise.resolve();
+  function tx(fn) {
+    const run = queue.then(async () => {
+      const view = txView(backend);
+      const out = await fn(buildApi(view));
+      const pending = view.pending();
+      if (pending.length) await backend.commit(pending);
+      return out;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  const db = buildApi(directView(backend, tx));
+  delete db.__view;
+  db.tx = tx;
+  db.driver = driver;
+  db.close = async () => { await queue; await backend.close?.(); };
+  return db;
+}
@@ -0,0 +1,60 @@
+// lib/storage/json.js — Backend su file JSON (uno per collezione) con scrittura atomica
+//
+// Ogni file viene scritto su <file>.tmp, sincronizzato su disco e rinominato:
+// un crash a metà scrittura lascia il file precedente intatto.
+// Un file illeggibile è un errore, mai un elenco vuoto.
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+
+async function readFileOr(file, fallback) {
+  let text;
+  try { text = await fsp.readFile(file, "utf8"); }
+  catch (e) {
+    if (e.code === "ENOENT") return fallback;
+    throw e;
+  }
+  if (!text.trim()) return fallback;
+  try { return JSON.parse(text); }
+  catch (e) { throw new Error(`${path.basename(file)} corrotto: ${e.message}`); }
+}
+
+async function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fh = await fsp.open(tmp, "w");
+  try {
+    await fh.writeFile(JSON.stringify(data, null, 2), "utf8");
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+  await fsp.rename(tmp, file);
+}
+
+export async function createJsonBackend({ dir, collections, singletons }) {
+  if (!dir) throw new Error("json storage: dir required");
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const fileOf = name => path.join(dir, `${name}.json`);
+
+  // Crea i file mancanti; i .tmp rimasti da un crash si possono scartare
+  for (const name of [...collections, ...singletons]) {
+    if (!fs.existsSync(fileOf(name))) await writeAtomic(fileOf(name), singletons.includes(name) ? {} : []);
+  }
+  for (const f of await fsp.readdir(dir)) {
+    if (/\.json\.\d+\.tmp$/.test(f)) await fsp.rm(path.join(dir, f), { force: true });
+  }
+
+  return {
+    async load(name) {
+      const data = await readFileOr(fileOf(name), []);
+      if (!Array.isArray(data)) throw new Error(`${name}.json: atteso un array`);
+      return data;
+    },
+    loadSingleton: name => readFileOr(fileOf(name), {}),
+    // I dati arrivano già applicati dalla transazione: si riscrive il file intero
+    async commit(pending) {
+      for (const p of pending) await writeAtomic(fileOf(p.name), p.docs);
+    }
+  };
+}
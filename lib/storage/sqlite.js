@@ -0,0 +1,68 @@
+// lib/storage/sqlite.js — Backend SQLite embedded (better-sqlite3)
+//
+// Una tabella per collezione: (id, seq, data JSON). seq conserva l'ordine di inserimento
+// come nei file JSON. I singleton (company) stanno nella tabella kv.
+// Il commit di una transazione è un'unica transazione SQLite.
+
+import fs from "fs";
+import path from "path";
+
+const q = name => `"${name.replace(/"/g, "")}"`;
+
+export async function createSqliteBackend({ dir, file, collections }) {
+  const { default: Database } = await import("better-sqlite3");
+  const dbFile = file || process.env.SQLITE_FILE || path.join(dir, "kanthera.db");
+  fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+
+  const db = new Database(dbFile);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = FULL");
+
+  db.exec(`CREATE TABLE IF NOT EXISTS kv (key TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+  for (const c of collections) {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${q(c)} (id TEXT PRIMARY KEY, seq INTEGER NOT NULL, data TEXT NOT NULL)`);
+  }
+
+  const stmts = {};
+  for (const c of collections) {
+    stmts[c] = {
+      all:    db.prepare(`SELECT data FROM ${q(c)} ORDER BY seq`),
+      get:    db.prepare(`SELECT data FROM ${q(c)} WHERE id = ?`),
+      upsert: db.prepare(`INSERT INTO ${q(c)} (id, seq, data)
+                          VALUES (@id, (SELECT COALESCE(MAX(seq), 0) + 1 FROM ${q(c)}), @data)
+                          ON CONFLICT(id) DO UPDATE SET data = excluded.data`),
+      remove: db.prepare(`DELETE FROM ${q(c)} WHERE id = ?`),
+      clear:  db.prepare(`DELETE FROM ${q(c)}`)
+    };
+  }
+  const kvGet = db.prepare(`SELECT data FROM kv WHERE key = ?`);
+  const kvSet = db.prepare(`INSERT INTO kv (key, data) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET data = excluded.data`);
+
+  const apply = db.transaction(pending => {
+    for (const p of pending) {
+      for (const o of p.ops) {
+        if (o.op === "set")     kvSet.run(p.name, JSON.stringify(o.doc));
+        if (o.op === "put")     stmts[p.name].upsert.run({ id: o.id, data: JSON.stringify(o.doc) });
+        if (o.op === "remove")  stmts[p.name].remove.run(o.id);
+        if (o.op === "replace") {
+          stmts[p.name].clear.run();
+          for (const d of o.docs) stmts[p.name].upsert.run({ id: d.id, data: JSON.stringify(d) });
+        }
+      }
+    }
+  });
+
+  return {
+    load: async name => stmts[name].all.all().map(r => JSON.parse(r.data)),
+    get: async (name, id) => {
+      const r = stmts[name].get.get(id);
+      return r ? JSON.parse(r.data) : null;
+    },
+    loadSingleton: async name => {
+      const r = kvGet.get(name);
+      return r ? JSON.parse(r.data) : {};
+    },
+    commit: async pending => apply(pending),
+    close: async () => db.close()
+  };
+}
@@ -0,0 +1,271 @@
+// lib/training.js — Catalogo corsi e registro formazione (art. 37 D.Lgs 81/08, Accordi Stato-Regioni)
+//
+// Corso: { id, name, doc (chiave di DOC_TYPES aggiornata in worker.docs), category, hours,
+//          refresher_hours, validity_years (null = non scade), default_variant,
+//          variants:[{ key, label, risk_level, hours, refresher_hours }], reference }
+// Record: { id, worker_id, course_id, variant, kind: initial|refresher, date, hours, provider,
+//           required_hours, complete, expiry, file, ... }
+//
+// La scadenza non si digita: è la data del corso più la validità del catalogo. Un record con
+// ore inferiori a quelle richieste resta nel registro ma non aggiorna worker.docs.
+
+import { DOC_TYPES, classifyDoc } from "./compliance.js";
+
+export const RECORD_KINDS = ["initial", "refresher"];
+export const CATEGORIES = ["base", "ruolo", "emergenza", "attrezzature"];
+
+export const DEFAULT_COURSES = [
+  {
+    id: "CRS-GENERALE", name: "Formazione generale dei lavoratori", doc: "corso_generale", category: "base",
+    hours: 4, refresher_hours: null, validity_years: null,
+    reference: "art. 37 D.Lgs 81/08, Accordo Stato-Regioni 21/12/2011"
+  },
+  {
+    id: "CRS-SPECIFICA", name: "Formazione specifica dei lavoratori", doc: "corso_specifica_fs", category: "base",
+    hours: 12, refresher_hours: 6, validity_years: 5, default_variant: "alto",
+    variants: [
+      { key: "basso", label: "Rischio basso", risk_level: "basso", hours: 4, refresher_hours: 6 },
+      { key: "medio", label: "Rischio medio", risk_level: "medio", hours: 8, refresher_hours: 6 },
+      { key: "alto",  label: "Rischio alto (edilizia)", risk_level: "alto", hours: 12, refresher_hours: 6 }
+    ],
+    reference: "Accordo Stato-Regioni 21/12/2011"
+  },
+  {
+    id: "CRS-PREPOSTO", name: "Formazione particolare aggiuntiva per preposti", doc: "preposto", category: "ruolo",
+    hours: 8, refresher_hours: 6, validity_years: 2,
+    reference: "art. 37 c. 7-ter D.Lgs 81/08 (aggiornamento biennale)"
+  },
+  {
+    id: "CRS-ANTINCENDIO", name: "Addetti antincendio e gestione delle emergenze", doc: "antincendio", category: "emergenza",
+    hours: 8, refresher_hours: 5, validity_years: 5, default_variant: "livello_2",
+    variants: [
+      { key: "livello_1", label: "Livello 1", risk_level: "basso", hours: 4, refresher_hours: 2 },
+      { key: "livello_2", label: "Livello 2", risk_level: "medio", hours: 8, refresher_hours: 5 },
+      { key: "livello_3", label: "Livello 3", risk_level: "alto", hours: 16, refresher_hours: 8 }
+    ],
+    reference: "D.M. 2 settembre 2021"
+  },
+  {
+    id: "CRS-PS", name: "Addetti al primo soccorso", doc: "ps", category: "emergenza",
+    hours: 12, refresher_hours: 4, validity_years: 3, default_variant: "gruppo_bc",
+    variants: [
+      { key: "gruppo_a",  label: "Gruppo A", risk_level: "alto", hours: 16, refresher_hours: 6 },
+      { key: "gruppo_bc", label: "Gruppi B e C", risk_level: "medio", hours: 12, refresher_hours: 4 }
+    ],
+    reference: "D.M. 388/2003"
+  },
+  {
+    id: "CRS-QUOTA", name: "Lavori in quota e DPI anticaduta (III categoria)", doc: "lavori_quota", category: "attrezzature",
+    hours: 8, refresher_hours: 4, validity_years: 5,
+    reference: "artt. 77 e 116 D.Lgs 81/08"
+  },
+  {
+    id: "CRS-PONTEGGI", name: "Montaggio, smontaggio e trasformazione ponteggi", doc: "ponteggi", category: "attrezzature",
+    hours: 28, refresher_hours: 4, validity_years: 4,
+    reference: "art. 136 e Allegato XXI D.Lgs 81/08"
+  },
+  {
+    id: "CRS-PES-PAV", name: "Lavori elettrici PES/PAV (CEI 11-27)", doc: "pes_pav", category: "attrezzature",
+    hours: 16, refresher_hours: 4, validity_years: 5,
+    reference: "Norma CEI 11-27"
+  },
+  {
+    id: "CRS-CONFINATI", name: "Lavori in ambienti sospetti di inquinamento o confinati", doc: "spazi_confinati", category: "attrezzature",
+    hours: 12, refresher_hours: 4, validity_years: 5,
+    reference: "D.P.R. 177/2011"
+  },
+  // Abilitazioni degli operatori delle attrezzature (registro macchine, lib/equipment.js)
+  {
+    id: "CRS-PLE", name: "Conduzione di piattaforme di lavoro elevabili (PLE)", doc: "abilitazione_ple", category: "attrezzature",
+    hours: 10, refresher_hours: 4, validity_years: 5,
+    reference: "art. 73 c. 5 D.Lgs 81/08, Accordo Stato-Regioni 22/02/2012"
+  },
+  {
+    id: "CRS-GRU-AUTOCARRO", name: "Conduzione di gru per autocarro", doc: "abilitazione_gru_autocarro", category: "attrezzature",
+    hours: 12, refresher_hours: 4, validity_years: 5,
+    reference: "art. 73 c. 5 D.Lgs 81/08, Accordo Stato-Regioni 22/02/2012"
+  },
+  {
+    id: "CRS-GRU-TORRE", name: "Conduzione di gru a torre", doc: "abilitazione_gru_torre", category: "attrezzature",
+    hours: 14, refresher_hours: 4, validity_years: 5,
+    reference: "art. 73 c. 5 D.Lgs 81/08, Accordo Stato-Regioni 22/02/2012"
+  },
+  {
+    id: "CRS-CARRELLI", name: "Conduzione di carrelli elevatori semoventi", doc: "abilitazione_carrelli", category: "attrezzature",
+    hours: 12, refresher_hours: 4, validity_years: 5,
+    reference: "art. 73 c. 5 D.Lgs 81/08, Accordo Stato-Regioni 22/02/2012"
+  },
+  {
+    id: "CRS-MMT", name: "Conduzione di escavatori, pale caricatrici e terne", doc: "abilitazione_mmt", category: "attrezzature",
+    hours: 16, refresher_hours: 4, validity_years: 5,
+    reference: "art. 73 c. 5 D.Lgs 81/08, Accordo Stato-Regioni 22/02/2012"
+  },
+  {
+    id: "CRS-POMPE-CLS", name: "Conduzione di pompe per calcestruzzo", doc: "abilitazione_pompe_cls", category: "attrezzature",
+    hours: 14, refresher_hours: 4, validity_years: 5,
+    reference: "art. 73 c. 5 D.Lgs 81/08, Accordo Stato-Regioni 22/02/2012"
+  }
+];
+
+// Documenti con scadenza che attestano formazione (l'idoneità sanitaria no)
+export const TRAINING_DOCS = Object.keys(DOC_TYPES).filter(k => DOC_TYPES[k].kind === "date" && k !== "visita_medica");
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const posNum = v => v !== undefined && v !== null && v !== "" && Number(v) >= 0;
+
+export const addYears = (iso, n) => {
+  const d = new Date(iso.slice(0, 10) + "T00:00:00Z");
+  d.setUTCFullYear(d.getUTCFullYear() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+/* -------------------- Catalogo -------------------- */
+export function validateCourse(p) {
+  const errors = [];
+  if (!p.name) errors.push("Inserisci il nome del corso");
+  if (!TRAINING_DOCS.includes(p.doc)) errors.push(`doc deve essere un attestato di formazione (${TRAINING_DOCS.join(", ")})`);
+  if (p.category && !CATEGORIES.includes(p.category)) errors.push(`category non valida (${CATEGORIES.join(", ")})`);
+  if (!posNum(p.hours)) errors.push("hours non valido");
+  if (p.refresher_hours != null && !posNum(p.refresher_hours)) errors.push("refresher_hours non valido");
+  if (p.validity_years != null && !(Number(p.validity_years) > 0)) errors.push("validity_years deve essere positivo (null = senza scadenza)");
+  if (p.variants !== undefined) {
+    if (!Array.isArray(p.variants)) errors.push("variants deve essere una lista");
+    else p.variants.forEach((v, i) => {
+      if (!v?.key) errors.push(`variants[${i}]: key mancante`);
+      if (!posNum(v?.hours)) errors.push(`variants[${i}]: hours non valido`);
+    });
+    if (p.default_variant && Array.isArray(p.variants) && !p.variants.some(v => v.key === p.default_variant)) {
+      errors.push(`default_variant sconosciuta: ${p.default_variant}`);
+    }
+  }
+  return errors;
+}
+
+export function normalizeCourse(p, base = {}) {
+  const variants = (p.variants ?? base.variants ?? []).map(v => ({
+    key: v.key,
+    label: v.label || v.key,
+    risk_level: v.risk_level || null,
+    hours: Number(v.hours),
+    refresher_hours: v.refresher_hours != null ? Number(v.refresher_hours) : null
+  }));
+  const validity = p.validity_years !== undefined ? p.validity_years : base.validity_years;
+  return {
+    ...base,
+    name: p.name ?? base.name,
+    doc: p.doc ?? base.doc,
+    category: p.category ?? base.category ?? "base",
+    hours: Number(p.hours ?? base.hours),
+    refresher_hours: (p.refresher_hours ?? base.refresher_hours) != null ? Number(p.refresher_hours ?? base.refresher_hours) : null,
+    validity_years: validity != null && validity !== "" ? Number(validity) : null,
+    default_variant: variants.length ? (p.default_variant ?? base.default_variant ?? variants[0].key) : null,
+    variants,
+    reference: p.reference ?? base.reference ?? null
+  };
+}
+
+// Ore richieste per variante e tipo di record
+export function requiredHours(course, variant, kind = "initial") {
+  const v = course.variants?.find(x => x.key === (variant || course.default_variant));
+  if (kind === "refresher") return v?.refresher_hours ?? course.refresher_hours ?? null;
+  return v?.hours ?? course.hours;
+}
+
+/* -------------------- Registro -------------------- */
+export function validateRecord(p, course) {
+  const errors = [];
+  if (!course) return ["Corso sconosciuto"];
+  if (!ISO_DATE.test(p.date || "")) errors.push("date (fine corso) in formato YYYY-MM-DD");
+  if (!posNum(p.hours)) errors.push("Indica le ore frequentate");
+  const kind = p.kind || "initial";
+  if (!RECORD_KINDS.includes(kind)) errors.push(`kind non valido (${RECORD_KINDS.join(", ")})`);
+  if (kind === "refresher" && requiredHours(course, p.variant, "refresher") == null) {
+    errors.push(`${course.name}: non prevede aggiornamento`);
+  }
+  if (p.variant && !course.variants?.some(v => v.key === p.variant)) errors.push(`variante sconosciuta: ${p.variant}`);
+  return errors;
+}
+
+// Scadenza e completezza calcolate dal catalogo
+export function newRecord(p, course, { id, by, at = new Date().toISOString() }) {
+  const kind = p.kind || "initial";
+  const variant = p.variant || course.default_variant || null;
+  const required = requiredHours(course, variant, kind);
+  const hours = Number(p.hours);
+  return {
+    id,
+    worker_id: p.worker_id,
+    course_id: course.id,
+    course_name: course.name,
+    doc: course.doc,
+    variant,
+    kind,
+    date: p.date,
+    hours,
+    required_hours: required,
+    complete: hours >= required,
+    expiry: course.validity_years ? addYears(p.date, course.validity_years) : null,
+    provider: p.provider || null,
+    notes: p.notes || "",
+    created_by: by,
+    created_at: at
+  };
+}
+
+// Valore per worker.docs[course.doc] dai record completi: la scadenza più lontana, true se senza scadenza
+export function docValueFrom(records) {
+  const ok = records.filter(r => r.complete);
+  if (!ok.length) return null;
+  if (ok.some(r => !r.expiry)) return true;
+  return ok.map(r => r.expiry).sort().at(-1);
+}
+
+// Tra due valori di worker.docs vince quello che copre di più (true = senza scadenza)
+export function mergeDocValue(a, b) {
+  if (a === true || b === true) return true;
+  if (!a) return b || null;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+/* -------------------- Fabbisogno formativo -------------------- */
+// Per ogni lavoratore e documento richiesto con un corso a catalogo: cosa serve entro `by`.
+// requiredFor(worker) -> chiavi di DOC_TYPES richieste (compliance.requiredDocs)
+export function trainingNeeds({ workers, courses, records, requiredFor, by }) {
+  const needs = [];
+  for (const w of workers) {
+    for (const doc of requiredFor(w)) {
+      const course = courses.find(c => c.doc === doc);
+      if (!course) continue;
+      const mine = records.filter(r => r.worker_id === w.id && r.doc === doc && r.complete);
+      const value = w.docs?.[doc];
+      const st = classifyDoc(doc, value, { today: by, warnDays: 0 });
+      if (st.status === "valid") continue;
+
+      // Aggiornamento se c'è già una formazione iniziale (registro o documento), altrimenti corso completo
+      const trained = mine.length > 0 || st.status !== "missing";
+      const kind = trained && course.validity_years && requiredHours(course, null, "refresher") != null ? "refresher" : "initial";
+      const variant = mine.at(-1)?.variant || course.default_variant || null;
+      needs.push({
+        worker_id: w.id,
+        name: w.name,
+        role: w.role || null,
+        doc,
+        course_id: course.id,
+        course: course.name,
+        variant,
+        kind,
+        hours: requiredHours(course, variant, kind),
+        reason: st.status === "missing" ? "mancante" : `scade il ${st.expiry}`,
+        current_expiry: st.expiry
+      });
+    }
+  }
+  const byCourse = {};
+  for (const n of needs) {
+    const k = `${n.course_id}:${n.kind}`;
+    byCourse[k] ||= { course_id: n.course_id, course: n.course, kind: n.kind, hours: n.hours, workers: [] };
+    byCourse[k].workers.push({ worker_id: n.worker_id, name: n.name, reason: n.reason });
+  }
+  return { by, needs, courses: Object.values(byCourse), workers: new Set(needs.map(n => n.worker_id)).size };
+}
@@ -0,0 +1,223 @@
+// lib/workers.js — Import ed export massivo dei lavoratori (CSV / XLSX)
+//
+// Colonne riconosciute (intestazione, maiuscole e accenti indifferenti):
+//   nome | name, cognome | surname, cf | codice fiscale, mansione | role, impresa | company (id, P. IVA o ragione sociale)
+//   e una colonna per documento: chiave di DOC_TYPES o etichetta ("visita_medica", "Idoneità sanitaria", ...)
+//   con la scadenza (YYYY-MM-DD o GG/MM/AAAA) o, per i documenti senza scadenza, si / x / true.
+// L'export usa le stesse intestazioni: un file esportato si può correggere e reimportare.
+
+import ExcelJS from "exceljs";
+import { DOC_TYPES, workerCompliance } from "./compliance.js";
+import { validateCf, normCf } from "./cf.js";
+import { toCsv } from "./csv.js";
+
+export const IMPORT_MAX_ROWS = 2000;
+
+const norm = s => String(s ?? "").normalize("NFD").replace(/[̀-ͯ]/g, "").trim().toLowerCase().replace(/[\s_.]+/g, " ");
+
+const FIELD_ALIASES = {
+  name:       ["nome", "name", "nominativo", "nome e cognome"],
+  last_name:  ["cognome", "surname", "last name"],
+  cf:         ["cf", "codice fiscale", "c f"],
+  role:       ["mansione", "role", "qualifica"],
+  company:    ["impresa", "company", "datore di lavoro", "azienda"]
+};
+
+function columnFor(header) {
+  const h = norm(header);
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) if (aliases.includes(h)) return { field };
+  for (const [key, t] of Object.entries(DOC_TYPES)) {
+    if ([key, t.label, t.short].map(norm).includes(h)) return { doc: key };
+  }
+  return null;
+}
+
+/* -------------------- Lettura -------------------- */
+// CSV con separatore ";" o "," (dedotto dalla prima riga), virgolette e BOM
+export function parseCsv(text) {
+  const src = String(text).replace(/^﻿/, "");
+  const first = src.split(/\r?\n/, 1)[0];
+  const sep = (first.match(/;/g) || []).length >= (first.match(/,/g) || []).length ? ";" : ",";
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === sep) { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ""));
+}
+
+const cellValue = v => {
+  if (v === null || v === undefined) return "";
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  if (typeof v === "object") return v.text ?? v.result ?? (v.richText ? v.richText.map(x => x.text).join("") : "");
+  return String(v);
+};
+
+// Primo foglio del file XLSX come matrice di stringhe (le date diventano YYYY-MM-DD)
+export async function parseXlsx(buffer) {
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  const ws = wb.worksheets[0];
+  if (!ws) return [];
+  const rows = [];
+  ws.eachRow({ includeEmpty: false }, r => {
+    const values = [];
+    for (let i = 1; i <= ws.columnCount; i++) values.push(cellValue(r.getCell(i).value));
+    rows.push(values);
+  });
+  return rows.filter(r => r.some(v => v.trim() !== ""));
+}
+
+/* -------------------- Righe -------------------- */
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const IT_DATE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+const YES = ["si", "sì", "x", "true", "1", "ok", "yes"];
+
+function docValue(key, raw) {
+  const v = String(raw).trim();
+  if (!v) return { value: undefined };
+  if (DOC_TYPES[key].kind === "flag" || YES.includes(v.toLowerCase())) {
+    return YES.includes(v.toLowerCase()) ? { value: true } : { error: `${key}: usa si / x per i documenti senza scadenza` };
+  }
+  const m = IT_DATE.exec(v);
+  const iso = m ? `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}` : v;
+  // Il giro di Date scarta 31/02, 32/13 e simili
+  const d = new Date(iso + "T00:00:00Z");
+  if (ISO_DATE.test(iso) && !isNaN(d) && d.toISOString().slice(0, 10) === iso) return { value: iso };
+  return { error: `${key}: data non valida (${v})` };
+}
+
+// matrix: righe del file (la prima è l'intestazione). ctx: { workers (esistenti), companies, ownCompany }
+// -> { columns, unknown_columns, rows: [{ row, status: ok|error, errors, worker }] }
+export function prepareImport(matrix, { workers = [], companies = [], ownCompany = null }) {
+  const [header = [], ...body] = matrix;
+  const columns = header.map(columnFor);
+  const unknown = header.filter((h, i) => h.trim() && !columns[i]);
+  const fatal = [];
+  if (!columns.some(c => c?.field === "name")) fatal.push("Colonna nome mancante");
+  if (!columns.some(c => c?.field === "cf")) fatal.push("Colonna codice fiscale mancante");
+  if (body.length > IMPORT_MAX_ROWS) fatal.push(`Massimo ${IMPORT_MAX_ROWS} righe per file`);
+  if (fatal.length) return { errors: fatal, columns: [], unknown_columns: unknown, rows: [] };
+
+  const seen = new Map();
+  const rows = body.map((values, i) => {
+    const rec = { docs: {} };
+    const errors = [];
+    columns.forEach((c, j) => {
+      const raw = values[j] ?? "";
+      if (!c) return;
+      if (c.field) rec[c.field] = String(raw).trim();
+      else {
+        const { value, error } = docValue(c.doc, raw);
+        if (error) errors.push(error);
+        else if (value !== undefined) rec.docs[c.doc] = value;
+      }
+    });
+
+    const first = rec.name || "", last = rec.last_name || "";
+    const name = [first, last].filter(Boolean).join(" ");
+    if (!name) errors.push("Nome mancante");
+    const check = validateCf(rec.cf, last ? { first_name: first, last_name: last } : { name });
+    errors.push(...check.errors);
+    const cf = check.cf;
+    const existing = cf && workers.find(w => normCf(w.cf) === cf);
+    if (existing) errors.push(`Codice fiscale già registrato (${existing.id} ${existing.name})`);
+    if (cf && seen.has(cf)) errors.push(`Codice fiscale ripetuto alla riga ${seen.get(cf)}`);
+    if (cf && !seen.has(cf)) seen.set(cf, i + 2);
+
+    let company = ownCompany;
+    if (rec.company) {
+      const key = norm(rec.company), vat = rec.company.replace(/\s+/g, "").toUpperCase();
+      company = companies.find(c => c.id === rec.company || c.vat === vat || c.vat === "IT" + vat || norm(c.name) === key) || null;
+      if (!company) errors.push(`Impresa sconosciuta: ${rec.company}`);
+    }
+
+    return {
+      row: i + 2,
+      status: errors.length ? "error" : "ok",
+      errors,
+      worker: { name, cf, role: rec.role || "Operaio", company_id: company?.id || null, company: company?.name || null, docs: rec.docs }
+    };
+  });
+  return { columns: header.map((h, i) => ({ header: h, ...(columns[i] || { ignored: true }) })), unknown_columns: unknown, rows };
+}
+
+/* -------------------- Export -------------------- */
+const STATUS_LABEL = { valid: "valido", expiring: "in scadenza", expired: "scaduto", missing: "mancante" };
+const COMPLIANCE_LABEL = { compliant: "conforme", expiring: "in scadenza", non_compliant: "non conforme" };
+
+// Una riga per lavoratore: anagrafica, conformità e per ogni documento valore e stato
+export function exportRows(workers, { companies = [], site = null, opts = {} }) {
+  return workers.map(w => {
+    const c = workerCompliance(w, site, opts);
+    const row = {
+      id: w.id,
+      name: w.name,
+      cf: w.cf,
+      role: w.role || "",
+      company: companies.find(x => x.id === w.company_id)?.name || "",
+      compliance: COMPLIANCE_LABEL[c.status],
+      missing: c.missing.join(", "),
+      expired: c.expired.join(", "),
+      expiring: c.expiring.join(", ")
+    };
+    for (const key of Object.keys(DOC_TYPES)) {
+      const d = c.documents.find(x => x.key === key);
+      const v = w.docs?.[key];
+      row[key] = v === true ? "si" : v || "";
+      row[`${key}__status`] = d ? STATUS_LABEL[d.status] + (d.required ? "" : " (non richiesto)") : "non richiesto";
+    }
+    return row;
+  });
+}
+
+export const EXPORT_COLUMNS = [
+  { key: "id", label: "ID" },
+  { key: "name", label: "Nome" },
+  { key: "cf", label: "Codice fiscale" },
+  { key: "role", label: "Mansione" },
+  { key: "company", label: "Impresa" },
+  { key: "compliance", label: "Conformità" },
+  { key: "missing", label: "Mancanti" },
+  { key: "expired", label: "Scaduti" },
+  { key: "expiring", label: "In scadenza" },
+  ...Object.keys(DOC_TYPES).flatMap(k => [
+    { key: k, label: k },
+    { key: `${k}__status`, label: `${DOC_TYPES[k].short} stato` }
+  ])
+];
+
+export const exportCsv = rows => toCsv(rows, EXPORT_COLUMNS);
+
+const FILL = { scaduto: "FFF4CCCC", mancante: "FFF4CCCC", "in scadenza": "FFFCE8B2", "non conforme": "FFF4CCCC" };
+
+export async function exportXlsx(rows, { title = "Lavoratori" } = {}) {
+  const wb = new ExcelJS.Workbook();
+  wb.creator = "Kanthera";
+  const ws = wb.addWorksheet(title.slice(0, 31));
+  ws.columns = EXPORT_COLUMNS.map(c => ({ header: c.label, key: c.key, width: c.key.endsWith("__status") ? 14 : Math.max(12, c.label.length + 2) }));
+  ws.getRow(1).font = { bold: true };
+  ws.views = [{ state: "frozen", xSplit: 2, ySplit: 1 }];
+  for (const r of rows) {
+    const row = ws.addRow(r);
+    row.eachCell((cell, col) => {
+      const fill = FILL[String(cell.value).replace(" (non richiesto)", "")];
+      if (fill && EXPORT_COLUMNS[col - 1].key.match(/__status$|^compliance$/)) {
+        cell.fill = { type: "pattern", pattern: "solid", fgColor: { argb: fill } };
+      }
+    });
+  }
+  ws.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: EXPORT_COLUMNS.length } };
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
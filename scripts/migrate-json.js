@@ -0,0 +1,55 @@
+// scripts/migrate-json.js — Importa i file data/*.json in un altro backend di storage
+//
+//   node scripts/migrate-json.js [--from data] [--to sqlite] [--file data/kanthera.db] [--force]
+//
+// Senza --force si rifiuta di scrivere su un backend che contiene già dati.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { openStore, COLLECTIONS, SINGLETONS } from "../lib/storage/index.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 ? process.argv[i + 1] : fallback;
+}
+
+const fromDir = path.resolve(arg("from", path.join(__dirname, "..", "data")));
+const driver  = arg("to", "sqlite");
+const file    = arg("file", undefined);
+const force   = process.argv.includes("--force");
+
+if (driver === "json" && !file) {
+  console.error("Per --to json indica una cartella di destinazione diversa con --file");
+  process.exit(1);
+}
+
+const source = await openStore({ driver: "json", dir: fromDir });
+const target = await openStore(driver === "json" ? { driver, dir: path.resolve(file) } : { driver, dir: fromDir, file });
+
+if (!force) {
+  for (const c of COLLECTIONS) {
+    if ((await target[c].all()).length) {
+      console.error(`La destinazione contiene già dati (${c}). Usa --force per sovrascrivere.`);
+      process.exit(1);
+    }
+  }
+}
+
+const counts = {};
+await target.tx(async t => {
+  for (const c of COLLECTIONS) {
+    const docs = await source[c].all();
+    const bad = docs.filter(d => !d?.id);
+    if (bad.length) throw new Error(`${c}: ${bad.length} record senza id`);
+    await t[c].replaceAll(docs);
+    counts[c] = docs.length;
+  }
+  for (const s of SINGLETONS) await t[s].set(await source[s].get());
+});
+
+await source.close();
+await target.close();
+console.log(`Importati in ${driver} da ${fromDir}:`, counts);
@@ -7,69 +7,185 @@ import fsp from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import multer from "multer";
-import PDFDocument from "pdfkit";
 import { nanoid } from "nanoid";
 import OpenAI from "openai";
-
-/* -------------------- Paths & FS helpers -------------------- */
+import { workerCompliance, siteCompliance, requiredDocs, DOC_TYPES, approvedDocValue } from "./lib/compliance.js";
+import { runOcr } from "./lib/ocr.js";
+import { extractFields, validateAgainstWorker, normalizeDocType } from "./lib/extract.js";
+import { openStore } from "./lib/storage/index.js";
+import {
+  hashPassword, verifyPassword, signToken, verifyToken, randomToken, sha256,
+  expiresIn, isExpired, ACCESS_TTL, REFRESH_TTL, INVITE_TTL, MAGIC_TTL, FEED_TTL
+} from "./lib/auth.js";
+import { createMailer } from "./lib/mailer.js";
+import { createAuthz, unauthorized, forbidden, ALL_SITE_ROLES, COMPANY_ROLES } from "./lib/authz.js";
+import { auditEntry, filterAudit, auditCsv } from "./lib/audit.js";
+import { toCsv, sendCsv } from "./lib/csv.js";
+import { DEFAULT_LAVORAZIONI, validateLavorazione, normalizeLavorazione } from "./lib/lavorazioni.js";
+import { buildPos, pickPosInputs, validatePosInputs } from "./lib/pos.js";
+import { SITE_STATUSES, siteStatus, isFrozen, transition } from "./lib/sites.js";
+import { validatePhase, analyzeSchedule, buildGantt, toIcs } from "./lib/schedule.js";
+import {
+  checklistFrom, validateInspection, applyItems, validateNonconformity, newNonconformity,
+  ncTransition, isOverdue, inspectionSummary, buildInspectionReport
+} from "./lib/inspections.js";
+import {
+  validateMinutes, normalizeParticipants, normalizeAgenda, normalizeDecisions, normalizeActions,
+  carryOver, minutesSummary, buildMinutesPdf
+} from "./lib/minutes.js";
+import {
+  validateContract, normalizeContract, validateSalInput, computeSal, salTransition, salSummary, buildSalPdf
+} from "./lib/sal.js";
+import { FACTS, DEFAULT_RULES, validateRules, siteFacts, evaluateRules, applyObligations } from "./lib/rules.js";
+import { notificaData, buildNotificaPreliminare } from "./lib/notifica.js";
+import {
+  DEFAULT_COURSES, validateCourse, normalizeCourse, validateRecord, newRecord, docValueFrom, mergeDocValue, trainingNeeds
+} from "./lib/training.js";
+import {
+  DEFAULT_PREFS, userPrefs, validatePrefs, workerDocAlerts, companyDocAlerts, correctiveActionAlerts, equipmentAlerts, siteDocAlerts, alertsFor,
+  validateWebhook, newDelivery, createNotifier
+} from "./lib/notifications.js";
+import {
+  COMPANY_TYPES, ITP_DOCS, SITE_COMPANY_ROLES, validateCompany, normVat, itpDocValue, companyItp,
+  validateChain, siteChain, chainSummary
+} from "./lib/companies.js";
+import {
+  parseBadge, buildBadgePdf, entryCheck, hoursBetween, localDay, attendanceRegister, manDaysComparison, validRange,
+  buildAttendanceRegisterPdf
+} from "./lib/attendance.js";
+import { validateCf, normCf } from "./lib/cf.js";
+import { parseCsv, parseXlsx, prepareImport, exportRows, exportCsv, exportXlsx } from "./lib/workers.js";
+import { UPLOAD_KINDS, sniffType, checkUpload, checksum, blobKey, contentDisposition } from "./lib/files.js";
+import { createFileStore } from "./lib/filestore.js";
+import {
+  EQUIPMENT_CATEGORIES, EQUIPMENT_TYPES, MAINTENANCE_KINDS, validateEquipment, normalizeEquipment, inspectionStatus,
+  inspectionBlocks, validateMaintenance, applyMaintenance, operatorCheck, validateAssignment, conflictingAssignment, activeOn,
+  siteEquipment, equipmentSummary
+} from "./lib/equipment.js";
+import { ACK_ROLES, pscRequired, parseList, validatePscVersion, ackStatus, checkPosConsistency } from "./lib/psc.js";
+
+/* -------------------- Paths & storage -------------------- */
 const __filename = fileURLToPath(import.meta.url);
 const __dirname  = path.dirname(__filename);
 
-const DATA_DIR      = path.join(__dirname, "data");
-const UPLOADS_DIR   = path.join(__dirname, "uploads");
-const GENERATED_DIR = path.join(__dirname, "generated");
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+// Fino alla V1.6 i file stavano qui, serviti in chiaro: al boot passano nell'archivio (vedi Boot)
+const LEGACY_DIRS = { uploads: path.join(__dirname, "uploads"), generated: path.join(__dirname, "generated") };
 
-const SITES_FILE   = path.join(DATA_DIR, "sites.json");
-const WORKERS_FILE = path.join(DATA_DIR, "workers.json");
-const USERS_FILE   = path.join(DATA_DIR, "users.json");
-const COMPANY_FILE = path.join(DATA_DIR, "company.json");
+// STORAGE_DRIVER=json (default, file in DATA_DIR) | sqlite (SQLITE_FILE, default DATA_DIR/kanthera.db)
+const db = await openStore({ dir: DATA_DIR });
 
-for (const d of [DATA_DIR, UPLOADS_DIR, GENERATED_DIR]) {
-  if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
+// Errore con status HTTP: lanciato dentro db.tx annulla il commit, poi lo gestisce l'error handler
+function httpError(status, error, extra = {}) {
+  return Object.assign(new Error(error), { status, extra });
 }
 
-async function ensureJson(file, fallback = "[]") {
-  try { await fsp.access(file, fs.constants.F_OK); }
-  catch { await fsp.writeFile(file, fallback, "utf8"); }
+const mailer = createMailer({ dir: DATA_DIR });
+
+// Audit nella stessa transazione della modifica: o entrambe o nessuna
+async function audit(t, req, entry) {
+  return t.audit.insert(auditEntry({ actor: req.user, ...entry }));
 }
-await ensureJson(SITES_FILE,   "[]");
-await ensureJson(WORKERS_FILE, "[]");
-await ensureJson(USERS_FILE,   "[]");
-await ensureJson(COMPANY_FILE, "{}");
 
-async function readJson(file) {
-  try {
-    const t = await fsp.readFile(file, "utf8");
-    if (!t) return file === COMPANY_FILE ? {} : [];
-    return JSON.parse(t);
-  } catch {
-    return file === COMPANY_FILE ? {} : [];
+// Cantieri del lavoratore, per far comparire le sue modifiche nella timeline di cantiere
+async function workerSiteIds(t, workerId) {
+  return (await t.sites.filter(s => (s.workers || []).includes(workerId))).map(s => s.id);
+}
+
+async function siteWorkers(site) {
+  const ids = site.workers || [];
+  return (await db.workers.filter(w => ids.includes(w.id)))
+    .sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+}
+
+const publicUrl = (req, file) => `${req.protocol}://${req.get("host")}${file}`;
+
+/* ---- File: contenuti nell'archivio, record in db.files con i permessi di accesso ---- */
+// FILE_STORAGE=local (default, DATA_DIR/files) | s3
+const fileStore = createFileStore({ dir: DATA_DIR });
+const FILE_LINK_TTL = Number(process.env.FILE_LINK_TTL || 15 * 60);
+
+// Chi può scaricare i file di ogni risorsa (authz.canAccess): le stesse azioni delle route che la leggono
+const FILE_ACCESS = {
+  workerDoc:  worker_id => ({ company: ["VIEW_WORKERS"], site: ["APPROVE_DOCS"], worker_id }),
+  training:   worker_id => ({ company: ["VIEW_WORKERS"], site: ["VIEW_TRAINING"], worker_id }),
+  companyDoc: () => ({ company: ["VIEW_COMPANY"] }),
+  psc:        site_id => ({ site: ["VIEW_PSC"], site_id }),
+  pos:        site_id => ({ site: ["DOWNLOAD_REPORTS", "UPLOAD_POS"], site_id }),
+  photo:      site_id => ({ site: ["VIEW_SITE"], site_id }),
+  sal:        site_id => ({ site: ["UPLOAD_SAL"], site_id }),
+  equipment:  () => ({ company: ["VIEW_COMPANY"] })
+};
+
+// Un solo oggetto per checksum: lo stesso contenuto caricato più volte non occupa altro spazio
+async function saveBlob(buffer, type, name, kind = "upload") {
+  const sha256 = checksum(buffer), key = blobKey(sha256);
+  if (!(await fileStore.has(key))) await fileStore.put(key, buffer, { mime: type.mime });
+  return { sha256, key, size: buffer.length, mime: type.mime, ext: type.ext, original_name: name, kind };
+}
+
+// File da multer (memoryStorage): formato e dimensione dal contenuto, non da nome e Content-Type del client
+async function saveUpload(file, kind) {
+  const type = checkUpload(file.buffer, kind);
+  if (type.error) {
+    const { status, error, ...extra } = type;
+    throw httpError(status, error, extra);
   }
+  return saveBlob(file.buffer, type, file.originalname);
+}
+
+// Dentro la tx della risorsa. Stesso contenuto con gli stessi permessi = stesso record (duplicate: true)
+async function registerFile(t, blob, { access, by }) {
+  const same = await t.files.find(f => f.sha256 === blob.sha256 && JSON.stringify(f.access) === JSON.stringify(access));
+  if (same) return { ...same, duplicate: true };
+  return t.files.insert({
+    id: "FIL-" + nanoid(10),
+    ...blob,
+    access,
+    uploaded_by: by,
+    uploaded_at: new Date().toISOString()
+  });
+}
+
+const filePath = f => `/api/files/${f.id}`;
+
+// Link firmato per <a href> e <img src>, che non mandano l'header Authorization: scade dopo FILE_LINK_TTL
+const fileUrl = (req, fileId) => fileId
+  ? publicUrl(req, `/api/files/${fileId}?token=${signToken({ typ: "file", sub: req.user.id, fid: fileId }, FILE_LINK_TTL)}`)
+  : null;
+
+async function readFile(fileId) {
+  const f = fileId && await db.files.get(fileId);
+  return f ? fileStore.get(f.key) : null;
 }
-async function writeJson(file, data) {
-  const pretty = JSON.stringify(data, null, 2);
-  await fsp.writeFile(file, pretty, "utf8");
+
+function sendPdf(res, filename, buffer) {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+  res.send(buffer);
 }
 
 /* -------------------- Permissions model -------------------- */
-const PERM = {
-  VIEW_PSC:                 ['owner','coordinator','contractor','subcontractor','supervisor','admin'],
-  EDIT_PSC:                 ['coordinator','admin'],
-  UPLOAD_POS:               ['contractor','subcontractor','supervisor','admin'],
-  APPROVE_DOCS:             ['owner','coordinator','supervisor','admin'],
-  VIEW_MINUTES:             ['owner','coordinator','contractor','subcontractor','supervisor','admin'],
-  MANAGE_SITE_USERS:        ['owner','coordinator','admin'],
-  VIEW_DVR:                 ['owner','coordinator','contractor','subcontractor','supervisor','admin'],
-  UPLOAD_SAL:               ['owner','contractor','supervisor','admin'],
-  VIEW_SCHEDULE:            ['owner','coordinator','contractor','subcontractor','supervisor','admin'],
-  UPLOAD_INSPECTION_PHOTOS: ['coordinator','contractor','subcontractor','supervisor','admin'],
-  VIEW_TRAINING:            ['owner','coordinator','contractor','subcontractor','supervisor','admin'],
-  DOWNLOAD_REPORTS:         ['owner','coordinator','contractor','supervisor','admin']
-};
-const COMPANY_CAN_INVITE = ['company_admin','company_manager'];
+// Matrici di cantiere (PERM) e aziendali (COMPANY_PERM) in lib/authz.js
+const authz = createAuthz(db);
+const { allow } = authz;
 
 /* -------------------- App & CORS (Opzione 1) -------------------- */
 const app = express();
+
+// Express 4 non intercetta le promise rifiutate: le inoltriamo all'error handler in fondo
+for (const m of ["get", "post", "patch", "put", "delete", "all"]) {
+  const orig = app[m].bind(app);
+  app[m] = (route, ...handlers) => {
+    if (!handlers.length) return orig(route); // app.get("setting")
+    return orig(route, ...handlers.map(h => h.length > 3 ? h : (req, res, next) => {
+      try { Promise.resolve(h(req, res, next)).catch(next); }
+      catch (e) { next(e); }
+    }));
+  };
+}
 app.use(express.json({ limit: "10mb" }));
 
 // Imposta il dominio del frontend (senza slash finale)
@@ -82,8 +198,8 @@ const corsCfg = {
     if (ALLOW_ORIGIN === "*" || origin === ALLOW_ORIGIN) return cb(null, true);
     return cb(new Error(`CORS blocked: ${origin}`), false);
   },
-  methods: ["GET","POST","PATCH","DELETE","OPTIONS"],
-  allowedHeaders: ["Content-Type","x-user-id","x-company-role"],
+  methods: ["GET","POST","PUT","PATCH","DELETE","OPTIONS"],
+  allowedHeaders: ["Content-Type","Authorization"],
   credentials: false,
 };
 app.options("*", cors(corsCfg));
@@ -95,25 +211,28 @@ app.use((req,res,next)=>{
   next();
 });
 
-app.use("/uploads",   express.static(UPLOADS_DIR));
-app.use("/generated", express.static(GENERATED_DIR));
+// Auth: Bearer token firmato → utente caricato dallo store (ruolo aziendale incluso)
+// Il feed ICS e i link ai file si autenticano con il token firmato nella query (niente header)
+const PUBLIC_API = [/^\/api\/health$/, /^\/api\/auth\//, /^\/api\/sites\/[^/]+\/schedule\.ics$/, /^\/api\/files\/[^/]+$/];
 
-// Auth light (demo)
 app.use(async (req, res, next) => {
-  const id = req.header("x-user-id") || "USR-0001";
-  const company_role = req.header("x-company-role") || "company_admin";
-  req.user = { id, company_role };
-
-  req.can = async (action, siteId) => {
-    if (!siteId) return true;
-    const sites = await readJson(SITES_FILE);
-    const site  = sites.find(s => s.id === siteId);
-    if (!site) return false;
-    const entry = (site.roles || []).find(r => r.user_id === req.user.id);
-    const role  = entry?.role;
-    if (!role) return false;
-    return PERM[action]?.includes(role) || role === 'admin';
-  };
+  req.user = null;
+  const bearer = /^Bearer (.+)$/i.exec(req.header("authorization") || "")?.[1];
+  const claims = bearer && verifyToken(bearer);
+  if (claims?.typ === "access") {
+    const session = await db.sessions.get(claims.sid);
+    const user = session && !session.revoked_at ? await db.users.get(claims.sub) : null;
+    if (user && user.status !== "disabled") {
+      req.user = { id: user.id, email: user.email, name: user.name, company_role: user.company_role, session_id: session.id };
+    }
+  }
+
+  // Verifica puntuale (azione di cantiere con siteId, oppure azione aziendale)
+  req.can = (action, siteId) => authz.can(req.user, action, siteId);
+
+  if (!req.user && req.path.startsWith("/api/") && !PUBLIC_API.some(r => r.test(req.path))) {
+    return next(unauthorized());
+  }
   next();
 });
 
@@ -122,30 +241,270 @@ app.get("/api/health", (req, res) => {
   res.json({ ok: true, service: "kanthera" });
 });
 
-/* -------------------- Company & Users -------------------- */
-app.get("/api/company", async (req, res) => {
-  const c = await readJson(COMPANY_FILE);
-  res.json(c);
+/* -------------------- File -------------------- */
+async function assertFileAccess(user, f) {
+  if (await authz.canAccess(user, f.access)) return;
+  const action = (f.access.company || f.access.site)[0];
+  throw forbidden(f.access.site_id ? "site" : "company", action, f.access.site_id);
+}
+
+// Con Bearer oppure con il link firmato (?token=): i permessi si verificano ora, non alla firma
+app.get("/api/files/:id", async (req, res) => {
+  let user = req.user;
+  if (!user) {
+    const claims = verifyToken(req.query.token);
+    if (claims?.typ !== "file" || claims.fid !== req.params.id) throw unauthorized();
+    user = await db.users.get(claims.sub);
+    if (!user || user.status === "disabled") throw unauthorized();
+  }
+  const f = await db.files.get(req.params.id);
+  if (!f) return res.status(404).json({ ok:false, error:"not found" });
+  await assertFileAccess(user, f);
+  const buffer = await fileStore.get(f.key);
+  if (!buffer) return res.status(404).json({ ok:false, error:"contenuto non disponibile" });
+
+  res.setHeader("Content-Type", f.mime);
+  res.setHeader("Content-Disposition", contentDisposition(f));
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Content-Security-Policy", "sandbox");
+  res.setHeader("Cache-Control", "private, no-store");
+  res.send(buffer);
+});
+
+// Nuovo link firmato (quelli nelle risposte scadono dopo FILE_LINK_TTL)
+app.get("/api/files/:id/link", allow.authenticated(), async (req, res) => {
+  const f = await db.files.get(req.params.id);
+  if (!f) return res.status(404).json({ ok:false, error:"not found" });
+  await assertFileAccess(req.user, f);
+  res.json({ ok: true, url: fileUrl(req, f.id), expires_at: expiresIn(FILE_LINK_TTL) });
+});
+
+/* -------------------- Auth -------------------- */
+const APP_URL = (process.env.APP_URL || ALLOW_ORIGIN).replace(/\/$/, "");
+const normEmail = e => String(e || "").trim().toLowerCase();
+
+function publicUser(u) {
+  if (!u) return u;
+  const { password_hash, ...rest } = u;
+  return { ...rest, has_password: !!password_hash };
+}
+
+// Refresh token = "<session id>.<segreto>": in archivio solo l'hash del segreto
+async function issueSession(t, user) {
+  const secret = randomToken();
+  const session = await t.sessions.insert({
+    id: "SES-" + nanoid(12),
+    user_id: user.id,
+    hash: sha256(secret),
+    created_at: new Date().toISOString(),
+    expires_at: expiresIn(REFRESH_TTL),
+    revoked_at: null,
+    replaced_by: null
+  });
+  return {
+    access_token: signToken({ sub: user.id, sid: session.id, typ: "access" }),
+    token_type: "Bearer",
+    expires_in: ACCESS_TTL,
+    refresh_token: `${session.id}.${secret}`,
+    refresh_expires_at: session.expires_at,
+    user: publicUser(user)
+  };
+}
+
+// Token monouso (attivazione invito, magic link): "<id>.<segreto>"
+async function createOneTimeToken(t, user, kind, ttl) {
+  const secret = randomToken();
+  const tok = await t.tokens.insert({
+    id: "TOK-" + nanoid(12),
+    kind,
+    user_id: user.id,
+    hash: sha256(secret),
+    created_at: new Date().toISOString(),
+    expires_at: expiresIn(ttl),
+    used_at: null
+  });
+  return `${tok.id}.${secret}`;
+}
+
+async function consumeOneTimeToken(t, raw, kind) {
+  const [id, secret] = String(raw || "").split(".");
+  const tok = id && await t.tokens.get(id);
+  if (!tok || tok.kind !== kind || tok.used_at || isExpired(tok.expires_at) || tok.hash !== sha256(secret)) {
+    throw httpError(400, "token non valido o scaduto");
+  }
+  await t.tokens.put({ ...tok, used_at: new Date().toISOString() });
+  const user = await t.users.get(tok.user_id);
+  if (!user || user.status === "disabled") throw httpError(400, "token non valido o scaduto");
+  return user;
+}
+
+async function sendActivation(user, token) {
+  await mailer.send({
+    to: user.email,
+    subject: "Kanthera — attiva il tuo account",
+    text: `Ciao ${user.name},\nsei stato invitato su Kanthera. Imposta la password da qui (valido ${INVITE_TTL / 3600} ore):\n${APP_URL}/activate?token=${encodeURIComponent(token)}\n`
+  });
+}
+
+app.post("/api/auth/login", async (req, res) => {
+  const { email, password } = req.body || {};
+  const user = await db.users.find(u => normEmail(u.email) === normEmail(email));
+  if (!user || user.status === "disabled" || !password || !verifyPassword(password, user.password_hash)) {
+    return res.status(401).json({ ok: false, error: "Credenziali non valide" });
+  }
+  const session = await db.tx(t => issueSession(t, user));
+  res.json({ ok: true, ...session });
+});
+
+// Rotazione: ogni refresh token vale una volta. Il riuso di uno già ruotato
+// (probabile furto) revoca tutte le sessioni dell'utente.
+app.post("/api/auth/refresh", async (req, res) => {
+  const [id, secret] = String(req.body?.refresh_token || "").split(".");
+  const out = await db.tx(async t => {
+    const s = id && await t.sessions.get(id);
+    if (!s || s.hash !== sha256(secret)) throw httpError(401, "Unauthorized");
+    if (s.revoked_at) {
+      if (s.replaced_by) {
+        for (const x of await t.sessions.filter(x => x.user_id === s.user_id && !x.revoked_at)) {
+          await t.sessions.put({ ...x, revoked_at: new Date().toISOString() });
+        }
+      }
+      throw httpError(401, "Unauthorized");
+    }
+    if (isExpired(s.expires_at)) throw httpError(401, "Sessione scaduta");
+    const user = await t.users.get(s.user_id);
+    if (!user || user.status === "disabled") throw httpError(401, "Unauthorized");
+
+    const next = await issueSession(t, user);
+    await t.sessions.put({ ...s, revoked_at: new Date().toISOString(), replaced_by: next.refresh_token.split(".")[0] });
+    return next;
+  });
+  res.json({ ok: true, ...out });
+});
+
+app.post("/api/auth/logout", async (req, res) => {
+  const [id, secret] = String(req.body?.refresh_token || "").split(".");
+  await db.tx(async t => {
+    const s = id && await t.sessions.get(id);
+    if (s && s.hash === sha256(secret) && !s.revoked_at) {
+      await t.sessions.put({ ...s, revoked_at: new Date().toISOString() });
+    }
+  });
+  res.json({ ok: true });
 });
 
-app.get("/api/users", async (req, res) => {
-  const u = await readJson(USERS_FILE);
-  res.json(u);
+app.post("/api/auth/activate", async (req, res) => {
+  const { token, password } = req.body || {};
+  if (!password || String(password).length < 8) {
+    return res.status(400).json({ ok: false, error: "La password deve avere almeno 8 caratteri" });
+  }
+  const out = await db.tx(async t => {
+    const user = await consumeOneTimeToken(t, token, "activation");
+    const active = await t.users.put({
+      ...user,
+      password_hash: hashPassword(password),
+      status: "active",
+      activated_at: user.activated_at || new Date().toISOString()
+    });
+    return issueSession(t, active);
+  });
+  res.json({ ok: true, ...out });
 });
 
-app.post("/api/invite", async (req, res) => {
-  if (!COMPANY_CAN_INVITE.includes(req.user.company_role)) {
-    return res.status(403).json({ ok: false, error: "Forbidden" });
+// Sempre ok: non rivela se l'email esiste
+app.post("/api/auth/magic-link", async (req, res) => {
+  const user = await db.users.find(u => normEmail(u.email) === normEmail(req.body?.email));
+  if (user && user.status !== "disabled") {
+    const token = await db.tx(t => createOneTimeToken(t, user, "magic", MAGIC_TTL));
+    await mailer.send({
+      to: user.email,
+      subject: "Kanthera — link di accesso",
+      text: `Accedi a Kanthera con questo link (valido ${MAGIC_TTL / 60} minuti):\n${APP_URL}/login?magic=${encodeURIComponent(token)}\n`
+    });
   }
+  res.json({ ok: true });
+});
+
+app.post("/api/auth/magic", async (req, res) => {
+  const out = await db.tx(async t => {
+    const user = await consumeOneTimeToken(t, req.body?.token, "magic");
+    const active = user.status === "invited"
+      ? await t.users.put({ ...user, status: "active", activated_at: new Date().toISOString() })
+      : user;
+    return issueSession(t, active);
+  });
+  res.json({ ok: true, ...out });
+});
+
+app.get("/api/me", allow.authenticated(), async (req, res) => {
+  res.json(publicUser(await db.users.get(req.user.id)));
+});
+
+/* -------------------- Company & Users -------------------- */
+app.get("/api/company", allow.company("VIEW_COMPANY"), async (req, res) => {
+  res.json(await db.company.get());
+});
+
+app.get("/api/users", allow.company("VIEW_USERS"), async (req, res) => {
+  res.json((await db.users.all()).map(publicUser));
+});
+
+app.post("/api/invite", allow.company("INVITE_USERS"), async (req, res) => {
   const { email, name, company_role = "company_viewer" } = req.body || {};
   if (!email || !name) return res.status(400).json({ ok: false, error: "name & email required" });
-  const users = await readJson(USERS_FILE);
-  const exists = users.find(u => u.email === email);
-  if (exists) return res.json({ ok: true, user: exists });
-  const user = { id: "USR-" + nanoid(4).toUpperCase(), email, name, company_role };
-  users.push(user);
-  await writeJson(USERS_FILE, users);
-  res.json({ ok: true, user });
+  if (!COMPANY_ROLES.includes(company_role)) {
+    return res.status(400).json({ ok: false, error: "company_role non valido", roles: COMPANY_ROLES });
+  }
+  // Come per i ruoli di cantiere: non si invita qualcuno con permessi che il chiamante non ha
+  if (!authz.canGrantCompany(req.user, company_role)) throw forbidden("company", "INVITE_USERS");
+  // Utente "invited" + token di attivazione monouso inviato per email.
+  // Se l'invito è ancora pendente se ne genera uno nuovo.
+  const out = await db.tx(async t => {
+    let user = await t.users.find(u => normEmail(u.email) === normEmail(email));
+    if (user && user.status !== "invited") return { user, token: null };
+    if (!user) {
+      user = await t.users.insert({
+        id: "USR-" + nanoid(4).toUpperCase(), email: normEmail(email), name, company_role,
+        status: "invited", invited_by: req.user.id, invited_at: new Date().toISOString()
+      });
+      await audit(t, req, { action: "user.invite", entity: "user", entity_id: user.id, after: publicUser(user) });
+    }
+    return { user, token: await createOneTimeToken(t, user, "activation", INVITE_TTL) };
+  });
+  if (out.token) await sendActivation(out.user, out.token);
+  res.json({ ok: true, user: publicUser(out.user), activation_sent: !!out.token });
+});
+
+/* -------------------- Regole D.Lgs 81/08 -------------------- */
+app.get("/api/rules", allow.authenticated(), async (req, res) => {
+  const stored = await db.rules.get();
+  res.json({ ok: true, custom: !!stored?.rules, rules: stored?.rules || DEFAULT_RULES, facts: FACTS,
+             updated_at: stored?.updated_at || null });
+});
+
+// Sostituisce le regole (body.rules) o torna a quelle predefinite (body.reset) e rivaluta
+// i cantieri non chiusi
+app.put("/api/rules", allow.company("EDIT_COMPANY"), async (req, res) => {
+  const body = req.body || {};
+  const rules = body.reset ? null : body.rules;
+  const errors = rules ? validateRules(rules) : body.reset ? [] : ["rules mancante"];
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+
+  const updated = await db.tx(async t => {
+    const before = await t.rules.get();
+    const after = rules ? { rules, updated_by: req.user.id, updated_at: new Date().toISOString() } : {};
+    await t.rules.set(after);
+    let n = 0;
+    for (const site of await t.sites.all()) {
+      if (isFrozen(site)) continue;
+      await t.sites.put(await withObligations(t, site));
+      n++;
+    }
+    await audit(t, req, { action: rules ? "rules.update" : "rules.reset", entity: "rules", entity_id: "rules",
+                          before, after, note: `${n} cantieri rivalutati` });
+    return n;
+  });
+  res.json({ ok: true, custom: !!rules, rules: rules || DEFAULT_RULES, sites_updated: updated });
 });
 
 /* -------------------- Sites -------------------- */
@@ -154,402 +513,2855 @@ function validateSitePayload(p){
   if(!p.name) errors.push("Inserisci il nome del cantiere");
   if(!p.address) errors.push("Inserisci l’indirizzo");
   if(!p.dates?.start) errors.push("Inserisci data inizio");
+  if(p.dates?.start && p.dates?.end && p.dates.end < p.dates.start) errors.push("La data di fine precede l’inizio");
   if(!p.roles || !p.roles.length) errors.push("Assegna almeno un ruolo");
   return errors;
 }
 
-app.get("/api/sites", async (req, res) => {
-  const sites = await readJson(SITES_FILE);
-  res.json(sites);
+// Campi derivati dalle date: ricalcolati a ogni creazione e modifica
+function computeSiteMeta(site){
+  const meta = { ...(site.meta || {}) };
+  meta.duration_days = null;
+  if (site.dates?.start && site.dates?.end) {
+    const d1 = new Date(site.dates.start);
+    const d2 = new Date(site.dates.end);
+    const diff = Math.ceil((d2 - d1) / 86400000);
+    meta.duration_days = diff > 0 ? diff : null;
+  }
+  return meta;
+}
+
+/* ---- Obblighi D.Lgs 81/08 (lib/rules.js) ---- */
+const siteRules = async t => (await t.rules.get())?.rules || DEFAULT_RULES;
+
+// Valutazione con i dati correnti: imprese (ruoli e fasi), cronoprogramma, lavoratori, durata
+async function siteObligations(t, site) {
+  const analysis = analyzeSchedule(await sitePhases(t, site.id), scheduleOpts(site));
+  const registry = await t.companies.all();
+  const facts = siteFacts({
+    site, analysis, company: await t.company.get(), opts: scheduleOpts(site),
+    companyRoles: (site.roles || []).filter(r => ACK_ROLES.includes(r.role)),
+    companyNames: (site.companies || []).map(e => registry.find(c => c.id === e.company_id)?.name).filter(Boolean)
+  });
+  return evaluateRules(await siteRules(t), facts);
+}
+
+// Aggiorna meta.obligations e gli avvisi; da usare in tx prima di salvare il cantiere
+async function withObligations(t, site) {
+  return { ...site, meta: applyObligations(site.meta, await siteRules(t), await siteObligations(t, site)) };
+}
+
+// Cantiere chiuso o archiviato: anagrafica, assegnazioni e documenti in sola lettura
+function assertEditable(site){
+  if (isFrozen(site)) {
+    throw httpError(409, "Cantiere chiuso: in sola lettura", { code: "site_frozen", site_status: siteStatus(site) });
+  }
+}
+
+// Solo i cantieri in cui il chiamante ha un ruolo (tutti per company_admin).
+// Gli archiviati solo con ?include=archived; ?status=active,suspended filtra per stato
+app.get("/api/sites", allow.authenticated(), async (req, res) => {
+  let list = await authz.visibleSites(req.user);
+  const statuses = String(req.query.status || "").split(",").filter(Boolean);
+  if (statuses.length) list = list.filter(s => statuses.includes(siteStatus(s)));
+  else if (req.query.include !== "archived") list = list.filter(s => siteStatus(s) !== "archived");
+  res.json(list);
 });
 
-app.get("/api/sites/:id", async (req, res) => {
-  const sites = await readJson(SITES_FILE);
-  const s = sites.find(x => x.id === req.params.id);
-  if (!s) return res.status(404).json({ ok: false, error: "not found" });
-  res.json(s);
+app.get("/api/sites/:id", allow.site("VIEW_SITE"), async (req, res) => {
+  res.json(req.site);
 });
 
-app.post("/api/sites", async (req, res) => {
-  try {
-    const payload = req.body || {};
-    if(!payload.roles || !payload.roles.length){
-      payload.roles = [{ user_id: req.user.id, role: "owner" }];
-    }
-    const errors = validateSitePayload(payload);
-    if (errors.length) return res.status(400).json({ ok: false, errors });
-
-    if (payload.dates?.start && payload.dates?.end) {
-      const d1 = new Date(payload.dates.start);
-      const d2 = new Date(payload.dates.end);
-      const diff = Math.ceil((d2 - d1) / 86400000);
-      payload.meta = payload.meta || {};
-      payload.meta.duration_days = diff > 0 ? diff : null;
-      if (diff > 200) {
-        payload.meta.warnings = Array.from(new Set([...(payload.meta.warnings||[]), "PSC obbligatorio"]));
-      }
-    }
+app.post("/api/sites", allow.company("CREATE_SITES"), async (req, res) => {
+  const payload = req.body || {};
+  if(!payload.roles || !payload.roles.length){
+    payload.roles = [{ user_id: req.user.id, role: "owner" }];
+  }
+  const errors = validateSitePayload(payload);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+
+  const id = "CNT-" + nanoid(4).toUpperCase();
+  const now = new Date().toISOString();
+  let site = {
+    id,
+    name: payload.name,
+    address: payload.address || "",
+    client: payload.client || "",
+    client_phone: payload.client_phone || null,
+    dates: payload.dates || { start: null, end: null },
+    cse: payload.cse || { name: null, email: null },
+    workers: payload.workers || [],
+    roles: payload.roles || [],
+    companies: [],
+    meta: computeSiteMeta(payload),
+    status: "planned",
+    status_changed_at: now,
+    status_history: [{ from: null, to: "planned", at: now, by: req.user.id, reason: null }]
+  };
+  await db.tx(async t => {
+    // L'impresa del gestionale entra come affidataria; le altre con /companies
+    const own = await t.companies.find(c => c.own);
+    if (own) site.companies.push({ company_id: own.id, role: "affidataria", parent_id: null, added_by: req.user.id, added_at: now });
+    site = await withObligations(t, site);
+    await t.sites.insert(site);
+    await audit(t, req, { action: "site.create", entity: "site", entity_id: id, site_ids: [id], after: site });
+  });
+  res.json(site);
+});
 
-    const sites = await readJson(SITES_FILE);
-    const id = "CNT-" + nanoid(4).toUpperCase();
-    const site = {
-      id,
-      name: payload.name,
-      address: payload.address || "",
-      client: payload.client || "",
-      client_phone: payload.client_phone || null,
-      dates: payload.dates || { start: null, end: null },
-      cse: payload.cse || { name: null, email: null },
-      workers: payload.workers || [],
-      roles: payload.roles || [],
-      meta: payload.meta || {}
-    };
-    sites.push(site);
-    await writeJson(SITES_FILE, sites);
-    res.json(site);
-  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+// Anagrafica e date; lavoratori, ruoli e stato hanno le loro route
+const SITE_EDITABLE = ["name", "address", "client", "client_phone", "dates", "cse", "meta"];
+
+app.patch("/api/sites/:id", allow.site("EDIT_SITE"), async (req, res) => {
+  const body = req.body || {};
+  const site = await db.tx(async t => {
+    const before = await t.sites.get(req.params.id);
+    if (!before) throw httpError(404, "site not found");
+    assertEditable(before);
+
+    const next = { ...before };
+    for (const k of SITE_EDITABLE) if (body[k] !== undefined) next[k] = body[k];
+    if (body.dates) next.dates = { ...(before.dates || {}), ...body.dates };
+    if (body.cse) next.cse = { ...(before.cse || {}), ...body.cse };
+    if (body.meta) next.meta = { ...(before.meta || {}), ...body.meta };
+
+    const errors = validateSitePayload(next);
+    if (errors.length) throw httpError(400, "dati non validi", { errors });
+    next.meta = computeSiteMeta(next);
+    const site = await withObligations(t, next);
+
+    await t.sites.put(site);
+    await audit(t, req, { action: "site.update", entity: "site", entity_id: site.id, site_ids: [site.id], before, after: site });
+    return site;
+  });
+  res.json(site);
+});
+
+/* ---- Obblighi e notifica preliminare ---- */
+app.get("/api/sites/:id/obligations", allow.site("VIEW_SITE"), async (req, res) => {
+  res.json({ ok: true, ...await siteObligations(db, req.site) });
+});
+
+// Dati dell'Allegato XII precompilati; `missing` elenca i punti da completare (in site.meta)
+async function notificaFor(site) {
+  const result = await siteObligations(db, site);
+  const company = await db.company.get();
+  const contract = await db.contracts.find(c => c.site_id === site.id);
+  // Catena di affidamento, più le imprese citate solo nel cronoprogramma
+  const chain = siteChain(site, await db.companies.all());
+  const known = new Set([company.name, ...chain.map(c => c.name)].filter(Boolean).map(n => n.toLowerCase()));
+  const phaseCompanies = [...new Set((await sitePhases(db, site.id)).flatMap(f => f.companies || []))]
+    .filter(n => !known.has(n.toLowerCase()));
+  const companies = [
+    ...chain.map(c => ({ name: c.name, vat: c.vat, role: c.role_label })),
+    ...phaseCompanies.map(name => ({ name, vat: null, role: "Impresa esecutrice" }))
+  ];
+  const data = notificaData({
+    site, company, facts: result.facts, companies,
+    amount: contract ? contract.works_value + (contract.safety_costs || 0) : null
+  });
+  return { company, data, obligation: result.obligations.find(o => o.id === "notifica_preliminare") || null };
+}
+
+app.get("/api/sites/:id/notifica-preliminare", allow.site("VIEW_SITE"), async (req, res) => {
+  const { data, obligation } = await notificaFor(req.site);
+  res.json({ ok: true, required: !!obligation?.required, reasons: obligation?.reasons || [], ...data });
+});
+
+app.get("/api/sites/:id/notifica-preliminare.pdf", allow.site("DOWNLOAD_REPORTS"), async (req, res) => {
+  const { company, data, obligation } = await notificaFor(req.site);
+  const buffer = await buildNotificaPreliminare({ company, site: req.site, data, obligation });
+  sendPdf(res, `Notifica_preliminare_${req.site.id}.pdf`, buffer);
+});
+
+/* ---- Stato del cantiere ---- */
+app.post("/api/sites/:id/status", allow.site("EDIT_SITE"), async (req, res) => {
+  const { status, reason } = req.body || {};
+  if (!status) return res.status(400).json({ ok:false, error:"status required", statuses: SITE_STATUSES });
+  const site = await changeSiteStatus(req, status, reason);
+  res.json({ ok:true, site });
+});
+
+// Niente cancellazione fisica: il cantiere viene archiviato (planned o closed)
+app.delete("/api/sites/:id", allow.site("EDIT_SITE"), async (req, res) => {
+  const site = await changeSiteStatus(req, "archived", req.body?.reason);
+  res.json({ ok:true, site });
 });
 
+async function changeSiteStatus(req, status, reason) {
+  return db.tx(async t => {
+    const before = await t.sites.get(req.params.id);
+    if (!before) throw httpError(404, "site not found");
+    const out = transition(before, status, { by: req.user.id, reason });
+    if (out.error) throw httpError(409, out.error, { site_status: siteStatus(before), allowed: out.allowed || [] });
+
+    await t.sites.put(out.site);
+    await audit(t, req, {
+      action: "site.status", entity: "site", entity_id: before.id, site_ids: [before.id],
+      before, after: out.site, note: `${out.entry.from} → ${out.entry.to}${reason ? `: ${reason}` : ""}`
+    });
+    return out.site;
+  });
+}
+
 /* ---- Gestione utenti di cantiere ---- */
-app.get("/api/sites/:id/users", async (req,res)=>{
-  const sites = await readJson(SITES_FILE);
-  const s = sites.find(x=>x.id===req.params.id);
-  if(!s) return res.status(404).json({ok:false,error:"not found"});
-  res.json(s.roles || []);
-});
-app.post("/api/sites/:id/users", async (req,res)=>{
-  if(!(await req.can('MANAGE_SITE_USERS', req.params.id)))
-    return res.status(403).json({ok:false,error:'Forbidden'});
+app.get("/api/sites/:id/users", allow.site("VIEW_SITE"), async (req,res)=>{
+  res.json(req.site.roles || []);
+});
+// Body: { user_id, role }. Si assegnano solo ruoli che il chiamante già ha (authz.canGrant);
+// lo stesso vale per sostituire o revocare il ruolo di un altro utente
+app.post("/api/sites/:id/users", allow.site("MANAGE_SITE_USERS"), async (req,res)=>{
   const { user_id, role } = req.body||{};
-  const sites = await readJson(SITES_FILE);
-  const s = sites.find(x=>x.id===req.params.id);
-  if(!s) return res.status(404).json({ok:false,error:'not found'});
-  s.roles = s.roles || [];
-  const i = s.roles.findIndex(r=>r.user_id===user_id);
-  if(i>-1) s.roles[i].role = role; else s.roles.push({user_id, role});
-  await writeJson(SITES_FILE, sites);
+  if (!ALL_SITE_ROLES.includes(role)) return res.status(400).json({ ok:false, error:"role non valido", roles: ALL_SITE_ROLES });
+  const s = await db.tx(async t => {
+    const s = await t.sites.get(req.params.id);
+    if(!s) throw httpError(404, "not found");
+    if (!user_id || !(await t.users.get(user_id))) throw httpError(404, "user not found");
+    const current = (s.roles || []).find(r=>r.user_id===user_id);
+    if (!authz.canGrant(req.user, role, s) || (current && !authz.canGrant(req.user, current.role, s))) {
+      throw forbidden("site", "MANAGE_SITE_USERS", s.id);
+    }
+    const before = { roles: structuredClone(s.roles || []) };
+    s.roles = s.roles || [];
+    const i = s.roles.findIndex(r=>r.user_id===user_id);
+    if(i>-1) s.roles[i].role = role; else s.roles.push({user_id, role});
+    await audit(t, req, { action: "site.role_set", entity: "site", entity_id: s.id, site_ids: [s.id],
+                          before, after: { roles: s.roles }, note: `${user_id} → ${role}` });
+    return t.sites.put(await withObligations(t, s));
+  });
   res.json({ok:true, roles:s.roles});
 });
-app.delete("/api/sites/:id/users/:user_id", async (req,res)=>{
-  if(!(await req.can('MANAGE_SITE_USERS', req.params.id)))
-    return res.status(403).json({ok:false,error:'Forbidden'});
-  const sites = await readJson(SITES_FILE);
-  const s = sites.find(x=>x.id===req.params.id);
+app.delete("/api/sites/:id/users/:user_id", allow.site("MANAGE_SITE_USERS"), async (req,res)=>{
+  const s = await db.tx(async t => {
+    const s = await t.sites.get(req.params.id);
+    if(!s) return null;
+    const current = (s.roles || []).find(r=>r.user_id===req.params.user_id);
+    if (current && !authz.canGrant(req.user, current.role, s)) throw forbidden("site", "MANAGE_SITE_USERS", s.id);
+    const before = { roles: s.roles || [] };
+    s.roles = (s.roles||[]).filter(r=>r.user_id!==req.params.user_id);
+    await audit(t, req, { action: "site.role_remove", entity: "site", entity_id: s.id, site_ids: [s.id],
+                          before, after: { roles: s.roles }, note: req.params.user_id });
+    return t.sites.put(await withObligations(t, s));
+  });
   if(!s) return res.status(404).json({ok:false,error:'not found'});
-  s.roles = (s.roles||[]).filter(r=>r.user_id!==req.params.user_id);
-  await writeJson(SITES_FILE, sites);
   res.json({ok:true, roles:s.roles});
 });
 
+/* ---- Imprese in cantiere (catena di affidamento) ---- */
+async function siteCompanyChain(site, q = {}) {
+  return siteChain(site, await db.companies.all(), await db.workers.all(), complianceOpts(q));
+}
+
+app.get("/api/sites/:id/companies", allow.site("VIEW_SITE"), async (req, res) => {
+  const chain = await siteCompanyChain(req.site, req.query);
+  res.json({ ok: true, summary: chainSummary(chain), companies: chain });
+});
+
+// Body: { company_id, role, parent_id }. Un'impresa con ITP non conforme non entra
+app.post("/api/sites/:id/companies", allow.site("MANAGE_SITE_COMPANIES"), async (req, res) => {
+  const { company_id, role, parent_id = null } = req.body || {};
+  if (!company_id || !role) return res.status(400).json({ ok:false, error:"company_id & role required", roles: Object.keys(SITE_COMPANY_ROLES) });
+  const out = await db.tx(async t => {
+    const s = await t.sites.get(req.params.id);
+    assertEditable(s);
+    const company = await t.companies.get(company_id);
+    if (!company) throw httpError(404, "company not found");
+    const itp = companyItp(company, complianceOpts(req.query));
+    if (itp.blocked) throw httpError(409, `${company.name}: idoneità tecnico-professionale non verificata`, { code: "itp_non_compliant", itp });
+
+    const before = { companies: s.companies || [] };
+    const entry = { company_id, role, parent_id: parent_id || null, added_by: req.user.id, added_at: new Date().toISOString() };
+    const companies = [...before.companies, entry];
+    const errors = validateChain(companies, await t.companies.all());
+    if (errors.length) throw httpError(400, "catena di affidamento non valida", { errors });
+
+    await audit(t, req, { action: "site.company_add", entity: "site", entity_id: s.id, site_ids: [s.id],
+                          before, after: { companies }, note: `${company.name} (${role})` });
+    await t.sites.put(await withObligations(t, { ...s, companies }));
+    return { entry, itp };
+  });
+  res.json({ ok: true, ...out });
+});
+
+// Cambio di ruolo o di impresa affidante
+app.patch("/api/sites/:id/companies/:company_id", allow.site("MANAGE_SITE_COMPANIES"), async (req, res) => {
+  const body = req.body || {};
+  const entry = await db.tx(async t => {
+    const s = await t.sites.get(req.params.id);
+    assertEditable(s);
+    const before = { companies: s.companies || [] };
+    const cur = before.companies.find(e => e.company_id === req.params.company_id);
+    if (!cur) throw httpError(404, "impresa non presente in cantiere");
+    const next = { ...cur };
+    if (body.role !== undefined) next.role = body.role;
+    if (body.parent_id !== undefined) next.parent_id = body.parent_id || null;
+    const companies = before.companies.map(e => (e === cur ? next : e));
+    const errors = validateChain(companies, await t.companies.all());
+    if (errors.length) throw httpError(400, "catena di affidamento non valida", { errors });
+    await audit(t, req, { action: "site.company_update", entity: "site", entity_id: s.id, site_ids: [s.id],
+                          before, after: { companies }, note: cur.company_id });
+    await t.sites.put(await withObligations(t, { ...s, companies }));
+    return next;
+  });
+  res.json({ ok: true, entry });
+});
+
+// Solo se nessuno le è subordinato e nessun suo lavoratore è ancora assegnato al cantiere
+app.delete("/api/sites/:id/companies/:company_id", allow.site("MANAGE_SITE_COMPANIES"), async (req, res) => {
+  await db.tx(async t => {
+    const s = await t.sites.get(req.params.id);
+    assertEditable(s);
+    const id = req.params.company_id;
+    const before = { companies: s.companies || [] };
+    if (!before.companies.some(e => e.company_id === id)) throw httpError(404, "impresa non presente in cantiere");
+    const children = before.companies.filter(e => e.parent_id === id).map(e => e.company_id);
+    if (children.length) throw httpError(409, "L'impresa ha affidato lavori ad altre imprese del cantiere", { companies: children });
+    const assigned = (await t.workers.filter(w => w.company_id === id && (s.workers || []).includes(w.id))).map(w => w.id);
+    if (assigned.length) throw httpError(409, "Lavoratori dell'impresa ancora assegnati al cantiere", { workers: assigned });
+    const companies = before.companies.filter(e => e.company_id !== id);
+    await audit(t, req, { action: "site.company_remove", entity: "site", entity_id: s.id, site_ids: [s.id],
+                          before, after: { companies }, note: id });
+    await t.sites.put(await withObligations(t, { ...s, companies }));
+  });
+  res.json({ ok: true });
+});
+
 /* ---- Assegnazione lavoratori al cantiere ---- */
 // Ritorna l'elenco completo dei worker (oggetti) assegnati al cantiere
-app.get("/api/sites/:id/workers", async (req, res) => {
-  const sites   = await readJson(SITES_FILE);
-  const workers = await readJson(WORKERS_FILE);
-  const s = sites.find(x => x.id === req.params.id);
-  if (!s) return res.status(404).json({ ok:false, error:"site not found" });
-  const list = (s.workers || []).map(id => workers.find(w => w.id === id)).filter(Boolean);
-  res.json(list);
+app.get("/api/sites/:id/workers", allow.site("VIEW_SITE"), async (req, res) => {
+  res.json(await siteWorkers(req.site));
 });
 
 // Aggiunge un worker al cantiere (se non già presente)
-app.post("/api/sites/:id/workers", async (req, res) => {
+app.post("/api/sites/:id/workers", allow.site("MANAGE_SITE_WORKERS"), async (req, res) => {
   const { worker_id } = req.body || {};
   if (!worker_id) return res.status(400).json({ ok:false, error:"worker_id required" });
 
-  const sites   = await readJson(SITES_FILE);
-  const workers = await readJson(WORKERS_FILE);
-
-  const s = sites.find(x => x.id === req.params.id);
-  if (!s) return res.status(404).json({ ok:false, error:"site not found" });
-
-  const existsWorker = workers.some(w => w.id === worker_id);
-  if (!existsWorker) return res.status(404).json({ ok:false, error:"worker not found" });
+  const out = await db.tx(async t => {
+    const s = await t.sites.get(req.params.id);
+    if (!s) throw httpError(404, "site not found");
+    assertEditable(s);
+    const w = await t.workers.get(worker_id);
+    if (!w) throw httpError(404, "worker not found");
+
+    // Il datore di lavoro deve essere in cantiere, con idoneità tecnico-professionale verificata
+    if (!(s.workers || []).includes(worker_id)) {
+      const employer = w.company_id ? await t.companies.get(w.company_id) : null;
+      if (!employer || !(s.companies || []).some(e => e.company_id === employer.id)) {
+        throw httpError(409, "L'impresa del lavoratore non è tra le imprese del cantiere", { code: "company_not_on_site", company_id: w.company_id || null });
+      }
+      const itp = companyItp(employer, complianceOpts(req.query));
+      if (itp.blocked) throw httpError(409, `${employer.name}: impresa bloccata (idoneità tecnico-professionale)`, { code: "company_blocked", itp });
+    }
 
-  s.workers = s.workers || [];
-  if (!s.workers.includes(worker_id)) s.workers.push(worker_id);
+    // Stesse regole di /compliance; strict (body o site.meta) blocca i non conformi
+    const compliance = workerCompliance(w, s, complianceOpts(req.query));
+    const strict = req.body.strict ?? s.meta?.strict_compliance ?? false;
+    if (strict && compliance.status === "non_compliant") {
+      throw httpError(409, "Lavoratore non conforme", { compliance });
+    }
 
-  await writeJson(SITES_FILE, sites);
-  res.json({ ok:true, workers: s.workers });
+    s.workers = s.workers || [];
+    if (!s.workers.includes(worker_id)) {
+      const before = { workers: [...s.workers] };
+      s.workers.push(worker_id);
+      await audit(t, req, { action: "site.worker_add", entity: "site", entity_id: s.id, site_ids: [s.id],
+                            before, after: { workers: s.workers }, note: `${worker_id} (${compliance.status})` });
+    }
+    await t.sites.put(await withObligations(t, s));
+    return { workers: s.workers, compliance };
+  });
+  res.json({ ok:true, ...out });
 });
 
 // Rimuove un worker dal cantiere
-app.delete("/api/sites/:id/workers/:worker_id", async (req, res) => {
-  const sites = await readJson(SITES_FILE);
-  const s = sites.find(x => x.id === req.params.id);
-  if (!s) return res.status(404).json({ ok:false, error:"site not found" });
-  s.workers = (s.workers || []).filter(id => id !== req.params.worker_id);
-  await writeJson(SITES_FILE, sites);
+app.delete("/api/sites/:id/workers/:worker_id", allow.site("MANAGE_SITE_WORKERS"), async (req, res) => {
+  const s = await db.tx(async t => {
+    const s = await t.sites.get(req.params.id);
+    if (!s) throw httpError(404, "site not found");
+    assertEditable(s);
+    const before = { workers: s.workers || [] };
+    s.workers = before.workers.filter(id => id !== req.params.worker_id);
+    if (s.workers.length !== before.workers.length) {
+      await audit(t, req, { action: "site.worker_remove", entity: "site", entity_id: s.id, site_ids: [s.id],
+                            before, after: { workers: s.workers }, note: req.params.worker_id });
+    }
+    return t.sites.put(await withObligations(t, s));
+  });
   res.json({ ok:true, workers: s.workers });
 });
 
 
+/* -------------------- Compliance documentale -------------------- */
+// ?at=YYYY-MM-DD (data di riferimento) & ?days=N (soglia "in scadenza")
+function complianceOpts(q = {}) {
+  const days = parseInt(q.days, 10);
+  return {
+    today: q.at || undefined,
+    warnDays: Number.isFinite(days) && days >= 0 ? days : undefined
+  };
+}
+
+// Un'impresa bloccata o un'attrezzatura in uso con la verifica periodica scaduta rendono il cantiere non conforme
+app.get("/api/sites/:id/compliance", allow.site("VIEW_SITE"), async (req, res) => {
+  const s = req.site;
+  const report = siteCompliance(s, await siteWorkers(s), complianceOpts(req.query));
+  const companies = chainSummary(await siteCompanyChain(s, req.query));
+  const equipment = equipmentSummary(await siteEquipmentList(s, req.query));
+  if (companies.blocked.length || equipment.overdue.length || equipment.out_of_service.length) report.status = "non_compliant";
+  else if ((companies.expiring || equipment.expiring.length) && report.status === "compliant") report.status = "expiring";
+  res.json({ ok:true, ...report, companies, equipment });
+});
+
+// ?site=CNT-xxxx valuta anche i requisiti legati al tipo di lavorazione del cantiere
+app.get("/api/workers/:id/compliance", allow.worker("VIEW_WORKERS", "VIEW_SITE"), async (req, res) => {
+  const w = await db.workers.get(req.params.id);
+  if (!w) return res.status(404).json({ ok:false, error:"not found" });
+  let site = null;
+  if (req.query.site) {
+    site = await db.sites.get(req.query.site);
+    // Un cantiere che il chiamante non vede è come inesistente: i suoi requisiti non si sondano da qui
+    if (!site || !authz.canOnSite(req.user, "VIEW_SITE", site)) return res.status(404).json({ ok:false, error:"site not found" });
+  }
+  res.json({ ok:true, ...workerCompliance(w, site, complianceOpts(req.query)) });
+});
+
 /* -------------------- Workers -------------------- */
-app.get("/api/workers", async (req, res) => {
-  const workers = await readJson(WORKERS_FILE);
-  res.json(workers);
+const WORKER_EDITABLE = ["name", "cf", "role", "company_id"];
+
+// ?company=IMP-xxxx per i lavoratori di un'impresa
+app.get("/api/workers", allow.company("VIEW_WORKERS"), async (req, res) => {
+  const list = await db.workers.all();
+  res.json(req.query.company ? list.filter(w => w.company_id === req.query.company) : list);
 });
 
-app.post("/api/workers", async (req, res) => {
-  try {
-    const { name, cf, role } = req.body || {};
-    if (!name || !cf) return res.status(400).json({ ok: false, error: "name & cf required" });
-    const workers = await readJson(WORKERS_FILE);
-    const id = "DIP-" + nanoid(4).toUpperCase();
-    const worker = { id, name, cf, role: role || "Operaio", docs: {} };
-    workers.push(worker);
-    await writeJson(WORKERS_FILE, workers);
-    res.json(worker);
-  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
-});
-
-app.patch("/api/workers/:id", async (req, res) => {
-  try {
-    const workers = await readJson(WORKERS_FILE);
-    const idx = workers.findIndex(w => w.id === req.params.id);
-    if (idx === -1) return res.status(404).json({ ok: false, error: "not found" });
-    const merged = { ...workers[idx], ...req.body };
-    if (req.body?.docs) {
-      merged.docs = { ...(workers[idx].docs||{}), ...(req.body.docs||{}) };
-    }
-    workers[idx] = merged;
-    await writeJson(WORKERS_FILE, workers);
-    res.json({ ok: true, worker: workers[idx] });
-  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
-});
-
-app.delete("/api/workers/:id", async (req,res)=>{
-  const workers = await readJson(WORKERS_FILE);
-  const left = workers.filter(w=>w.id!==req.params.id);
-  await writeJson(WORKERS_FILE, left);
+// Codice fiscale valido (controllo e coerenza con il nominativo) e non già registrato
+async function assertWorkerCf(t, { name, cf }, exceptId = null) {
+  const check = validateCf(cf, { name });
+  if (!check.valid) throw httpError(400, check.errors[0], { errors: check.errors });
+  const dup = await t.workers.find(w => normCf(w.cf) === check.cf && w.id !== exceptId);
+  if (dup) throw httpError(409, `Codice fiscale già registrato (${dup.id} ${dup.name})`, { code: "duplicate_cf", worker_id: dup.id });
+  return check.cf;
+}
+
+app.post("/api/workers", allow.company("EDIT_WORKERS"), async (req, res) => {
+  const { name, role, company_id } = req.body || {};
+  if (!name || !req.body?.cf) return res.status(400).json({ ok: false, error: "name & cf required" });
+  const id = "DIP-" + nanoid(4).toUpperCase();
+  const worker = await db.tx(async t => {
+    const cf = await assertWorkerCf(t, req.body);
+    // Senza company_id il lavoratore è dell'impresa del gestionale
+    const employer = company_id ? await t.companies.get(company_id) : await t.companies.find(c => c.own);
+    if (company_id && !employer) throw httpError(400, "company_id sconosciuto");
+    const w = await t.workers.insert({ id, name, cf, role: role || "Operaio", company_id: employer?.id || null, docs: {} });
+    await audit(t, req, { action: "worker.create", entity: "worker", entity_id: id, after: w });
+    return w;
+  });
+  res.json(worker);
+});
+
+app.patch("/api/workers/:id", allow.company("EDIT_WORKERS"), async (req, res) => {
+  const worker = await db.tx(async t => {
+    const current = await t.workers.get(req.params.id);
+    if (!current) return null;
+    // Solo l'anagrafica: i documenti passano da upload e revisione
+    const edits = Object.fromEntries(WORKER_EDITABLE.filter(k => k in (req.body || {})).map(k => [k, req.body[k]]));
+    const merged = { ...current, ...edits };
+    if (merged.cf !== current.cf || merged.name !== current.name) merged.cf = await assertWorkerCf(t, merged, current.id);
+    if (merged.company_id !== current.company_id) {
+      if (!(await t.companies.get(merged.company_id))) throw httpError(400, "company_id sconosciuto");
+      const sites = (await workerSiteIds(t, current.id)).length;
+      if (sites) throw httpError(409, "Lavoratore assegnato a cantieri: rimuovilo prima di cambiare impresa");
+    }
+    await audit(t, req, { action: "worker.update", entity: "worker", entity_id: current.id,
+                          site_ids: await workerSiteIds(t, current.id), before: current, after: merged });
+    return t.workers.put(merged);
+  });
+  if (!worker) return res.status(404).json({ ok: false, error: "not found" });
+  res.json({ ok: true, worker });
+});
+
+app.delete("/api/workers/:id", allow.company("DELETE_WORKERS"), async (req,res)=>{
+  await db.tx(async t => {
+    const w = await t.workers.get(req.params.id);
+    if (!w) return;
+    await audit(t, req, { action: "worker.delete", entity: "worker", entity_id: w.id,
+                          site_ids: await workerSiteIds(t, w.id), before: w });
+    await t.workers.remove(w.id);
+  });
   res.json({ok:true});
 });
 
-/* -------------------- Upload & OCR+AI -------------------- */
-const storage = multer.diskStorage({
-  destination: (_, __, cb) => cb(null, UPLOADS_DIR),
-  filename:    (_, file, cb) => {
-    const safe = file.originalname.replace(/\s+/g, "_");
-    cb(null, `${Date.now()}_${safe}`);
+/* ---- Import / export (CSV, XLSX) ---- */
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_KINDS.spreadsheets.max }
+});
+
+// Multipart: file (.csv o .xlsx), dry_run=true per l'anteprima, site_id per assegnarli subito a un cantiere,
+// skip_invalid=true per importare le righe valide anche se altre hanno errori
+app.post("/api/workers/import", allow.company("EDIT_WORKERS"), importUpload.single("file"), async (req, res) => {
+  if (!req.file) return res.status(400).json({ ok: false, error: "file missing" });
+  const body = req.body || {};
+  const dryRun = String(body.dry_run) === "true", skipInvalid = String(body.skip_invalid) === "true";
+  const type = checkUpload(req.file.buffer, "spreadsheets");
+  if (type.error) {
+    const { status, error, ...extra } = type;
+    return res.status(status).json({ ok: false, error, ...extra });
+  }
+
+  let matrix;
+  try {
+    matrix = type.ext === "xlsx" ? await parseXlsx(req.file.buffer) : parseCsv(req.file.buffer.toString("utf8"));
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: `File non leggibile: ${e.message}` });
+  }
+
+  let site = null;
+  if (body.site_id) {
+    site = await db.sites.get(body.site_id);
+    if (!site || !(await req.can("MANAGE_SITE_WORKERS", site.id))) throw forbidden("site", "MANAGE_SITE_WORKERS", body.site_id);
+    assertEditable(site);
   }
+
+  const out = await db.tx(async t => {
+    const companies = await t.companies.all();
+    const plan = prepareImport(matrix, { workers: await t.workers.all(), companies, ownCompany: companies.find(c => c.own) });
+    if (plan.errors) throw httpError(400, "File non importabile", { errors: plan.errors, unknown_columns: plan.unknown_columns });
+
+    // Stessi controlli dell'assegnazione singola al cantiere
+    if (site) {
+      const strict = site.meta?.strict_compliance ?? false;
+      for (const r of plan.rows) {
+        const employer = companies.find(c => c.id === r.worker.company_id);
+        if (employer && !(site.companies || []).some(e => e.company_id === employer.id)) r.errors.push(`${employer.name}: impresa non presente in cantiere`);
+        else if (employer && companyItp(employer).blocked) r.errors.push(`${employer.name}: impresa bloccata (idoneità tecnico-professionale)`);
+        r.compliance = workerCompliance({ ...r.worker, id: null }, site).status;
+        if (strict && r.compliance === "non_compliant") r.errors.push("Lavoratore non conforme (cantiere con conformità obbligatoria)");
+        r.status = r.errors.length ? "error" : "ok";
+      }
+    }
+
+    const valid = plan.rows.filter(r => r.status === "ok");
+    const summary = { rows: plan.rows.length, valid: valid.length, invalid: plan.rows.length - valid.length, created: 0 };
+    if (dryRun || !valid.length || (summary.invalid && !skipInvalid)) return { plan, summary, created: [] };
+
+    const created = [];
+    for (const r of valid) {
+      const { company, ...data } = r.worker;
+      const w = await t.workers.insert({ id: "DIP-" + nanoid(4).toUpperCase(), ...data });
+      r.worker_id = w.id;
+      created.push(w);
+    }
+    if (site) {
+      const s = await t.sites.get(site.id);
+      const workers = [...(s.workers || []), ...created.map(w => w.id)];
+      await audit(t, req, { action: "site.worker_add", entity: "site", entity_id: s.id, site_ids: [s.id],
+                            before: { workers: s.workers || [] }, after: { workers }, note: `import di ${created.length} lavoratori` });
+      await t.sites.put(await withObligations(t, { ...s, workers }));
+    }
+    await audit(t, req, { action: "worker.import", entity: "worker", entity_id: "import", site_ids: site ? [site.id] : [],
+                          after: { workers: created.map(w => w.id) }, note: `${req.file.originalname}: ${created.length} lavoratori` });
+    summary.created = created.length;
+    return { plan, summary, created };
+  });
+
+  const blocked = !dryRun && out.summary.invalid > 0 && !skipInvalid;
+  res.status(blocked ? 400 : 200).json({
+    ok: !blocked,
+    ...(blocked ? { error: "Righe con errori: correggi il file o usa skip_invalid" } : {}),
+    dry_run: dryRun,
+    site_id: site?.id || null,
+    summary: out.summary,
+    columns: out.plan.columns,
+    unknown_columns: out.plan.unknown_columns,
+    rows: out.plan.rows
+  });
+});
+
+// ?format=csv|xlsx (default xlsx) & ?site=CNT-xxxx (requisiti del cantiere) & ?company=IMP-xxxx & ?at= & ?days=
+app.get("/api/workers/export", allow.company("VIEW_WORKERS"), async (req, res) => {
+  const site = req.query.site ? await db.sites.get(req.query.site) : null;
+  if (req.query.site && (!site || !authz.canOnSite(req.user, "VIEW_SITE", site))) return res.status(404).json({ ok:false, error:"site not found" });
+  let workers = site ? await siteWorkers(site) : await db.workers.all();
+  if (req.query.company) workers = workers.filter(w => w.company_id === req.query.company);
+  const rows = exportRows(workers, { companies: await db.companies.all(), site, opts: complianceOpts(req.query) });
+  const name = `lavoratori${site ? "_" + site.id : ""}_${new Date().toISOString().slice(0, 10)}`;
+  if (req.query.format === "csv") return sendCsv(res, `${name}.csv`, exportCsv(rows));
+  const buffer = await exportXlsx(rows, { title: site ? site.name : "Lavoratori" });
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  res.setHeader("Content-Disposition", `attachment; filename="${name}.xlsx"`);
+  res.send(buffer);
+});
+
+/* -------------------- Upload & OCR+AI -------------------- */
+// In memoria: formato e dimensione si controllano sul contenuto (saveUpload) prima di archiviarlo
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_KINDS.attachments.max }
 });
-const upload = multer({ storage });
 
 const openai = process.env.OPENAI_API_KEY ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
 
-app.post("/api/workers/:id/docs", upload.single("file"), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ ok: false, error: "file missing" });
+app.post("/api/workers/:id/docs", allow.worker("EDIT_WORKERS", "MANAGE_SITE_WORKERS"), upload.single("file"), async (req, res) => {
+  if (!req.file) return res.status(400).json({ ok: false, error: "file missing" });
+
+  const worker = await db.workers.get(req.params.id);
+  if (!worker) return res.status(404).json({ ok: false, error: "not found" });
+  const blob = await saveUpload(req.file, "documents");
+
+  const ocr = await runOcr(req.file.buffer, { filename: req.file.originalname, mime: blob.mime });
+
+  // LLM se c'è OPENAI_API_KEY, altrimenti (o se fallisce) estrattore a regole
+  const extracted  = await extractFields(ocr.text, { openai });
+  const confidence = Math.min(extracted.confidence_overall ?? 0, ocr.confidence ?? 1);
+  const validation = validateAgainstWorker(extracted, worker);
+
+  const warnings = [ocr.error, ocr.warning].filter(Boolean);
+  if (!ocr.text.trim()) warnings.push("nessun testo riconosciuto");
+  if (validation.mismatches.includes("cf"))   warnings.push(`Codice fiscale diverso da quello del lavoratore (${worker.cf})`);
+  if (validation.mismatches.includes("name")) warnings.push(`Nominativo diverso da quello del lavoratore (${worker.name})`);
+
+  // Il documento resta "pending" finché qualcuno con APPROVE_DOCS non lo approva
+  const body = req.body || {};
+  const document = {
+    id: "DOC-" + nanoid(6).toUpperCase(),
+    worker_id: worker.id,
+    type: normalizeDocType(body.doc_type) || extracted.doc_type || null,
+    status: "pending",
+    version: null,
+    current: false,
+    file: null,
+    file_id: null,
+    original_name: req.file.originalname,
+    mime: blob.mime,
+    size: blob.size,
+    issue_date:  body.issue_date  || extracted.issue_date  || null,
+    expiry_date: body.expiry_date || extracted.expiry_date || null,
+    extracted,
+    confidence,
+    validation,
+    uploaded_by: req.user.id,
+    uploaded_at: new Date().toISOString(),
+    reviewed_by: null,
+    reviewed_at: null,
+    reject_reason: null
+  };
+  await db.tx(async t => {
+    const f = await registerFile(t, blob, { access: FILE_ACCESS.workerDoc(worker.id), by: req.user.id });
+    Object.assign(document, { file: filePath(f), file_id: f.id });
+    // Stesso file già caricato per il lavoratore: si registra comunque, ma lo si segnala
+    const previous = f.duplicate && await t.documents.find(d => d.file_id === f.id);
+    if (previous) warnings.push(`File identico già caricato (${previous.id}, ${previous.status})`);
+    await t.documents.insert(document);
+    await audit(t, req, { action: "document.upload", entity: "document", entity_id: document.id,
+                          site_ids: await workerSiteIds(t, worker.id), after: document, note: worker.id });
+  });
+
+  res.json({
+    ok: true,
+    document,
+    file: document.file,
+    url:  fileUrl(req, document.file_id),
+    ocr:  ocr.text,
+    ocr_provider: ocr.provider,
+    extracted,
+    confidence,
+    validation,
+    warnings
+  });
+});
 
-    const ocrText = `OCR from: ${req.file.originalname}`;
+/* -------------------- Revisione documenti (APPROVE_DOCS) -------------------- */
+// Un documento appartiene a un lavoratore: lo revisiona chi ha APPROVE_DOCS su almeno
+// uno dei cantieri a cui il lavoratore è assegnato (o REVIEW_DOCS a livello aziendale).
+const documentWorker = async req => (await db.documents.get(req.params.id))?.worker_id;
 
-    let extracted = {};
-    let confidence = 0.7;
+function filterDocuments(list, q = {}) {
+  return list
+    .filter(d => !q.status || d.status === q.status)
+    .filter(d => !q.type || d.type === q.type)
+    .sort((a, b) => (b.uploaded_at || "").localeCompare(a.uploaded_at || ""));
+}
 
-    if (openai) {
-      const prompt = `
-Estrai i seguenti campi dal testo OCR. Rispondi SOLO in JSON:
-{
-  "doc_type": "visita_medica | formazione_generale | formazione_specifica | alto_rischio | antincendio | primo_soccorso | dpi | tesserino | preposto | rls | altro",
-  "holder_name": "string",
-  "cf": "string|null",
-  "issue_date": "YYYY-MM-DD|null",
-  "expiry_date": "YYYY-MM-DD|null",
-  "confidence_overall": 0.0-1.0
-}
-TESTO:
-"""${ocrText}"""
-      `.trim();
-
-      try {
-        const out = await openai.chat.completions.create({
-          model: "gpt-4o-mini",
-          temperature: 0,
-          messages: [{ role: "user", content: prompt }]
-        });
-        const txt = out.choices?.[0]?.message?.content || "{}";
-        extracted = JSON.parse(txt);
-        confidence = extracted.confidence_overall ?? 0.7;
-      } catch {
-        extracted = {};
-      }
+app.get("/api/documents/:id", allow.worker("VIEW_WORKERS", "APPROVE_DOCS", documentWorker), async (req, res) => {
+  const d = await db.documents.get(req.params.id);
+  if (!d) return res.status(404).json({ ok:false, error:"not found" });
+  res.json({ ...d, url: fileUrl(req, d.file_id) });
+});
+
+// Tutte le versioni (anche superate e rifiutate); ?status= & ?type=
+app.get("/api/workers/:id/documents", allow.worker("VIEW_WORKERS", "APPROVE_DOCS"), async (req, res) => {
+  const list = await db.documents.filter(d => d.worker_id === req.params.id);
+  res.json(filterDocuments(list, req.query));
+});
+
+app.get("/api/workers/:id/documents/pending", allow.worker("VIEW_WORKERS", "APPROVE_DOCS"), async (req, res) => {
+  const list = await db.documents.filter(d => d.worker_id === req.params.id);
+  res.json(filterDocuments(list, { status: "pending" }));
+});
+
+app.get("/api/sites/:id/documents/pending", allow.site("APPROVE_DOCS"), async (req, res) => {
+  const ids = req.site.workers || [];
+  const list = await db.documents.filter(d => ids.includes(d.worker_id));
+  res.json(filterDocuments(list, { status: "pending" }));
+});
+
+// Body opzionale: { type, issue_date, expiry_date, no_expiry } per correggere i dati estratti
+app.post("/api/documents/:id/approve", allow.worker("REVIEW_DOCS", "APPROVE_DOCS", documentWorker), async (req, res) => {
+  const body = req.body || {};
+  const out = await db.tx(async t => {
+    const d = await t.documents.get(req.params.id);
+    if (!d) throw httpError(404, "not found");
+    if (d.status !== "pending") throw httpError(409, `documento già ${d.status}`);
+
+    const type = normalizeDocType(body.type) || d.type;
+    if (!DOC_TYPES[type]) throw httpError(400, "tipo documento non valido");
+    const expiry = body.expiry_date ?? d.expiry_date;
+    const value = approvedDocValue(type, expiry, { noExpiry: !!body.no_expiry });
+    if (value === null) throw httpError(400, "expiry_date required");
+
+    const w = await t.workers.get(d.worker_id);
+    if (!w) throw httpError(404, "worker not found");
+
+    // La versione precedente resta nello storico, marcata come superata
+    const previous = await t.documents.filter(x => x.worker_id === d.worker_id && x.type === type && x.status === "approved");
+    for (const p of previous.filter(x => x.current)) {
+      await t.documents.put({ ...p, current: false, superseded_by: d.id });
     }
 
-    res.json({
-      ok: true,
-      file: `/uploads/${req.file.filename}`,
-      url:  `${req.protocol}://${req.get("host")}/uploads/${req.file.filename}`,
-      ocr:  ocrText,
-      extracted,
-      confidence
+    Object.assign(d, {
+      type,
+      issue_date: body.issue_date ?? d.issue_date,
+      expiry_date: expiry || null,
+      status: "approved",
+      version: Math.max(0, ...previous.map(x => x.version || 0)) + 1,
+      current: true,
+      reviewed_by: req.user.id,
+      reviewed_at: new Date().toISOString()
     });
-  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+    const before = { status: "pending", docs: { [type]: w.docs?.[type] ?? null } };
+    w.docs = { ...(w.docs || {}), [type]: value };
+    await audit(t, req, { action: "document.approve", entity: "document", entity_id: d.id,
+                          site_ids: await workerSiteIds(t, w.id), before,
+                          after: { status: "approved", docs: { [type]: w.docs[type] } }, note: w.id });
+
+    return { document: await t.documents.put(d), worker: await t.workers.put(w) };
+  });
+  res.json({ ok:true, ...out });
 });
 
-/* -------------------- POS (PDF) -------------------- */
-app.post("/api/pos", async (req, res) => {
-  try {
-    const { site, workers } = req.body || {};
-    if (!site?.name) return res.status(400).json({ ok: false, error: "site required" });
-
-    const company  = await readJson(COMPANY_FILE);
-    const filename = `POS_${site.id || "SITE"}_${new Date().toISOString().replace(/[:.]/g, "-")}.pdf`;
-    const outPath  = path.join(GENERATED_DIR, filename);
-
-    const doc = new PDFDocument({ size: "A4", margin: 40 });
-    const stream = fs.createWriteStream(outPath);
-    doc.pipe(stream);
-
-    doc.fontSize(18).text("Piano Operativo di Sicurezza (POS)", { align: "center" }).moveDown();
-
-    // 1) Impresa
-    doc.fontSize(12).text("1) Identificazione impresa", { underline: true });
-    doc.text(`Impresa: ${company.name || '—'} – P.IVA ${company.vat || '—'}`);
-    doc.text(`Sede: ${company.address || '—'}`);
-    doc.text(`Legale Rappresentante: ${company.legal_rep || '—'}`);
-    doc.moveDown();
-
-    // 2) Cantiere
-    doc.text("2) Descrizione cantiere", { underline: true });
-    doc.text(`Indirizzo: ${site.address || '—'}`);
-    doc.text(`Committente: ${site.client || '—'}`);
-    const start = site.dates?.start || '';
-    const end   = site.dates?.end   || '';
-    const dur   = site.meta?.duration_days || '—';
-    doc.text(`Durata: ${start} → ${end} (${dur} gg)`);
-    doc.moveDown();
-
-    // 3) Organizzazione sicurezza
-    doc.text("3) Organizzazione sicurezza", { underline: true });
-    doc.text(`CSE: ${site.cse?.name || '—'} – ${site.cse?.email || '—'}`);
-    doc.text(`RSPP: ${company.rspp?.name || '—'} – ${company.rspp?.email || '—'}`);
-    const preposto = (workers||[]).find(w => w.docs?.preposto);
-    const rls      = (workers||[]).find(w => w.docs?.rls);
-    doc.text(`Preposto: ${preposto?.name || '—'}`);
-    doc.text(`RLS: ${rls?.name || '—'}`);
-    doc.moveDown();
-
-    // 4) Elenco lavoratori
-    doc.text("4) Elenco lavoratori", { underline: true });
-    (workers || []).forEach((w, i) => {
-      const idoneita = w.docs?.visita_medica ? 'Idoneo' : '—';
-      const gen = w.docs?.corso_generale ? 'OK' : '—';
-      const spec= w.docs?.corso_specifica_fs ? 'OK' : '—';
-      const dpi = w.docs?.dpi_consegna ? 'OK' : '—';
-      doc.text(`- ${w.name} (${w.role || 'Operaio'}) — Idoneità: ${idoneita}, Gen: ${gen}, Spec: ${spec}, DPI: ${dpi}`);
-      if (i && i % 30 === 0) doc.addPage();
-    });
-    doc.moveDown();
-
-    // Placeholder
-    doc.text("5) Macchinari e attrezzature — da completare", { underline: true }).moveDown();
-    doc.text("6) Procedure operative — da completare", { underline: true }).moveDown();
-    doc.text("7) Valutazione rischi specifici — da completare", { underline: true }).moveDown();
-    doc.text("8) Misure di prevenzione e protezione — da completare", { underline: true }).moveDown();
-    doc.text("9) Piano di emergenza — da completare", { underline: true }).moveDown();
-    doc.text("10) Cronoprogramma POS — da completare", { underline: true });
-
-    doc.end();
-    await new Promise(resolve => stream.on("finish", resolve));
-
-    res.json({
-      ok: true,
-      file: `/generated/${filename}`,
-      url:  `${req.protocol}://${req.get("host")}/generated/${filename}`
+app.post("/api/documents/:id/reject", allow.worker("REVIEW_DOCS", "APPROVE_DOCS", documentWorker), async (req, res) => {
+  const reason = (req.body?.reason || "").trim();
+  if (!reason) return res.status(400).json({ ok:false, error:"reason required" });
+
+  const document = await db.tx(async t => {
+    const d = await t.documents.get(req.params.id);
+    if (!d) throw httpError(404, "not found");
+    if (d.status !== "pending") throw httpError(409, `documento già ${d.status}`);
+    await audit(t, req, { action: "document.reject", entity: "document", entity_id: d.id,
+                          site_ids: await workerSiteIds(t, d.worker_id), before: { status: d.status },
+                          after: { status: "rejected" }, note: reason });
+    return t.documents.put({
+      ...d,
+      status: "rejected",
+      reject_reason: reason,
+      reviewed_by: req.user.id,
+      reviewed_at: new Date().toISOString()
     });
-  } catch (e) { res.status(500).json({ ok: false, error: e.message }); }
+  });
+  res.json({ ok:true, document });
 });
 
-/* -------------------- SEED (demo, opzionale) -------------------- */
-// Esegui UNA VOLTA per popolare company/sites/workers con dati demo.
-// Puoi rimuovere questa route dopo la demo.
-app.all("/api/seed", async (req, res) => {
-  try {
-    const company = {
-      name: "Pavi Servizi S.A.S.",
-      vat: "IT02634910182",
-      address: "Via Gravellone 11, San Martino Siccomario (PV)",
-      legal_rep: "Nildo Jauregui",
-      rspp: { name: "Ing. Marco RSPP", email: "marco.rsp@paviservizi.it" }
+/* -------------------- Imprese e idoneità tecnico-professionale -------------------- */
+// Anagrafica delle imprese (affidataria, subappaltatrici, autonomi) con i documenti dell'Allegato XVII.
+// L'impresa del gestionale (own) nasce dal profilo aziendale e non si cancella.
+const COMPANY_FIELDS = ["name", "vat", "cf", "type", "address", "legal_rep", "email", "phone"];
+
+function ownCompanyRecord(company, id) {
+  return {
+    id, own: true, type: "impresa",
+    name: company.name || "Impresa", vat: company.vat ? normVat(company.vat) : null, cf: null,
+    address: company.address || null, legal_rep: company.legal_rep || null, email: null, phone: null,
+    docs: {}, documents: [], created_at: new Date().toISOString()
+  };
+}
+
+async function companyDetail(c, q = {}) {
+  const sites = (await db.sites.filter(s => (s.companies || []).some(e => e.company_id === c.id)))
+    .map(s => ({ id: s.id, name: s.name, role: s.companies.find(e => e.company_id === c.id).role }));
+  const workers = (await db.workers.filter(w => w.company_id === c.id)).length;
+  return { ...c, itp: companyItp(c, complianceOpts(q)), workers, sites };
+}
+
+// ?status=compliant|expiring|non_compliant (ITP) & ?at= & ?days=
+app.get("/api/companies", allow.company("VIEW_COMPANY"), async (req, res) => {
+  const list = (await db.companies.all()).map(c => ({ ...c, itp: companyItp(c, complianceOpts(req.query)) }));
+  res.json(req.query.status ? list.filter(c => c.itp.status === req.query.status) : list);
+});
+
+app.get("/api/companies/:id", allow.company("VIEW_COMPANY"), async (req, res) => {
+  const c = await db.companies.get(req.params.id);
+  if (!c) return res.status(404).json({ ok:false, error:"not found" });
+  res.json(await companyDetail(c, req.query));
+});
+
+app.post("/api/companies", allow.company("EDIT_COMPANIES"), async (req, res) => {
+  const body = req.body || {};
+  const errors = validateCompany(body);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+  const company = await db.tx(async t => {
+    const vat = normVat(body.vat);
+    if (await t.companies.find(c => c.vat === vat)) throw httpError(409, `Partita IVA già registrata: ${vat}`);
+    const c = { id: "IMP-" + nanoid(4).toUpperCase(), own: false, docs: {}, documents: [] };
+    for (const k of COMPANY_FIELDS) c[k] = body[k] ?? null;
+    Object.assign(c, { vat, type: body.type || "impresa", created_by: req.user.id, created_at: new Date().toISOString() });
+    await t.companies.insert(c);
+    await audit(t, req, { action: "company.create", entity: "company", entity_id: c.id, after: c });
+    return c;
+  });
+  res.json({ ok: true, company });
+});
+
+app.patch("/api/companies/:id", allow.company("EDIT_COMPANIES"), async (req, res) => {
+  const body = req.body || {};
+  const company = await db.tx(async t => {
+    const before = await t.companies.get(req.params.id);
+    if (!before) throw httpError(404, "not found");
+    const next = { ...before };
+    for (const k of COMPANY_FIELDS) if (body[k] !== undefined) next[k] = body[k];
+    const errors = validateCompany(next);
+    if (errors.length) throw httpError(400, "dati non validi", { errors });
+    next.vat = normVat(next.vat);
+    if (await t.companies.find(c => c.vat === next.vat && c.id !== before.id)) throw httpError(409, `Partita IVA già registrata: ${next.vat}`);
+    if (next.type !== before.type && (await t.sites.all()).some(s => (s.companies || []).some(e => e.company_id === before.id))) {
+      throw httpError(409, "Impresa presente in cantiere: il tipo non si può cambiare");
+    }
+    await t.companies.put(next);
+    await audit(t, req, { action: "company.update", entity: "company", entity_id: next.id, before, after: next });
+    return next;
+  });
+  res.json({ ok: true, company });
+});
+
+app.delete("/api/companies/:id", allow.company("EDIT_COMPANIES"), async (req, res) => {
+  await db.tx(async t => {
+    const c = await t.companies.get(req.params.id);
+    if (!c) throw httpError(404, "not found");
+    if (c.own) throw httpError(409, "L'impresa del gestionale non si può eliminare");
+    const sites = (await t.sites.filter(s => (s.companies || []).some(e => e.company_id === c.id))).map(s => s.id);
+    if (sites.length) throw httpError(409, "Impresa presente in cantiere", { sites });
+    const workers = (await t.workers.filter(w => w.company_id === c.id)).map(w => w.id);
+    if (workers.length) throw httpError(409, "Impresa con lavoratori registrati", { workers });
+    await t.companies.remove(c.id);
+    await audit(t, req, { action: "company.delete", entity: "company", entity_id: c.id, before: c });
+  });
+  res.json({ ok: true });
+});
+
+/* ---- Documenti ITP ---- */
+// Multipart o JSON: { doc, expiry_date | issue_date, file? }. DURC e visura: dalla data di rilascio
+// la scadenza si calcola (120 e 180 giorni); i documenti senza scadenza valgono come consegnati
+app.post("/api/companies/:id/docs", allow.company("EDIT_COMPANIES"), upload.single("file"), async (req, res) => {
+  const body = req.body || {};
+  const { value, issue_date, errors } = itpDocValue(body);
+  if (errors) return res.status(400).json({ ok: false, errors });
+  const blob = req.file ? await saveUpload(req.file, "documents") : null;
+  const out = await db.tx(async t => {
+    const c = await t.companies.get(req.params.id);
+    if (!c) throw httpError(404, "not found");
+    const f = blob && await registerFile(t, blob, { access: FILE_ACCESS.companyDoc(), by: req.user.id });
+    const document = {
+      doc: body.doc,
+      value,
+      issue_date,
+      file: f ? filePath(f) : null,
+      file_id: f?.id || null,
+      original_name: req.file?.originalname || null,
+      notes: body.notes || "",
+      uploaded_by: req.user.id,
+      uploaded_at: new Date().toISOString()
     };
-    await writeJson(COMPANY_FILE, company);
-
-    const workers = [
-      {
-        id: "DIP-0001",
-        name: "Mario Rossi",
-        cf: "RSSMRA80A01H501U",
-        role: "Operaio",
-        docs: {
-          visita_medica: "2026-05-20",
-          corso_generale: "2029-09-01",
-          corso_specifica_fs: "2029-09-01",
-          dpi_consegna: true,
-          tesserino: true,
-          preposto: true,
-          antincendio: "2027-02-01",
-          ps: "2027-02-01"
-        }
-      },
-      {
-        id: "DIP-0002",
-        name: "Giuseppe Verdi",
-        cf: "VRDGPP85B12H501S",
-        role: "Operaio",
-        docs: {
-          visita_medica: "2026-01-15",
-          corso_generale: "2028-05-10",
-          corso_specifica_fs: "2028-05-10",
-          dpi_consegna: true,
-          tesserino: true,
-          antincendio: "2027-08-01"
-        }
-      }
-    ];
-    await writeJson(WORKERS_FILE, workers);
-
-    const sites = [
-      {
-        id: "CNT-0001",
-        name: "Cantiere Sede Cliente Verdi – Piano 3",
-        address: "Via Roma 12, Bologna",
-        client: "Cliente Verdi Srl",
-        dates: { start: "2025-11-01", end: "2026-03-31" },
-        cse: { name: "Laura Bianchi", email: "laura.bianchi@uffici.co" },
-        workers: ["DIP-0001","DIP-0002"],
-        roles: [{ user_id: "USR-0001", role: "owner" }],
-        meta: { duration_days: 150 }
-      },
-      {
-        id: "CNT-0002",
-        name: "Ristrutturazione Uffici – Lotto B",
-        address: "Via Milano 45, Modena",
-        client: "Uffici & Co.",
-        dates: { start: "2025-10-15", end: "2026-02-28" },
-        cse: { name: "Laura Bianchi", email: "laura.bianchi@uffici.co" },
-        workers: ["DIP-0001"],
-        roles: [{ user_id: "USR-0001", role: "owner" }],
-        meta: { duration_days: 136 }
-      }
-    ];
-    await writeJson(SITES_FILE, sites);
+    const before = { docs: { [body.doc]: c.docs?.[body.doc] ?? null } };
+    const next = { ...c, docs: { ...(c.docs || {}), [body.doc]: value }, documents: [...(c.documents || []), document] };
+    await t.companies.put(next);
+    await audit(t, req, { action: "company.doc", entity: "company", entity_id: c.id, before,
+                          after: { docs: { [body.doc]: value } }, note: ITP_DOCS[body.doc].label });
+    return { company: next, document };
+  });
+  res.json({ ok: true, ...out, url: fileUrl(req, out.document.file_id), itp: companyItp(out.company) });
+});
 
-    res.json({ ok: true, company, workersCount: workers.length, sitesCount: sites.length });
-  } catch (e) {
-    res.status(500).json({ ok:false, error: e.message });
-  }
+// Il documento torna mancante; lo storico resta in company.documents
+app.delete("/api/companies/:id/docs/:doc", allow.company("EDIT_COMPANIES"), async (req, res) => {
+  const company = await db.tx(async t => {
+    const c = await t.companies.get(req.params.id);
+    if (!c) throw httpError(404, "not found");
+    if (c.docs?.[req.params.doc] === undefined) throw httpError(404, "documento non presente");
+    const { [req.params.doc]: removed, ...docs } = c.docs;
+    await t.companies.put({ ...c, docs });
+    await audit(t, req, { action: "company.doc_remove", entity: "company", entity_id: c.id,
+                          before: { docs: { [req.params.doc]: removed } }, after: { docs: { [req.params.doc]: null } } });
+    return { ...c, docs };
+  });
+  res.json({ ok: true, company, itp: companyItp(company) });
 });
 
-/* -------------------- Capability check -------------------- */
-app.get("/api/can", async (req,res)=>{
-  const action = req.query.action;
-  const siteId  = req.query.site;
-  const allowed = await req.can(action, siteId);
-  res.json({ ok: true, can: allowed });
+app.get("/api/companies/:id/itp", allow.company("VIEW_COMPANY"), async (req, res) => {
+  const c = await db.companies.get(req.params.id);
+  if (!c) return res.status(404).json({ ok:false, error:"not found" });
+  res.json({ ok: true, ...companyItp(c, complianceOpts(req.query)) });
 });
 
-/* -------------------- Boot -------------------- */
-const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => {
-  console.log("kanthera backend on", PORT);
+/* -------------------- Macchine e attrezzature -------------------- */
+// Registro aziendale (lib/equipment.js): anagrafica, verifiche periodiche, manutenzioni e operatori abilitati.
+// Le assegnazioni ai cantieri stanno nell'attrezzatura: un'attrezzatura è in un solo cantiere per volta.
+// Attrezzature del cantiere alla data ?at (default oggi), operatori tra i lavoratori assegnati
+async function siteEquipmentList(site, q = {}) {
+  const opts = complianceOpts(q), day = opts.today || new Date().toISOString().slice(0, 10);
+  return siteEquipment(site, await db.equipment.all(), { workers: await siteWorkers(site), opts, day });
+}
+
+async function equipmentDetail(req, eq) {
+  const opts = complianceOpts(req.query);
+  const workers = await db.workers.filter(w => (eq.operators || []).includes(w.id));
+  const sites = await db.sites.filter(s => (eq.assignments || []).some(a => a.site_id === s.id));
+  return {
+    ...eq,
+    type_label: EQUIPMENT_TYPES[eq.type]?.label || eq.type,
+    inspection_status: inspectionStatus(eq, opts),
+    operator_checks: workers.map(w => operatorCheck(eq, w, opts)),
+    maintenance: (eq.maintenance || []).map(m => ({ ...m, url: fileUrl(req, m.file_id) })),
+    assignments: (eq.assignments || []).map(a => ({
+      ...a, site_name: sites.find(s => s.id === a.site_id)?.name || null, active: activeOn(a, opts.today || new Date().toISOString().slice(0, 10))
+    }))
+  };
+}
+
+// ?type= & ?status= & ?site= (assegnate oggi o a ?at) & ?inspection=ok|expiring|overdue|missing|not_required
+app.get("/api/equipment", allow.anySite("VIEW_COMPANY", "MANAGE_SITE_EQUIPMENT"), async (req, res) => {
+  const opts = complianceOpts(req.query), day = opts.today || new Date().toISOString().slice(0, 10);
+  const { type, status, site, inspection } = req.query;
+  const list = (await db.equipment.all())
+    .filter(e => (!type || e.type === type) && (!status || e.status === status))
+    .filter(e => !site || (e.assignments || []).some(a => a.site_id === site && activeOn(a, day)))
+    .map(e => ({ ...e, type_label: EQUIPMENT_TYPES[e.type]?.label || e.type, inspection_status: inspectionStatus(e, opts) }))
+    .filter(e => !inspection || e.inspection_status.status === inspection);
+  res.json(list.sort((a, b) => a.name.localeCompare(b.name)));
+});
+
+app.get("/api/equipment/types", allow.authenticated(), (req, res) => {
+  res.json({ categories: EQUIPMENT_CATEGORIES, types: EQUIPMENT_TYPES, maintenance_kinds: MAINTENANCE_KINDS });
+});
+
+app.get("/api/equipment/:id", allow.anySite("VIEW_COMPANY", "MANAGE_SITE_EQUIPMENT"), async (req, res) => {
+  const eq = await db.equipment.get(req.params.id);
+  if (!eq) return res.status(404).json({ ok:false, error:"not found" });
+  res.json(await equipmentDetail(req, eq));
+});
+
+// company_id: impresa proprietaria (default l'impresa del gestionale)
+app.post("/api/equipment", allow.company("EDIT_EQUIPMENT"), async (req, res) => {
+  const body = req.body || {};
+  const errors = validateEquipment(body);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+  const equipment = await db.tx(async t => {
+    const owner = body.company_id ? await t.companies.get(body.company_id) : await t.companies.find(c => c.own);
+    if (body.company_id && !owner) throw httpError(404, "company not found");
+    const eq = {
+      id: "ATT-" + nanoid(4).toUpperCase(),
+      ...normalizeEquipment({ ...body, company_id: owner?.id || null }),
+      created_by: req.user.id,
+      created_at: new Date().toISOString()
+    };
+    if (eq.serial && await t.equipment.find(e => e.serial === eq.serial && e.type === eq.type)) {
+      throw httpError(409, `Matricola già registrata: ${eq.serial}`);
+    }
+    await t.equipment.insert(eq);
+    await audit(t, req, { action: "equipment.create", entity: "equipment", entity_id: eq.id, after: eq });
+    return eq;
+  });
+  res.json({ ok: true, equipment });
 });
+
+// Manutenzioni, operatori e assegnazioni hanno le loro route
+app.patch("/api/equipment/:id", allow.company("EDIT_EQUIPMENT"), async (req, res) => {
+  const body = req.body || {};
+  const errors = validateEquipment(body, { partial: true });
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+  const equipment = await db.tx(async t => {
+    const before = await t.equipment.get(req.params.id);
+    if (!before) throw httpError(404, "not found");
+    if (body.company_id && !(await t.companies.get(body.company_id))) throw httpError(404, "company not found");
+    const { maintenance, operators, assignments, ...fields } = body;
+    const next = normalizeEquipment(fields, before);
+    if (next.serial && await t.equipment.find(e => e.serial === next.serial && e.type === next.type && e.id !== before.id)) {
+      throw httpError(409, `Matricola già registrata: ${next.serial}`);
+    }
+    await t.equipment.put(next);
+    await audit(t, req, { action: "equipment.update", entity: "equipment", entity_id: next.id,
+                          site_ids: [...new Set(next.assignments.map(a => a.site_id))], before, after: next });
+    return next;
+  });
+  res.json({ ok: true, equipment });
+});
+
+// Con assegnazioni a registro si dismette (status "disposed"): lo storico dei cantieri resta
+app.delete("/api/equipment/:id", allow.company("EDIT_EQUIPMENT"), async (req, res) => {
+  await db.tx(async t => {
+    const eq = await t.equipment.get(req.params.id);
+    if (!eq) throw httpError(404, "not found");
+    const sites = [...new Set((eq.assignments || []).map(a => a.site_id))];
+    if (sites.length) throw httpError(409, "Attrezzatura assegnata a cantieri: impostare status disposed", { sites });
+    await t.equipment.remove(eq.id);
+    await audit(t, req, { action: "equipment.delete", entity: "equipment", entity_id: eq.id, before: eq });
+  });
+  res.json({ ok: true });
+});
+
+/* ---- Verifiche e manutenzioni ---- */
+// Multipart o JSON: { date, kind, description, provider, outcome (verifica_periodica), next_due, file? }
+app.post("/api/equipment/:id/maintenance", allow.company("EDIT_EQUIPMENT"), upload.single("file"), async (req, res) => {
+  const body = req.body || {};
+  const errors = validateMaintenance(body);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+  const blob = req.file ? await saveUpload(req.file, "documents") : null;
+  const out = await db.tx(async t => {
+    const eq = await t.equipment.get(req.params.id);
+    if (!eq) throw httpError(404, "not found");
+    const f = blob && await registerFile(t, blob, { access: FILE_ACCESS.equipment(), by: req.user.id });
+    const entry = {
+      id: "MNT-" + nanoid(6).toUpperCase(),
+      date: body.date,
+      kind: body.kind,
+      description: body.description || "",
+      provider: body.provider || null,
+      outcome: body.outcome || null,
+      next_due: body.next_due || null,
+      file: f ? filePath(f) : null,
+      file_id: f?.id || null,
+      original_name: req.file?.originalname || null,
+      by: req.user.id,
+      at: new Date().toISOString()
+    };
+    const next = applyMaintenance(eq, entry);
+    await t.equipment.put(next);
+    await audit(t, req, { action: "equipment.maintenance", entity: "equipment", entity_id: eq.id,
+                          site_ids: [...new Set((eq.assignments || []).map(a => a.site_id))],
+                          before: { status: eq.status, inspection: eq.inspection }, after: { status: next.status, inspection: next.inspection, entry },
+                          note: MAINTENANCE_KINDS[entry.kind] });
+    return { equipment: next, entry };
+  });
+  res.json({ ok: true, ...out, url: fileUrl(req, out.entry.file_id), inspection: inspectionStatus(out.equipment) });
+});
+
+/* ---- Operatori abilitati ---- */
+// L'abilitazione si controlla sul registro formazione (worker.docs): senza attestato valido 409
+app.post("/api/equipment/:id/operators", allow.company("EDIT_EQUIPMENT"), async (req, res) => {
+  const workerId = req.body?.worker_id;
+  const out = await db.tx(async t => {
+    const eq = await t.equipment.get(req.params.id);
+    if (!eq) throw httpError(404, "not found");
+    const w = workerId && await t.workers.get(workerId);
+    if (!w) throw httpError(404, "worker not found");
+    if ((eq.operators || []).includes(w.id)) throw httpError(409, "Operatore già abilitato per questa attrezzatura");
+    const check = operatorCheck(eq, w, complianceOpts(req.query));
+    if (check.status === "not_qualified") {
+      throw httpError(409, `${w.name}: manca ${check.doc_label} valida`, { code: "not_qualified", check });
+    }
+    const next = { ...eq, operators: [...(eq.operators || []), w.id] };
+    await t.equipment.put(next);
+    await audit(t, req, { action: "equipment.operator_add", entity: "equipment", entity_id: eq.id,
+                          site_ids: await workerSiteIds(t, w.id), after: { worker_id: w.id, check }, note: w.name });
+    return { equipment: next, check };
+  });
+  res.json({ ok: true, ...out });
+});
+
+app.delete("/api/equipment/:id/operators/:worker_id", allow.company("EDIT_EQUIPMENT"), async (req, res) => {
+  const equipment = await db.tx(async t => {
+    const eq = await t.equipment.get(req.params.id);
+    if (!eq || !(eq.operators || []).includes(req.params.worker_id)) throw httpError(404, "not found");
+    const next = { ...eq, operators: eq.operators.filter(id => id !== req.params.worker_id) };
+    await t.equipment.put(next);
+    await audit(t, req, { action: "equipment.operator_remove", entity: "equipment", entity_id: eq.id,
+                          site_ids: await workerSiteIds(t, req.params.worker_id), before: { worker_id: req.params.worker_id } });
+    return next;
+  });
+  res.json({ ok: true, equipment });
+});
+
+/* ---- Attrezzature in cantiere ---- */
+// ?at=YYYY-MM-DD: active indica le assegnazioni in corso alla data; summary come nella compliance
+app.get("/api/sites/:id/equipment", allow.site("VIEW_SITE"), async (req, res) => {
+  const items = await siteEquipmentList(req.site, req.query);
+  res.json({ ok: true, site_id: req.site.id, items, summary: equipmentSummary(items) });
+});
+
+// In servizio e con la verifica periodica in regola, per assegnarla o tenerla in cantiere
+function assertAssignable(eq) {
+  if (eq.status !== "active") throw httpError(409, `${eq.name}: attrezzatura non in servizio`, { code: "equipment_out_of_service" });
+  const inspection = inspectionStatus(eq);
+  if (inspectionBlocks(inspection)) {
+    throw httpError(409, `${eq.name}: verifica periodica ${inspection.status === "missing" ? "non registrata" : "scaduta"}`,
+                    { code: "inspection_overdue", inspection });
+  }
+}
+
+// { equipment_id, from (default oggi), to (vuoto = fino a revoca) }. Non si assegna un'attrezzatura
+// fuori servizio, con la verifica periodica scaduta o già in un altro cantiere nelle stesse date
+app.post("/api/sites/:id/equipment", allow.site("MANAGE_SITE_EQUIPMENT"), async (req, res) => {
+  assertEditable(req.site);
+  const body = req.body || {};
+  const range = { from: body.from || new Date().toISOString().slice(0, 10), to: body.to || null };
+  const errors = validateAssignment(range);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+  const out = await db.tx(async t => {
+    const eq = await t.equipment.get(body.equipment_id);
+    if (!eq) throw httpError(404, "equipment not found");
+    assertAssignable(eq);
+    const busy = conflictingAssignment(eq, range);
+    if (busy) throw httpError(409, `${eq.name}: già assegnata nelle stesse date`, { code: "equipment_busy", assignment: busy });
+    const assignment = { id: "ASG-" + nanoid(6).toUpperCase(), site_id: req.site.id, ...range,
+                         added_by: req.user.id, added_at: new Date().toISOString() };
+    const next = { ...eq, assignments: [...(eq.assignments || []), assignment] };
+    await t.equipment.put(next);
+    await audit(t, req, { action: "site.equipment_add", entity: "equipment", entity_id: eq.id, site_ids: [req.site.id],
+                          after: assignment, note: eq.name });
+    return { equipment: next, assignment };
+  });
+  // Avviso (non blocca): nessun lavoratore del cantiere è abilitato a usarla
+  const [item] = siteEquipment(req.site, [out.equipment], { workers: await siteWorkers(req.site), day: range.from })
+    .filter(e => e.assignment.id === out.assignment.id);
+  const warnings = equipmentSummary([{ ...item, active: true }]).no_qualified_operator.length
+    ? [`${out.equipment.name}: nessun operatore abilitato tra i lavoratori del cantiere`] : [];
+  res.json({ ok: true, assignment: out.assignment, item, warnings });
+});
+
+app.patch("/api/sites/:id/equipment/:assignment_id", allow.site("MANAGE_SITE_EQUIPMENT"), async (req, res) => {
+  assertEditable(req.site);
+  const body = req.body || {};
+  const assignment = await db.tx(async t => {
+    const eq = await t.equipment.find(e => (e.assignments || []).some(a => a.id === req.params.assignment_id && a.site_id === req.site.id));
+    if (!eq) throw httpError(404, "not found");
+    const before = eq.assignments.find(a => a.id === req.params.assignment_id);
+    const after = { ...before, from: body.from ?? before.from, to: body.to !== undefined ? body.to || null : before.to };
+    const errors = validateAssignment(after);
+    if (errors.length) throw httpError(400, "dati non validi", { errors });
+    // Chiudere l'assegnazione entro oggi è sempre possibile; prolungarla no, se l'attrezzatura non è in regola
+    if (!after.to || after.to > new Date().toISOString().slice(0, 10)) assertAssignable(eq);
+    const busy = conflictingAssignment(eq, after, before.id);
+    if (busy) throw httpError(409, `${eq.name}: già assegnata nelle stesse date`, { code: "equipment_busy", assignment: busy });
+    await t.equipment.put({ ...eq, assignments: eq.assignments.map(a => (a.id === before.id ? after : a)) });
+    await audit(t, req, { action: "site.equipment_update", entity: "equipment", entity_id: eq.id, site_ids: [req.site.id],
+                          before, after, note: eq.name });
+    return after;
+  });
+  res.json({ ok: true, assignment });
+});
+
+// Per chiudere un'assegnazione si imposta "to"; la cancellazione toglie anche lo storico
+app.delete("/api/sites/:id/equipment/:assignment_id", allow.site("MANAGE_SITE_EQUIPMENT"), async (req, res) => {
+  assertEditable(req.site);
+  await db.tx(async t => {
+    const eq = await t.equipment.find(e => (e.assignments || []).some(a => a.id === req.params.assignment_id && a.site_id === req.site.id));
+    if (!eq) throw httpError(404, "not found");
+    const before = eq.assignments.find(a => a.id === req.params.assignment_id);
+    await t.equipment.put({ ...eq, assignments: eq.assignments.filter(a => a.id !== before.id) });
+    await audit(t, req, { action: "site.equipment_remove", entity: "equipment", entity_id: eq.id, site_ids: [req.site.id],
+                          before, note: eq.name });
+  });
+  res.json({ ok: true });
+});
+
+/* -------------------- Formazione -------------------- */
+// Catalogo: chi gestisce i lavoratori oppure chi ha VIEW_TRAINING su almeno un cantiere
+app.get("/api/courses", allow.anySite("VIEW_WORKERS", "VIEW_TRAINING"), async (req, res) => {
+  res.json(await db.courses.all());
+});
+
+app.get("/api/courses/:id", allow.anySite("VIEW_WORKERS", "VIEW_TRAINING"), async (req, res) => {
+  const c = await db.courses.get(req.params.id);
+  if (!c) return res.status(404).json({ ok:false, error:"not found" });
+  res.json(c);
+});
+
+app.post("/api/courses", allow.company("EDIT_COURSES"), async (req, res) => {
+  const errors = validateCourse(req.body || {});
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+  const c = normalizeCourse(req.body, { id: "CRS-" + nanoid(6).toUpperCase() });
+  await db.tx(async t => {
+    await t.courses.insert(c);
+    await audit(t, req, { action: "course.create", entity: "course", entity_id: c.id, after: c });
+  });
+  res.json(c);
+});
+
+// Le scadenze già calcolate nel registro non cambiano: valgono le regole in vigore al corso
+app.patch("/api/courses/:id", allow.company("EDIT_COURSES"), async (req, res) => {
+  const c = await db.tx(async t => {
+    const before = await t.courses.get(req.params.id);
+    if (!before) throw httpError(404, "not found");
+    const after = normalizeCourse(req.body || {}, before);
+    const errors = validateCourse(after);
+    if (errors.length) throw httpError(400, "dati non validi", { errors });
+    await t.courses.put(after);
+    await audit(t, req, { action: "course.update", entity: "course", entity_id: after.id, before, after });
+    return after;
+  });
+  res.json(c);
+});
+
+app.delete("/api/courses/:id", allow.company("EDIT_COURSES"), async (req, res) => {
+  await db.tx(async t => {
+    const before = await t.courses.get(req.params.id);
+    if (!before) throw httpError(404, "not found");
+    const used = await t.training.filter(r => r.course_id === before.id);
+    if (used.length) throw httpError(409, "Corso presente nel registro formazione", { records: used.length });
+    await t.courses.remove(before.id);
+    await audit(t, req, { action: "course.delete", entity: "course", entity_id: before.id, before });
+  });
+  res.json({ ok: true });
+});
+
+/* ---- Registro formazione del lavoratore ---- */
+app.get("/api/workers/:id/training", allow.worker("VIEW_WORKERS", "VIEW_TRAINING"), async (req, res) => {
+  const list = await db.training.filter(r => r.worker_id === req.params.id);
+  res.json(list.sort((a, b) => b.date.localeCompare(a.date)).map(r => ({ ...r, url: fileUrl(req, r.file_id) })));
+});
+
+// Attestato facoltativo (multipart "file"). Se il record è completo aggiorna worker.docs[course.doc]
+app.post("/api/workers/:id/training", allow.worker("EDIT_WORKERS", "MANAGE_SITE_WORKERS"), upload.single("file"), async (req, res) => {
+  const body = req.body || {};
+  const blob = req.file ? await saveUpload(req.file, "documents") : null;
+  const out = await db.tx(async t => {
+    const w = await t.workers.get(req.params.id);
+    if (!w) throw httpError(404, "worker not found");
+    const course = await t.courses.get(body.course_id);
+    const errors = validateRecord(body, course);
+    if (errors.length) throw httpError(400, "dati non validi", { errors });
+    // L'aggiornamento presuppone la formazione iniziale (a registro o già in docs)
+    const previous = await t.training.filter(r => r.worker_id === w.id && r.doc === course.doc && r.complete);
+    if (body.kind === "refresher" && !previous.length && !w.docs?.[course.doc]) {
+      throw httpError(409, `Manca la formazione iniziale: ${course.name}`);
+    }
+
+    const record = newRecord({ ...body, worker_id: w.id }, course, { id: "FRM-" + nanoid(6).toUpperCase(), by: req.user.id });
+    if (blob) {
+      const f = await registerFile(t, blob, { access: FILE_ACCESS.training(w.id), by: req.user.id });
+      Object.assign(record, { file: filePath(f), file_id: f.id, original_name: req.file.originalname });
+    }
+    await t.training.insert(record);
+
+    const before = { docs: { [course.doc]: w.docs?.[course.doc] ?? null } };
+    if (record.complete) {
+      w.docs = { ...(w.docs || {}), [course.doc]: mergeDocValue(w.docs?.[course.doc], docValueFrom([...previous, record])) };
+      await t.workers.put(w);
+    }
+    await audit(t, req, { action: "training.create", entity: "training", entity_id: record.id,
+                          site_ids: await workerSiteIds(t, w.id), before, after: { ...record, docs: { [course.doc]: w.docs?.[course.doc] ?? null } },
+                          note: `${w.id} ${course.name}` });
+    return { record, worker: w };
+  });
+  res.json({ ok: true, ...out });
+});
+
+// Se worker.docs veniva da questo record, si ricalcola dagli altri
+app.delete("/api/workers/:id/training/:record_id", allow.worker("EDIT_WORKERS", "MANAGE_SITE_WORKERS"), async (req, res) => {
+  const worker = await db.tx(async t => {
+    const w = await t.workers.get(req.params.id);
+    const record = await t.training.get(req.params.record_id);
+    if (!w || !record || record.worker_id !== w.id) throw httpError(404, "not found");
+    await t.training.remove(record.id);
+
+    const current = w.docs?.[record.doc];
+    if (record.complete && current === (record.expiry || true)) {
+      const rest = await t.training.filter(r => r.worker_id === w.id && r.doc === record.doc);
+      const value = docValueFrom(rest);
+      w.docs = { ...w.docs };
+      if (value) w.docs[record.doc] = value; else delete w.docs[record.doc];
+      await t.workers.put(w);
+    }
+    await audit(t, req, { action: "training.delete", entity: "training", entity_id: record.id,
+                          site_ids: await workerSiteIds(t, w.id), before: record,
+                          after: { docs: { [record.doc]: w.docs?.[record.doc] ?? null } }, note: w.id });
+    return w;
+  });
+  res.json({ ok: true, worker });
+});
+
+/* ---- Fabbisogno formativo del cantiere ---- */
+// ?by=YYYY-MM-DD (default: fine cantiere o oggi): chi deve fare quale corso prima di quella data
+app.get("/api/sites/:id/training-needs", allow.site("VIEW_TRAINING"), async (req, res) => {
+  const by = req.query.by || req.site.dates?.end || new Date().toISOString().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(by)) return res.status(400).json({ ok:false, error:"by in formato YYYY-MM-DD" });
+  const workers = await siteWorkers(req.site);
+  const ids = workers.map(w => w.id);
+  res.json({ ok: true, site_id: req.site.id, ...trainingNeeds({
+    workers,
+    courses: await db.courses.all(),
+    records: await db.training.filter(r => ids.includes(r.worker_id)),
+    requiredFor: w => requiredDocs(w, req.site),
+    by
+  }) });
+});
+
+/* -------------------- Presenze in cantiere -------------------- */
+/* ---- Tesserino con QR ---- */
+// Emette (o rinnova, invalidando il precedente) il codice del tesserino; vale come documento "tesserino"
+app.post("/api/workers/:id/badge", allow.worker("EDIT_WORKERS", "MANAGE_SITE_WORKERS"), async (req, res) => {
+  const worker = await db.tx(async t => {
+    const w = await t.workers.get(req.params.id);
+    if (!w) throw httpError(404, "not found");
+    const badge = { code: nanoid(12), issued_at: new Date().toISOString(), issued_by: req.user.id };
+    const next = { ...w, badge, docs: { ...(w.docs || {}), tesserino: true } };
+    await audit(t, req, { action: "worker.badge", entity: "worker", entity_id: w.id, site_ids: await workerSiteIds(t, w.id),
+                          before: { badge_issued_at: w.badge?.issued_at || null }, after: { badge_issued_at: badge.issued_at },
+                          note: w.badge ? "rinnovo" : "emissione" });
+    return t.workers.put(next);
+  });
+  res.json({ ok: true, badge: worker.badge, worker });
+});
+
+app.get("/api/workers/:id/badge.pdf", allow.worker("VIEW_WORKERS", "VIEW_SITE"), async (req, res) => {
+  const worker = await db.workers.get(req.params.id);
+  if (!worker) return res.status(404).json({ ok:false, error:"not found" });
+  if (!worker.badge) return res.status(404).json({ ok:false, error:"Tesserino non ancora emesso" });
+  const employer = worker.company_id ? await db.companies.get(worker.company_id) : null;
+  const buffer = await buildBadgePdf({ worker, company: await db.company.get(), employer: employer || {} });
+  sendPdf(res, `Tesserino_${worker.id}.pdf`, buffer);
+});
+
+/* ---- Ingresso e uscita ---- */
+// Lavoratore da worker_id (inserimento manuale) o dal QR del tesserino
+async function attendanceWorker(t, body) {
+  if (body.badge) {
+    const code = parseBadge(body.badge);
+    const w = code && await t.workers.find(x => x.badge?.code === code);
+    if (!w) throw httpError(404, "Tesserino non riconosciuto", { code: "badge_unknown" });
+    return { worker: w, method: "badge" };
+  }
+  if (!body.worker_id) throw httpError(400, "worker_id o badge required");
+  const w = await t.workers.get(body.worker_id);
+  if (!w) throw httpError(404, "worker not found");
+  return { worker: w, method: "manual" };
+}
+
+// Le presenze rimaste aperte nei giorni precedenti si chiudono d'ufficio (uscita non registrata): quelle
+// del cantiere e quelle del lavoratore negli altri cantieri, che altrimenti ne bloccherebbero l'ingresso
+async function closeStaleAttendance(t, siteId, workerId, today) {
+  const stale = r => (r.site_id === siteId || r.worker_id === workerId) && r.status === "in" && r.date < today;
+  for (const r of await t.attendance.filter(stale)) {
+    await t.attendance.put({ ...r, status: "out", check_out: null, hours: null, auto_closed: true });
+  }
+}
+
+// Ingresso: lavoratore assegnato, conforme alla data, impresa in cantiere e non bloccata.
+// Un ingresso respinto viene registrato comunque (status denied) e risponde 409 con i motivi
+app.post("/api/sites/:id/attendance/check-in", allow.site("RECORD_ATTENDANCE"), async (req, res) => {
+  const body = req.body || {};
+  const now = new Date();
+  const out = await db.tx(async t => {
+    const site = await t.sites.get(req.params.id);
+    const { worker, method } = await attendanceWorker(t, body);
+    const date = localDay(now);
+    await closeStaleAttendance(t, site.id, worker.id, date);
+
+    const open = await t.attendance.find(r => r.worker_id === worker.id && r.status === "in");
+    if (open) {
+      throw httpError(409, open.site_id === site.id ? "Lavoratore già in cantiere" : `Lavoratore già presente in ${open.site_id}`,
+                      { code: "already_in", record: open });
+    }
+    const employer = worker.company_id ? await t.companies.get(worker.company_id) : null;
+    const compliance = workerCompliance(worker, site, { today: date });
+    const itp = employer ? companyItp(employer, { today: date }) : null;
+    const reasons = entryCheck({
+      site, worker, compliance, itp,
+      siteActive: siteStatus(site) === "active",
+      employerOnSite: !!employer && (site.companies || []).some(e => e.company_id === employer.id)
+    });
+
+    const record = await t.attendance.insert({
+      id: "PRS-" + nanoid(8).toUpperCase(),
+      site_id: site.id,
+      worker_id: worker.id,
+      company_id: worker.company_id || null,
+      date,
+      status: reasons.length ? "denied" : "in",
+      check_in: now.toISOString(),
+      check_out: null,
+      hours: null,
+      method,
+      compliance: compliance.status,
+      reasons: reasons.length ? reasons : undefined,
+      in_by: req.user.id,
+      out_by: null
+    });
+    await audit(t, req, { action: reasons.length ? "attendance.denied" : "attendance.check_in", entity: "attendance",
+                          entity_id: record.id, site_ids: [site.id], after: record,
+                          note: `${worker.id}${reasons.length ? ": " + reasons.map(r => r.code).join(", ") : ""}` });
+    return { record, worker, reasons };
+  });
+  const who = { id: out.worker.id, name: out.worker.name, role: out.worker.role || null };
+  if (out.reasons.length) {
+    return res.status(409).json({ ok: false, error: "Ingresso non consentito", code: "entry_denied",
+                                  reasons: out.reasons, worker: who, record: out.record });
+  }
+  res.json({ ok: true, record: out.record, worker: who });
+});
+
+app.post("/api/sites/:id/attendance/check-out", allow.site("RECORD_ATTENDANCE"), async (req, res) => {
+  const body = req.body || {};
+  const now = new Date();
+  const out = await db.tx(async t => {
+    const { worker } = await attendanceWorker(t, body);
+    await closeStaleAttendance(t, req.site.id, worker.id, localDay(now));
+    const open = await t.attendance.find(r => r.site_id === req.site.id && r.worker_id === worker.id && r.status === "in");
+    if (!open) throw httpError(409, "Nessun ingresso aperto per il lavoratore in questo cantiere", { code: "not_in" });
+    const record = { ...open, status: "out", check_out: now.toISOString(), hours: hoursBetween(open.check_in, now.toISOString()), out_by: req.user.id };
+    await t.attendance.put(record);
+    await audit(t, req, { action: "attendance.check_out", entity: "attendance", entity_id: record.id, site_ids: [req.site.id],
+                          before: { status: "in" }, after: { status: "out", check_out: record.check_out, hours: record.hours }, note: worker.id });
+    return { record, worker };
+  });
+  res.json({ ok: true, record: out.record, worker: { id: out.worker.id, name: out.worker.name } });
+});
+
+// Correzione di orari (es. uscita non registrata); resta traccia nell'audit
+app.patch("/api/sites/:id/attendance/:record_id", allow.site("RECORD_ATTENDANCE"), async (req, res) => {
+  const body = req.body || {};
+  const record = await db.tx(async t => {
+    const before = await t.attendance.get(req.params.record_id);
+    if (!before || before.site_id !== req.site.id) throw httpError(404, "not found");
+    if (before.status === "denied") throw httpError(409, "Un ingresso respinto non si modifica");
+    const next = { ...before, notes: body.notes ?? before.notes ?? "" };
+    for (const k of ["check_in", "check_out"]) {
+      if (body[k] === undefined) continue;
+      if (isNaN(Date.parse(body[k]))) throw httpError(400, `${k} non valido`);
+      next[k] = new Date(body[k]).toISOString();
+    }
+    if (localDay(new Date(next.check_in)) !== before.date) throw httpError(400, "check_in deve restare nel giorno della presenza");
+    if (next.check_out) {
+      if (next.check_out < next.check_in) throw httpError(400, "L'uscita precede l'ingresso");
+      Object.assign(next, { status: "out", hours: hoursBetween(next.check_in, next.check_out), auto_closed: false,
+                            out_by: before.out_by || req.user.id });
+    }
+    await t.attendance.put(next);
+    await audit(t, req, { action: "attendance.update", entity: "attendance", entity_id: next.id, site_ids: [req.site.id],
+                          before, after: next, note: body.notes || null });
+    return next;
+  });
+  res.json({ ok: true, record });
+});
+
+/* ---- Registro e uomini-giorno ---- */
+// ?date=YYYY-MM-DD oppure ?from=&to= (default: oggi)
+function attendanceRange(q) {
+  const today = localDay(new Date());
+  const from = q.from || q.date || today, to = q.to || q.date || today;
+  if (!validRange(from, to)) throw httpError(400, "Periodo non valido: date=YYYY-MM-DD oppure from/to");
+  return { from, to };
+}
+
+async function siteRegister(site, q) {
+  const { from, to } = attendanceRange(q);
+  return attendanceRegister(await db.attendance.filter(r => r.site_id === site.id), {
+    from, to, workers: await db.workers.all(), companies: await db.companies.all()
+  });
+}
+
+// Chi è in cantiere adesso e presenze del giorno
+app.get("/api/sites/:id/attendance", allow.site("VIEW_ATTENDANCE"), async (req, res) => {
+  const register = await siteRegister(req.site, req.query);
+  res.json({ ok: true, on_site: register.rows.filter(r => r.open), ...register });
+});
+
+app.get("/api/sites/:id/attendance/register.csv", allow.site("DOWNLOAD_REPORTS"), async (req, res) => {
+  const r = await siteRegister(req.site, req.query);
+  const rows = [
+    ...r.rows.map(x => ({ ...x, esito: x.open ? "in cantiere" : x.auto_closed ? "uscita non registrata" : "presente" })),
+    ...r.denied.map(x => ({ ...x, check_in: x.time, esito: "respinto", reasons: x.reasons }))
+  ].sort((a, b) => a.date.localeCompare(b.date) || (a.check_in || "").localeCompare(b.check_in || ""));
+  sendCsv(res, `presenze_${req.site.id}_${r.from}_${r.to}.csv`, toCsv(rows, [
+    { key: "date", label: "Data" },
+    { key: "name", label: "Lavoratore" },
+    { key: "cf", label: "Codice fiscale" },
+    { key: "company", label: "Impresa" },
+    { key: "check_in", label: "Ingresso" },
+    { key: "check_out", label: "Uscita" },
+    { key: x => (x.hours != null ? String(x.hours).replace(".", ",") : ""), label: "Ore" },
+    { key: "esito", label: "Esito" },
+    { key: "reasons", label: "Motivo" }
+  ]));
+});
+
+app.get("/api/sites/:id/attendance/register.pdf", allow.site("DOWNLOAD_REPORTS"), async (req, res) => {
+  const register = await siteRegister(req.site, req.query);
+  const buffer = await buildAttendanceRegisterPdf({ company: await db.company.get(), site: req.site, register });
+  sendPdf(res, `Registro_presenze_${req.site.id}_${register.from}_${register.to}.pdf`, buffer);
+});
+
+// Uomini-giorno effettivi contro il cronoprogramma; default dall'inizio del cantiere a oggi
+app.get("/api/sites/:id/attendance/man-days", allow.site("VIEW_ATTENDANCE"), async (req, res) => {
+  const site = req.site;
+  const today = localDay(new Date());
+  const from = req.query.from || site.dates?.start || today;
+  const to = req.query.to || (site.dates?.end && site.dates.end < today ? site.dates.end : today);
+  if (!validRange(from, to)) return res.status(400).json({ ok:false, error:"Periodo non valido (from/to YYYY-MM-DD)" });
+  const analysis = analyzeSchedule(await sitePhases(db, site.id), scheduleOpts(site));
+  res.json({ ok: true, ...manDaysComparison({
+    phases: analysis.phases, from, to, opts: scheduleOpts(site),
+    records: await db.attendance.filter(r => r.site_id === site.id),
+    companies: await db.companies.all()
+  }), planned_total: analysis.summary.man_days });
+});
+
+/* -------------------- Cronoprogramma -------------------- */
+const PHASE_FIELDS = ["name", "start", "end", "depends_on", "companies", "workers", "lavorazioni", "area", "crew_size", "notes"];
+
+const sitePhases = (t, siteId) => t.phases.filter(f => f.site_id === siteId);
+
+// site.meta.work_saturday: il sabato conta come giorno lavorativo
+const scheduleOpts = site => ({ saturday: !!site.meta?.work_saturday });
+
+function phaseFrom(body, base) {
+  const f = { ...base };
+  for (const k of PHASE_FIELDS) if (body[k] !== undefined) f[k] = body[k];
+  for (const k of ["depends_on", "companies", "workers", "lavorazioni"]) f[k] = f[k] || [];
+  return f;
+}
+
+// Salva la fase validandola contro le altre fasi, la libreria e i lavoratori del cantiere
+async function savePhase(t, req, phase, before = null) {
+  const site = await t.sites.get(req.params.id);
+  if (!site) throw httpError(404, "site not found");
+  assertEditable(site);
+  const others = (await sitePhases(t, site.id)).filter(f => f.id !== phase.id);
+  const errors = validatePhase(phase, { phases: others, library: await t.lavorazioni.all(), siteWorkers: site.workers || [] });
+  if (errors.length) throw httpError(400, "dati non validi", { errors });
+
+  phase.updated_at = new Date().toISOString();
+  await t.phases.put(phase);
+  await t.sites.put(await withObligations(t, site));
+  await audit(t, req, {
+    action: before ? "phase.update" : "phase.create", entity: "phase", entity_id: phase.id, site_ids: [site.id],
+    before, after: phase
+  });
+  const analysis = analyzeSchedule([...others, phase], scheduleOpts(site));
+  return {
+    ok: true,
+    phase: analysis.phases.find(f => f.id === phase.id),
+    interferences: analysis.interferences.filter(i => i.phases.includes(phase.id)),
+    dependency_issues: analysis.dependency_issues.filter(d => d.phase === phase.id || d.depends_on === phase.id)
+  };
+}
+
+app.get("/api/sites/:id/schedule", allow.site("VIEW_SCHEDULE"), async (req, res) => {
+  res.json({ ok:true, ...analyzeSchedule(await sitePhases(db, req.site.id), scheduleOpts(req.site)) });
+});
+
+app.post("/api/sites/:id/schedule", allow.site("EDIT_SCHEDULE"), async (req, res) => {
+  const phase = phaseFrom(req.body || {}, {
+    id: "FAS-" + nanoid(6).toUpperCase(),
+    site_id: req.site.id,
+    created_by: req.user.id,
+    created_at: new Date().toISOString()
+  });
+  res.json(await db.tx(t => savePhase(t, req, phase)));
+});
+
+app.get("/api/sites/:id/schedule/gantt.pdf", allow.site("VIEW_SCHEDULE"), async (req, res) => {
+  const analysis = analyzeSchedule(await sitePhases(db, req.site.id), scheduleOpts(req.site));
+  const buffer = await buildGantt({ site: req.site, company: await db.company.get(), analysis });
+  sendPdf(res, `Cronoprogramma_${req.site.id}.pdf`, buffer);
+});
+
+// Link da incollare nel calendario (Google, Outlook, iOS): valido FEED_TTL, rispetta i permessi correnti
+app.post("/api/sites/:id/schedule/feed", allow.site("VIEW_SCHEDULE"), async (req, res) => {
+  const token = signToken({ typ: "feed", sub: req.user.id, site_id: req.site.id }, FEED_TTL);
+  res.json({ ok:true, url: publicUrl(req, `/api/sites/${req.site.id}/schedule.ics?token=${token}`), expires_at: expiresIn(FEED_TTL) });
+});
+
+app.get("/api/sites/:id/schedule.ics", async (req, res) => {
+  const claims = verifyToken(req.query.token);
+  if (claims?.typ !== "feed" || claims.site_id !== req.params.id) throw unauthorized();
+  const user = await db.users.get(claims.sub);
+  if (!user || user.status === "disabled") throw unauthorized();
+  const site = await db.sites.get(req.params.id);
+  if (!site || !authz.canOnSite(user, "VIEW_SCHEDULE", site)) throw forbidden("site", "VIEW_SCHEDULE", req.params.id);
+
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `inline; filename="cronoprogramma_${site.id}.ics"`);
+  res.send(toIcs(site, await sitePhases(db, site.id)));
+});
+
+app.get("/api/sites/:id/schedule/:phase_id", allow.site("VIEW_SCHEDULE"), async (req, res) => {
+  const f = await db.phases.get(req.params.phase_id);
+  if (!f || f.site_id !== req.site.id) return res.status(404).json({ ok:false, error:"not found" });
+  const analysis = analyzeSchedule(await sitePhases(db, req.site.id), scheduleOpts(req.site));
+  res.json({
+    ...analysis.phases.find(p => p.id === f.id),
+    interferences: analysis.interferences.filter(i => i.phases.includes(f.id))
+  });
+});
+
+app.patch("/api/sites/:id/schedule/:phase_id", allow.site("EDIT_SCHEDULE"), async (req, res) => {
+  res.json(await db.tx(async t => {
+    const before = await t.phases.get(req.params.phase_id);
+    if (!before || before.site_id !== req.params.id) throw httpError(404, "not found");
+    const { id, site_id, created_by, created_at, ...body } = req.body || {};
+    return savePhase(t, req, phaseFrom(body, before), before);
+  }));
+});
+
+// Elimina la fase e la toglie dalle dipendenze delle altre
+app.delete("/api/sites/:id/schedule/:phase_id", allow.site("EDIT_SCHEDULE"), async (req, res) => {
+  await db.tx(async t => {
+    const site = await t.sites.get(req.params.id);
+    const before = await t.phases.get(req.params.phase_id);
+    if (!site || !before || before.site_id !== site.id) throw httpError(404, "not found");
+    assertEditable(site);
+    await t.phases.remove(before.id);
+    for (const f of await sitePhases(t, site.id)) {
+      if ((f.depends_on || []).includes(before.id)) {
+        await t.phases.put({ ...f, depends_on: f.depends_on.filter(id => id !== before.id) });
+      }
+    }
+    await t.sites.put(await withObligations(t, site));
+    await audit(t, req, { action: "phase.delete", entity: "phase", entity_id: before.id, site_ids: [site.id], before });
+  });
+  res.json({ ok:true });
+});
+
+/* -------------------- Libreria lavorazioni -------------------- */
+app.get("/api/lavorazioni", allow.company("VIEW_COMPANY"), async (req, res) => {
+  res.json(await db.lavorazioni.all());
+});
+
+app.get("/api/lavorazioni/:id", allow.company("VIEW_COMPANY"), async (req, res) => {
+  const l = await db.lavorazioni.get(req.params.id);
+  if (!l) return res.status(404).json({ ok:false, error:"not found" });
+  res.json(l);
+});
+
+app.post("/api/lavorazioni", allow.company("EDIT_LIBRARY"), async (req, res) => {
+  const errors = validateLavorazione(req.body || {});
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+  const l = normalizeLavorazione(req.body, { id: "LAV-" + nanoid(6).toUpperCase() });
+  await db.tx(async t => {
+    await t.lavorazioni.insert(l);
+    await audit(t, req, { action: "lavorazione.create", entity: "lavorazione", entity_id: l.id, after: l });
+  });
+  res.json(l);
+});
+
+app.patch("/api/lavorazioni/:id", allow.company("EDIT_LIBRARY"), async (req, res) => {
+  const l = await db.tx(async t => {
+    const before = await t.lavorazioni.get(req.params.id);
+    if (!before) throw httpError(404, "not found");
+    const after = normalizeLavorazione(req.body || {}, before);
+    const errors = validateLavorazione(after);
+    if (errors.length) throw httpError(400, "dati non validi", { errors });
+    await t.lavorazioni.put(after);
+    await audit(t, req, { action: "lavorazione.update", entity: "lavorazione", entity_id: after.id, before, after });
+    return after;
+  });
+  res.json(l);
+});
+
+// I POS già generati restano invariati: conservano copia degli input usati
+app.delete("/api/lavorazioni/:id", allow.company("EDIT_LIBRARY"), async (req, res) => {
+  await db.tx(async t => {
+    const before = await t.lavorazioni.get(req.params.id);
+    if (!before) throw httpError(404, "not found");
+    await t.lavorazioni.remove(before.id);
+    await audit(t, req, { action: "lavorazione.delete", entity: "lavorazione", entity_id: before.id, before });
+  });
+  res.json({ ok: true });
+});
+
+/* -------------------- PSC -------------------- */
+// Revisioni caricate dal coordinatore; contractor e subcontractor confermano la presa visione dell'ultima
+const pdfUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_KINDS.pdf.max }
+});
+
+const pscVersions = async (t, siteId) => (await t.psc.filter(p => p.site_id === siteId)).sort((a, b) => a.version - b.version);
+const latestPsc = async (t, siteId) => (await pscVersions(t, siteId)).at(-1) || null;
+const withPscUrl = (req, p) => p && { ...p, url: fileUrl(req, p.file_id) };
+
+app.get("/api/sites/:id/psc", allow.site("VIEW_PSC"), async (req, res) => {
+  const list = (await pscVersions(db, req.site.id)).reverse();
+  res.json({ required: pscRequired(req.site), versions: list.map(p => withPscUrl(req, p)) });
+});
+
+app.post("/api/sites/:id/psc", allow.site("EDIT_PSC"), pdfUpload.single("file"), async (req, res) => {
+  if (!req.file) return res.status(400).json({ ok: false, error: "file missing (solo PDF)" });
+  const body = req.body || {};
+  const errors = validatePscVersion(body, await db.lavorazioni.all());
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+  const blob = await saveUpload(req.file, "pdf");
+
+  const psc = await db.tx(async t => {
+    const site = await t.sites.get(req.params.id);
+    assertEditable(site);
+    const previous = await latestPsc(t, site.id);
+    const f = await registerFile(t, blob, { access: FILE_ACCESS.psc(site.id), by: req.user.id });
+    const psc = {
+      id: "PSC-" + nanoid(6).toUpperCase(),
+      site_id: site.id,
+      version: (previous?.version || 0) + 1,
+      file: filePath(f),
+      file_id: f.id,
+      original_name: req.file.originalname,
+      mime: blob.mime,
+      size: blob.size,
+      note: String(body.note).trim(),
+      lavorazioni: parseList(body.lavorazioni),
+      safety_costs: body.safety_costs !== undefined && body.safety_costs !== "" ? Number(body.safety_costs) : previous?.safety_costs ?? null,
+      acknowledgements: [],
+      uploaded_by: req.user.id,
+      uploaded_at: new Date().toISOString()
+    };
+    await t.psc.insert(psc);
+    await audit(t, req, { action: "psc.upload", entity: "psc", entity_id: psc.id, site_ids: [site.id], after: psc,
+                          note: `rev. ${psc.version}: ${psc.note}` });
+    return psc;
+  });
+
+  const site = req.site;
+  const { pending } = ackStatus(site, psc, await db.users.all());
+  for (const c of pending.filter(c => c.email)) {
+    await mailer.send({
+      to: c.email,
+      subject: `PSC rev. ${psc.version} – ${site.name}`,
+      text: `Ciao ${c.name},\nè disponibile la revisione ${psc.version} del Piano di Sicurezza e Coordinamento.\n`
+          + `Modifiche: ${psc.note}\nPrendine visione e conferma da qui:\n${APP_URL}/sites/${site.id}/psc\n`
+    });
+  }
+  res.json({ ok: true, psc: withPscUrl(req, psc), pending });
+});
+
+// Imprese (contractor e subcontractor) che non hanno ancora preso visione dell'ultima revisione
+app.get("/api/sites/:id/psc/acknowledgements", allow.site("VIEW_PSC"), async (req, res) => {
+  const psc = await latestPsc(db, req.site.id);
+  res.json({ ok: true, required: pscRequired(req.site), ...ackStatus(req.site, psc, await db.users.all()) });
+});
+
+app.post("/api/sites/:id/psc/acknowledge", allow.site("ACKNOWLEDGE_PSC"), async (req, res) => {
+  const psc = await db.tx(async t => {
+    const site = await t.sites.get(req.params.id);
+    assertEditable(site);
+    const role = (site.roles || []).find(r => r.user_id === req.user.id)?.role;
+    if (!ACK_ROLES.includes(role)) throw httpError(409, "La presa visione è richiesta solo alle imprese del cantiere");
+    const before = await latestPsc(t, site.id);
+    if (!before) throw httpError(404, "PSC non ancora caricato");
+    if (before.acknowledgements.some(a => a.user_id === req.user.id)) return before;
+    const psc = { ...before, acknowledgements: [...before.acknowledgements, { user_id: req.user.id, role, at: new Date().toISOString() }] };
+    await t.psc.put(psc);
+    await audit(t, req, { action: "psc.acknowledge", entity: "psc", entity_id: psc.id, site_ids: [site.id],
+                          note: `rev. ${psc.version}` });
+    return psc;
+  });
+  res.json({ ok: true, psc: withPscUrl(req, psc) });
+});
+
+// :version numerica oppure "latest"
+app.get("/api/sites/:id/psc/:version", allow.site("VIEW_PSC"), async (req, res) => {
+  const list = await pscVersions(db, req.site.id);
+  const psc = req.params.version === "latest" ? list.at(-1) : list.find(p => p.version === Number(req.params.version));
+  if (!psc) return res.status(404).json({ ok:false, error:"not found" });
+  res.json(withPscUrl(req, psc));
+});
+
+/* -------------------- POS (PDF) -------------------- */
+// Genera una nuova revisione del POS dai dati salvati. Gli input delle sezioni 5–10 si
+// sommano a quelli dell'ultima generazione (site.pos_inputs), così basta inviare le modifiche.
+async function generatePos(req, siteId, body) {
+  // Il PDF si compone e si salva fuori dalla tx: la coda delle scritture non aspetta il render.
+  // Nella tx si registra la revisione, se nel frattempo nessun altro ha preso lo stesso numero.
+  // L'archivio è per checksum: il PDF di una revisione scartata non ha record e non si scarica.
+  const site = await db.sites.get(siteId);
+  if (!site) throw httpError(404, "site not found");
+  assertEditable(site);
+  const library = await db.lavorazioni.all();
+  const inputs = { ...(site.pos_inputs || {}), ...pickPosInputs(body) };
+  const errors = validatePosInputs(inputs, library);
+  if (errors.length) throw httpError(400, "dati POS non validi", { errors });
+  const psc = await latestPsc(db, site.id);
+  if (!psc && (await siteObligations(db, site)).required.includes("psc")) throw httpError(409, "PSC obbligatorio non ancora caricato dal coordinatore", { code: "psc_missing" });
+
+  const ids = site.workers || [];
+  const workers = (await db.workers.filter(w => ids.includes(w.id)))
+    .sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+  const previous = (await db.pos.filter(p => p.site_id === site.id)).sort((a, b) => a.version - b.version);
+  const version = (previous.at(-1)?.version || 0) + 1;
+  const note = body.note || (version === 1 ? "Prima emissione" : "");
+
+  // Sezione 10 dal cronoprogramma del cantiere, se presente; altrimenti da inputs.schedule
+  const schedule = analyzeSchedule(await sitePhases(db, site.id), scheduleOpts(site));
+  const used = [...(inputs.lavorazioni || []),
+                ...[...(inputs.schedule || []), ...schedule.phases].flatMap(s => s.lavorazioni || [])];
+
+  // Sezione 5 dal registro attrezzature: un'attrezzatura assegnata più volte al cantiere compare una volta
+  const equipment = siteEquipment(site, await db.equipment.all(), { workers, day: new Date().toISOString().slice(0, 10) })
+    .filter((e, i, all) => all.findIndex(x => x.equipment.id === e.equipment.id) === i);
+
+  const buffer = await buildPos({
+    company: await db.company.get(), site, workers, inputs, schedule, psc, equipment,
+    lavorazioni: library.filter(l => used.includes(l.id)),
+    version,
+    revisions: [...previous, { version, created_at: new Date().toISOString(), note }]
+  });
+  const filename = `POS_${site.id}_rev${String(version).padStart(2, "0")}.pdf`;
+  const blob = await saveBlob(buffer, sniffType(buffer), filename, "generated");
+
+  const record = await db.tx(async t => {
+    const current = await t.sites.get(site.id);
+    if (!current) throw httpError(404, "site not found");
+    assertEditable(current);
+    if ((await t.pos.filter(p => p.site_id === site.id)).some(p => p.version >= version)) {
+      throw httpError(409, "POS generato nel frattempo da un altro utente: riprovare");
+    }
+    const f = await registerFile(t, blob, { access: FILE_ACCESS.pos(site.id), by: req.user.id });
+    const file = filePath(f);
+    const pos = {
+      id: "POS-" + nanoid(6).toUpperCase(),
+      site_id: site.id,
+      version,
+      file,
+      file_id: f.id,
+      size: buffer.length,
+      note,
+      inputs,
+      lavorazioni: [...new Set(used)],
+      equipment: equipment.map(e => e.equipment.id),
+      psc_version: psc?.version || null,
+      workers: ids,
+      compliance_status: siteCompliance(site, workers).status,
+      created_by: req.user.id,
+      created_at: new Date().toISOString()
+    };
+    await t.pos.insert(pos);
+    await t.sites.put({ ...current, pos_inputs: inputs });
+    await audit(t, req, {
+      action: "pos.generate", entity: "pos", entity_id: pos.id, site_ids: [site.id],
+      after: { version, file, workers: ids, lavorazioni: inputs.lavorazioni || [] }
+    });
+    return pos;
+  });
+  const pos = { ...record, psc_check: checkPosConsistency(record, psc, { site, library }) };
+  return { ok: true, pos, file: pos.file, url: fileUrl(req, pos.file_id) };
+}
+
+app.post("/api/sites/:id/pos", allow.site("UPLOAD_POS"), async (req, res) => {
+  res.json(await generatePos(req, req.site.id, req.body || {}));
+});
+
+// psc_check: coerenza con l'ultima revisione del PSC, calcolata alla lettura
+app.get("/api/sites/:id/pos", allow.site("VIEW_SITE"), async (req, res) => {
+  const list = (await db.pos.filter(p => p.site_id === req.site.id)).sort((a, b) => b.version - a.version);
+  const psc = await latestPsc(db, req.site.id), library = await db.lavorazioni.all();
+  res.json(list.map(({ inputs, ...p }) => ({
+    ...p, url: fileUrl(req, p.file_id), psc_check: checkPosConsistency({ ...p, inputs }, psc, { site: req.site, library })
+  })));
+});
+
+// :version numerica oppure "latest"
+app.get("/api/sites/:id/pos/:version", allow.site("VIEW_SITE"), async (req, res) => {
+  const list = (await db.pos.filter(p => p.site_id === req.site.id)).sort((a, b) => b.version - a.version);
+  const pos = req.params.version === "latest" ? list[0] : list.find(p => p.version === Number(req.params.version));
+  if (!pos) return res.status(404).json({ ok:false, error:"not found" });
+  const psc_check = checkPosConsistency(pos, await latestPsc(db, req.site.id), { site: req.site, library: await db.lavorazioni.all() });
+  res.json({ ...pos, url: fileUrl(req, pos.file_id), psc_check });
+});
+
+// Compatibilità con il vecchio client: di site usa solo l'id, i lavoratori arrivano dal cantiere
+app.post("/api/pos", allow.site("UPLOAD_POS", req => req.body?.site?.id), async (req, res) => {
+  const body = req.body || {};
+  res.json(await generatePos(req, req.site.id, { ...(body.inputs || {}), note: body.note }));
+});
+
+/* -------------------- Sopralluoghi -------------------- */
+// Foto: JPEG, PNG, WebP, HEIC, GIF (dal contenuto); nel verbale PDF vengono incorporate solo JPEG e PNG
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_KINDS.images.max }
+});
+
+async function loadInspection(t, req) {
+  const site = await t.sites.get(req.params.id);
+  const insp = await t.inspections.get(req.params.inspection_id);
+  if (!site || !insp || insp.site_id !== site.id) throw httpError(404, "not found");
+  return { site, insp };
+}
+
+const withSummary = insp => ({ ...insp, summary: inspectionSummary(insp) });
+
+app.get("/api/sites/:id/inspections", allow.site("VIEW_SITE"), async (req, res) => {
+  const list = (await db.inspections.filter(i => i.site_id === req.site.id))
+    .sort((a, b) => b.date.localeCompare(a.date));
+  res.json(list.map(({ items, photos, nonconformities, ...i }) => ({ ...i, summary: inspectionSummary({ items, photos, nonconformities }) })));
+});
+
+app.post("/api/sites/:id/inspections", allow.site("INSPECT"), async (req, res) => {
+  const body = req.body || {};
+  const errors = validateInspection(body);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+
+  const insp = await db.tx(async t => {
+    const site = await t.sites.get(req.params.id);
+    assertEditable(site);
+    const now = new Date().toISOString();
+    const insp = {
+      id: "ISP-" + nanoid(6).toUpperCase(),
+      site_id: site.id,
+      date: body.date || now.slice(0, 10),
+      inspector: { user_id: req.user.id, name: body.inspector_name || req.user.name },
+      status: "draft",
+      notes: body.notes || "",
+      items: checklistFrom(body.checklist),
+      photos: [],
+      nonconformities: [],
+      created_by: req.user.id,
+      created_at: now,
+      updated_at: now
+    };
+    const applied = applyItems(insp, body.items);
+    if (applied.errors.length) throw httpError(400, "dati non validi", { errors: applied.errors });
+    insp.items = applied.items;
+    await t.inspections.insert(insp);
+    await audit(t, req, { action: "inspection.create", entity: "inspection", entity_id: insp.id, site_ids: [site.id], after: insp });
+    return insp;
+  });
+  res.json(withSummary(insp));
+});
+
+// Le foto con il link firmato, per mostrarle direttamente
+app.get("/api/sites/:id/inspections/:inspection_id", allow.site("VIEW_SITE"), async (req, res) => {
+  const { insp } = await loadInspection(db, req);
+  res.json(withSummary({ ...insp, photos: insp.photos.map(p => ({ ...p, url: fileUrl(req, p.file_id) })) }));
+});
+
+// Esiti della checklist, note, data; status:"completed" chiude il sopralluogo (servono tutti gli esiti)
+app.patch("/api/sites/:id/inspections/:inspection_id", allow.site("INSPECT"), async (req, res) => {
+  const body = req.body || {};
+  const errors = validateInspection(body);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+
+  const insp = await db.tx(async t => {
+    const { site, insp: before } = await loadInspection(t, req);
+    assertEditable(site);
+    if (before.status === "completed") throw httpError(409, "Sopralluogo concluso: non modificabile");
+
+    const applied = applyItems(before, body.items);
+    if (applied.errors.length) throw httpError(400, "dati non validi", { errors: applied.errors });
+    const next = { ...before, items: applied.items, updated_at: new Date().toISOString() };
+    for (const k of ["date", "notes"]) if (body[k] !== undefined) next[k] = body[k];
+    if (body.inspector_name) next.inspector = { ...next.inspector, name: body.inspector_name };
+
+    if (body.status === "completed") {
+      const pending = next.items.filter(it => !it.outcome).map(it => it.key);
+      if (pending.length) throw httpError(400, "Voci della checklist senza esito", { pending });
+      const missingNc = next.items.filter(it => it.outcome === "nc" && !next.nonconformities.some(n => n.item_key === it.key));
+      if (missingNc.length) throw httpError(400, "Voci non conformi senza azione correttiva", { items: missingNc.map(it => it.key) });
+      next.status = "completed";
+      next.completed_at = next.updated_at;
+    }
+    await t.inspections.put(next);
+    await audit(t, req, { action: "inspection.update", entity: "inspection", entity_id: next.id, site_ids: [site.id], before, after: next });
+    return next;
+  });
+  res.json(withSummary(insp));
+});
+
+// Foto su una voce della checklist (item_key) o su una non conformità (nc_id), anche a sopralluogo concluso
+app.post("/api/sites/:id/inspections/:inspection_id/photos", allow.site("UPLOAD_INSPECTION_PHOTOS"), photoUpload.single("file"), async (req, res) => {
+  if (!req.file) return res.status(400).json({ ok: false, error: "file missing (solo immagini)" });
+  const body = req.body || {};
+  const blob = await saveUpload(req.file, "images");
+  const photo = await db.tx(async t => {
+    const { site, insp } = await loadInspection(t, req);
+    assertEditable(site);
+    if (body.item_key && !insp.items.some(it => it.key === body.item_key)) throw httpError(400, `voce sconosciuta: ${body.item_key}`);
+    if (body.nc_id && !insp.nonconformities.some(n => n.id === body.nc_id)) throw httpError(400, `non conformità sconosciuta: ${body.nc_id}`);
+
+    const f = await registerFile(t, blob, { access: FILE_ACCESS.photo(site.id), by: req.user.id });
+    const photo = {
+      id: "FOT-" + nanoid(6).toUpperCase(),
+      item_key: body.item_key || null,
+      nc_id: body.nc_id || null,
+      caption: body.caption || "",
+      file: filePath(f),
+      file_id: f.id,
+      original_name: req.file.originalname,
+      mime: blob.mime,
+      size: blob.size,
+      uploaded_by: req.user.id,
+      uploaded_at: new Date().toISOString()
+    };
+    insp.photos.push(photo);
+    if (photo.nc_id) {
+      const nc = insp.nonconformities.find(n => n.id === photo.nc_id);
+      nc.photos = [...(nc.photos || []), photo.id];
+    }
+    await t.inspections.put(insp);
+    await audit(t, req, { action: "inspection.photo", entity: "inspection", entity_id: insp.id, site_ids: [site.id],
+                          after: photo, note: photo.original_name });
+    return photo;
+  });
+  res.json({ ok: true, photo, url: fileUrl(req, photo.file_id) });
+});
+
+app.post("/api/sites/:id/inspections/:inspection_id/nonconformities", allow.site("INSPECT"), async (req, res) => {
+  const body = req.body || {};
+  const out = await db.tx(async t => {
+    const { site, insp } = await loadInspection(t, req);
+    assertEditable(site);
+    const errors = validateNonconformity(body, insp);
+    if (errors.length) throw httpError(400, "dati non validi", { errors });
+    if (body.assignee.user_id && !(site.roles || []).some(r => r.user_id === body.assignee.user_id)) {
+      throw httpError(400, "L'assegnatario non ha un ruolo nel cantiere");
+    }
+
+    const nc = newNonconformity(body, { id: "NC-" + nanoid(6).toUpperCase(), by: req.user.id });
+    insp.nonconformities.push(nc);
+    // La voce collegata diventa non conforme
+    if (nc.item_key) insp.items = insp.items.map(it => (it.key === nc.item_key ? { ...it, outcome: "nc" } : it));
+    insp.updated_at = nc.created_at;
+    await t.inspections.put(insp);
+    await audit(t, req, { action: "nc.create", entity: "nonconformity", entity_id: nc.id, site_ids: [site.id], after: nc,
+                          note: `${insp.id} ${nc.severity}` });
+    return nc;
+  });
+  res.json({ ok: true, nonconformity: out });
+});
+
+// resolved: chi ha RESOLVE_NC o l'assegnatario; verified / open (verifica negativa): chi ha INSPECT
+app.post("/api/sites/:id/inspections/:inspection_id/nonconformities/:nc_id/status", allow.site("VIEW_SITE"), async (req, res) => {
+  const { status, note } = req.body || {};
+  const out = await db.tx(async t => {
+    const { site, insp } = await loadInspection(t, req);
+    assertEditable(site);
+    const i = insp.nonconformities.findIndex(n => n.id === req.params.nc_id);
+    if (i === -1) throw httpError(404, "not found");
+    const nc = insp.nonconformities[i];
+
+    const action = status === "resolved" ? "RESOLVE_NC" : "INSPECT";
+    const isAssignee = status === "resolved" && nc.assignee?.user_id === req.user.id;
+    if (!isAssignee && !authz.canOnSite(req.user, action, site)) throw forbidden("site", action, site.id);
+    if (status === "open" && !note) throw httpError(400, "Indica perché l'azione non è stata accettata");
+
+    const r = ncTransition(nc, status, { by: req.user.id, note });
+    if (r.error) throw httpError(409, r.error, { allowed: r.allowed });
+    insp.nonconformities[i] = r.nc;
+    insp.updated_at = new Date().toISOString();
+    await t.inspections.put(insp);
+    await audit(t, req, { action: "nc.status", entity: "nonconformity", entity_id: nc.id, site_ids: [site.id],
+                          before: nc, after: r.nc, note: `${nc.status} → ${status}${note ? `: ${note}` : ""}` });
+    return r.nc;
+  });
+  res.json({ ok: true, nonconformity: out });
+});
+
+// Tutte le azioni correttive del cantiere: ?status=open,resolved &overdue=1
+app.get("/api/sites/:id/nonconformities", allow.site("VIEW_SITE"), async (req, res) => {
+  const statuses = String(req.query.status || "").split(",").filter(Boolean);
+  const list = (await db.inspections.filter(i => i.site_id === req.site.id))
+    .flatMap(i => i.nonconformities.map(n => ({ ...n, inspection_id: i.id, inspection_date: i.date, overdue: isOverdue(n) })))
+    .filter(n => !statuses.length || statuses.includes(n.status))
+    .filter(n => !req.query.overdue || n.overdue)
+    .sort((a, b) => String(a.due_date).localeCompare(String(b.due_date)));
+  res.json({ ok: true, total: list.length, nonconformities: list });
+});
+
+app.get("/api/sites/:id/inspections/:inspection_id/report.pdf", allow.site("DOWNLOAD_REPORTS"), async (req, res) => {
+  const { site, insp } = await loadInspection(db, req);
+  const buffer = await buildInspectionReport({
+    company: await db.company.get(), site, inspection: insp,
+    readPhoto: p => readFile(p.file_id).catch(() => null)
+  });
+  sendPdf(res, `Sopralluogo_${site.id}_${insp.date}.pdf`, buffer);
+});
+
+/* -------------------- Verbali di coordinamento -------------------- */
+async function loadMinutes(t, req) {
+  const site = await t.sites.get(req.params.id);
+  const m = await t.minutes.get(req.params.minutes_id);
+  if (!site || !m || m.site_id !== site.id) throw httpError(404, "not found");
+  return { site, m };
+}
+
+const withMinutesSummary = m => ({ ...m, summary: minutesSummary(m) });
+
+// Partecipanti dai ruoli di cantiere, se non indicati
+const defaultParticipants = site => (site.roles || []).map(r => ({ user_id: r.user_id, role: r.role }));
+
+async function checkParticipants(t, list) {
+  const users = await t.users.all();
+  const unknown = list.filter(p => p.user_id && !users.some(u => u.id === p.user_id)).map(p => p.user_id);
+  if (unknown.length) throw httpError(400, "utenti sconosciuti", { users: unknown });
+  return users;
+}
+
+app.get("/api/sites/:id/minutes", allow.site("VIEW_MINUTES"), async (req, res) => {
+  const list = (await db.minutes.filter(m => m.site_id === req.site.id)).sort((a, b) => b.number - a.number);
+  res.json(list.map(({ agenda, decisions, ...m }) => ({ ...m, summary: minutesSummary(m) })));
+});
+
+app.post("/api/sites/:id/minutes", allow.site("EDIT_MINUTES"), async (req, res) => {
+  const body = req.body || {};
+  const errors = validateMinutes(body);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+
+  const m = await db.tx(async t => {
+    const site = await t.sites.get(req.params.id);
+    assertEditable(site);
+    const previous = (await t.minutes.filter(m => m.site_id === site.id)).sort((a, b) => a.number - b.number);
+    const lastIssued = previous.filter(m => m.status === "issued").at(-1);
+
+    const participants = body.participants || defaultParticipants(site);
+    const users = await checkParticipants(t, participants);
+    const now = new Date().toISOString();
+    const carried = carryOver(lastIssued);
+    const m = {
+      id: "VRB-" + nanoid(6).toUpperCase(),
+      site_id: site.id,
+      number: (previous.at(-1)?.number || 0) + 1,
+      date: body.date || now.slice(0, 10),
+      place: body.place || site.address || "",
+      status: "draft",
+      participants: normalizeParticipants(participants, { users }),
+      agenda: normalizeAgenda(body.agenda || []),
+      decisions: normalizeDecisions(body.decisions || []),
+      actions: [...carried, ...normalizeActions(body.actions || [])],
+      created_by: req.user.id,
+      created_at: now,
+      updated_at: now
+    };
+    await t.minutes.insert(m);
+
+    if (carried.length) {
+      const ids = carried.map(a => a.carried_from.action_id);
+      await t.minutes.put({
+        ...lastIssued,
+        actions: lastIssued.actions.map(a => (ids.includes(a.id) ? { ...a, status: "carried", carried_to: m.id } : a))
+      });
+    }
+    await audit(t, req, { action: "minutes.create", entity: "minutes", entity_id: m.id, site_ids: [site.id], after: m,
+                          note: carried.length ? `${carried.length} azioni riportate dal verbale n. ${lastIssued.number}` : null });
+    return m;
+  });
+  res.json(withMinutesSummary(m));
+});
+
+app.get("/api/sites/:id/minutes/:minutes_id", allow.site("VIEW_MINUTES"), async (req, res) => {
+  const { m } = await loadMinutes(db, req);
+  res.json(withMinutesSummary(m));
+});
+
+// Solo in bozza: le liste inviate sostituiscono quelle salvate (gli elementi con id esistente restano gli stessi)
+app.patch("/api/sites/:id/minutes/:minutes_id", allow.site("EDIT_MINUTES"), async (req, res) => {
+  const body = req.body || {};
+  const errors = validateMinutes(body);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+
+  const m = await db.tx(async t => {
+    const { site, m: before } = await loadMinutes(t, req);
+    assertEditable(site);
+    if (before.status !== "draft") throw httpError(409, "Verbale già emesso: non modificabile");
+
+    const next = { ...before, updated_at: new Date().toISOString() };
+    for (const k of ["date", "place"]) if (body[k] !== undefined) next[k] = body[k];
+    if (body.participants) {
+      const users = await checkParticipants(t, body.participants);
+      next.participants = normalizeParticipants(body.participants, { users, prev: before.participants });
+    }
+    if (body.agenda) next.agenda = normalizeAgenda(body.agenda, before.agenda);
+    if (body.decisions) next.decisions = normalizeDecisions(body.decisions, before.decisions);
+    if (body.actions) {
+      // Le azioni riportate dal verbale precedente non si cancellano: si chiudono
+      const kept = body.actions.map(a => a.id);
+      const dropped = before.actions.filter(a => a.carried_from && !kept.includes(a.id));
+      if (dropped.length) throw httpError(400, "Le azioni riportate non si eliminano: chiudile", { actions: dropped.map(a => a.id) });
+      next.actions = normalizeActions(body.actions, before.actions);
+    }
+    await t.minutes.put(next);
+    await audit(t, req, { action: "minutes.update", entity: "minutes", entity_id: next.id, site_ids: [site.id], before, after: next });
+    return next;
+  });
+  res.json(withMinutesSummary(m));
+});
+
+// Emissione: il verbale diventa definitivo e i partecipanti ricevono il link per la presa visione
+app.post("/api/sites/:id/minutes/:minutes_id/issue", allow.site("EDIT_MINUTES"), async (req, res) => {
+  const m = await db.tx(async t => {
+    const { site, m: before } = await loadMinutes(t, req);
+    assertEditable(site);
+    if (before.status !== "draft") throw httpError(409, "Verbale già emesso");
+    if (!before.participants.some(p => p.present)) throw httpError(400, "Nessun partecipante presente");
+    const next = { ...before, status: "issued", issued_at: new Date().toISOString(), issued_by: req.user.id };
+    await t.minutes.put(next);
+    await audit(t, req, { action: "minutes.issue", entity: "minutes", entity_id: next.id, site_ids: [site.id], before, after: next });
+    return next;
+  });
+
+  const site = req.site;
+  for (const p of m.participants.filter(p => p.present && p.email)) {
+    await mailer.send({
+      to: p.email,
+      subject: `Verbale n. ${m.number} – ${site.name}`,
+      text: `Ciao ${p.name},\nè disponibile il verbale della riunione di coordinamento del ${m.date}.\n`
+          + `Prendine visione e conferma da qui:\n${APP_URL}/sites/${site.id}/minutes/${m.id}\n`
+    });
+  }
+  res.json(withMinutesSummary(m));
+});
+
+// Presa visione del partecipante collegato; chi ha EDIT_MINUTES può registrarla per conto di
+// un partecipante senza account (participant_id)
+app.post("/api/sites/:id/minutes/:minutes_id/acknowledge", allow.site("VIEW_MINUTES"), async (req, res) => {
+  const { participant_id } = req.body || {};
+  const out = await db.tx(async t => {
+    const { site, m } = await loadMinutes(t, req);
+    if (m.status !== "issued") throw httpError(409, "Il verbale non è ancora stato emesso");
+
+    const onBehalf = !!participant_id;
+    if (onBehalf && !authz.canOnSite(req.user, "EDIT_MINUTES", site)) throw forbidden("site", "EDIT_MINUTES", site.id);
+    const i = m.participants.findIndex(p => (onBehalf ? p.id === participant_id : p.user_id === req.user.id));
+    if (i === -1) throw httpError(onBehalf ? 404 : 403, onBehalf ? "participant not found" : "Non risulti tra i partecipanti");
+    if (m.participants[i].acknowledged_at) return { m, participant: m.participants[i] };
+
+    const participant = { ...m.participants[i], acknowledged_at: new Date().toISOString(), acknowledged_by: req.user.id, on_behalf: onBehalf };
+    m.participants[i] = participant;
+    await t.minutes.put(m);
+    await audit(t, req, { action: "minutes.acknowledge", entity: "minutes", entity_id: m.id, site_ids: [site.id],
+                          after: { participant: participant.id, acknowledged_at: participant.acknowledged_at },
+                          note: onBehalf ? `per conto di ${participant.name}` : null });
+    return { m, participant };
+  });
+  res.json({ ok: true, participant: out.participant, summary: minutesSummary(out.m) });
+});
+
+// Chiusura / riapertura di un'azione, anche a verbale emesso: EDIT_MINUTES o l'assegnatario
+app.patch("/api/sites/:id/minutes/:minutes_id/actions/:action_id", allow.site("VIEW_MINUTES"), async (req, res) => {
+  const { status, note } = req.body || {};
+  if (!["open", "done"].includes(status)) return res.status(400).json({ ok: false, error: "status deve essere open o done" });
+  const action = await db.tx(async t => {
+    const { site, m } = await loadMinutes(t, req);
+    assertEditable(site);
+    const i = m.actions.findIndex(a => a.id === req.params.action_id);
+    if (i === -1) throw httpError(404, "not found");
+    const before = m.actions[i];
+    if (before.status === "carried") throw httpError(409, "Azione riportata nel verbale successivo", { carried_to: before.carried_to });
+    if (before.assignee?.user_id !== req.user.id && !authz.canOnSite(req.user, "EDIT_MINUTES", site)) {
+      throw forbidden("site", "EDIT_MINUTES", site.id);
+    }
+    const now = new Date().toISOString();
+    const after = { ...before, status, note: note ?? before.note ?? null,
+                    done_at: status === "done" ? now : null, done_by: status === "done" ? req.user.id : null };
+    m.actions[i] = after;
+    await t.minutes.put(m);
+    await audit(t, req, { action: "minutes.action", entity: "minutes", entity_id: m.id, site_ids: [site.id],
+                          before, after, note: `${after.id} ${before.status} → ${status}` });
+    return after;
+  });
+  res.json({ ok: true, action });
+});
+
+app.get("/api/sites/:id/minutes/:minutes_id/pdf", allow.site("VIEW_MINUTES"), async (req, res) => {
+  const { site, m } = await loadMinutes(db, req);
+  const buffer = await buildMinutesPdf({ company: await db.company.get(), site, minutes: m });
+  sendPdf(res, `Verbale_${site.id}_n${m.number}.pdf`, buffer);
+});
+
+/* -------------------- SAL -------------------- */
+// Contratto e SAL visibili solo a chi ha UPLOAD_SAL (committente, impresa, supervisore)
+const siteContract = (t, siteId) => t.contracts.find(c => c.site_id === siteId);
+const siteSals = async (t, siteId) => (await t.sal.filter(s => s.site_id === siteId)).sort((a, b) => a.number - b.number);
+
+async function loadSal(t, req) {
+  const site = await t.sites.get(req.params.id);
+  const sal = await t.sal.get(req.params.sal_id);
+  if (!site || !sal || sal.site_id !== site.id) throw httpError(404, "not found");
+  return { site, sal };
+}
+
+// Ricalcola righe e totali sui SAL precedenti approvati
+async function recomputeSal(t, sal) {
+  const contract = await siteContract(t, sal.site_id);
+  if (!contract) throw httpError(409, "Contratto del cantiere non definito");
+  const previous = (await siteSals(t, sal.site_id)).filter(s => s.number < sal.number);
+  const { errors, rows, totals } = computeSal(contract, previous, sal.lines);
+  if (errors.length) throw httpError(400, "dati non validi", { errors });
+  return { ...sal, rows, totals };
+}
+
+app.get("/api/sites/:id/contract", allow.site("UPLOAD_SAL"), async (req, res) => {
+  const c = await siteContract(db, req.site.id);
+  if (!c) return res.status(404).json({ ok:false, error:"not found" });
+  res.json(c);
+});
+
+// Modificabile finché nessun SAL è stato presentato
+app.put("/api/sites/:id/contract", allow.site("UPLOAD_SAL"), async (req, res) => {
+  const body = req.body || {};
+  const errors = validateContract(body);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+
+  const contract = await db.tx(async t => {
+    const site = await t.sites.get(req.params.id);
+    assertEditable(site);
+    if ((await siteSals(t, site.id)).some(s => s.status !== "draft")) {
+      throw httpError(409, "Contratto bloccato: esistono SAL presentati o approvati");
+    }
+    const phases = await t.phases.filter(f => f.site_id === site.id);
+    const unknown = body.items.filter(it => it.phase_id && !phases.some(f => f.id === it.phase_id)).map(it => it.code);
+    if (unknown.length) throw httpError(400, "fase del cronoprogramma sconosciuta", { items: unknown });
+
+    const before = await siteContract(t, site.id);
+    const contract = normalizeContract(body, before || { id: "CTR-" + nanoid(6).toUpperCase(), site_id: site.id });
+    contract.updated_by = req.user.id;
+    contract.updated_at = new Date().toISOString();
+    await t.contracts.put(contract);
+    await audit(t, req, { action: before ? "contract.update" : "contract.create", entity: "contract", entity_id: contract.id,
+                          site_ids: [site.id], before, after: contract });
+    return contract;
+  });
+  res.json(contract);
+});
+
+app.get("/api/sites/:id/sal", allow.site("UPLOAD_SAL"), async (req, res) => {
+  const list = await siteSals(db, req.site.id);
+  res.json(list.reverse().map(({ rows, ...s }) => s));
+});
+
+// Avanzamento certificato contro quello previsto dal cronoprogramma (?at=YYYY-MM-DD, default oggi)
+app.get("/api/sites/:id/sal/summary", allow.site("UPLOAD_SAL"), async (req, res) => {
+  const contract = await siteContract(db, req.site.id);
+  if (!contract) return res.status(404).json({ ok:false, error:"Contratto del cantiere non definito" });
+  const phases = await db.phases.filter(f => f.site_id === req.site.id);
+  res.json({ ok: true, ...salSummary(contract, await siteSals(db, req.site.id), { site: req.site, phases }, req.query.at || undefined) });
+});
+
+app.post("/api/sites/:id/sal", allow.site("UPLOAD_SAL"), async (req, res) => {
+  const body = req.body || {};
+  const errors = validateSalInput({ period: body.period, lines: body.lines || [] });
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+
+  const sal = await db.tx(async t => {
+    const site = await t.sites.get(req.params.id);
+    assertEditable(site);
+    const list = await siteSals(t, site.id);
+    const open = list.find(s => s.status !== "approved");
+    if (open) throw httpError(409, `SAL n. ${open.number} non ancora approvato`, { sal_id: open.id });
+    const last = list.at(-1);
+    if (last && body.period.from <= last.period.to) throw httpError(400, `Il periodo deve iniziare dopo il ${last.period.to}`);
+
+    const now = new Date().toISOString();
+    const sal = await recomputeSal(t, {
+      id: "SAL-" + nanoid(6).toUpperCase(),
+      site_id: site.id,
+      number: (last?.number || 0) + 1,
+      period: body.period,
+      status: "draft",
+      lines: (body.lines || []).map(l => ({ code: String(l.code), quantity: Number(l.quantity) })),
+      notes: body.notes || "",
+      files: [],
+      history: [{ from: null, to: "draft", at: now, by: req.user.id, note: null }],
+      created_by: req.user.id,
+      created_at: now
+    });
+    await t.sal.insert(sal);
+    await audit(t, req, { action: "sal.create", entity: "sal", entity_id: sal.id, site_ids: [site.id], after: sal, note: `SAL n. ${sal.number}` });
+    return sal;
+  });
+  res.json(sal);
+});
+
+app.get("/api/sites/:id/sal/:sal_id", allow.site("UPLOAD_SAL"), async (req, res) => {
+  const { sal } = await loadSal(db, req);
+  res.json({ ...sal, files: (sal.files || []).map(f => ({ ...f, url: fileUrl(req, f.file_id) })) });
+});
+
+app.patch("/api/sites/:id/sal/:sal_id", allow.site("UPLOAD_SAL"), async (req, res) => {
+  const body = req.body || {};
+  const errors = validateSalInput(body);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+
+  const sal = await db.tx(async t => {
+    const { site, sal: before } = await loadSal(t, req);
+    assertEditable(site);
+    if (before.status !== "draft") throw httpError(409, "Solo i SAL in bozza sono modificabili");
+    const next = { ...before, updated_at: new Date().toISOString() };
+    if (body.period) next.period = body.period;
+    if (body.lines) next.lines = body.lines.map(l => ({ code: String(l.code), quantity: Number(l.quantity) }));
+    if (body.notes !== undefined) next.notes = body.notes;
+    const sal = await recomputeSal(t, next);
+    await t.sal.put(sal);
+    await audit(t, req, { action: "sal.update", entity: "sal", entity_id: sal.id, site_ids: [site.id], before, after: sal });
+    return sal;
+  });
+  res.json(sal);
+});
+
+// Solo l'ultimo SAL, se ancora in bozza: la numerazione resta senza buchi
+app.delete("/api/sites/:id/sal/:sal_id", allow.site("UPLOAD_SAL"), async (req, res) => {
+  await db.tx(async t => {
+    const { site, sal } = await loadSal(t, req);
+    assertEditable(site);
+    if (sal.status !== "draft") throw httpError(409, "Solo i SAL in bozza si possono eliminare");
+    await t.sal.remove(sal.id);
+    await audit(t, req, { action: "sal.delete", entity: "sal", entity_id: sal.id, site_ids: [site.id], before: sal });
+  });
+  res.json({ ok: true });
+});
+
+// submit: UPLOAD_SAL; approve / reject (torna in bozza con il motivo): APPROVE_SAL
+async function changeSalStatus(req, to, note) {
+  return db.tx(async t => {
+    const { site, sal: before } = await loadSal(t, req);
+    assertEditable(site);
+    // Ricalcolo al momento della presentazione: il contratto potrebbe essere cambiato
+    const current = to === "submitted" ? await recomputeSal(t, before) : before;
+    const r = salTransition(current, to, { by: req.user.id, note });
+    if (r.error) throw httpError(409, r.error, { allowed: r.allowed });
+    await t.sal.put(r.sal);
+    await audit(t, req, { action: `sal.${{ submitted: "submit", approved: "approve", draft: "reject" }[to]}`, entity: "sal",
+                          entity_id: before.id, site_ids: [site.id], before, after: r.sal, note: note || `SAL n. ${before.number}` });
+    return r.sal;
+  });
+}
+
+app.post("/api/sites/:id/sal/:sal_id/submit", allow.site("UPLOAD_SAL"), async (req, res) => {
+  res.json({ ok: true, sal: await changeSalStatus(req, "submitted") });
+});
+
+app.post("/api/sites/:id/sal/:sal_id/approve", allow.site("APPROVE_SAL"), async (req, res) => {
+  res.json({ ok: true, sal: await changeSalStatus(req, "approved", req.body?.note) });
+});
+
+app.post("/api/sites/:id/sal/:sal_id/reject", allow.site("APPROVE_SAL"), async (req, res) => {
+  const reason = req.body?.reason;
+  if (!reason) return res.status(400).json({ ok: false, error: "reason required" });
+  res.json({ ok: true, sal: await changeSalStatus(req, "draft", reason) });
+});
+
+// Allegati (misure, foto, fatture): finché il SAL non è approvato
+app.post("/api/sites/:id/sal/:sal_id/files", allow.site("UPLOAD_SAL"), upload.single("file"), async (req, res) => {
+  if (!req.file) return res.status(400).json({ ok: false, error: "file missing" });
+  const blob = await saveUpload(req.file, "attachments");
+  const file = await db.tx(async t => {
+    const { site, sal } = await loadSal(t, req);
+    assertEditable(site);
+    if (sal.status === "approved") throw httpError(409, "SAL approvato: allegati non modificabili");
+    const f = await registerFile(t, blob, { access: FILE_ACCESS.sal(site.id), by: req.user.id });
+    const file = {
+      id: "ALL-" + nanoid(6).toUpperCase(),
+      file: filePath(f),
+      file_id: f.id,
+      original_name: req.file.originalname,
+      mime: blob.mime,
+      size: blob.size,
+      description: req.body?.description || "",
+      uploaded_by: req.user.id,
+      uploaded_at: new Date().toISOString()
+    };
+    await t.sal.put({ ...sal, files: [...(sal.files || []), file] });
+    await audit(t, req, { action: "sal.file", entity: "sal", entity_id: sal.id, site_ids: [site.id], after: file, note: file.original_name });
+    return file;
+  });
+  res.json({ ok: true, file, url: fileUrl(req, file.file_id) });
+});
+
+app.get("/api/sites/:id/sal/:sal_id/pdf", allow.site("UPLOAD_SAL"), async (req, res) => {
+  const { site, sal } = await loadSal(db, req);
+  const buffer = await buildSalPdf({ company: await db.company.get(), site, contract: await siteContract(db, site.id), sal });
+  sendPdf(res, `SAL_${site.id}_n${sal.number}.pdf`, buffer);
+});
+
+/* -------------------- Notifiche -------------------- */
+// Avvisi correnti su cantieri non chiusi: documenti dei lavoratori e delle imprese, documenti di cantiere,
+// azioni correttive, verifiche periodiche delle attrezzature
+async function collectAlerts(today) {
+  const sites = (await db.sites.all()).filter(s => !isFrozen(s));
+  const sitesOf = workerId => sites.filter(s => (s.workers || []).includes(workerId)).map(s => s.id);
+  const companySites = id => sites.filter(s => (s.companies || []).some(e => e.company_id === id)).map(s => s.id);
+  const equipmentSites = eq => sites.filter(s => (eq.assignments || []).some(a => a.site_id === s.id && (!a.to || a.to >= today)))
+    .map(s => s.id);
+  const inspections = await db.inspections.filter(i => sites.some(s => s.id === i.site_id));
+  const users = await db.users.all();
+  const alerts = [
+    ...workerDocAlerts(await db.workers.all(), { today, sitesOf }),
+    ...companyDocAlerts(await db.companies.all(), { today, sitesOf: companySites }),
+    ...correctiveActionAlerts(inspections, { today, sites }),
+    ...equipmentAlerts(await db.equipment.all(), { today, sitesOf: equipmentSites })
+  ];
+  for (const site of sites) {
+    const psc = await latestPsc(db, site.id);
+    alerts.push(...siteDocAlerts({
+      site, psc, today,
+      required: (await siteObligations(db, site)).required,
+      pendingAcks: psc ? ackStatus(site, psc, users).pending : [],
+      planned: siteStatus(site) === "planned"
+    }));
+  }
+  return alerts;
+}
+
+const notifier = createNotifier({
+  db, mailer, appUrl: APP_URL, collect: collectAlerts,
+  hour: Number(process.env.NOTIFY_DIGEST_HOUR ?? 7)
+});
+
+/* ---- Preferenze dell'utente ---- */
+app.get("/api/me/notifications", allow.authenticated(), async (req, res) => {
+  res.json({ ok: true, prefs: userPrefs(await db.users.get(req.user.id)), defaults: DEFAULT_PREFS });
+});
+
+// lead_days: giorni di preavviso; digest: daily | weekly | off; weekday (solo weekly): 0 = domenica
+app.put("/api/me/notifications", allow.authenticated(), async (req, res) => {
+  const body = req.body || {};
+  const errors = validatePrefs(body);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+  const prefs = await db.tx(async t => {
+    const u = await t.users.get(req.user.id);
+    const before = userPrefs(u);
+    const prefs = { ...before };
+    for (const k of Object.keys(DEFAULT_PREFS)) if (body[k] !== undefined) prefs[k] = body[k];
+    await t.users.put({ ...u, notifications: prefs });
+    await audit(t, req, { action: "user.notifications", entity: "user", entity_id: u.id, before, after: prefs });
+    return prefs;
+  });
+  res.json({ ok: true, prefs });
+});
+
+// Anteprima di cosa finirebbe nel prossimo digest
+app.get("/api/me/alerts", allow.authenticated(), async (req, res) => {
+  const me = await db.users.get(req.user.id);
+  const alerts = alertsFor(me, await collectAlerts(new Date().toISOString().slice(0, 10)), { sites: await db.sites.all() });
+  res.json({ ok: true, prefs: userPrefs(me), alerts });
+});
+
+/* ---- Webhook in uscita ---- */
+// Il segreto firma il corpo (x-kanthera-signature: sha256=HMAC); si vede solo alla creazione
+const publicHook = ({ secret, ...h }) => h;
+
+app.get("/api/webhooks", allow.company("EDIT_COMPANY"), async (req, res) => {
+  res.json((await db.webhooks.all()).map(publicHook));
+});
+
+app.post("/api/webhooks", allow.company("EDIT_COMPANY"), async (req, res) => {
+  const body = req.body || {};
+  const errors = validateWebhook(body);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+  const hook = {
+    id: "WHK-" + nanoid(6).toUpperCase(),
+    url: body.url,
+    description: body.description || "",
+    secret: body.secret || randomToken(),
+    active: body.active ?? true,
+    created_by: req.user.id,
+    created_at: new Date().toISOString()
+  };
+  await db.tx(async t => {
+    await t.webhooks.insert(hook);
+    await audit(t, req, { action: "webhook.create", entity: "webhook", entity_id: hook.id, after: publicHook(hook) });
+  });
+  res.json({ ok: true, webhook: hook });
+});
+
+app.patch("/api/webhooks/:id", allow.company("EDIT_COMPANY"), async (req, res) => {
+  const body = req.body || {};
+  const hook = await db.tx(async t => {
+    const before = await t.webhooks.get(req.params.id);
+    if (!before) throw httpError(404, "not found");
+    const after = { ...before };
+    for (const k of ["url", "description", "active"]) if (body[k] !== undefined) after[k] = body[k];
+    const errors = validateWebhook(after);
+    if (errors.length) throw httpError(400, "dati non validi", { errors });
+    await t.webhooks.put(after);
+    await audit(t, req, { action: "webhook.update", entity: "webhook", entity_id: after.id,
+                          before: publicHook(before), after: publicHook(after) });
+    return after;
+  });
+  res.json({ ok: true, webhook: publicHook(hook) });
+});
+
+app.delete("/api/webhooks/:id", allow.company("EDIT_COMPANY"), async (req, res) => {
+  await db.tx(async t => {
+    const before = await t.webhooks.get(req.params.id);
+    if (!before) throw httpError(404, "not found");
+    await t.webhooks.remove(before.id);
+    await audit(t, req, { action: "webhook.delete", entity: "webhook", entity_id: before.id, before: publicHook(before) });
+  });
+  res.json({ ok: true });
+});
+
+// Chiamata di prova: passa dalle consegne come le altre, con lo stesso retry
+app.post("/api/webhooks/:id/test", allow.company("EDIT_COMPANY"), async (req, res) => {
+  const hook = await db.webhooks.get(req.params.id);
+  if (!hook) return res.status(404).json({ ok:false, error:"not found" });
+  const d = newDelivery({
+    key: `test:${hook.id}:${Date.now()}`, channel: "webhook", webhook_id: hook.id, to: hook.url,
+    payload: { event: "ping", generated_at: new Date().toISOString() }
+  });
+  await db.tx(t => t.deliveries.insert(d));
+  await notifier.processDeliveries();
+  res.json({ ok: true, delivery: await db.deliveries.get(d.id) });
+});
+
+/* ---- Consegne ---- */
+// ?status=pending|sent|failed &channel=email|webhook &limit=N
+app.get("/api/notifications/deliveries", allow.company("VIEW_AUDIT"), async (req, res) => {
+  const { status, channel } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const list = (await db.deliveries.filter(d => (!status || d.status === status) && (!channel || d.channel === channel)))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  res.json(list.slice(0, limit).map(({ text, payload, ...d }) => d));
+});
+
+app.post("/api/notifications/deliveries/:id/retry", allow.company("EDIT_COMPANY"), async (req, res) => {
+  await db.tx(async t => {
+    const d = await t.deliveries.get(req.params.id);
+    if (!d) throw httpError(404, "not found");
+    if (d.status === "sent") throw httpError(409, "Consegna già inviata");
+    await t.deliveries.put({ ...d, status: "pending", next_attempt_at: new Date().toISOString() });
+    await audit(t, req, { action: "delivery.retry", entity: "delivery", entity_id: d.id, note: `${d.channel} ${d.to}` });
+  });
+  await notifier.processDeliveries();
+  res.json({ ok: true, delivery: await db.deliveries.get(req.params.id) });
+});
+
+// Giro manuale dello scheduler; force ignora ora e giorno del digest (non le consegne già fatte)
+app.post("/api/notifications/run", allow.company("EDIT_COMPANY"), async (req, res) => {
+  const at = req.body?.at ? new Date(req.body.at) : new Date();
+  if (isNaN(at)) return res.status(400).json({ ok:false, error:"at non valido" });
+  res.json({ ok: true, ...await notifier.run({ at, force: !!req.body?.force }) });
+});
+
+/* -------------------- SEED (demo, opzionale) -------------------- */
+// Esegui UNA VOLTA per popolare company/sites/workers con dati demo.
+// Sovrascrive i dati: solo POST, solo company_admin, mai in produzione.
+app.post("/api/seed", allow.company("SEED_DATA"), async (req, res) => {
+  if (process.env.NODE_ENV === "production") return res.status(404).json({ ok:false, error:"not found" });
+  const company = {
+    name: "Pavi Servizi S.A.S.",
+    vat: "IT02634910182",
+    address: "Via Gravellone 11, San Martino Siccomario (PV)",
+    legal_rep: "Nildo Jauregui",
+    rspp: { name: "Ing. Marco RSPP", email: "marco.rsp@paviservizi.it" }
+  };
+
+  const workers = [
+    {
+      id: "DIP-0001",
+      name: "Mario Rossi",
+      cf: "RSSMRA80A01H501U",
+      role: "Operaio",
+      docs: {
+        visita_medica: "2026-05-20",
+        corso_generale: "2029-09-01",
+        corso_specifica_fs: "2029-09-01",
+        dpi_consegna: true,
+        tesserino: true,
+        preposto: true,
+        antincendio: "2027-02-01",
+        ps: "2027-02-01"
+      }
+    },
+    {
+      id: "DIP-0002",
+      name: "Giuseppe Verdi",
+      cf: "VRDGPP85B12H501E",
+      role: "Operaio",
+      docs: {
+        visita_medica: "2026-01-15",
+        corso_generale: "2028-05-10",
+        corso_specifica_fs: "2028-05-10",
+        dpi_consegna: true,
+        tesserino: true,
+        antincendio: "2027-08-01"
+      }
+    }
+  ];
+
+  const sites = [
+    {
+      id: "CNT-0001",
+      name: "Cantiere Sede Cliente Verdi – Piano 3",
+      address: "Via Roma 12, Bologna",
+      client: "Cliente Verdi Srl",
+      dates: { start: "2025-11-01", end: "2026-03-31" },
+      cse: { name: "Laura Bianchi", email: "laura.bianchi@uffici.co" },
+      workers: ["DIP-0001","DIP-0002"],
+      roles: [{ user_id: "USR-0001", role: "owner" }],
+      meta: { duration_days: 150 }
+    },
+    {
+      id: "CNT-0002",
+      name: "Ristrutturazione Uffici – Lotto B",
+      address: "Via Milano 45, Modena",
+      client: "Uffici & Co.",
+      dates: { start: "2025-10-15", end: "2026-02-28" },
+      cse: { name: "Laura Bianchi", email: "laura.bianchi@uffici.co" },
+      workers: ["DIP-0001"],
+      roles: [{ user_id: "USR-0001", role: "owner" }],
+      meta: { duration_days: 136 }
+    }
+  ];
+
+  // Anagrafica imprese: solo quella del gestionale, affidataria dei cantieri demo
+  const own = ownCompanyRecord(company, "IMP-0001");
+  for (const w of workers) w.company_id = own.id;
+  for (const s of sites) s.companies = [{ company_id: own.id, role: "affidataria", parent_id: null }];
+
+  await db.tx(async t => {
+    await t.company.set(company);
+    await t.companies.replaceAll([own]);
+    await t.workers.replaceAll(workers);
+    await t.sites.replaceAll(sites);
+    await audit(t, req, { action: "seed", entity: "system", entity_id: "seed", site_ids: sites.map(s => s.id),
+                          note: `${workers.length} lavoratori, ${sites.length} cantieri` });
+  });
+
+  res.json({ ok: true, company, workersCount: workers.length, sitesCount: sites.length });
+});
+
+/* -------------------- Audit & attività -------------------- */
+// ?format=csv per l'export da consegnare in ispezione
+function sendAudit(req, res, list, name) {
+  const out = filterAudit(list, req.query);
+  if (req.query.format === "csv") return sendCsv(res, `${name}_${new Date().toISOString().slice(0, 10)}.csv`, auditCsv(out));
+  const limit  = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  res.json({ ok: true, total: out.length, entries: out.slice(offset, offset + limit) });
+}
+
+app.get("/api/audit", allow.company("VIEW_AUDIT"), async (req, res) => {
+  sendAudit(req, res, await db.audit.all(), "audit");
+});
+
+app.get("/api/sites/:id/activity", allow.site("VIEW_SITE"), async (req, res) => {
+  const list = await db.audit.filter(e => e.site_ids.includes(req.site.id));
+  sendAudit(req, res, list, `attivita_${req.site.id}`);
+});
+
+/* -------------------- Capability check -------------------- */
+app.get("/api/can", allow.authenticated(), async (req,res)=>{
+  const action = req.query.action;
+  const siteId  = req.query.site;
+  const allowed = await req.can(action, siteId);
+  res.json({ ok: true, can: allowed });
+});
+
+/* -------------------- Errori -------------------- */
+app.use("/api", (req, res) => res.status(404).json({ ok: false, error: "not found" }));
+
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) err.status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+  if (!err.status || err.status >= 500) console.error(err);
+  res.status(err.status || 500).json({ ok: false, error: err.message, ...(err.extra || {}) });
+});
+
+/* -------------------- Boot -------------------- */
+// File della V1.6 in uploads/ e generated/: nell'archivio con i permessi della risorsa a cui sono allegati.
+// Le cartelle restano sul disco (da svuotare dopo la verifica) ma non sono più servite
+const LEGACY_FILE = /^\/(uploads|generated)\/(.+)$/;
+const isLegacy = r => LEGACY_FILE.test(r?.file || "");
+
+async function migrateLegacyFile(t, rec, access) {
+  const [, dir, name] = LEGACY_FILE.exec(rec.file);
+  const buffer = await fsp.readFile(path.join(LEGACY_DIRS[dir], path.basename(name))).catch(() => null);
+  if (!buffer) {
+    console.warn(`file non trovato, collegamento rimosso: ${rec.file}`);
+    return { ...rec, file: null, file_id: null, legacy_file: rec.file };
+  }
+  const type = sniffType(buffer) || { mime: "application/octet-stream", ext: null };
+  const blob = await saveBlob(buffer, type, rec.original_name || path.basename(name), dir === "generated" ? "generated" : "upload");
+  const f = await registerFile(t, blob, { access, by: rec.uploaded_by || rec.created_by || null });
+  return { ...rec, file: filePath(f), file_id: f.id };
+}
+
+if (Object.values(LEGACY_DIRS).some(d => fs.existsSync(d))) {
+  await db.tx(async t => {
+    const move = async (name, access) => {
+      for (const r of await t[name].filter(isLegacy)) await t[name].put(await migrateLegacyFile(t, r, access(r)));
+    };
+    await move("documents", r => FILE_ACCESS.workerDoc(r.worker_id));
+    await move("training", r => FILE_ACCESS.training(r.worker_id));
+    await move("psc", r => FILE_ACCESS.psc(r.site_id));
+    await move("pos", r => FILE_ACCESS.pos(r.site_id));
+
+    // Allegati dentro altri record: documenti ITP, foto dei sopralluoghi, allegati dei SAL
+    const nested = async (name, field, access) => {
+      for (const r of await t[name].filter(x => (x[field] || []).some(isLegacy))) {
+        const list = [];
+        for (const item of r[field]) list.push(isLegacy(item) ? await migrateLegacyFile(t, item, access(r)) : item);
+        await t[name].put({ ...r, [field]: list });
+      }
+    };
+    await nested("companies", "documents", () => FILE_ACCESS.companyDoc());
+    await nested("inspections", "photos", r => FILE_ACCESS.photo(r.site_id));
+    await nested("sal", "files", r => FILE_ACCESS.sal(r.site_id));
+  });
+}
+
+// Anagrafica imprese: l'impresa del gestionale dal profilo aziendale; lavoratori e cantieri
+// esistenti le vengono attribuiti (lavoratori dipendenti, cantieri come affidataria)
+if (!(await db.companies.all()).length) {
+  await db.tx(async t => {
+    const own = ownCompanyRecord(await t.company.get() || {}, "IMP-" + nanoid(4).toUpperCase());
+    await t.companies.insert(own);
+    for (const w of await t.workers.filter(w => !w.company_id)) await t.workers.put({ ...w, company_id: own.id });
+    for (const s of await t.sites.filter(s => !s.companies)) {
+      await t.sites.put({ ...s, companies: [{ company_id: own.id, role: "affidataria", parent_id: null }] });
+    }
+  });
+}
+
+// Libreria lavorazioni di base al primo avvio
+if (!(await db.lavorazioni.all()).length) {
+  await db.tx(t => t.lavorazioni.replaceAll(DEFAULT_LAVORAZIONI));
+}
+
+// Cantieri mai valutati dal motore regole (avviso "PSC obbligatorio" calcolato sui giorni)
+if ((await db.sites.all()).some(s => !s.meta?.obligations && !isFrozen(s))) {
+  await db.tx(async t => {
+    for (const s of await t.sites.all()) {
+      if (!s.meta?.obligations && !isFrozen(s)) await t.sites.put(await withObligations(t, s));
+    }
+  });
+}
+
+// Catalogo corsi di base al primo avvio
+if (!(await db.courses.all()).length) {
+  await db.tx(t => t.courses.replaceAll(DEFAULT_COURSES));
+}
+
+// Corsi di abilitazione per le attrezzature aggiunti al catalogo dopo il primo avvio
+{
+  const courses = await db.courses.all();
+  const missing = DEFAULT_COURSES.filter(c => c.doc.startsWith("abilitazione_") && !courses.some(x => x.id === c.id));
+  if (missing.length) await db.tx(async t => { for (const c of missing) await t.courses.insert(c); });
+}
+
+// Primo accesso: imposta la password dell'admin indicato se non ne ha ancora una
+if (process.env.BOOTSTRAP_ADMIN_EMAIL && process.env.BOOTSTRAP_ADMIN_PASSWORD) {
+  await db.tx(async t => {
+    const u = await t.users.find(x => normEmail(x.email) === normEmail(process.env.BOOTSTRAP_ADMIN_EMAIL));
+    if (u && !u.password_hash) {
+      await t.users.put({ ...u, password_hash: hashPassword(process.env.BOOTSTRAP_ADMIN_PASSWORD), status: "active" });
+      console.log(`password iniziale impostata per ${u.email}`);
+    }
+  });
+}
+
+const PORT = process.env.PORT || 10000;
+app.listen(PORT, () => {
+  console.log("kanthera backend on", PORT);
+});
+
+// Scheduler delle notifiche: NOTIFY_INTERVAL_MINUTES (default 60, 0 = disattivato)
+notifier.start(Number(process.env.NOTIFY_INTERVAL_MINUTES ?? 60) * 60000);
@@ -0,0 +1,96 @@
+// test/attendance.test.js — Tesserino, controllo accessi, registro giornaliero e uomini-giorno effettivi
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BADGE_PREFIX, localDay, badgeQrText, parseBadge, entryCheck, hoursBetween, attendanceRegister, manDaysComparison, validRange
+} from "../lib/attendance.js";
+
+const at = (d, h, m = 0) => new Date(2026, 3, d, h, m).toISOString();
+const site = { id: "CNT-A", workers: ["W1", "W2"] };
+const compliant = { status: "compliant", missing: [], expired: [] };
+const workers = [{ id: "W1", name: "Mario Rossi", cf: "RSSMRA80A01H501U" }, { id: "W3", name: "Luca Bianchi" }];
+const companies = [{ id: "IMP-A", name: "Alfa" }, { id: "IMP-B", name: "Beta" }];
+const records = [
+  { id: "P1", worker_id: "W1", company_id: "IMP-A", date: "2026-04-09", status: "out", check_in: at(9, 7, 30), check_out: at(9, 12), hours: 4.5, method: "badge" },
+  { id: "P2", worker_id: "W1", company_id: "IMP-A", date: "2026-04-09", status: "out", check_in: at(9, 13), check_out: at(9, 17), hours: 4, method: "badge" },
+  { id: "P3", worker_id: "W3", company_id: "IMP-B", date: "2026-04-09", status: "out", check_in: at(9, 8), check_out: null, hours: null, method: "manual", auto_closed: true },
+  { id: "P4", worker_id: "W1", company_id: "IMP-A", date: "2026-04-10", status: "in", check_in: at(10, 7), method: "badge" },
+  { id: "P5", worker_id: "W2", company_id: "IMP-A", date: "2026-04-10", status: "denied", check_in: at(10, 7, 5),
+    reasons: [{ code: "non_compliant", message: "Lavoratore non conforme: visita_medica scaduto" }] },
+  { id: "P6", worker_id: "W1", company_id: "IMP-A", date: "2026-04-11", status: "out", check_in: at(11, 8), check_out: at(11, 12), hours: 4, method: "badge" }
+];
+
+test("tesserino: testo del QR, codice o QR completo all'ingresso", () => {
+  assert.equal(badgeQrText("AB12"), BADGE_PREFIX + "AB12");
+  assert.equal(parseBadge(" kanthera:badge:AB12 "), "AB12");
+  assert.equal(parseBadge("KANTHERA:BADGE:AB12"), "AB12");
+  assert.equal(parseBadge("AB12"), "AB12");
+  assert.equal(parseBadge(null), "");
+});
+
+test("localDay, hoursBetween e validRange", () => {
+  assert.equal(localDay(new Date(2026, 0, 5, 23, 59)), "2026-01-05");
+  assert.equal(hoursBetween(at(9, 7, 30), at(9, 12)), 4.5);
+  assert.equal(hoursBetween(at(9, 7), at(9, 7, 20)), 0.33);
+  assert.equal(hoursBetween(at(9, 12), at(9, 7)), 0);
+  assert.equal(validRange("2026-04-01", "2026-04-30"), true);
+  assert.equal(validRange("2026-04-30", "2026-04-01"), false);
+  assert.equal(validRange("2026-04-01", undefined), false);
+});
+
+test("entryCheck: ammesso solo se tutto in regola", () => {
+  const ok = { site, worker: { id: "W1" }, siteActive: true, compliance: compliant, employerOnSite: true, itp: { blocked: false } };
+  assert.deepEqual(entryCheck(ok), []);
+
+  const all = entryCheck({
+    site, worker: { id: "W9" }, siteActive: false, employerOnSite: false,
+    compliance: { status: "non_compliant", missing: ["corso_generale"], expired: ["visita_medica"] }
+  });
+  assert.deepEqual(all, [
+    { code: "site_not_active", message: "Cantiere non attivo" },
+    { code: "not_assigned", message: "Lavoratore non assegnato al cantiere" },
+    { code: "non_compliant", message: "Lavoratore non conforme: corso_generale mancante, visita_medica scaduto" },
+    { code: "company_not_on_site", message: "Impresa del lavoratore non presente in cantiere" }
+  ]);
+
+  // Documenti in scadenza non bloccano; l'impresa bloccata sì
+  const blocked = entryCheck({ ...ok, compliance: { ...compliant, status: "expiring" }, itp: { blocked: true, missing: ["dvr"], expired: ["durc"] } });
+  assert.deepEqual(blocked, [{ code: "company_blocked", message: "Impresa bloccata: idoneità tecnico-professionale (dvr, durc)" }]);
+});
+
+test("attendanceRegister: righe per ingresso, respinti a parte, uomini-giorno per lavoratore e giorno", () => {
+  const reg = attendanceRegister(records, { workers, companies, from: "2026-04-09", to: "2026-04-10" });
+  assert.deepEqual(reg.rows.map(r => [r.id, r.check_in, r.check_out, r.hours, r.open]), [
+    ["P1", "07:30", "12:00", 4.5, false],
+    ["P3", "08:00", null, null, false],
+    ["P2", "13:00", "17:00", 4, false],
+    ["P4", "07:00", null, null, true]
+  ]);
+  assert.equal(reg.rows[0].name, "Mario Rossi");
+  assert.equal(reg.rows[0].company, "Alfa");
+  assert.equal(reg.rows[1].auto_closed, true);
+  assert.deepEqual(reg.denied, [{
+    id: "P5", date: "2026-04-10", time: "07:05", worker_id: "W2", name: "W2", cf: null, company: "Alfa",
+    reasons: "Lavoratore non conforme: visita_medica scaduto"
+  }]);
+  assert.deepEqual(reg.totals, { days: 2, workers: 2, man_days: 3, hours: 8.5, open: 1, denied: 1 });
+});
+
+test("manDaysComparison: effettivi contro cronoprogramma, per giorno e per impresa", () => {
+  const phases = [{ id: "A", start: "2026-04-01", end: "2026-04-10", companies: ["Alfa"], workers: ["W1", "W2"] }];
+  const out = manDaysComparison({ phases, records, companies, from: "2026-04-09", to: "2026-04-13" });
+  assert.deepEqual(out.by_day, [
+    { date: "2026-04-09", planned: 2, actual: 2, variance: 0 },
+    { date: "2026-04-10", planned: 2, actual: 1, variance: -1 },
+    { date: "2026-04-11", planned: 0, actual: 1, variance: 1 }
+  ]);
+  assert.deepEqual([out.planned, out.actual, out.variance, out.ratio], [4, 4, 0, 1]);
+  assert.deepEqual(out.by_company, [
+    { company: "Alfa", planned: 4, actual: 3, variance: -1 },
+    { company: "Beta", planned: 0, actual: 1, variance: 1 }
+  ]);
+
+  const empty = manDaysComparison({ records: [], from: "2026-04-09", to: "2026-04-10" });
+  assert.deepEqual([empty.planned, empty.ratio, empty.by_day], [0, null, []]);
+});
@@ -0,0 +1,66 @@
+// test/audit.test.js — Voci del registro, filtri ed export CSV
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diff, auditEntry, filterAudit, auditCsv } from "../lib/audit.js";
+import { toCsv } from "../lib/csv.js";
+
+test("diff: campi annidati, aggiunti, rimossi; array interi", () => {
+  const before = { name: "A", docs: { visita_medica: "2026-01-01", ps: "2027-01-01" }, workers: ["W1"] };
+  const after  = { name: "A", docs: { visita_medica: "2027-01-01" }, workers: ["W1", "W2"], role: "Operaio" };
+  assert.deepEqual(diff(before, after), [
+    { path: "docs.visita_medica", before: "2026-01-01", after: "2027-01-01" },
+    { path: "docs.ps", before: "2027-01-01", after: null },
+    { path: "workers", before: ["W1"], after: ["W1", "W2"] },
+    { path: "role", before: null, after: "Operaio" }
+  ]);
+  assert.deepEqual(diff({ a: 1 }, { a: 1 }), []);
+});
+
+test("diff: le credenziali non finiscono mai nel registro", () => {
+  assert.deepEqual(diff({ password_hash: "x", hash: "y" }, { password_hash: "z", hash: "w" }), []);
+});
+
+test("auditEntry: attore ridotto, cantieri senza vuoti", () => {
+  const e = auditEntry({
+    actor: { id: "USR-1", name: "Nildo", email: "n@x.it", password_hash: "segreto" },
+    action: "worker.update", entity: "worker", entity_id: "DIP-1",
+    site_ids: ["CNT-1", null], before: { role: "A" }, after: { role: "B" }
+  });
+  assert.match(e.id, /^AUD-/);
+  assert.ok(!isNaN(Date.parse(e.at)));
+  assert.deepEqual(e.actor, { id: "USR-1", name: "Nildo", email: "n@x.it" });
+  assert.deepEqual(e.site_ids, ["CNT-1"]);
+  assert.deepEqual(e.changes, [{ path: "role", before: "A", after: "B" }]);
+  assert.equal(auditEntry({ action: "seed", entity: "system", entity_id: "seed" }).actor, null);
+});
+
+const entries = [
+  { id: "1", at: "2026-03-01T10:00:00.000Z", actor: { id: "U1" }, action: "site.create", entity: "site", entity_id: "CNT-1", site_ids: ["CNT-1"], changes: [] },
+  { id: "2", at: "2026-03-02T18:30:00.000Z", actor: { id: "U2" }, action: "worker.update", entity: "worker", entity_id: "DIP-1", site_ids: ["CNT-1", "CNT-2"], changes: [] },
+  { id: "3", at: "2026-03-03T08:00:00.000Z", actor: null, action: "seed", entity: "system", entity_id: "seed", site_ids: [], changes: [] }
+];
+
+test("filterAudit: filtri combinati, più recenti prima, 'to' inclusa", () => {
+  assert.deepEqual(filterAudit(entries).map(e => e.id), ["3", "2", "1"]);
+  assert.deepEqual(filterAudit(entries, { site: "CNT-1" }).map(e => e.id), ["2", "1"]);
+  assert.deepEqual(filterAudit(entries, { actor: "U2", entity: "worker" }).map(e => e.id), ["2"]);
+  assert.deepEqual(filterAudit(entries, { from: "2026-03-02", to: "2026-03-02" }).map(e => e.id), ["2"]);
+  assert.deepEqual(filterAudit(entries, { action: "nope" }), []);
+});
+
+test("auditCsv: una riga per campo modificato", () => {
+  const e = { ...entries[1], actor: { id: "U2", name: "Freud", email: "f@x.it" },
+              changes: [{ path: "role", before: "A", after: "B" }, { path: "cf", before: null, after: "X;Y" }] };
+  const lines = auditCsv([e, entries[2]]).replace(/^\uFEFF/, "").trim().split("\r\n");
+  assert.equal(lines.length, 4);
+  assert.equal(lines[0], "Data/ora;Utente;Azione;Entità;ID;Cantieri;Campo;Prima;Dopo;Note");
+  assert.equal(lines[1], "2026-03-02T18:30:00.000Z;Freud <f@x.it>;worker.update;worker;DIP-1;CNT-1 CNT-2;role;A;B;");
+  assert.ok(lines[2].endsWith(';cf;;"X;Y";'));
+  assert.equal(lines[3], "2026-03-03T08:00:00.000Z;;seed;system;seed;;;;;");
+});
+
+test("toCsv: BOM, quoting e colonne calcolate", () => {
+  const csv = toCsv([{ a: 'di "lui"', b: { x: 1 } }], ["a", { key: r => r.b.x + 1, label: "B" }]);
+  assert.equal(csv, '\uFEFFa;B\r\n"di ""lui""";2\r\n');
+});
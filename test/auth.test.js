@@ -0,0 +1,57 @@
+// test/auth.test.js — Password, token firmati e token opachi
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+process.env.AUTH_SECRET = "test-secret";
+const { hashPassword, verifyPassword, signToken, verifyToken, randomToken, sha256, expiresIn, isExpired } =
+  await import("../lib/auth.js");
+
+const authModule = fileURLToPath(new URL("../lib/auth.js", import.meta.url));
+const importAuth = env => spawnSync(process.execPath, ["--input-type=module", "-e", `await import(${JSON.stringify(authModule)})`],
+  { env: { PATH: process.env.PATH, ...env }, encoding: "utf8" });
+
+test("hashPassword / verifyPassword", () => {
+  const h = hashPassword("segreta");
+  assert.match(h, /^scrypt\$[\w-]+\$[\w-]+$/);
+  assert.notEqual(h, hashPassword("segreta")); // salt casuale
+  assert.equal(verifyPassword("segreta", h), true);
+  assert.equal(verifyPassword("sbagliata", h), false);
+  assert.equal(verifyPassword("segreta", null), false);
+  assert.equal(verifyPassword("segreta", "md5$x$y"), false);
+});
+
+test("signToken / verifyToken: claims, firma alterata, scadenza", () => {
+  const token = signToken({ sub: "USR-1" }, 60);
+  const claims = verifyToken(token);
+  assert.equal(claims.sub, "USR-1");
+  assert.equal(claims.exp - claims.iat, 60);
+
+  const [h, p, s] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ ...claims, sub: "USR-ADMIN" })).toString("base64url");
+  assert.equal(verifyToken(`${h}.${forged}.${s}`), null);
+  assert.equal(verifyToken(`${h}.${p}.x${s.slice(1)}`), null);
+  assert.equal(verifyToken("non.un-token"), null);
+  assert.equal(verifyToken(undefined), null);
+  assert.equal(verifyToken(signToken({ sub: "USR-1" }, -1)), null);
+});
+
+test("token opachi e scadenze", () => {
+  assert.notEqual(randomToken(), randomToken());
+  assert.equal(sha256("abc"), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+  assert.equal(isExpired(expiresIn(60)), false);
+  assert.equal(isExpired(expiresIn(-1)), true);
+  assert.equal(isExpired(null), true);
+});
+
+test("AUTH_SECRET obbligatoria in produzione", () => {
+  const prod = importAuth({ NODE_ENV: "production" });
+  assert.notEqual(prod.status, 0);
+  assert.match(prod.stderr, /AUTH_SECRET obbligatoria/);
+  assert.equal(importAuth({ NODE_ENV: "production", AUTH_SECRET: "x" }).status, 0);
+  const dev = importAuth({});
+  assert.equal(dev.status, 0);
+  assert.match(dev.stderr, /segreto temporaneo/);
+});
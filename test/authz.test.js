@@ -0,0 +1,115 @@
+// test/authz.test.js — Matrice dei permessi (lib/authz.js): ogni ruolo per ogni azione
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PERM, COMPANY_PERM, COMPANY_ROLES, ALL_SITE_ROLES, createAuthz } from "../lib/authz.js";
+
+const site = { id: "CNT-T1", workers: ["DIP-T1"], roles: ALL_SITE_ROLES.map(role => ({ user_id: `USR-${role}`, role })) };
+const other = { id: "CNT-T2", roles: [{ user_id: "USR-owner", role: "owner" }] };
+const sites = [site, other];
+const db = {
+  sites: {
+    get: async id => sites.find(s => s.id === id) || null,
+    all: async () => sites,
+    filter: async fn => sites.filter(fn)
+  }
+};
+const authz = createAuthz(db);
+const siteUser = role => ({ id: `USR-${role}`, company_role: "company_viewer" });
+
+test("canOnSite: ogni ruolo di cantiere per ogni azione", () => {
+  for (const [action, roles] of Object.entries(PERM)) {
+    for (const role of ALL_SITE_ROLES) {
+      const expected = role === "admin" || roles.includes(role);
+      assert.equal(authz.canOnSite(siteUser(role), action, site), expected, `${role} ${action}`);
+    }
+  }
+});
+
+test("canOnSite: niente ruolo sul cantiere, nessun permesso", () => {
+  for (const action of Object.keys(PERM)) {
+    assert.equal(authz.canOnSite(siteUser("coordinator"), action, other), false, action);
+    assert.equal(authz.canOnSite({ id: "USR-x", company_role: "company_manager" }, action, site), false, action);
+    assert.equal(authz.canOnSite(null, action, site), false, action);
+    assert.equal(authz.canOnSite(siteUser("owner"), action, null), false, action);
+  }
+});
+
+test("canOnSite: azione sconosciuta negata a tutti tranne admin", () => {
+  for (const role of ALL_SITE_ROLES) {
+    assert.equal(authz.canOnSite(siteUser(role), "NOPE", site), role === "admin", role);
+  }
+});
+
+test("company_admin è admin su tutti i cantieri", () => {
+  const admin = { id: "USR-boss", company_role: "company_admin" };
+  for (const s of sites) {
+    assert.equal(authz.roleOn(admin, s), "admin");
+    for (const action of Object.keys(PERM)) assert.equal(authz.canOnSite(admin, action, s), true, `${s.id} ${action}`);
+  }
+});
+
+test("canCompany: ogni ruolo aziendale per ogni azione", () => {
+  for (const [action, roles] of Object.entries(COMPANY_PERM)) {
+    for (const role of COMPANY_ROLES) {
+      assert.equal(authz.canCompany({ id: "USR-c", company_role: role }, action), roles.includes(role), `${role} ${action}`);
+    }
+    assert.equal(authz.canCompany({ id: "USR-c" }, action), false, `senza ruolo ${action}`);
+    assert.equal(authz.canCompany(null, action), false, `anonimo ${action}`);
+  }
+});
+
+test("can: azioni aziendali e di cantiere", async () => {
+  const manager = { id: "USR-coordinator", company_role: "company_manager" };
+  assert.equal(await authz.can(manager, "CREATE_SITES"), true);
+  assert.equal(await authz.can(manager, "EDIT_COMPANY"), false);
+  assert.equal(await authz.can(manager, "EDIT_PSC", "CNT-T1"), true);
+  assert.equal(await authz.can(manager, "EDIT_PSC", "CNT-T2"), false);
+  assert.equal(await authz.can(manager, "EDIT_PSC", "CNT-NOPE"), false);
+});
+
+test("visibleSites: solo i cantieri con un ruolo, tutti per company_admin", async () => {
+  assert.deepEqual((await authz.visibleSites(siteUser("owner"))).map(s => s.id), ["CNT-T1", "CNT-T2"]);
+  assert.deepEqual((await authz.visibleSites(siteUser("coordinator"))).map(s => s.id), ["CNT-T1"]);
+  assert.deepEqual(await authz.visibleSites({ id: "USR-x", company_role: "company_manager" }), []);
+  assert.equal((await authz.visibleSites({ id: "USR-x", company_role: "company_admin" })).length, 2);
+});
+
+test("canGrant: solo ruoli già posseduti, admin solo da admin", () => {
+  for (const own of ALL_SITE_ROLES) {
+    for (const role of ALL_SITE_ROLES) {
+      const ok = authz.canGrant(siteUser(own), role, site);
+      if (own === "admin") assert.equal(ok, true, `${own} -> ${role}`);
+      else if (role === "admin") assert.equal(ok, false, `${own} -> ${role}`);
+      else {
+        const covered = Object.values(PERM).every(r => !r.includes(role) || r.includes(own));
+        assert.equal(ok, covered, `${own} -> ${role}`);
+      }
+    }
+  }
+  assert.equal(authz.canGrant(siteUser("coordinator"), "coordinator", site), true);
+  assert.equal(authz.canGrant(siteUser("coordinator"), "owner", site), false);
+  assert.equal(authz.canGrant(siteUser("coordinator"), "boss", site), false);
+  assert.equal(authz.canGrant(siteUser("coordinator"), "coordinator", other), false);
+});
+
+test("canGrantCompany: nessun permesso aziendale oltre i propri", () => {
+  const grants = own => COMPANY_ROLES.filter(role => authz.canGrantCompany({ id: "USR-c", company_role: own }, role));
+  assert.deepEqual(grants("company_admin"), COMPANY_ROLES);
+  assert.deepEqual(grants("company_manager"), ["company_manager", "company_operator", "company_viewer"]);
+  assert.deepEqual(grants("company_viewer"), ["company_viewer"]);
+  assert.equal(authz.canGrantCompany({ id: "USR-c", company_role: "company_admin" }, "boss"), false);
+  assert.equal(authz.canGrantCompany(null, "company_viewer"), false);
+});
+
+test("canAccess: file con azioni aziendali, del cantiere o dei cantieri del lavoratore", async () => {
+  const viewer = { id: "USR-x", company_role: "company_viewer" };
+  assert.equal(await authz.canAccess(viewer, { company: ["VIEW_COMPANY"] }), true);
+  assert.equal(await authz.canAccess(viewer, { company: ["EDIT_COMPANIES"] }), false);
+  assert.equal(await authz.canAccess(siteUser("owner"), { site: ["VIEW_PSC"], site_id: "CNT-T2" }), PERM.VIEW_PSC.includes("owner"));
+  assert.equal(await authz.canAccess(siteUser("coordinator"), { site: ["VIEW_PSC"], site_id: "CNT-T2" }), false);
+  assert.equal(await authz.canAccess(siteUser("coordinator"), { site: ["APPROVE_DOCS"], worker_id: "DIP-T1" }),
+    PERM.APPROVE_DOCS.includes("coordinator"));
+  assert.equal(await authz.canAccess(siteUser("coordinator"), { site: ["APPROVE_DOCS"], worker_id: "DIP-T9" }), false);
+  assert.equal(await authz.canAccess(viewer, {}), false);
+});
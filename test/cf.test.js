@@ -0,0 +1,40 @@
+// test/cf.test.js — Codice fiscale: formato, carattere di controllo, omocodia e coerenza con il nominativo
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normCf, checkChar, surnameCode, nameCode, matchesName, validateCf } from "../lib/cf.js";
+
+test("validateCf: codice valido, spazi e minuscole ammessi", () => {
+  assert.deepEqual(validateCf("rssmra 80a01 h501u"), {
+    valid: true, cf: "RSSMRA80A01H501U", errors: [], birth_date: "80-01-01", sex: "M"
+  });
+  assert.equal(normCf(" vrdgpp85b12h501e "), "VRDGPP85B12H501E");
+});
+
+test("validateCf: formato, controllo e giorno di nascita", () => {
+  assert.deepEqual(validateCf("").errors, ["Inserisci il codice fiscale"]);
+  assert.deepEqual(validateCf("RSSMRA80A01H501").errors, ["Codice fiscale non valido: servono 16 caratteri nel formato RSSMRA80A01H501U"]);
+  assert.deepEqual(validateCf("RSSMRA80A01H501X").errors, ["Codice fiscale: carattere di controllo errato (atteso U)"]);
+  assert.deepEqual(validateCf("RSSMRA80A72H501G").errors, ["Codice fiscale: giorno di nascita non valido"]);
+  const f = validateCf("RSSMRA80A41H501Y");
+  assert.deepEqual([f.valid, f.sex, f.birth_date], [true, "F", "80-01-01"]);
+});
+
+test("omocodia: cifre sostituite dalle lettere, controllo sul codice così com'è", () => {
+  assert.equal(checkChar("RSSMRA80A01H50M"), "M");
+  assert.equal(validateCf("RSSMRA80A01H50MM").valid, true);
+  const omo = validateCf("RSSMRALPALMH50MP", { name: "Mario Rossi" });
+  assert.deepEqual([omo.valid, omo.birth_date], [true, "03-01-01"]);
+});
+
+test("nominativo: codici di cognome e nome, ordine indifferente", () => {
+  assert.equal(surnameCode("De Luca"), "DLC");
+  assert.equal(surnameCode("Fo"), "FOX");
+  assert.equal(nameCode("Gianfranco"), "GFR");
+  assert.equal(nameCode("Anna Maria"), "NMR");
+  assert.equal(matchesName("RSSMRA80A01H501U", { name: "Mario Rossi" }), true);
+  assert.equal(matchesName("RSSMRA80A01H501U", { name: "Rossi Mario" }), true);
+  assert.equal(matchesName("RSSMRA80A01H501U", { first_name: "Mario", last_name: "Rossi" }), true);
+  assert.equal(matchesName("RSSMRA80A01H501U", { name: "Luca Bianchi" }), false);
+  assert.deepEqual(validateCf("RSSMRA80A01H501U", { name: "Luca Bianchi" }).errors, ["Codice fiscale non coerente con nome e cognome"]);
+});
@@ -0,0 +1,116 @@
+// test/companies.test.js — Anagrafica imprese, documenti ITP, catena di affidamento e avvisi sulle scadenze
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateCompany, normVat, itpDocValue, companyItp, validateChain, siteChain, chainSummary } from "../lib/companies.js";
+import { companyDocAlerts } from "../lib/notifications.js";
+
+const today = "2026-04-13";
+const fullDocs = {
+  visura_camerale: "2026-12-01", durc: "2026-08-01", dvr: true, nomine_sicurezza: true,
+  dichiarazione_organico: true, dichiarazione_non_sospensione: true, attrezzature: true
+};
+const companies = [
+  { id: "IMP-A", name: "Alfa", type: "impresa", docs: fullDocs },
+  { id: "IMP-B", name: "Beta", type: "impresa", docs: { ...fullDocs, durc: "2026-04-01" } },
+  { id: "IMP-C", name: "Gamma", type: "autonomo", docs: {} }
+];
+
+test("validateCompany / normVat: ragione sociale, partita IVA e tipo", () => {
+  assert.deepEqual(validateCompany({ name: "Alfa", vat: "IT 012 345 678 90" }), []);
+  assert.deepEqual(validateCompany({ vat: "123", type: "srl" }), [
+    "Inserisci la ragione sociale", "Partita IVA non valida (11 cifre, prefisso IT facoltativo)", "type non valido (impresa, autonomo)"
+  ]);
+  assert.deepEqual(validateCompany({ name: "Alfa" }), ["Inserisci la partita IVA"]);
+  assert.equal(normVat("012 345 67890"), "IT01234567890");
+  assert.equal(normVat("it01234567890"), "IT01234567890");
+  assert.equal(normVat(null), "");
+});
+
+test("itpDocValue: flag, scadenza indicata o calcolata dal rilascio", () => {
+  assert.deepEqual(itpDocValue({ doc: "dvr" }), { value: true, issue_date: null });
+  assert.deepEqual(itpDocValue({ doc: "durc", issue_date: "2026-04-01" }), { value: "2026-07-30", issue_date: "2026-04-01" });
+  assert.deepEqual(itpDocValue({ doc: "durc", expiry_date: "2026-06-30", issue_date: "2026-03-01" }), { value: "2026-06-30", issue_date: "2026-03-01" });
+  assert.deepEqual(itpDocValue({ doc: "durc" }), { errors: ["Indica expiry_date oppure issue_date"] });
+  assert.deepEqual(itpDocValue({ doc: "polizza_rct", issue_date: "2026-01-01" }), { errors: ["Indica expiry_date"] });
+  assert.deepEqual(itpDocValue({ doc: "durc", expiry_date: "30/06/2026" }), { errors: ["expiry_date in formato YYYY-MM-DD"] });
+  assert.match(itpDocValue({ doc: "boh" }).errors[0], /^doc non valido \(visura_camerale, durc,/);
+});
+
+test("companyItp: requisiti per tipo, blocco se mancanti o scaduti", () => {
+  const alfa = companyItp(companies[0], { today });
+  assert.equal(alfa.status, "compliant");
+  assert.equal(alfa.blocked, false);
+  assert.deepEqual(companyItp({ ...companies[0], docs: { ...fullDocs, durc: "2026-04-30" } }, { today }).expiring, ["durc"]);
+
+  const beta = companyItp(companies[1], { today });
+  assert.deepEqual([beta.status, beta.blocked, beta.expired], ["non_compliant", true, ["durc"]]);
+
+  const gamma = companyItp(companies[2], { today });
+  assert.deepEqual(gamma.missing, ["visura_camerale", "durc", "attrezzature", "elenco_dpi", "dichiarazione_non_sospensione"]);
+  // Documenti non richiesti: elencati ma ininfluenti
+  const extra = companyItp({ ...companies[0], docs: { ...fullDocs, polizza_rct: "2020-01-01" } }, { today });
+  assert.equal(extra.status, "compliant");
+  assert.equal(extra.documents.find(d => d.key === "polizza_rct").required, false);
+});
+
+test("validateChain: ruoli, padri, autonomi e cicli", () => {
+  assert.deepEqual(validateChain([
+    { company_id: "IMP-A", role: "affidataria", parent_id: null },
+    { company_id: "IMP-B", role: "subappaltatrice", parent_id: "IMP-A" },
+    { company_id: "IMP-C", role: "autonomo", parent_id: "IMP-B" }
+  ], companies), []);
+  assert.deepEqual(validateChain([
+    { company_id: "IMP-X", role: "affidataria" },
+    { company_id: "IMP-A", role: "affidataria", parent_id: "IMP-Z" },
+    { company_id: "IMP-A", role: "capo" },
+    { company_id: "IMP-C", role: "esecutrice" },
+    { company_id: "IMP-B", role: "subappaltatrice" }
+  ], companies), [
+    "Impresa sconosciuta: IMP-X",
+    "Alfa: l'affidataria ha contratto diretto con il committente",
+    "Alfa: già presente in cantiere",
+    "Alfa: ruolo non valido (affidataria, esecutrice, subappaltatrice, autonomo)",
+    "Gamma: un lavoratore autonomo entra solo con ruolo autonomo",
+    "Beta: indica l'impresa che affida i lavori (parent_id)",
+    "IMP-A: l'impresa che affida (IMP-Z) non è in cantiere"
+  ]);
+  assert.deepEqual(validateChain([
+    { company_id: "IMP-A", role: "affidataria", parent_id: null },
+    { company_id: "IMP-C", role: "autonomo", parent_id: "IMP-A" },
+    { company_id: "IMP-B", role: "subappaltatrice", parent_id: "IMP-C" }
+  ], companies), ["IMP-B: un lavoratore autonomo non può affidare lavori"]);
+  assert.deepEqual(validateChain([
+    { company_id: "IMP-A", role: "esecutrice", parent_id: "IMP-B" },
+    { company_id: "IMP-B", role: "subappaltatrice", parent_id: "IMP-A" }
+  ], companies), ["IMP-A: catena di affidamento circolare", "IMP-B: catena di affidamento circolare"]);
+});
+
+test("siteChain / chainSummary: albero con livelli, percorso, ITP e lavoratori in cantiere", () => {
+  const site = {
+    workers: ["W1", "W2"],
+    companies: [
+      { company_id: "IMP-B", role: "subappaltatrice", parent_id: "IMP-A" },
+      { company_id: "IMP-A", role: "affidataria", parent_id: null },
+      { company_id: "IMP-C", role: "autonomo", parent_id: "IMP-B" }
+    ]
+  };
+  const workers = [{ id: "W1", company_id: "IMP-A" }, { id: "W2", company_id: "IMP-B" }, { id: "W3", company_id: "IMP-A" }];
+  const chain = siteChain(site, companies, workers, { today });
+  assert.deepEqual(chain.map(c => [c.company_id, c.level, c.path, c.role_label, c.workers]), [
+    ["IMP-A", 0, "Alfa", "Impresa affidataria", ["W1"]],
+    ["IMP-B", 1, "Alfa > Beta", "Impresa subappaltatrice", ["W2"]],
+    ["IMP-C", 2, "Alfa > Beta > Gamma", "Lavoratore autonomo", []]
+  ]);
+  assert.deepEqual(chainSummary(chain), { companies: 3, compliant: 1, expiring: 0, blocked: ["IMP-B", "IMP-C"] });
+  assert.deepEqual(siteChain({}, companies), []);
+});
+
+test("companyDocAlerts: DURC e visura in scadenza o scaduti, flag esclusi", () => {
+  const out = companyDocAlerts(companies, { today, sitesOf: id => (id === "IMP-B" ? ["CNT-A"] : []) });
+  assert.deepEqual(out.map(a => [a.key, a.status, a.days_left, a.site_ids]), [
+    ["company_doc:IMP-A:durc", "expiring", 110, []],
+    ["company_doc:IMP-B:durc", "expired", -12, ["CNT-A"]]
+  ]);
+  assert.equal(out[1].title, "Beta - DURC");
+});
@@ -0,0 +1,79 @@
+// test/compliance.test.js — Classificazione dei documenti e conformità di lavoratore e cantiere
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyDoc, requiredDocs, workerCompliance, siteCompliance, docLabel, approvedDocValue, BASE_REQUIREMENTS } from "../lib/compliance.js";
+
+const opts = { today: "2026-06-01" };
+const allBase = { visita_medica: "2027-01-01", corso_generale: true, corso_specifica_fs: "2029-01-01", dpi_consegna: true, tesserino: true };
+
+test("classifyDoc: mancante, valido, in scadenza, scaduto", () => {
+  assert.equal(classifyDoc("visita_medica", undefined, opts).status, "missing");
+  assert.equal(classifyDoc("visita_medica", "", opts).status, "missing");
+  assert.equal(classifyDoc("visita_medica", "non una data", opts).status, "missing");
+  assert.deepEqual(classifyDoc("visita_medica", "2026-12-31", opts), { status: "valid", expiry: "2026-12-31", days_left: 213 });
+  assert.equal(classifyDoc("visita_medica", "2026-07-01", opts).status, "expiring");
+  assert.equal(classifyDoc("visita_medica", "2026-06-01", opts).status, "expiring");
+  assert.deepEqual(classifyDoc("visita_medica", "2026-05-31", opts), { status: "expired", expiry: "2026-05-31", days_left: -1 });
+});
+
+test("classifyDoc: soglia warnDays e documenti senza scadenza", () => {
+  assert.equal(classifyDoc("visita_medica", "2026-07-01", { ...opts, warnDays: 10 }).status, "valid");
+  assert.equal(classifyDoc("visita_medica", "2026-06-05", { ...opts, warnDays: 0 }).status, "valid");
+  assert.equal(classifyDoc("corso_generale", true, opts).status, "valid");
+  assert.equal(classifyDoc("dpi_consegna", "2020-01-01", opts).status, "valid");
+  assert.equal(classifyDoc("dpi_consegna", false, opts).status, "missing");
+});
+
+test("requiredDocs: base, mansione, tipo di lavori e richieste del cantiere", () => {
+  assert.deepEqual(requiredDocs({ role: "Operaio" }, null), BASE_REQUIREMENTS);
+  assert.ok(requiredDocs({ role: "Capocantiere" }, null).includes("preposto"));
+  const r = requiredDocs({ role: "Ponteggiatore" }, { meta: { work_type: "Rifacimento copertura", required_docs: ["ps"] } });
+  assert.deepEqual(r.filter(k => !BASE_REQUIREMENTS.includes(k)), ["ponteggi", "lavori_quota", "ps"]);
+});
+
+test("workerCompliance: lo stato peggiore tra i documenti richiesti", () => {
+  const ok = workerCompliance({ id: "W1", name: "A", docs: allBase }, null, opts);
+  assert.equal(ok.status, "compliant");
+  const expiring = workerCompliance({ id: "W1", docs: { ...allBase, visita_medica: "2026-06-20" } }, null, opts);
+  assert.equal(expiring.status, "expiring");
+  assert.deepEqual(expiring.expiring, ["visita_medica"]);
+  const bad = workerCompliance({ id: "W1", docs: { ...allBase, visita_medica: "2026-01-01", tesserino: undefined } }, null, opts);
+  assert.equal(bad.status, "non_compliant");
+  assert.deepEqual(bad.expired, ["visita_medica"]);
+  assert.deepEqual(bad.missing, ["tesserino"]);
+});
+
+test("workerCompliance: i documenti non richiesti non contano", () => {
+  const c = workerCompliance({ id: "W1", docs: { ...allBase, ponteggi: "2020-01-01" } }, null, opts);
+  assert.equal(c.status, "compliant");
+  assert.equal(c.documents.find(d => d.key === "ponteggi").required, false);
+});
+
+test("siteCompliance: lavoratori e figure obbligatorie", () => {
+  const site = { id: "S1", meta: {} };
+  const roles = { antincendio: "2027-01-01", ps: "2027-01-01", preposto: "2027-01-01" };
+  const full = siteCompliance(site, [{ id: "W1", docs: { ...allBase, ...roles } }, { id: "W2", docs: allBase }], opts);
+  assert.equal(full.status, "compliant");
+  assert.deepEqual(full.summary, { workers: 2, compliant: 2, expiring: 0, non_compliant: 0 });
+
+  const noPs = siteCompliance(site, [{ id: "W1", docs: { ...allBase, antincendio: "2027-01-01", preposto: "2027-01-01" } }], opts);
+  assert.equal(noPs.status, "non_compliant");
+  assert.deepEqual(noPs.coverage.filter(c => !c.ok).map(c => c.doc), ["ps"]);
+  assert.equal(siteCompliance(site, [], opts).status, "non_compliant");
+});
+
+test("docLabel", () => {
+  assert.equal(docLabel(null), "—");
+  assert.equal(docLabel({ status: "expired", expiry: "2026-01-01" }), "SCADUTO 2026-01-01");
+  assert.equal(docLabel({ status: "expiring", expiry: "2026-06-10" }), "IN SCADENZA 2026-06-10");
+  assert.equal(docLabel({ status: "valid", expiry: null }), "OK");
+});
+
+test("approvedDocValue: flag, scadenza, senza scadenza dichiarata", () => {
+  assert.equal(approvedDocValue("dpi_consegna", null), true);
+  assert.equal(approvedDocValue("visita_medica", "2027-01-01"), "2027-01-01");
+  assert.equal(approvedDocValue("visita_medica", null), null);
+  assert.equal(approvedDocValue("visita_medica", null, { noExpiry: true }), true);
+  assert.equal(approvedDocValue("patente", "2027-01-01"), null);
+});
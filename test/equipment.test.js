@@ -0,0 +1,141 @@
+// test/equipment.test.js — Registro attrezzature: verifiche periodiche, manutenzione, operatori, assegnazioni e sezione 5 del POS
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFParse } from "pdf-parse";
+import {
+  addMonths, validateEquipment, normalizeEquipment, inspectionStatus, validateMaintenance, applyMaintenance, operatorCheck,
+  validateAssignment, conflictingAssignment, siteEquipment, equipmentSummary
+} from "../lib/equipment.js";
+import { equipmentAlerts } from "../lib/notifications.js";
+import { buildPos } from "../lib/pos.js";
+
+const today = "2026-04-20";
+const gru = {
+  ...normalizeEquipment({ name: " Autogru ", type: "autogru", brand: "Fassi", serial: "F-123", year: "2019", ce_marking: 1,
+                          inspection: { last_date: "2025-05-10" } }),
+  id: "ATT-1", operators: ["W1", "W3"],
+  assignments: [{ id: "A1", site_id: "CNT-1", from: "2026-04-01", to: "2026-04-30" }, { id: "A2", site_id: "CNT-2", from: "2026-05-01", to: null }]
+};
+const betoniera = {
+  ...normalizeEquipment({ name: "Betoniera", type: "betoniera" }), id: "ATT-2",
+  assignments: [{ id: "B1", site_id: "CNT-1", from: "2026-03-01", to: "2026-03-31" }]
+};
+const ple = {
+  ...normalizeEquipment({ name: "PLE", type: "ple", status: "out_of_service", inspection: { last_date: "2025-01-01" } }), id: "ATT-3",
+  assignments: [{ id: "C1", site_id: "CNT-1", from: "2026-04-10", to: null }]
+};
+const site = { id: "CNT-1", name: "Cantiere di prova", workers: ["W1", "W2"] };
+const workers = [
+  { id: "W1", name: "Mario Rossi", docs: { abilitazione_gru_autocarro: "2026-05-01" } },
+  { id: "W2", name: "Luca Bianchi", docs: {} },
+  { id: "W3", name: "Gino Verdi", docs: { abilitazione_gru_autocarro: "2030-01-01" } }
+];
+
+async function pdfText(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try { return (await parser.getText()).text; }
+  finally { await parser.destroy(); }
+}
+
+test("addMonths: fine mese riportata all'ultimo giorno", () => {
+  assert.equal(addMonths("2026-01-31", 1), "2026-02-28");
+  assert.equal(addMonths("2024-01-31", 1), "2024-02-29");
+  assert.equal(addMonths("2026-11-15", 3), "2027-02-15");
+});
+
+test("validateEquipment / normalizeEquipment: tipo, cadenza di verifica dal tipo e modifiche parziali", () => {
+  assert.equal(validateEquipment({})[0], "Inserisci il nome dell'attrezzatura");
+  assert.deepEqual(validateEquipment({ name: "x", type: "ple", status: "rotto", year: 1800, inspection: { interval_months: 1.5, last_date: "01/01/2026" } }), [
+    "status non valido (active, out_of_service, disposed)", "year non valido",
+    "inspection.interval_months deve essere un numero intero di mesi (null = nessuna verifica)", "inspection.last_date in formato YYYY-MM-DD"
+  ]);
+  assert.deepEqual(validateEquipment({ status: "disposed" }, { partial: true }), []);
+  assert.deepEqual([gru.name, gru.category, gru.year, gru.ce_marking, gru.status], ["Autogru", "sollevamento", 2019, true, "active"]);
+  assert.deepEqual(gru.inspection, { interval_months: 12, last_date: "2025-05-10", due_date: null });
+  // Cadenza azzerata esplicitamente: resta null, non torna quella del tipo
+  assert.equal(normalizeEquipment({ inspection: { interval_months: null } }, gru).inspection.interval_months, null);
+  assert.equal(normalizeEquipment({ notes: "x" }, gru).name, "Autogru");
+});
+
+test("inspectionStatus: scadenza da ultima verifica più cadenza", () => {
+  assert.deepEqual(inspectionStatus(gru, { today }), {
+    required: true, interval_months: 12, last_date: "2025-05-10", due_date: "2026-05-10", status: "expiring", days_left: 20
+  });
+  assert.equal(inspectionStatus(gru, { today: "2026-05-20" }).status, "overdue");
+  assert.equal(inspectionStatus({ inspection: { interval_months: 12 } }, { today }).status, "missing");
+  assert.equal(inspectionStatus(betoniera, { today }).status, "not_required");
+  assert.equal(inspectionStatus({ inspection: { due_date: "2026-12-31" } }, { today }).status, "ok");
+});
+
+test("applyMaintenance: verifica negativa ferma, positiva rimette in servizio e sposta la scadenza", () => {
+  assert.deepEqual(validateMaintenance({ date: "x", kind: "verifica_periodica" }), ["date in formato YYYY-MM-DD", "outcome: positivo o negativo"]);
+  assert.deepEqual(validateMaintenance({ date: "2026-04-01", kind: "ordinaria" }), []);
+  const neg = applyMaintenance(gru, { date: "2026-04-01", kind: "verifica_periodica", outcome: "negativo" });
+  assert.equal(neg.status, "out_of_service");
+  assert.equal(neg.inspection.last_date, "2025-05-10");
+  assert.equal(neg.maintenance.length, 1);
+  const ok = applyMaintenance(neg, { date: "2026-04-10", kind: "verifica_periodica", outcome: "positivo", next_due: "2027-03-31" });
+  assert.equal(ok.status, "active");
+  assert.deepEqual(ok.inspection, { interval_months: 12, last_date: "2026-04-10", due_date: "2027-03-31" });
+  // Un verbale più vecchio dell'ultima verifica entra nello storico senza spostare la scadenza
+  const old = applyMaintenance(ok, { date: "2026-03-01", kind: "verifica_periodica", outcome: "positivo" });
+  assert.deepEqual([old.inspection, old.maintenance.length], [ok.inspection, 3]);
+  assert.equal(applyMaintenance(gru, { date: "2026-04-01", kind: "riparazione" }).inspection, gru.inspection);
+});
+
+test("operatorCheck: abilitazione richiesta dal tipo di attrezzatura", () => {
+  assert.deepEqual(operatorCheck(gru, workers[0], { today }), {
+    worker_id: "W1", name: "Mario Rossi", doc: "abilitazione_gru_autocarro", doc_label: "Abilitazione gru su autocarro",
+    status: "expiring", expiry: "2026-05-01"
+  });
+  assert.equal(operatorCheck(gru, workers[1], { today }).status, "not_qualified");
+  assert.deepEqual(operatorCheck(betoniera, workers[1], { today }), { worker_id: "W2", name: "Luca Bianchi", doc: null, status: "qualified", expiry: null });
+});
+
+test("validateAssignment / conflictingAssignment: un cantiere per volta", () => {
+  assert.deepEqual(validateAssignment({ from: "2026-05-01", to: "2026-04-01" }), ["to prima di from"]);
+  assert.deepEqual(validateAssignment({ to: "x" }), ["from in formato YYYY-MM-DD", "to in formato YYYY-MM-DD (vuoto = fino a revoca)"]);
+  assert.equal(conflictingAssignment(gru, { from: "2026-04-25", to: "2026-04-28" }).id, "A1");
+  assert.equal(conflictingAssignment(gru, { from: "2026-04-25", to: "2026-04-28" }, "A1"), null);
+  assert.equal(conflictingAssignment(gru, { from: "2027-01-01", to: null }).id, "A2");
+});
+
+test("siteEquipment / equipmentSummary: contano le attrezzature in uso alla data", () => {
+  const list = siteEquipment(site, [gru, betoniera, ple], { workers, opts: { today }, day: today });
+  assert.deepEqual(list.map(e => [e.equipment.id, e.assignment.id, e.active, e.inspection.status]), [
+    ["ATT-2", "B1", false, "not_required"],
+    ["ATT-1", "A1", true, "expiring"],
+    ["ATT-3", "C1", true, "overdue"]
+  ]);
+  // Operatori: solo quelli assegnati al cantiere
+  assert.deepEqual(list[1].operators.map(o => [o.worker_id, o.status]), [["W1", "expiring"]]);
+  assert.equal(list[1].equipment.type_label, "Gru su autocarro / autogru");
+  assert.ok(!("assignments" in list[1].equipment));
+  assert.deepEqual(equipmentSummary(list), {
+    items: 2, overdue: ["ATT-3"], expiring: ["ATT-1"], out_of_service: ["ATT-3"], no_qualified_operator: ["ATT-3"]
+  });
+});
+
+test("equipmentAlerts: verifiche scadute o in scadenza, dismesse escluse", () => {
+  const out = equipmentAlerts([gru, betoniera, ple, { ...ple, id: "ATT-4", status: "disposed" }], {
+    today, sitesOf: eq => eq.assignments.map(a => a.site_id)
+  });
+  assert.deepEqual(out.map(a => [a.key, a.status, a.days_left, a.site_ids]), [
+    ["equipment_inspection:ATT-1:2026-05-10", "expiring", 20, ["CNT-1", "CNT-2"]],
+    ["equipment_inspection:ATT-3:2026-01-01", "overdue", -109, ["CNT-1"]]
+  ]);
+  assert.equal(out[0].title, "Autogru (matr. F-123) - verifica periodica");
+});
+
+test("buildPos: sezione 5 dal registro, poi le attrezzature indicate a mano", async () => {
+  const equipment = siteEquipment(site, [gru], { workers, opts: { today }, day: today });
+  const text = await pdfText(await buildPos({
+    company: { name: "Impresa Test" }, site, workers: workers.slice(0, 2), equipment,
+    inputs: { machinery: [{ name: "Autogru" }, { name: "Flessibile", model: "Bosch" }] }
+  }));
+  for (const s of ["Autogru", "Fassi", "F-123", "10/05/2026", "Flessibile", "Operatori abilitati", "Abilitazione gru su autocarro"]) {
+    assert.ok(text.includes(s), s);
+  }
+  assert.equal(text.match(/Autogru/g).length, 2);
+});
@@ -0,0 +1,88 @@
+// test/files.test.js — Tipo dal contenuto, limiti per tipo di caricamento, nome scaricato e archivio locale
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { UPLOAD_KINDS, sniffType, checkUpload, checksum, blobKey, contentDisposition } from "../lib/files.js";
+import { createFileStore } from "../lib/filestore.js";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "kanthera-files-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const bytes = (...b) => Buffer.from(b);
+const pdf = Buffer.from("%PDF-1.7\n1 0 obj\n<<>>\nendobj\n");
+const png = bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d);
+const MIME_XLSX = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+const zip = (...names) => Buffer.concat([bytes(0x50, 0x4b, 0x03, 0x04), Buffer.from(names.join("\0"))]);
+
+test("sniffType: formato dai primi byte, non dal nome", () => {
+  assert.deepEqual(sniffType(pdf), { ext: "pdf", mime: "application/pdf" });
+  assert.equal(sniffType(png).ext, "png");
+  assert.equal(sniffType(bytes(0xff, 0xd8, 0xff, 0xe0)).ext, "jpg");
+  assert.equal(sniffType(Buffer.from("GIF89a....")).ext, "gif");
+  assert.equal(sniffType(bytes(0x49, 0x49, 0x2a, 0x00)).ext, "tif");
+  assert.equal(sniffType(Buffer.from("RIFF\0\0\0\0WEBPVP8 ")).ext, "webp");
+  assert.equal(sniffType(Buffer.from("\0\0\0\x18ftypheic")).ext, "heic");
+  assert.equal(sniffType(zip("[Content_Types].xml", "xl/workbook.xml")).ext, "xlsx");
+  assert.equal(sniffType(zip("word/document.xml")).ext, "zip");
+  assert.equal(sniffType(Buffer.from("nome;cf\nMario;RSSMRA80A01H501U\n")).ext, "txt");
+  assert.equal(sniffType(bytes(0x4d, 0x5a, 0x90, 0x00, 0x03)), null);
+  assert.equal(sniffType(Buffer.alloc(0)), null);
+});
+
+test("checkUpload: vuoto 400, troppo grande 413, formato non ammesso 415", () => {
+  assert.deepEqual(checkUpload(pdf, "pdf"), { ext: "pdf", mime: "application/pdf" });
+  assert.equal(checkUpload(png, "documents").ext, "png");
+  assert.deepEqual(checkUpload(Buffer.alloc(0), "pdf"), { status: 400, error: "File vuoto" });
+  const big = Buffer.concat([pdf, Buffer.alloc(UPLOAD_KINDS.spreadsheets.max)]);
+  assert.deepEqual(checkUpload(big, "spreadsheets"), { status: 413, error: "File troppo grande (massimo 5 MB)" });
+  // Un'immagine rinominata in .pdf resta un'immagine
+  assert.deepEqual(checkUpload(png, "pdf"), {
+    status: 415, error: "Formato non ammesso: serve PDF", detected: "image/png", accepted: ["pdf"]
+  });
+  assert.equal(checkUpload(bytes(0x4d, 0x5a, 0x90, 0x00), "documents").detected, null);
+});
+
+test("checksum / blobKey: stesso contenuto, stessa chiave", () => {
+  const sha = checksum(pdf);
+  assert.equal(sha, checksum(Buffer.from(pdf)));
+  assert.match(sha, /^[0-9a-f]{64}$/);
+  assert.equal(blobKey(sha), `${sha.slice(0, 2)}/${sha}`);
+});
+
+test("contentDisposition: PDF e immagini inline, nome ripulito e in UTF-8", () => {
+  assert.equal(contentDisposition({ original_name: "POS_CNT-1.pdf", mime: "application/pdf" }),
+    `inline; filename="POS_CNT-1.pdf"; filename*=UTF-8''POS_CNT-1.pdf`);
+  assert.equal(contentDisposition({ original_name: '../idoneità "sanitaria".xlsx', mime: MIME_XLSX }),
+    `attachment; filename=".._idoneita _sanitaria_.xlsx"; filename*=UTF-8''.._idoneit%C3%A0%20_sanitaria_.xlsx`);
+  assert.match(contentDisposition({ id: "FIL-1" }), /^attachment; filename="FIL-1"/);
+});
+
+test("archivio locale: put / get / has / remove, chiavi fuori dalla cartella rifiutate", async () => {
+  const store = createFileStore({ dir: tmp });
+  assert.equal(store.driver, "local");
+  const key = blobKey(checksum(pdf));
+  assert.equal(await store.has(key), false);
+  assert.equal(await store.get(key), null);
+  await store.put(key, pdf, { mime: "application/pdf" });
+  assert.equal(await store.has(key), true);
+  assert.deepEqual(await store.get(key), pdf);
+  assert.ok(fs.existsSync(path.join(tmp, "files", key)));
+  await store.remove(key);
+  assert.equal(await store.has(key), false);
+  await assert.rejects(store.put("../fuori", pdf), /chiave non valida/);
+});
+
+test("createFileStore: s3 senza credenziali e driver sconosciuto", () => {
+  const env = { ...process.env };
+  try {
+    process.env.FILE_STORAGE = "s3";
+    assert.throws(() => createFileStore({ dir: tmp }), /servono S3_BUCKET/);
+    process.env.FILE_STORAGE = "ftp";
+    assert.throws(() => createFileStore({ dir: tmp }), /file storage sconosciuto: ftp/);
+  } finally {
+    process.env = env;
+  }
+});
@@ -0,0 +1,113 @@
+// test/inspections.test.js — Checklist, non conformità, flusso delle azioni correttive e verbale PDF
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFParse } from "pdf-parse";
+import {
+  DEFAULT_CHECKLIST, checklistFrom, validateInspection, applyItems, validateNonconformity, newNonconformity,
+  ncTransition, isOverdue, inspectionSummary, buildInspectionReport
+} from "../lib/inspections.js";
+
+const AT = "2026-04-10T09:00:00.000Z";
+const inspection = () => ({
+  id: "INS-1", date: "2026-04-10", status: "draft", notes: "Sopralluogo settimanale",
+  inspector: { user_id: "USR-1", name: "Mario Rossi" },
+  items: checklistFrom([{ key: "dpi", label: "DPI indossati", category: "DPI" }, { label: "Recinzione integra" }]),
+  photos: [], nonconformities: []
+});
+const ncInput = { description: "Operaio senza casco", severity: "high", item_key: "dpi", assignee: { company: "Alfa" } };
+
+async function pdfText(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try { return (await parser.getText()).text; }
+  finally { await parser.destroy(); }
+}
+
+test("checklistFrom: checklist di default o personalizzata, esiti da compilare", () => {
+  assert.equal(checklistFrom().length, DEFAULT_CHECKLIST.length);
+  assert.equal(checklistFrom([]).length, DEFAULT_CHECKLIST.length);
+  assert.deepEqual(inspection().items, [
+    { key: "dpi", label: "DPI indossati", category: "DPI", outcome: null, note: "" },
+    { key: "voce_2", label: "Recinzione integra", category: "Generale", outcome: null, note: "" }
+  ]);
+});
+
+test("validateInspection: data, checklist ed esiti", () => {
+  assert.deepEqual(validateInspection({}), []);
+  assert.deepEqual(validateInspection({ date: "10/04/2026", checklist: [{ key: "x" }], items: [{ outcome: "boh" }] }), [
+    "date in formato YYYY-MM-DD", "checklist[0]: label mancante", "items[0]: key mancante", "items[0]: esito non valido (ok, nc, na)"
+  ]);
+  assert.deepEqual(validateInspection({ checklist: "x", items: {} }), ["checklist deve essere una lista", "items deve essere una lista"]);
+});
+
+test("applyItems: aggiorna solo le voci esistenti senza toccare l'originale", () => {
+  const insp = inspection();
+  const { items, errors } = applyItems(insp, [{ key: "dpi", outcome: "nc", note: "casco" }, { key: "zzz", outcome: "ok" }]);
+  assert.deepEqual(errors, ["voce sconosciuta: zzz"]);
+  assert.deepEqual(items[0], { key: "dpi", label: "DPI indossati", category: "DPI", outcome: "nc", note: "casco" });
+  assert.equal(insp.items[0].outcome, null);
+});
+
+test("validateNonconformity e newNonconformity: scadenza dalla gravità", () => {
+  const insp = inspection();
+  assert.deepEqual(validateNonconformity(ncInput, insp), []);
+  assert.deepEqual(validateNonconformity({ severity: "x", item_key: "zzz", due_date: "domani" }, insp), [
+    "Descrivi la non conformità", "severity non valida (critical, high, medium, low)", "voce sconosciuta: zzz",
+    "due_date in formato YYYY-MM-DD", "Indica a chi è assegnata l'azione correttiva"
+  ]);
+  const nc = newNonconformity(ncInput, { id: "NC-1", by: "USR-1", at: AT });
+  assert.equal(nc.status, "open");
+  assert.equal(nc.due_date, "2026-04-12");
+  assert.deepEqual(nc.assignee, { user_id: null, name: null, company: "Alfa" });
+  assert.deepEqual(nc.history, [{ from: null, to: "open", at: AT, by: "USR-1", note: null }]);
+  assert.equal(newNonconformity({ ...ncInput, severity: "critical" }, { id: "NC-2", by: "USR-1", at: AT }).due_date, "2026-04-10");
+  assert.equal(newNonconformity({ ...ncInput, due_date: "2026-05-01" }, { id: "NC-3", by: "USR-1", at: AT }).due_date, "2026-05-01");
+});
+
+test("ncTransition: open -> resolved -> verified, con riapertura se la verifica è negativa", () => {
+  const nc = newNonconformity(ncInput, { id: "NC-1", by: "USR-1", at: AT });
+  assert.deepEqual(ncTransition(nc, "verified", { by: "USR-2" }), { error: "transizione non ammessa: open -> verified", allowed: ["resolved"] });
+
+  const resolved = ncTransition(nc, "resolved", { by: "USR-3", note: "Casco fornito", at: AT }).nc;
+  assert.equal(resolved.resolution_note, "Casco fornito");
+  assert.equal(resolved.resolved_by, "USR-3");
+  const reopened = ncTransition(resolved, "open", { by: "USR-2", note: "Ancora senza casco", at: AT }).nc;
+  assert.equal(reopened.resolved_by, null);
+  const verified = ncTransition(ncTransition(reopened, "resolved", { by: "USR-3", at: AT }).nc, "verified", { by: "USR-2", at: AT }).nc;
+  assert.equal(verified.status, "verified");
+  assert.equal(verified.verified_by, "USR-2");
+  assert.deepEqual(verified.history.map(h => h.to), ["open", "resolved", "open", "resolved", "verified"]);
+  assert.equal(nc.status, "open");
+  assert.deepEqual(ncTransition(verified, "open", { by: "USR-2" }).allowed, []);
+});
+
+test("isOverdue e inspectionSummary", () => {
+  const nc = newNonconformity(ncInput, { id: "NC-1", by: "USR-1", at: AT });
+  assert.equal(isOverdue(nc, "2026-04-12"), false);
+  assert.equal(isOverdue(nc, "2026-04-13"), true);
+  assert.equal(isOverdue({ ...nc, status: "verified" }, "2026-04-13"), false);
+
+  const insp = inspection();
+  insp.items = applyItems(insp, [{ key: "dpi", outcome: "nc" }]).items;
+  insp.nonconformities = [nc, { ...nc, id: "NC-2", status: "verified" }];
+  insp.photos = [{ id: "PH-1" }];
+  assert.deepEqual(inspectionSummary(insp), {
+    items: 2, ok: 0, nc: 1, na: 0, pending: 1, photos: 1, open: 1, resolved: 0, verified: 1, overdue: 1
+  });
+});
+
+test("buildInspectionReport: checklist, azioni correttive e foto non incorporabili", async () => {
+  const insp = inspection();
+  insp.items = applyItems(insp, [{ key: "dpi", outcome: "nc" }, { key: "voce_2", outcome: "ok" }]).items;
+  insp.nonconformities = [newNonconformity(ncInput, { id: "NC-1", by: "USR-1", at: AT })];
+  insp.photos = [{ id: "PH-1", mime: "image/heic", original_name: "casco.heic", nc_id: "NC-1" }];
+  const pdf = await buildInspectionReport({
+    company: { name: "Pavi Servizi" }, site: { name: "Cantiere Alfa", address: "Via Roma 1" },
+    inspection: insp, readPhoto: () => assert.fail("formato non incorporabile: la foto non va letta")
+  });
+  const text = await pdfText(pdf);
+  assert.match(text, /Verbale di sopralluogo/);
+  assert.match(text, /Non conforme/);
+  assert.match(text, /Operaio senza casco/);
+  assert.match(text, /formato non incorporabile: casco\.heic/);
+});
@@ -0,0 +1,113 @@
+// test/minutes.test.js — Verbali di coordinamento: validazione, normalizzazione e riporto delle azioni aperte
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFParse } from "pdf-parse";
+import {
+  validateMinutes, normalizeParticipants, normalizeAgenda, normalizeDecisions, normalizeActions, carryOver,
+  minutesSummary, buildMinutesPdf
+} from "../lib/minutes.js";
+
+const users = [{ id: "USR-1", name: "Mario Rossi", email: "mario@example.it" }];
+const action = (id, status, extra = {}) => ({
+  id, text: `Azione ${id}`, assignee: { name: "Luca", company: "Alfa" }, due_date: "2026-04-20", status, carried_from: null, origin: null, ...extra
+});
+
+async function pdfText(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try { return (await parser.getText()).text; }
+  finally { await parser.destroy(); }
+}
+
+test("validateMinutes: data e liste con i campi obbligatori", () => {
+  assert.deepEqual(validateMinutes({}), []);
+  assert.deepEqual(validateMinutes({
+    date: "2026/04/10", participants: [{}], agenda: "x", decisions: [{ text: "ok" }, null],
+    actions: [{ text: "a", due_date: "domani", assignee: { name: "Luca" } }, { text: "b" }]
+  }), [
+    "date in formato YYYY-MM-DD", "participants[0]: user_id o nome mancante", "agenda deve essere una lista",
+    "decisions[1]: testo mancante", "actions[0]: due_date in formato YYYY-MM-DD", "actions[1]: assegnatario mancante"
+  ]);
+});
+
+test("normalizeParticipants: dati dall'utente, presa visione conservata", () => {
+  const prev = [{ id: "PRT-A", user_id: "USR-1", company: "Pavi", acknowledged_at: "2026-04-10T10:00:00Z", acknowledged_by: "USR-1", present: true }];
+  const [p, q] = normalizeParticipants([{ user_id: "USR-1", present: false }, { name: "Ospite", company: "Beta" }], { users, prev });
+  assert.deepEqual(p, {
+    id: "PRT-A", user_id: "USR-1", name: "Mario Rossi", email: "mario@example.it", company: "Pavi", role: null,
+    present: false, acknowledged_at: "2026-04-10T10:00:00Z", acknowledged_by: "USR-1", on_behalf: false
+  });
+  assert.match(q.id, /^PRT-/);
+  assert.equal(q.present, true);
+  assert.equal(q.acknowledged_at, null);
+});
+
+test("normalizeAgenda / normalizeDecisions: id conservati solo se già esistenti", () => {
+  const [a, b] = normalizeAgenda([{ id: "ODG-1", title: "Ponteggi" }, { id: "ODG-X", title: "Scavi", notes: "n" }], [{ id: "ODG-1" }]);
+  assert.deepEqual(a, { id: "ODG-1", title: "Ponteggi", notes: "" });
+  assert.notEqual(b.id, "ODG-X");
+  const [d] = normalizeDecisions([{ id: "DEC-1", text: "Si procede" }], [{ id: "DEC-1" }]);
+  assert.deepEqual(d, { id: "DEC-1", text: "Si procede", agenda_id: null });
+});
+
+test("normalizeActions: stato e provenienza non modificabili dal client", () => {
+  const prev = [action("AZ-1", "done", { carried_from: { minutes_id: "VRB-0" } })];
+  const [a, b] = normalizeActions([
+    { id: "AZ-1", text: "Nuovo testo", assignee: { user_id: "USR-1" }, status: "open" },
+    { text: "Nuova", assignee: { company: "Beta" }, status: "done" }
+  ], prev);
+  assert.equal(a.text, "Nuovo testo");
+  assert.equal(a.status, "done");
+  assert.deepEqual(a.carried_from, { minutes_id: "VRB-0" });
+  assert.deepEqual(a.assignee, { user_id: "USR-1", name: null, company: null });
+  assert.equal(a.due_date, null);
+  assert.equal(b.status, "open");
+  assert.equal(b.origin, null);
+});
+
+test("carryOver: solo le azioni aperte, con provenienza e origine", () => {
+  assert.deepEqual(carryOver(null), []);
+  const v1 = { id: "VRB-1", number: 1, actions: [action("AZ-1", "open"), action("AZ-2", "done")] };
+  const [c1] = carryOver(v1);
+  assert.notEqual(c1.id, "AZ-1");
+  assert.equal(c1.status, "open");
+  assert.deepEqual(c1.carried_from, { minutes_id: "VRB-1", number: 1, action_id: "AZ-1" });
+  assert.deepEqual(c1.origin, c1.carried_from);
+
+  // Alla seconda riunione l'origine resta quella della prima comparsa
+  const v2 = { id: "VRB-2", number: 2, actions: [c1] };
+  const [c2] = carryOver(v2);
+  assert.deepEqual(c2.carried_from, { minutes_id: "VRB-2", number: 2, action_id: c1.id });
+  assert.deepEqual(c2.origin, { minutes_id: "VRB-1", number: 1, action_id: "AZ-1" });
+});
+
+test("minutesSummary: presenze, prese visione e azioni", () => {
+  assert.deepEqual(minutesSummary({
+    participants: [
+      { name: "A", present: true, acknowledged_at: "2026-04-10T10:00:00Z" },
+      { name: "B", present: true, acknowledged_at: null },
+      { name: "C", present: false, acknowledged_at: null }
+    ],
+    actions: [action("AZ-1", "open", { carried_from: { minutes_id: "VRB-1" } }), action("AZ-2", "open"), action("AZ-3", "carried")]
+  }), { participants: 3, present: 2, acknowledged: 1, pending_acknowledgements: ["B"], actions_open: 2, actions_carried_in: 1 });
+  assert.deepEqual(minutesSummary({}), { participants: 0, present: 0, acknowledged: 0, pending_acknowledgements: [], actions_open: 0, actions_carried_in: 0 });
+});
+
+test("buildMinutesPdf: intestazione, partecipanti e azioni", async () => {
+  const pdf = await buildMinutesPdf({
+    company: { name: "Pavi Servizi" },
+    site: { name: "Cantiere Alfa", address: "Via Roma 1", cse: { name: "Ing. Bianchi" } },
+    minutes: {
+      number: 3, date: "2026-04-10", place: "Baracca di cantiere", status: "draft",
+      participants: normalizeParticipants([{ user_id: "USR-1", company: "Pavi" }], { users }),
+      agenda: [{ id: "ODG-1", title: "Ponteggi lato nord", notes: "" }],
+      decisions: [{ id: "DEC-1", text: "Smontaggio entro venerdì", agenda_id: "ODG-1" }],
+      actions: [action("AZ-1", "open")]
+    }
+  });
+  const text = await pdfText(pdf);
+  assert.match(text, /Verbale di riunione di coordinamento/);
+  assert.match(text, /n\. 3 del/);
+  assert.match(text, /Mario Rossi/);
+  assert.match(text, /Azione AZ-1/);
+});
@@ -0,0 +1,191 @@
+// test/notifications.test.js — Avvisi di scadenza, destinatari, periodi dei digest, webhook e consegne con retry
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openStore } from "../lib/storage/index.js";
+import {
+  MAX_ATTEMPTS, userPrefs, validatePrefs, workerDocAlerts, correctiveActionAlerts, siteDocAlerts, alertsFor, digestPeriod,
+  digestMessage, isPrivateAddress, validateWebhook, signPayload, retryDelay, newDelivery, createNotifier
+} from "../lib/notifications.js";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "kanthera-notify-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const TODAY = "2026-04-13";
+const sites = [{ id: "CNT-A", name: "Cantiere A", roles: [
+  { user_id: "USR-CSE", role: "coordinator" }, { user_id: "USR-OWN", role: "owner" }
+] }];
+const alert = (f = {}) => ({ key: "k", type: "worker_doc", status: "expiring", days_left: 20, site_ids: ["CNT-A"], user_ids: [], ...f });
+
+test("userPrefs / validatePrefs: default e limiti", () => {
+  assert.deepEqual(userPrefs({ notifications: { digest: "weekly" } }), { ...userPrefs(null), digest: "weekly" });
+  assert.deepEqual(validatePrefs({ lead_days: 30, digest: "off", weekday: 0 }), []);
+  assert.deepEqual(validatePrefs({ lead_days: 181, digest: "monthly", weekday: 7 }), [
+    "lead_days: intero tra 0 e 180", "digest non valido (daily, weekly, off)", "weekday: 0 (domenica) - 6 (sabato)"
+  ]);
+});
+
+test("workerDocAlerts: documenti con scadenza, esclusi i flag e quelli lontani", () => {
+  const out = workerDocAlerts([{ id: "W1", name: "Mario Rossi", docs: {
+    visita_medica: "2026-04-01", corso_generale: "2026-05-13", preposto: "2027-12-31", dpi_consegna: true
+  } }], { today: TODAY, sitesOf: () => ["CNT-A"] });
+  assert.deepEqual(out.map(a => [a.key, a.status, a.days_left]), [
+    ["worker_doc:W1:visita_medica", "expired", -12],
+    ["worker_doc:W1:corso_generale", "expiring", 30]
+  ]);
+  assert.equal(out[0].title, "Mario Rossi - Idoneità sanitaria");
+  assert.deepEqual(out[0].site_ids, ["CNT-A"]);
+});
+
+test("correctiveActionAlerts: azioni non verificate, in ritardo o in scadenza", () => {
+  const out = correctiveActionAlerts([{ site_id: "CNT-A", nonconformities: [
+    { id: "NC-1", description: "Parapetto mancante", status: "open", due_date: "2026-04-10", assignee: { user_id: "USR-SUB" } },
+    { id: "NC-2", description: "Estintore scarico", status: "resolved", due_date: "2026-04-20", assignee: { company: "Alfa" } },
+    { id: "NC-3", description: "Chiusa", status: "verified", due_date: "2026-04-01" }
+  ] }], { today: TODAY, sites });
+  assert.deepEqual(out.map(a => [a.key, a.status, a.days_left, a.user_ids]), [
+    ["corrective_action:NC-1", "overdue", -3, ["USR-SUB"]],
+    ["corrective_action:NC-2", "due", 7, []]
+  ]);
+  assert.equal(out[1].title, "Cantiere A - Estintore scarico (da verificare)");
+});
+
+test("siteDocAlerts: PSC mancante, prese visione e notifica preliminare", () => {
+  const site = { id: "CNT-A", name: "Cantiere A", dates: { start: "2026-04-20" } };
+  assert.deepEqual(siteDocAlerts({ site, required: ["psc"], today: TODAY }).map(a => [a.key, a.status]), [["site_doc:CNT-A:psc", "missing"]]);
+  const out = siteDocAlerts({
+    site, required: ["psc", "notifica_preliminare"], psc: { version: 2 }, planned: true, today: TODAY,
+    pendingAcks: [{ user_id: "USR-APP", name: "Edil Alfa" }]
+  });
+  assert.deepEqual(out.map(a => [a.key, a.status, a.days_left]), [
+    ["site_doc:CNT-A:psc_ack:2", "pending", null],
+    ["site_doc:CNT-A:notifica_preliminare", "due", 7]
+  ]);
+  assert.deepEqual(out[0].user_ids, ["USR-APP"]);
+  assert.deepEqual(siteDocAlerts({ site, required: ["notifica_preliminare"], planned: false, today: TODAY }), []);
+});
+
+test("alertsFor: preavviso personale, urgenti sempre, ruoli per tipo", () => {
+  const alerts = [
+    alert({ key: "a" }),
+    alert({ key: "b", status: "expired", days_left: -1 }),
+    alert({ key: "c", type: "corrective_action", status: "due", days_left: 2 }),
+    alert({ key: "d", type: "site_doc", status: "pending", site_ids: ["CNT-B"], user_ids: ["USR-OWN"] })
+  ];
+  const keys = (user, list = alerts) => alertsFor(user, list, { sites }).map(a => a.key);
+  assert.deepEqual(keys({ id: "USR-ADM", company_role: "company_admin", notifications: { lead_days: 10 } }), ["b", "c", "d"]);
+  assert.deepEqual(keys({ id: "USR-CSE", company_role: "staff" }), ["a", "b", "c"]);
+  assert.deepEqual(keys({ id: "USR-OWN", company_role: "staff" }), ["d"]);
+  assert.deepEqual(keys({ id: "USR-X", company_role: "staff" }), []);
+});
+
+test("digestPeriod: giornaliero dall'ora indicata, settimanale nel giorno scelto", () => {
+  const monday8 = new Date(2026, 3, 13, 8, 0), monday6 = new Date(2026, 3, 13, 6, 0), tuesday8 = new Date(2026, 3, 14, 8, 0);
+  assert.equal(digestPeriod(userPrefs({}), monday8), "2026-04-13");
+  assert.equal(digestPeriod(userPrefs({}), monday6), null);
+  assert.equal(digestPeriod(userPrefs({}), monday6, { force: true }), "2026-04-13");
+  assert.equal(digestPeriod(userPrefs({}), monday6, { hour: 6 }), "2026-04-13");
+  const weekly = userPrefs({ notifications: { digest: "weekly", weekday: 1 } });
+  assert.equal(digestPeriod(weekly, monday8), "2026-W16");
+  assert.equal(digestPeriod(weekly, tuesday8), null);
+  assert.equal(digestPeriod(weekly, tuesday8, { force: true }), "2026-W16");
+  assert.equal(digestPeriod({ digest: "off" }, monday8, { force: true }), null);
+});
+
+test("digestMessage: sezioni per tipo, urgenti nell'oggetto", () => {
+  const msg = digestMessage({ name: "Mario" }, [
+    alert({ title: "Luca - Formazione generale", date: "2026-05-13" }),
+    alert({ type: "corrective_action", status: "overdue", title: "Cantiere A - Parapetto", date: "2026-04-10" })
+  ], { appUrl: "https://app.example.it", period: "2026-04-13" });
+  assert.equal(msg.subject, "Kanthera - 2 scadenze (1 urgenti)");
+  assert.match(msg.text, /^Ciao Mario,\necco le scadenze di Kanthera \(2026-04-13\)\./);
+  assert.match(msg.text, /Documenti dei lavoratori:\n- \[in scadenza\] Luca - Formazione generale - 13\/05\/2026\n/);
+  assert.match(msg.text, /Azioni correttive:\n- \[IN RITARDO\] Cantiere A - Parapetto - 10\/04\/2026\n/);
+  assert.match(msg.text, /https:\/\/app\.example\.it\/settings\/notifications\n$/);
+});
+
+test("isPrivateAddress: loopback, reti private, link-local e IPv4 mappati", () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "172.31.255.255", "192.168.1.1", "169.254.169.254",
+                    "100.64.0.1", "0.0.0.0", "::1", "::", "fc00::1", "fd12::1", "fe80::1", "::ffff:10.0.0.1", "::ffff:7f00:1"]) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ["8.8.8.8", "172.32.0.1", "192.169.0.1", "2001:db8::1", "::ffff:808:808"]) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test("validateWebhook: url http(s) pubblico, indirizzi interni solo se ammessi", () => {
+  assert.deepEqual(validateWebhook({ url: "https://hooks.example.com/kanthera", active: true }), []);
+  assert.deepEqual(validateWebhook({ url: "ftp://example.com", active: "si" }), ["url deve essere http o https", "active deve essere booleano"]);
+  assert.deepEqual(validateWebhook({}), ["url non valido"]);
+  const blocked = ["http://localhost:3000/x", "http://api.localhost/x", "http://127.0.0.1/x", "http://2130706433/x",
+                   "http://[::1]/x", "http://[::ffff:127.0.0.1]/x", "http://169.254.169.254/latest/meta-data", "http://192.168.1.10/x"];
+  for (const url of blocked) {
+    assert.deepEqual(validateWebhook({ url }), ["url verso un indirizzo interno non ammesso (WEBHOOK_ALLOW_PRIVATE)"], url);
+    assert.deepEqual(validateWebhook({ url }, { allowPrivate: true }), [], url);
+  }
+});
+
+test("signPayload, retryDelay e newDelivery", () => {
+  assert.match(signPayload("segreto", "{}"), /^sha256=[0-9a-f]{64}$/);
+  assert.notEqual(signPayload("segreto", "{}"), signPayload("altro", "{}"));
+  assert.deepEqual([1, 2, 3, 4].map(retryDelay), [5, 10, 20, 40].map(m => m * 60000));
+  const at = new Date("2026-04-13T06:00:00Z");
+  const d = newDelivery({ key: "digest:U:2026-04-13", channel: "email" }, at);
+  assert.match(d.id, /^NTF-/);
+  assert.equal(d.status, "pending");
+  assert.equal(d.attempts, 0);
+  assert.equal(d.next_attempt_at, at.toISOString());
+});
+
+test("createNotifier: un digest per utente e periodo, retry con backoff, fallimento definitivo", async () => {
+  const db = await openStore({ driver: "json", dir: path.join(tmp, "notifier") });
+  await db.tx(async t => {
+    await t.users.insert({ id: "USR-ADM", name: "Admin", email: "admin@example.it", status: "active", company_role: "company_admin" });
+    await t.users.insert({ id: "USR-OFF", name: "Off", email: "off@example.it", status: "active", company_role: "company_admin",
+                           notifications: { digest: "off" } });
+    await t.users.insert({ id: "USR-INV", name: "Invitato", email: "inv@example.it", status: "invited", company_role: "company_admin" });
+  });
+  const sent = [];
+  let failures = 1;
+  const mailer = { async send(m) { if (failures-- > 0) throw new Error("SMTP non raggiungibile"); sent.push(m); return { ok: true }; } };
+  const notifier = createNotifier({
+    db, mailer, appUrl: "https://app.example.it",
+    collect: async () => [alert({ key: "worker_doc:W1:visita_medica", status: "expired", days_left: -1, title: "Mario - Idoneità" })]
+  });
+
+  const at = new Date(2026, 3, 13, 8, 0);
+  const first = await notifier.run({ at });
+  assert.equal(first.created.length, 1);
+  assert.deepEqual(first.deliveries.map(d => [d.attempts, d.last_error, d.next_attempt_at]), [
+    [1, "SMTP non raggiungibile", new Date(at.getTime() + retryDelay(1)).toISOString()]
+  ]);
+
+  // Stesso periodo: nessun nuovo digest, il retry aspetta il backoff
+  const again = await notifier.run({ at: new Date(at.getTime() + 60000) });
+  assert.deepEqual([again.created, again.deliveries], [[], []]);
+  const retried = await notifier.processDeliveries(new Date(at.getTime() + retryDelay(1)));
+  assert.equal(retried[0].status, "sent");
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, "admin@example.it");
+  assert.equal(sent[0].subject, "Kanthera - 1 scadenze (1 urgenti)");
+
+  // Prima dell'ora dei digest solo con force
+  const early = new Date(2026, 3, 14, 6, 0);
+  assert.deepEqual((await notifier.run({ at: early })).created, []);
+  assert.equal((await notifier.run({ at: early, force: true })).created.length, 1);
+
+  // Webhook verso un indirizzo interno: rifiutato all'invio, all'ultimo tentativo la consegna fallisce
+  await db.tx(async t => {
+    await t.webhooks.insert({ id: "WH-1", url: "http://127.0.0.1:9/hook", secret: "s", active: true });
+    await t.deliveries.insert(newDelivery({ key: "webhook:WH-1:x", channel: "webhook", webhook_id: "WH-1", payload: { event: "test" },
+                                            attempts: MAX_ATTEMPTS - 1 }, early));
+  });
+  const [failed] = await notifier.processDeliveries(early);
+  assert.deepEqual([failed.status, failed.attempts, failed.last_error], ["failed", MAX_ATTEMPTS, "indirizzo interno non ammesso"]);
+  assert.equal((await db.deliveries.get(failed.id)).status, "failed");
+  await db.close();
+});
@@ -0,0 +1,112 @@
+// test/ocr.test.js — OCR con il provider fixture ed estrazione dei campi dai testi riconosciuti
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+
+process.env.OCR_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "ocr");
+
+const { runOcr, getOcrProvider, OCR_PROVIDERS } = await import("../lib/ocr.js");
+const { extractFields, extractWithRules, normalizeDocType, validateAgainstWorker } = await import("../lib/extract.js");
+
+const fixture = OCR_PROVIDERS.fixture;
+
+test("getOcrProvider: nome esplicito, sconosciuto e default", () => {
+  assert.equal(getOcrProvider("fixture"), fixture);
+  assert.throws(() => getOcrProvider("boh"), /sconosciuto/);
+  const saved = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+  delete process.env.GOOGLE_APPLICATION_CREDENTIALS;
+  try { assert.equal(getOcrProvider(undefined).name, "tesseract"); }
+  finally { if (saved !== undefined) process.env.GOOGLE_APPLICATION_CREDENTIALS = saved; }
+});
+
+test("runOcr fixture: testo per nome file, mime text/* e file sconosciuto", async () => {
+  const byName = await runOcr(Buffer.from("%PDF-1.4 finto"), { filename: "idoneita.pdf", mime: "application/pdf" }, fixture);
+  assert.equal(byName.provider, "fixture");
+  assert.equal(byName.confidence, 1);
+  assert.match(byName.text, /GIUDIZIO DI IDONEITÀ/);
+
+  const plain = await runOcr(Buffer.from("testo libero"), { filename: "x.txt", mime: "text/plain" }, fixture);
+  assert.equal(plain.text, "testo libero");
+
+  const none = await runOcr(Buffer.from([1, 2, 3]), { filename: "ignoto.png", mime: "image/png" }, fixture);
+  assert.equal(none.text, "");
+  assert.equal(none.confidence, 0);
+  assert.ok(none.warning);
+});
+
+test("runOcr: un errore del provider non lancia", async () => {
+  const broken = { name: "rotto", async recognize() { throw new Error("giù"); } };
+  assert.deepEqual(await runOcr(Buffer.from("x"), { filename: "a.png" }, broken),
+    { provider: "rotto", text: "", confidence: 0, error: "giù" });
+});
+
+test("estrazione a regole: visita medica", async () => {
+  const { text } = await runOcr(Buffer.from("x"), { filename: "idoneita.pdf" }, fixture);
+  const f = await extractFields(text);
+  assert.equal(f.source, "rules");
+  assert.equal(f.doc_type, "visita_medica");
+  assert.equal(f.holder_name, "Mario Rossi");
+  assert.equal(f.cf, "RSSMRA80C12G388X");
+  assert.equal(f.issue_date, "2026-01-15");
+  assert.equal(f.expiry_date, "2027-01-15");
+  assert.equal(f.confidence_overall, 0.9);
+});
+
+test("estrazione a regole: attestato con date in lettere e priorità della specifica", async () => {
+  const { text } = await runOcr(Buffer.from("x"), { filename: "attestato.jpg" }, fixture);
+  const f = extractWithRules(text);
+  assert.equal(f.doc_type, "corso_specifica_fs");
+  assert.equal(f.holder_name, "Giulia Bianchi");
+  assert.equal(f.cf, "BNCGLI85M41F205Z");
+  assert.equal(f.issue_date, "2025-02-03");
+  assert.equal(f.expiry_date, "2030-02-03");
+});
+
+test("estrazione a regole: senza contesto la data più recente è la scadenza", () => {
+  const f = extractWithRules("Documento varie 01/02/2024 e 01/02/2029");
+  assert.equal(f.doc_type, "altro");
+  assert.equal(f.issue_date, "2024-02-01");
+  assert.equal(f.expiry_date, "2029-02-01");
+  assert.equal(f.confidence_overall, 0.45);
+});
+
+test("extractFields: testo vuoto e ripiego sulle regole se l'LLM fallisce", async () => {
+  assert.deepEqual(await extractFields("   "), {});
+  const openai = { chat: { completions: { create: async () => { throw new Error("rete"); } } } };
+  const f = await extractFields("Attestato corso primo soccorso", { openai });
+  assert.equal(f.source, "rules");
+  assert.equal(f.doc_type, "ps");
+});
+
+test("extractFields: risposta LLM con tipo normalizzato", async () => {
+  const content = JSON.stringify({ doc_type: "primo_soccorso", holder_name: "Mario Rossi", confidence_overall: 0.8 });
+  const openai = { chat: { completions: { create: async () => ({ choices: [{ message: { content } }] }) } } };
+  const f = await extractFields("qualcosa", { openai });
+  assert.equal(f.source, "llm");
+  assert.equal(f.doc_type, "ps");
+});
+
+test("normalizeDocType: chiavi note, alias e sconosciuti", () => {
+  assert.equal(normalizeDocType(null), null);
+  assert.equal(normalizeDocType(" Visita_Medica "), "visita_medica");
+  assert.equal(normalizeDocType("formazione_generale"), "corso_generale");
+  assert.equal(normalizeDocType("patente"), "altro");
+});
+
+test("validateAgainstWorker: CF e nome", () => {
+  const worker = { name: "Rossi Mario", cf: "RSSMRA80C12G388X" };
+  const ok = validateAgainstWorker({ cf: "rssmra80c12g388x", holder_name: "Mario Rossi" }, worker);
+  assert.equal(ok.ok, true);
+  assert.equal(ok.cf.status, "match");
+  assert.equal(ok.name.status, "match");
+
+  const bad = validateAgainstWorker({ cf: "BNCGLI85M41F205Z", holder_name: "Giulia Bianchi" }, worker);
+  assert.deepEqual(bad.mismatches, ["cf", "name"]);
+
+  const empty = validateAgainstWorker({}, worker);
+  assert.equal(empty.ok, true);
+  assert.equal(empty.cf.status, "not_found");
+  assert.equal(empty.name.status, "not_found");
+});
@@ -0,0 +1,71 @@
+// test/pos.test.js — Input del POS, validazione sulla libreria lavorazioni e PDF generato
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFParse } from "pdf-parse";
+import { pickPosInputs, validatePosInputs, buildPos, POS_INPUT_KEYS } from "../lib/pos.js";
+import { DEFAULT_LAVORAZIONI, riskLevel, validateLavorazione, normalizeLavorazione } from "../lib/lavorazioni.js";
+
+const library = DEFAULT_LAVORAZIONI;
+const lav = library[0];
+
+async function pdfText(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try { return (await parser.getText()).text; }
+  finally { await parser.destroy(); }
+}
+
+test("pickPosInputs: solo le chiavi note", () => {
+  assert.deepEqual(pickPosInputs({ measures: ["a"], notes: "n", site_id: "X", hack: 1 }), { measures: ["a"], notes: "n" });
+  assert.ok(POS_INPUT_KEYS.includes("schedule"));
+});
+
+test("validatePosInputs: liste, date del cronoprogramma e lavorazioni sconosciute", () => {
+  assert.deepEqual(validatePosInputs({ lavorazioni: [lav.id] }, library), []);
+  const errors = validatePosInputs({
+    lavorazioni: "LAV-X",
+    machinery: [{ model: "senza nome" }],
+    schedule: [
+      { phase: "Scavi", start: "2026-03-10", end: "2026-03-01" },
+      { phase: "Getti", start: "10/03/2026", end: "2026-04-01" },
+      { phase: "Opere", start: "2026-03-01", end: "2026-04-01", lavorazioni: ["LAV-NOPE"] }
+    ],
+    emergency: []
+  }, library);
+  assert.deepEqual(errors, [
+    "lavorazioni deve essere una lista",
+    "machinery[0]: nome mancante",
+    "schedule[0]: fine prima dell'inizio",
+    "schedule[1]: date in formato YYYY-MM-DD",
+    "schedule[2]: lavorazione sconosciuta LAV-NOPE",
+    "emergency deve essere un oggetto"
+  ]);
+});
+
+test("lavorazioni: livello di rischio, validazione e normalizzazione", () => {
+  assert.deepEqual(riskLevel(1, 2), { r: 2, level: "basso", label: "Basso" });
+  assert.equal(riskLevel(3, 2).level, "alto");
+  assert.equal(riskLevel(3, 3).level, "molto_alto");
+  assert.deepEqual(validateLavorazione({ risks: [{ name: "Caduta", p: 5, d: 1 }], dpi: "casco" }),
+    ["Inserisci il nome della lavorazione", "Rischio 1: P e D devono essere tra 1 e 4", "dpi deve essere una lista"]);
+  const n = normalizeLavorazione({ risks: [{ name: "Rumore", p: "2", d: "3" }] }, { id: "LAV-1", name: "Demolizioni" });
+  assert.equal(n.name, "Demolizioni");
+  assert.deepEqual(n.risks, [{ name: "Rumore", p: 2, d: 3 }]);
+});
+
+test("buildPos: PDF con revisione, lavorazioni e lavoratori non conformi", async () => {
+  const site = { id: "CNT-1", name: "Cantiere di prova", address: "Via Roma 1", dates: { start: "2026-01-01", end: "2026-12-31" }, workers: ["W1"] };
+  const workers = [{ id: "W1", name: "Mario Rossi", role: "Operaio", docs: {} }];
+  const buffer = await buildPos({
+    company: { name: "Impresa Test" }, site, workers, lavorazioni: [lav],
+    inputs: { lavorazioni: [lav.id] }, version: 2,
+    revisions: [{ version: 1, created_at: "2026-01-01T00:00:00Z", note: "Prima emissione" }, { version: 2, created_at: "2026-02-01T00:00:00Z", note: "Nuove lavorazioni" }]
+  });
+  assert.ok(Buffer.isBuffer(buffer));
+  assert.equal(buffer.subarray(0, 5).toString(), "%PDF-");
+  const text = await pdfText(buffer);
+  for (const s of ["Impresa Test", "Cantiere di prova", "Mario Rossi", lav.name, "Nuove lavorazioni"]) {
+    assert.ok(text.includes(s), s);
+  }
+  assert.match(text, /NON CONFORME Mario Rossi/);
+});
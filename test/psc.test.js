@@ -0,0 +1,77 @@
+// test/psc.test.js — Obbligo del PSC, presa visione delle imprese e coerenza dei POS con l'ultima revisione
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pscRequired, parseList, validatePscVersion, ackStatus, checkPosConsistency } from "../lib/psc.js";
+
+const site = {
+  meta: { warnings: ["PSC obbligatorio"] },
+  roles: [
+    { user_id: "USR-CSE", role: "coordinator" },
+    { user_id: "USR-APP", role: "contractor" },
+    { user_id: "USR-SUB", role: "subcontractor" }
+  ]
+};
+const users = [{ id: "USR-APP", name: "Edil Alfa", email: "alfa@example.it" }];
+const library = [{ id: "LAV-1", name: "Scavi" }, { id: "LAV-2", name: "Demolizioni" }];
+const psc = { version: 2, lavorazioni: ["LAV-1"], acknowledgements: [{ user_id: "USR-APP", role: "contractor", at: "2026-04-10T09:00:00Z" }] };
+
+test("pscRequired: dagli avvisi calcolati sul cantiere", () => {
+  assert.equal(pscRequired(site), true);
+  assert.equal(pscRequired({ meta: { warnings: [] } }), false);
+  assert.equal(pscRequired({}), false);
+});
+
+test("parseList: lista, JSON o valori separati da virgole", () => {
+  assert.deepEqual(parseList(undefined), []);
+  assert.deepEqual(parseList(""), []);
+  assert.deepEqual(parseList(["LAV-1", 2]), ["LAV-1", "2"]);
+  assert.deepEqual(parseList('["LAV-1","LAV-2"]'), ["LAV-1", "LAV-2"]);
+  assert.deepEqual(parseList(" LAV-1, ,LAV-2 "), ["LAV-1", "LAV-2"]);
+  assert.equal(parseList("[LAV-1"), null);
+});
+
+test("validatePscVersion: changelog, lavorazioni della libreria e oneri", () => {
+  assert.deepEqual(validatePscVersion({ note: "Prima emissione", lavorazioni: "LAV-1", safety_costs: "1200" }, library), []);
+  assert.deepEqual(validatePscVersion({ note: " ", lavorazioni: "LAV-1,LAV-9", safety_costs: "-1" }, library), [
+    "Descrivi le modifiche della revisione (note)", "lavorazione sconosciuta: LAV-9", "safety_costs non valido"
+  ]);
+  assert.deepEqual(validatePscVersion({ note: "x", lavorazioni: "[" }, library), ["lavorazioni: lista non valida"]);
+});
+
+test("ackStatus: solo appaltatrici e subappaltatrici, tutte in attesa senza PSC", () => {
+  const s = ackStatus(site, psc, users);
+  assert.equal(s.version, 2);
+  assert.deepEqual(s.companies.map(c => [c.user_id, c.acknowledged]), [["USR-APP", true], ["USR-SUB", false]]);
+  assert.deepEqual(s.companies[0], {
+    user_id: "USR-APP", name: "Edil Alfa", email: "alfa@example.it", role: "contractor",
+    acknowledged: true, acknowledged_at: "2026-04-10T09:00:00Z"
+  });
+  assert.deepEqual(s.pending.map(c => c.user_id), ["USR-SUB"]);
+
+  const none = ackStatus(site, null, users);
+  assert.equal(none.version, null);
+  assert.deepEqual(none.pending.map(c => c.user_id), ["USR-APP", "USR-SUB"]);
+});
+
+test("checkPosConsistency: PSC mancante, revisione superata, lavorazioni non previste e presa visione", () => {
+  assert.deepEqual(checkPosConsistency({}, null, { site }), {
+    consistent: false, psc_version: null, issues: [{ code: "psc_missing", message: "PSC obbligatorio non ancora caricato" }]
+  });
+  assert.deepEqual(checkPosConsistency({}, null, { site: { roles: [] } }), { consistent: true, psc_version: null, issues: [] });
+
+  const ok = { psc_version: 2, lavorazioni: ["LAV-1"], created_by: "USR-APP" };
+  assert.deepEqual(checkPosConsistency(ok, psc, { site, library }), { consistent: true, psc_version: 2, issues: [] });
+
+  const { consistent, issues } = checkPosConsistency(
+    { psc_version: 1, inputs: { lavorazioni: ["LAV-1", "LAV-2"] }, created_by: "USR-SUB" }, psc, { site, library }
+  );
+  assert.equal(consistent, false);
+  assert.deepEqual(issues.map(i => i.code), ["psc_outdated", "lavorazione_non_prevista", "psc_not_acknowledged"]);
+  assert.equal(issues[0].message, "POS redatto sul PSC rev. 1, ultima revisione 2");
+  assert.equal(issues[1].message, "Lavorazione non prevista dal PSC: Demolizioni");
+
+  // Senza PSC al momento della redazione; il coordinatore non è tenuto alla presa visione
+  const noPsc = checkPosConsistency({ psc_version: null, lavorazioni: [], created_by: "USR-CSE" }, psc, { site, library });
+  assert.deepEqual(noPsc.issues.map(i => i.message), ["POS redatto senza PSC, ultima revisione 2"]);
+});
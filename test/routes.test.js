@@ -0,0 +1,227 @@
+// test/routes.test.js — Permessi sulle route: forma di 401/403, elenco cantieri, assegnazione dei ruoli e inviti
+//
+// Avvia server.js su una DATA_DIR temporanea con utenti e cantieri di prova.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { hashPassword } from "../lib/auth.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PASSWORD = "test1234";
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+const BASE = `http://127.0.0.1:${PORT}`;
+
+const users = [
+  { id: "USR-ADM", email: "admin@test.it", name: "Admin", company_role: "company_admin" },
+  { id: "USR-MGR", email: "mgr@test.it", name: "Manager", company_role: "company_manager" },
+  { id: "USR-CSE", email: "cse@test.it", name: "Coordinatore", company_role: "company_viewer" },
+  { id: "USR-OWN", email: "owner@test.it", name: "Committente", company_role: "company_viewer" },
+  { id: "USR-SUB", email: "sub@test.it", name: "Subappaltatore", company_role: "company_viewer" },
+  { id: "USR-OPE", email: "ope@test.it", name: "Operatore", company_role: "company_operator" }
+];
+const sites = [
+  { id: "CNT-A", name: "Cantiere A", dates: { start: "2026-01-01", end: "2026-12-31" }, workers: ["DIP-T1"],
+    roles: [{ user_id: "USR-OWN", role: "owner" }, { user_id: "USR-CSE", role: "coordinator" }, { user_id: "USR-SUB", role: "subcontractor" }] },
+  { id: "CNT-B", name: "Cantiere B", dates: { start: "2026-01-01", end: "2026-12-31" }, workers: [],
+    roles: [{ user_id: "USR-OWN", role: "owner" }] },
+  { id: "CNT-C", name: "Cantiere chiuso", status: "closed", dates: { start: "2025-01-01", end: "2025-12-31" }, workers: [], roles: [] }
+];
+
+const workers = [
+  { id: "DIP-T1", name: "Mario Rossi", cf: "RSSMRA80A01H501U", role: "Operaio", company_id: "IMP-A", docs: { visita_medica: "2027-01-01" } }
+];
+const companies = [
+  { id: "IMP-A", name: "Impresa di prova", type: "impresa", own: true, docs: {} },
+  { id: "IMP-B", name: "Edil Beta", type: "impresa", docs: {} }
+];
+const equipment = [
+  { id: "ATT-T1", name: "Autogru", type: "autogru", category: "sollevamento", status: "active",
+    inspection: { interval_months: 12, last_date: "2020-01-01", due_date: null }, maintenance: [], operators: [],
+    assignments: [{ id: "ASG-T1", site_id: "CNT-A", from: "2026-01-01", to: null }] }
+];
+
+let server, dir;
+const tokens = {};
+
+async function api(method, url, { token, body } = {}) {
+  const res = await fetch(BASE + url, {
+    method,
+    headers: { ...(body ? { "content-type": "application/json" } : {}), ...(token ? { authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, body: res.headers.get("content-type")?.includes("json") ? await res.json() : await res.text() };
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "kanthera-test-"));
+  fs.writeFileSync(path.join(dir, "users.json"), JSON.stringify(users.map(u => ({ ...u, status: "active", password_hash: hashPassword(PASSWORD) }))));
+  fs.writeFileSync(path.join(dir, "sites.json"), JSON.stringify(sites));
+  fs.writeFileSync(path.join(dir, "workers.json"), JSON.stringify(workers));
+  fs.writeFileSync(path.join(dir, "companies.json"), JSON.stringify(companies));
+  fs.writeFileSync(path.join(dir, "equipment.json"), JSON.stringify(equipment));
+  fs.writeFileSync(path.join(dir, "company.json"), JSON.stringify({ name: "Impresa di prova" }));
+
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: String(PORT), DATA_DIR: dir, FILES_DIR: path.join(dir, "files"), NOTIFY_INTERVAL_MINUTES: "0" },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let log = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server non avviato:\n${log}`)), 20000);
+    server.stdout.on("data", d => { log += d; if (log.includes("kanthera backend on")) { clearTimeout(timer); resolve(); } });
+    server.stderr.on("data", d => { log += d; });
+    server.on("exit", code => { clearTimeout(timer); reject(new Error(`server terminato (${code}):\n${log}`)); });
+  });
+  for (const u of users) {
+    const { body } = await api("POST", "/api/auth/login", { body: { email: u.email, password: PASSWORD } });
+    tokens[u.id] = body.access_token;
+  }
+});
+
+after(() => {
+  server?.kill();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("401 senza token o con token non valido", async () => {
+  for (const token of [undefined, "nope"]) {
+    const { status, body } = await api("GET", "/api/sites", { token });
+    assert.equal(status, 401);
+    assert.deepEqual(body, { ok: false, error: "Unauthorized", code: "unauthorized" });
+  }
+});
+
+test("403 di cantiere: azione, cantiere e scope", async () => {
+  const { status, body } = await api("GET", "/api/sites/CNT-B", { token: tokens["USR-CSE"] });
+  assert.equal(status, 403);
+  assert.deepEqual(body, { ok: false, error: "Forbidden", code: "forbidden", scope: "site", action: "VIEW_SITE", site_id: "CNT-B" });
+
+  const users = await api("POST", "/api/sites/CNT-A/users", { token: tokens["USR-SUB"], body: { user_id: "USR-OPE", role: "subcontractor" } });
+  assert.equal(users.status, 403);
+  assert.equal(users.body.action, "MANAGE_SITE_USERS");
+});
+
+test("403 aziendale: azione e scope", async () => {
+  const { status, body } = await api("POST", "/api/workers", { token: tokens["USR-CSE"], body: { name: "Mario Rossi" } });
+  assert.equal(status, 403);
+  assert.deepEqual(body, { ok: false, error: "Forbidden", code: "forbidden", scope: "company", action: "EDIT_WORKERS" });
+});
+
+test("cantiere inesistente: 404 per company_admin, 403 per gli altri", async () => {
+  assert.equal((await api("GET", "/api/sites/CNT-NOPE", { token: tokens["USR-ADM"] })).status, 404);
+  const { status, body } = await api("GET", "/api/sites/CNT-NOPE", { token: tokens["USR-OWN"] });
+  assert.equal(status, 403);
+  assert.equal(body.site_id, "CNT-NOPE");
+});
+
+test("GET /api/sites: solo i cantieri con un ruolo", async () => {
+  const ids = async id => (await api("GET", "/api/sites", { token: tokens[id] })).body.map(s => s.id).sort();
+  assert.deepEqual(await ids("USR-ADM"), ["CNT-A", "CNT-B", "CNT-C"]);
+  assert.deepEqual(await ids("USR-OWN"), ["CNT-A", "CNT-B"]);
+  assert.deepEqual(await ids("USR-CSE"), ["CNT-A"]);
+  assert.deepEqual(await ids("USR-OPE"), []);
+});
+
+test("ruoli di cantiere: niente autopromozione né ruoli non posseduti", async () => {
+  const set = (by, user_id, role, site = "CNT-A") =>
+    api("POST", `/api/sites/${site}/users`, { token: tokens[by], body: { user_id, role } });
+
+  // Il coordinatore non si dà admin né owner, e non assegna ruoli che non ha
+  for (const role of ["admin", "owner", "contractor"]) {
+    const { status, body } = await set("USR-CSE", "USR-CSE", role);
+    assert.equal(status, 403, role);
+    assert.equal(body.code, "forbidden");
+  }
+  assert.equal((await set("USR-CSE", "USR-OPE", "admin")).status, 403);
+  // ...né cambia il ruolo del committente
+  assert.equal((await set("USR-CSE", "USR-OWN", "coordinator")).status, 403);
+  assert.equal((await api("DELETE", "/api/sites/CNT-A/users/USR-OWN", { token: tokens["USR-CSE"] })).status, 403);
+  const roles = (await api("GET", "/api/sites/CNT-A/users", { token: tokens["USR-ADM"] })).body;
+  assert.equal(roles.find(r => r.user_id === "USR-CSE").role, "coordinator");
+  assert.equal(roles.find(r => r.user_id === "USR-OWN").role, "owner");
+  assert.equal((await api("POST", "/api/pos", { token: tokens["USR-CSE"], body: { site: { id: "CNT-A", name: "Cantiere A" } } })).status, 403);
+  assert.equal((await api("GET", "/api/sites/CNT-A/sal", { token: tokens["USR-CSE"] })).status, 403);
+
+  // Ruolo inesistente e utente sconosciuto
+  const bad = await set("USR-CSE", "USR-OPE", "boss");
+  assert.equal(bad.status, 400);
+  assert.ok(bad.body.roles.includes("coordinator"));
+  assert.equal((await set("USR-CSE", "USR-NOPE", "coordinator")).status, 404);
+
+  // Il proprio ruolo si può assegnare; company_admin assegna anche admin
+  assert.equal((await set("USR-CSE", "USR-OPE", "coordinator")).status, 200);
+  assert.equal((await set("USR-ADM", "USR-OPE", "admin", "CNT-B")).status, 200);
+  assert.equal((await set("USR-OWN", "USR-OPE", "owner", "CNT-B")).status, 403);
+});
+
+test("inviti: company_role valido e non oltre i permessi di chi invita", async () => {
+  const invite = (by, email, company_role) =>
+    api("POST", "/api/invite", { token: tokens[by], body: { email, name: "Nuovo", company_role } });
+
+  const bad = await invite("USR-MGR", "a@test.it", "boss");
+  assert.equal(bad.status, 400);
+  assert.ok(bad.body.roles.includes("company_viewer"));
+
+  const up = await invite("USR-MGR", "b@test.it", "company_admin");
+  assert.equal(up.status, 403);
+  assert.deepEqual(up.body, { ok: false, error: "Forbidden", code: "forbidden", scope: "company", action: "INVITE_USERS" });
+
+  const ok = await invite("USR-MGR", "c@test.it", "company_operator");
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.user.company_role, "company_operator");
+  assert.equal((await invite("USR-ADM", "d@test.it", "company_admin")).status, 200);
+});
+
+test("conformità ed export dei lavoratori: ?site= solo sui cantieri visibili", async () => {
+  const get = (by, site) => api("GET", `/api/workers/DIP-T1/compliance?site=${site}`, { token: tokens[by] });
+  assert.equal((await get("USR-CSE", "CNT-A")).status, 200);
+  assert.equal((await get("USR-CSE", "CNT-B")).status, 404);
+  assert.equal((await get("USR-ADM", "CNT-B")).status, 200);
+  const exp = site => api("GET", `/api/workers/export?format=csv&site=${site}`, { token: tokens["USR-CSE"] });
+  assert.equal((await exp("CNT-A")).status, 200);
+  assert.equal((await exp("CNT-B")).status, 404);
+});
+
+test("PATCH lavoratore: solo i campi anagrafici", async () => {
+  const { status, body } = await api("PATCH", "/api/workers/DIP-T1", {
+    token: tokens["USR-OPE"], body: { role: "Preposto", docs: { visita_medica: "2099-01-01" }, id: "DIP-X" }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.worker.id, "DIP-T1");
+  assert.equal(body.worker.role, "Preposto");
+  assert.deepEqual(body.worker.docs, { visita_medica: "2027-01-01" });
+
+  // Cambio d'impresa: solo verso imprese note e con il lavoratore fuori dai cantieri
+  const move = company_id => api("PATCH", "/api/workers/DIP-T1", { token: tokens["USR-OPE"], body: { company_id } });
+  assert.equal((await move("IMP-NOPE")).status, 400);
+  assert.equal((await move("IMP-B")).status, 409);
+  assert.equal((await move("IMP-A")).status, 200);
+});
+
+test("cantiere chiuso: assegnazioni e POS in sola lettura", async () => {
+  const token = tokens["USR-ADM"];
+  const del = await api("DELETE", "/api/sites/CNT-C/workers/DIP-T1", { token });
+  assert.equal(del.status, 409);
+  assert.equal(del.body.code, "site_frozen");
+  assert.equal((await api("POST", "/api/sites/CNT-C/workers", { token, body: { worker_id: "DIP-T1" } })).body.code, "site_frozen");
+  assert.equal((await api("POST", "/api/sites/CNT-C/pos", { token, body: {} })).body.code, "site_frozen");
+  assert.equal((await api("DELETE", "/api/sites/CNT-NOPE/workers/DIP-T1", { token })).status, 404);
+});
+
+test("attrezzature: verifica periodica scaduta, niente nuove assegnazioni né proroghe", async () => {
+  const token = tokens["USR-ADM"];
+  const add = await api("POST", "/api/sites/CNT-B/equipment", { token, body: { equipment_id: "ATT-T1", from: "2027-01-01" } });
+  assert.equal(add.status, 409);
+  assert.equal(add.body.code, "inspection_overdue");
+
+  const patch = to => api("PATCH", "/api/sites/CNT-A/equipment/ASG-T1", { token, body: { to } });
+  assert.equal((await patch("2026-01-31")).status, 200);
+  assert.equal((await patch(null)).body.code, "inspection_overdue");
+  assert.equal((await api("PATCH", "/api/sites/CNT-B/equipment/ASG-T1", { token, body: { to: null } })).status, 404);
+});
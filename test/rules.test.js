@@ -0,0 +1,114 @@
+// test/rules.test.js — Motore regole del D.Lgs 81/08: fatti del cantiere, obblighi, avvisi e dati della notifica preliminare
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_RULES, validateRules, siteFacts, evaluateRules, applyObligations } from "../lib/rules.js";
+import { notificaData } from "../lib/notifica.js";
+import { analyzeSchedule } from "../lib/schedule.js";
+import { pscRequired } from "../lib/psc.js";
+
+const site = { dates: { start: "2026-04-01", end: "2026-04-10" }, workers: ["W1", "W2"], meta: {} };
+const A = { id: "A", name: "Scavi", start: "2026-04-01", end: "2026-04-10", companies: ["Alfa"], workers: ["W1", "W2"] };
+const C = { id: "C", name: "Recinzione", start: "2026-04-09", end: "2026-04-12", crew_size: 2 };
+const facts = (f = {}) => ({ companies: 1, man_days: 0, workers: 0, max_workers: 0, duration_days: 0, working_days: 0, ...f });
+
+test("validateRules: id, titolo, fatti e operatori", () => {
+  assert.deepEqual(validateRules(DEFAULT_RULES), []);
+  assert.deepEqual(validateRules([]), ["rules deve essere una lista non vuota"]);
+  assert.deepEqual(validateRules([
+    { id: "a", title: "A", when: { all: [] } },
+    { id: "a", when: { not: { fact: "boh", op: "ne", value: "1" } }, threshold: {} }
+  ]), [
+    "rules[0].when: all/any deve essere una lista non vuota",
+    "rules[1]: id duplicato a",
+    "rules[1]: title mancante",
+    "rules[1].when.not: fatto sconosciuto boh (companies, man_days, workers, max_workers, duration_days, working_days)",
+    "rules[1].when.not: operatore non valido ne (gt, gte, lt, lte, eq)",
+    "rules[1].when.not: value deve essere un numero",
+    "rules[1].threshold: fatto sconosciuto undefined (companies, man_days, workers, max_workers, duration_days, working_days)",
+    "rules[1].threshold: operatore non valido undefined (gt, gte, lt, lte, eq)",
+    "rules[1].threshold: value deve essere un numero"
+  ]);
+});
+
+test("siteFacts: lavoratori per giorni lavorativi senza cronoprogramma", () => {
+  assert.deepEqual(siteFacts({ site, company: { name: "Pavi" } }), {
+    companies: 1, man_days: 14, man_days_source: "lavoratori x giorni lavorativi",
+    workers: 2, max_workers: 2, duration_days: 0, working_days: 7
+  });
+});
+
+test("siteFacts: imprese e picco dal cronoprogramma, stime dichiarate se superiori", () => {
+  const analysis = analyzeSchedule([A, C]);
+  const f = siteFacts({ site, company: { name: "Pavi" }, analysis });
+  assert.equal(f.companies, 2);
+  assert.equal(f.man_days, 18);
+  assert.equal(f.man_days_source, "cronoprogramma");
+  assert.equal(f.max_workers, 4);
+
+  const declared = siteFacts({ site: { ...site, meta: { estimated_man_days: 300, expected_companies: 4 } }, analysis });
+  assert.equal(declared.man_days, 300);
+  assert.equal(declared.man_days_source, "dichiarati");
+  assert.equal(declared.companies, 4);
+  assert.equal(siteFacts({ site, companyRoles: [{}, {}, {}] }).companies, 3);
+});
+
+test("evaluateRules: impresa unica sopra la soglia dei 200 uomini-giorno", () => {
+  const r = evaluateRules(DEFAULT_RULES, facts({ man_days: 250 }));
+  assert.deepEqual(r.required, ["notifica_preliminare", "soglia_uomini_giorno", "pos"]);
+  assert.deepEqual(r.warnings, ["Notifica preliminare obbligatoria"]);
+  const notifica = r.obligations.find(o => o.id === "notifica_preliminare");
+  assert.deepEqual(notifica.reasons, ["uomini-giorno presunti >= 200 (250)"]);
+  assert.deepEqual(r.obligations.find(o => o.id === "soglia_uomini_giorno").threshold, {
+    fact: "man_days", label: "uomini-giorno presunti", op: "lt", limit: 200, value: 250, respected: false, margin: -50
+  });
+});
+
+test("evaluateRules: più imprese, coordinatori e PSC obbligatori", () => {
+  const r = evaluateRules(DEFAULT_RULES, facts({ companies: 2, man_days: 10 }));
+  assert.deepEqual(r.required, ["csp_cse", "psc", "notifica_preliminare", "pos"]);
+  assert.deepEqual(r.warnings, ["Nomina CSP/CSE obbligatoria", "PSC obbligatorio", "Notifica preliminare obbligatoria"]);
+  assert.equal(r.obligations.find(o => o.id === "soglia_uomini_giorno").threshold, undefined);
+
+  const not = evaluateRules([{ id: "x", title: "X", when: { not: { fact: "companies", op: "gt", value: 1 } } }], facts());
+  assert.deepEqual(not.obligations[0], { id: "x", title: "X", reference: null, required: true, reasons: [] });
+});
+
+test("applyObligations: gli avvisi delle regole sostituiscono i precedenti, gli altri restano", () => {
+  const meta = { warnings: ["PSC obbligatorio", "Avviso di una regola rimossa", "Verificare accesso carrabile"],
+                 rule_warnings: ["Avviso di una regola rimossa"] };
+  const out = applyObligations(meta, DEFAULT_RULES, evaluateRules(DEFAULT_RULES, facts({ man_days: 250 })));
+  assert.deepEqual(out.warnings, ["Verificare accesso carrabile", "Notifica preliminare obbligatoria"]);
+  assert.deepEqual(out.rule_warnings, ["Notifica preliminare obbligatoria"]);
+  assert.deepEqual(out.obligations, ["notifica_preliminare", "soglia_uomini_giorno", "pos"]);
+  assert.ok(out.obligations_at);
+});
+
+test("pscRequired: esito del motore regole, avviso per i cantieri non rivalutati", () => {
+  assert.equal(pscRequired({ meta: { obligations: ["pos"], warnings: ["PSC obbligatorio"] } }), false);
+  assert.equal(pscRequired({ meta: { obligations: ["psc", "pos"] } }), true);
+  assert.equal(pscRequired({ meta: { warnings: ["PSC obbligatorio"] } }), true);
+});
+
+test("notificaData: punti dell'Allegato XII e campi da completare", () => {
+  const data = notificaData({
+    site: { address: "Via Roma 1", client: "Comune di Bologna", cse: { name: "Ing. Bianchi", email: "bianchi@example.it" },
+            dates: { start: "2026-05-04" }, meta: { work_type: "Ristrutturazione", client_address: "Piazza Maggiore 6" } },
+    company: { name: "Pavi Servizi", vat: "01234567890" },
+    facts: facts({ companies: 2, man_days: 300, max_workers: 6 }),
+    at: "2026-04-10T09:00:00Z"
+  });
+  assert.equal(data.fields.length, 13);
+  const value = key => data.fields.find(f => f.key === key).value;
+  assert.equal(value("client"), "Comune di Bologna - Piazza Maggiore 6");
+  assert.equal(value("cse"), "Ing. Bianchi - bianchi@example.it");
+  assert.equal(value("companies"), 2);
+  assert.deepEqual(data.missing, ["responsabile_lavori", "csp", "duration", "selected", "amount"]);
+  assert.equal(data.man_days, 300);
+  assert.deepEqual(data.sender, { name: "Pavi Servizi", vat: "01234567890", address: undefined });
+
+  const withAmount = notificaData({ site: { meta: { csp: "Arch. Verdi" } }, facts: facts(), companies: [{ name: "Alfa" }], amount: 150000 });
+  assert.equal(withAmount.fields.find(f => f.key === "csp").value, "Arch. Verdi");
+  assert.equal(withAmount.fields.find(f => f.key === "selected").value, "1 (vedi elenco)");
+  assert.ok(!withAmount.missing.includes("amount"));
+});
@@ -0,0 +1,114 @@
+// test/sal.test.js — Computo, importi cumulati dei SAL, ritenute, flusso di approvazione e avanzamento previsto
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  validateContract, normalizeContract, validateSalInput, computeSal, salTransition, plannedPct, salSummary
+} from "../lib/sal.js";
+
+const contract = normalizeContract({
+  safety_costs: 150,
+  items: [
+    { code: "A", description: "Scavo", unit: "mc", quantity: 100, unit_price: 10, phase_id: "F1" },
+    { code: "B", description: "Getto", unit: "mc", quantity: "10", unit_price: "50" }
+  ]
+});
+const site = { dates: { start: "2026-04-01", end: "2026-04-10" } };
+const phases = [{ id: "F1", start: "2026-04-01", end: "2026-04-03" }];
+const sal1Lines = [{ code: "A", quantity: 40 }];
+const sal1 = { id: "SAL-1", number: 1, status: "approved", period: { from: "2026-04-01", to: "2026-04-03" }, lines: sal1Lines };
+
+test("validateContract / normalizeContract: voci, importi e default", () => {
+  assert.deepEqual(validateContract({}), ["Inserisci almeno una voce di computo"]);
+  assert.deepEqual(validateContract({
+    items: [{ code: "A", description: "x", quantity: 1, unit_price: 1 }, { code: "A", quantity: 0, unit_price: -1 }],
+    retention_pct: 120, safety_costs: -5
+  }), [
+    "items[1]: codice duplicato A", "items[1]: descrizione mancante", "items[1]: quantità non valida",
+    "items[1]: prezzo unitario non valido", "retention_pct tra 0 e 100", "safety_costs non valido"
+  ]);
+  assert.equal(contract.works_value, 1500);
+  assert.equal(contract.retention_pct, 5);
+  assert.equal(contract.currency, "EUR");
+  assert.deepEqual(contract.items[1], { code: "B", description: "Getto", unit: "mc", quantity: 10, unit_price: 50, amount: 500, phase_id: null });
+  assert.equal(normalizeContract({ items: contract.items }, { retention_pct: 10 }).retention_pct, 10);
+});
+
+test("validateSalInput: periodo e righe", () => {
+  assert.deepEqual(validateSalInput({}), []);
+  assert.deepEqual(validateSalInput({ period: { from: "2026-04-10", to: "2026-04-01" }, lines: [{ quantity: -1 }] }), [
+    "Il periodo termina prima di iniziare", "lines[0]: codice mancante", "lines[0]: quantità non valida"
+  ]);
+  assert.deepEqual(validateSalInput({ period: {}, lines: {} }), ["period.from e period.to in formato YYYY-MM-DD", "lines deve essere una lista"]);
+});
+
+test("computeSal: primo SAL, oneri della sicurezza in proporzione e ritenuta", () => {
+  const { errors, rows, totals } = computeSal(contract, [], sal1Lines);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows[0], {
+    code: "A", description: "Scavo", unit: "mc", unit_price: 10, contract_qty: 100,
+    prev_qty: 0, period_qty: 40, cum_qty: 40, cum_pct: 0.4, period_amount: 400, cum_amount: 400
+  });
+  assert.equal(totals.contract_value, 1650);
+  assert.equal(totals.cumulative_pct, 0.2667);
+  assert.equal(totals.cumulative_safety, 40);
+  assert.equal(totals.cumulative_total, 440);
+  assert.equal(totals.cumulative_retention, 22);
+  assert.equal(totals.amount_due, 418);
+});
+
+test("computeSal: importi cumulati sui SAL precedenti, al netto di quanto già certificato", () => {
+  const { errors, rows, totals } = computeSal(contract, [sal1], [{ code: "A", quantity: 30 }, { code: "B", quantity: 10 }]);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows.map(r => [r.prev_qty, r.period_qty, r.cum_qty]), [[40, 30, 70], [0, 10, 10]]);
+  assert.equal(totals.previous_works, 400);
+  assert.equal(totals.period_works, 800);
+  assert.equal(totals.cumulative_works, 1200);
+  assert.equal(totals.cumulative_safety, 120);
+  assert.equal(totals.previous_certified, 418);
+  assert.equal(totals.amount_due, 836);
+  // La somma dei SAL è il cumulato al netto della ritenuta
+  assert.equal(418 + totals.amount_due, totals.cumulative_total - totals.cumulative_retention);
+});
+
+test("computeSal: voci sconosciute e quantità oltre il computo", () => {
+  const { errors } = computeSal(contract, [sal1], [{ code: "A", quantity: 70 }, { code: "Z", quantity: 1 }]);
+  assert.deepEqual(errors, ["voce di computo sconosciuta: Z", "A: quantità cumulata 110 oltre il computo (100)"]);
+});
+
+test("salTransition: draft -> submitted -> approved, con rifiuto motivato", () => {
+  const draft = { id: "SAL-2", status: "draft", history: [] };
+  assert.deepEqual(salTransition(draft, "approved", { by: "USR-1" }), { error: "transizione non ammessa: draft -> approved", allowed: ["submitted"] });
+  const submitted = salTransition(draft, "submitted", { by: "USR-1", at: "2026-04-10T09:00:00Z" }).sal;
+  assert.equal(submitted.submitted_by, "USR-1");
+  const rejected = salTransition(submitted, "draft", { by: "USR-2", note: "Quantità B da rivedere" }).sal;
+  assert.equal(rejected.reject_reason, "Quantità B da rivedere");
+  const approved = salTransition(salTransition(rejected, "submitted", { by: "USR-1" }).sal, "approved", { by: "USR-2" }).sal;
+  assert.equal(approved.reject_reason, null);
+  assert.equal(approved.approved_by, "USR-2");
+  assert.deepEqual(approved.history.map(h => h.to), ["submitted", "draft", "submitted", "approved"]);
+  assert.deepEqual(salTransition(approved, "draft", { by: "USR-2" }).allowed, []);
+});
+
+test("plannedPct: voci legate a una fase seguono la fase, le altre le date del cantiere", () => {
+  assert.equal(plannedPct(contract, { site, phases }, "2026-03-31"), 0);
+  assert.equal(plannedPct(contract, { site, phases }, "2026-04-10"), 1);
+  // A (1000) completa alla fine della fase, B (500) a 3 giorni lavorativi su 7
+  assert.equal(plannedPct(contract, { site, phases }, "2026-04-03"), 0.8095);
+  assert.equal(plannedPct({ items: [], works_value: 0 }, { site }, "2026-04-03"), 0);
+});
+
+test("salSummary: ultimo SAL approvato contro il previsto", () => {
+  const approved = { ...sal1, totals: computeSal(contract, [], sal1Lines).totals };
+  const s = salSummary(contract, [approved, { id: "SAL-2", number: 2, status: "submitted" }], { site, phases }, "2026-04-03");
+  assert.equal(s.contract_value, 1650);
+  assert.equal(s.approved_sal, 1);
+  assert.deepEqual(s.pending_sal, [{ id: "SAL-2", number: 2, status: "submitted" }]);
+  assert.equal(s.certified_total, 440);
+  assert.equal(s.retention_held, 22);
+  assert.equal(s.actual_pct, 0.2667);
+  assert.equal(s.delta_pct, -0.5428);
+  assert.equal(s.status, "in_ritardo");
+  assert.deepEqual(s.history, [{ number: 1, period_to: "2026-04-03", actual_pct: 0.2667, planned_pct: 0.8095 }]);
+  assert.equal(salSummary(contract, [], { site, phases }, "2026-03-31").status, "in_linea");
+});
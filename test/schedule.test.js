@@ -0,0 +1,89 @@
+// test/schedule.test.js — Calendario lavorativo, uomini-giorno, interferenze, dipendenze e ICS
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isHoliday, workingDays, manDays, validatePhase, interferences, dependencyIssues, analyzeSchedule, toIcs
+} from "../lib/schedule.js";
+
+const A = { id: "A", name: "Scavi", start: "2026-04-01", end: "2026-04-10", area: "Nord", companies: ["Alfa"], workers: ["W1", "W2"] };
+const B = { id: "B", name: "Fondazioni", start: "2026-04-08", end: "2026-04-20", area: "Nord", companies: ["Beta"], workers: ["W1"], depends_on: ["A"] };
+const C = { id: "C", name: "Recinzione", start: "2026-04-09", end: "2026-04-12", area: "Sud", crew_size: 2 };
+const D = { id: "D", name: "Rilievi", start: "2026-04-15", end: "2026-04-16" };
+
+test("isHoliday: festività fisse e lunedì dell'Angelo", () => {
+  assert.equal(isHoliday("2026-04-25"), true);
+  assert.equal(isHoliday("2026-12-26"), true);
+  assert.equal(isHoliday("2026-04-06"), true);  // Pasqua 2026: 5 aprile
+  assert.equal(isHoliday("2025-04-21"), true);  // Pasqua 2025: 20 aprile
+  assert.equal(isHoliday("2026-04-07"), false);
+});
+
+test("workingDays: weekend e festivi esclusi, sabato facoltativo", () => {
+  assert.equal(workingDays("2026-04-01", "2026-04-10"), 7);
+  assert.equal(workingDays("2026-04-01", "2026-04-10", { saturday: true }), 8);
+  assert.equal(workingDays("2026-04-04", "2026-04-05"), 0);
+  assert.equal(workingDays("2026-04-10", "2026-04-01"), 0);
+  assert.equal(workingDays("01/04/2026", "2026-04-10"), 0);
+});
+
+test("manDays: lavoratori nominativi oppure crew_size", () => {
+  assert.equal(manDays(A), 14);
+  assert.equal(manDays({ ...A, workers: [], crew_size: 3 }), 21);
+  assert.equal(manDays({ start: A.start, end: A.end }), 0);
+});
+
+test("validatePhase: campi, dipendenze, cicli, libreria e lavoratori del cantiere", () => {
+  assert.deepEqual(validatePhase({ start: "2026-04-10", end: "2026-04-01", crew_size: -1 }),
+    ["Inserisci il nome della fase", "La data di fine precede l’inizio", "crew_size non valido"]);
+  assert.deepEqual(validatePhase({ ...A, workers: "W1" }), ["workers deve essere una lista"]);
+  assert.deepEqual(validatePhase({ ...B, depends_on: ["B"] }, { phases: [A] }), ["una fase non può dipendere da se stessa"]);
+  assert.deepEqual(validatePhase({ ...B, depends_on: ["Z"] }, { phases: [A] }), ["fase sconosciuta: Z"]);
+  assert.deepEqual(validatePhase(B, { phases: [{ ...A, depends_on: ["B"] }] }), ["dipendenze circolari"]);
+  assert.deepEqual(validatePhase({ ...B, lavorazioni: ["LAV-1", "LAV-X"] }, {
+    phases: [A], library: [{ id: "LAV-1" }], siteWorkers: ["W2"]
+  }), ["lavorazione sconosciuta: LAV-X", "lavoratori non assegnati al cantiere: W1"]);
+  assert.deepEqual(validatePhase(B, { phases: [A] }), []);
+});
+
+test("interferences: sovrapposizioni nella stessa area o senza area", () => {
+  const out = interferences([D, C, B, A]);
+  assert.deepEqual(out.map(i => i.phases), [["A", "B"], ["B", "D"]]);
+  assert.deepEqual(out[0], {
+    phases: ["A", "B"], names: ["Scavi", "Fondazioni"], from: "2026-04-08", to: "2026-04-10", days: 3,
+    companies: ["Alfa", "Beta"], shared_workers: ["W1"], severity: "conflict"
+  });
+  assert.equal(out[1].severity, "medium");
+  assert.equal(out[1].days, 2);
+});
+
+test("dependencyIssues: fase che inizia prima della fine della precedente", () => {
+  assert.deepEqual(dependencyIssues([A, B]), [{ phase: "B", depends_on: "A", message: "Fondazioni inizia prima della fine di Scavi" }]);
+  assert.deepEqual(dependencyIssues([A, { ...B, start: "2026-04-13" }]), []);
+});
+
+test("analyzeSchedule: riepilogo e uomini-giorno per impresa", () => {
+  const a = analyzeSchedule([B, A, { ...C, companies: ["Alfa", "Beta"] }]);
+  assert.deepEqual(a.phases.map(f => f.id), ["A", "B", "C"]);
+  assert.deepEqual(a.phases.map(f => f.man_days), [14, 9, 4]);
+  assert.deepEqual(a.summary, {
+    phases: 3, start: "2026-04-01", end: "2026-04-20", man_days: 27,
+    man_days_by_company: { Alfa: 16, Beta: 11 }
+  });
+  assert.equal(a.interferences.length, 1);
+  assert.equal(a.dependency_issues.length, 1);
+  assert.deepEqual(analyzeSchedule([]).summary, { phases: 0, start: null, end: null, man_days: 0, man_days_by_company: {} });
+});
+
+test("toIcs: eventi a giornata intera, escape e righe spezzate", () => {
+  const site = { name: "Cantiere, Lotto B", address: "Via Roma 1; Bologna" };
+  const ics = toIcs(site, [{ ...A, notes: "x".repeat(100) }]);
+  assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\n"));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.match(ics, /DTSTART;VALUE=DATE:20260401\r\n/);
+  assert.match(ics, /DTEND;VALUE=DATE:20260411\r\n/);
+  assert.match(ics, /SUMMARY:Scavi - Cantiere\\, Lotto B\r\n/);
+  assert.match(ics, /LOCATION:Via Roma 1\\; Bologna\r\n/);
+  for (const line of ics.split("\r\n")) assert.ok(Buffer.byteLength(line) <= 75, line);
+  assert.match(ics, /\r\n x/);
+});
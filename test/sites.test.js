@@ -0,0 +1,53 @@
+// test/sites.test.js — Stati del cantiere, transizioni e congelamento alla chiusura
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SITE_STATUSES, SITE_TRANSITIONS, siteStatus, canTransition, isFrozen, transition } from "../lib/sites.js";
+
+const at = "2026-05-01T10:00:00.000Z";
+
+test("siteStatus: i cantieri senza stato sono attivi", () => {
+  assert.equal(siteStatus({}), "active");
+  assert.equal(siteStatus({ status: "planned" }), "planned");
+  assert.equal(isFrozen({}), false);
+  assert.equal(isFrozen({ status: "closed" }), true);
+  assert.equal(isFrozen({ status: "archived" }), true);
+});
+
+test("canTransition: solo le transizioni della tabella", () => {
+  for (const from of SITE_STATUSES) {
+    for (const to of SITE_STATUSES) {
+      assert.equal(canTransition(from, to), SITE_TRANSITIONS[from].includes(to), `${from} -> ${to}`);
+    }
+  }
+  assert.equal(canTransition("planned", "closed"), false);
+  assert.equal(canTransition("closed", "active"), false);
+});
+
+test("transition: stato sconosciuto o non ammesso", () => {
+  assert.deepEqual(transition({ status: "active" }, "boh"), { error: "stato non valido: boh" });
+  assert.deepEqual(transition({ status: "planned" }, "closed"),
+    { error: "transizione non ammessa: planned -> closed", allowed: ["active", "archived"] });
+});
+
+test("transition: la chiusura rilascia i lavoratori e congela il cantiere", () => {
+  const site = { id: "CNT-1", status: "active", workers: ["W1", "W2"], status_history: [{ from: null, to: "active" }] };
+  const { site: closed, entry } = transition(site, "closed", { by: "USR-1", reason: "fine lavori", at });
+  assert.equal(closed.status, "closed");
+  assert.deepEqual(closed.workers, []);
+  assert.equal(closed.frozen_at, at);
+  assert.equal(closed.closed_at, at);
+  assert.deepEqual(entry, { from: "active", to: "closed", at, by: "USR-1", reason: "fine lavori", released_workers: ["W1", "W2"] });
+  assert.equal(closed.status_history.length, 2);
+  assert.deepEqual(site.workers, ["W1", "W2"]); // l'originale non cambia
+});
+
+test("transition: archiviazione e ripristino da archiviato", () => {
+  const closed = { status: "closed", workers: [], closed_at: at, frozen_at: at };
+  const { site: archived, entry } = transition(closed, "archived", { at: "2026-06-01T00:00:00.000Z" });
+  assert.equal(archived.archived_at, "2026-06-01T00:00:00.000Z");
+  assert.equal(entry.released_workers, undefined); // era già congelato
+  const { site: back } = transition(archived, "closed", { at: "2026-07-01T00:00:00.000Z" });
+  assert.equal(back.archived_at, null);
+  assert.equal(back.closed_at, at);
+});
@@ -0,0 +1,88 @@
+// test/storage.test.js — Semantica delle transazioni sui backend json e sqlite
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openStore } from "../lib/storage/index.js";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "kanthera-storage-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+for (const driver of ["json", "sqlite"]) {
+  const open = name => openStore({ driver, dir: path.join(tmp, `${driver}-${name}`) });
+
+  test(`${driver}: commit visibile e persistente alla riapertura`, async () => {
+    const db = await open("persist");
+    await db.tx(async t => {
+      await t.sites.insert({ id: "CNT-1", name: "Uno", workers: [] });
+      await t.sites.insert({ id: "CNT-2", name: "Due", workers: [] });
+      await t.company.set({ name: "Pavi" });
+    });
+    const s = await db.sites.get("CNT-1");
+    s.workers.push("X"); // le letture sono copie: non toccano lo store
+    assert.deepEqual((await db.sites.get("CNT-1")).workers, []);
+    await db.close();
+
+    const again = await open("persist");
+    assert.deepEqual((await again.sites.all()).map(x => x.id), ["CNT-1", "CNT-2"]);
+    assert.deepEqual(await again.company.get(), { name: "Pavi" });
+    await again.close();
+  });
+
+  test(`${driver}: un errore nella tx annulla tutte le scritture`, async () => {
+    const db = await open("rollback");
+    await db.workers.put({ id: "W1", name: "Prima" });
+    await assert.rejects(db.tx(async t => {
+      await t.workers.put({ id: "W1", name: "Dopo" });
+      await t.sites.insert({ id: "CNT-1" });
+      throw new Error("boom");
+    }), /boom/);
+    assert.equal((await db.workers.get("W1")).name, "Prima");
+    assert.equal(await db.sites.get("CNT-1"), null);
+    // la coda non resta bloccata
+    await db.tx(t => t.sites.insert({ id: "CNT-2" }));
+    assert.ok(await db.sites.get("CNT-2"));
+    await db.close();
+  });
+
+  test(`${driver}: insert duplicato, remove e replaceAll`, async () => {
+    const db = await open("ops");
+    await db.tx(t => t.users.insert({ id: "U1" }));
+    await assert.rejects(db.tx(t => t.users.insert({ id: "U1" })), /duplicato/);
+    await assert.rejects(db.tx(t => t.users.put({ name: "senza id" })), /id mancante/);
+    assert.equal(await db.tx(t => t.users.remove("U1")), true);
+    assert.equal(await db.tx(t => t.users.remove("U1")), false);
+    await db.users.replaceAll([{ id: "A" }, { id: "B" }]);
+    assert.deepEqual((await db.users.all()).map(u => u.id), ["A", "B"]);
+    await db.close();
+  });
+
+  test(`${driver}: transazioni serializzate, ognuna legge lo stato aggiornato`, async () => {
+    const db = await open("serial");
+    await db.sites.put({ id: "CNT-1", count: 0 });
+    const bump = () => db.tx(async t => {
+      const s = await t.sites.get("CNT-1");
+      await new Promise(r => setTimeout(r, 5));
+      s.count += 1;
+      return (await t.sites.put(s)).count;
+    });
+    const results = await Promise.all(Array.from({ length: 5 }, bump));
+    assert.deepEqual(results, [1, 2, 3, 4, 5]);
+    assert.equal((await db.sites.get("CNT-1")).count, 5);
+    await db.close();
+  });
+}
+
+test("json: file corrotto è un errore, non un elenco vuoto", async () => {
+  const dir = path.join(tmp, "json-corrupt");
+  const db = await openStore({ driver: "json", dir });
+  fs.writeFileSync(path.join(dir, "sites.json"), "{ non json");
+  await assert.rejects(db.sites.all(), /corrotto/);
+  await db.close();
+});
+
+test("driver sconosciuto", async () => {
+  await assert.rejects(openStore({ driver: "mongo", dir: tmp }), /sconosciuto/);
+});
@@ -0,0 +1,118 @@
+// test/training.test.js — Catalogo corsi, ore richieste, scadenze calcolate e fabbisogno formativo
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_COURSES, TRAINING_DOCS, addYears, validateCourse, normalizeCourse, requiredHours, validateRecord, newRecord,
+  docValueFrom, mergeDocValue, trainingNeeds
+} from "../lib/training.js";
+
+const course = id => DEFAULT_COURSES.find(c => c.id === id);
+const generale = course("CRS-GENERALE"), specifica = course("CRS-SPECIFICA");
+
+test("catalogo: ogni corso aggiorna un attestato di formazione", () => {
+  assert.ok(!TRAINING_DOCS.includes("visita_medica"));
+  assert.ok(!TRAINING_DOCS.includes("dpi_consegna"));
+  for (const c of DEFAULT_COURSES) assert.deepEqual(validateCourse(c), [], c.id);
+});
+
+test("addYears: anni di validità, 29 febbraio compreso", () => {
+  assert.equal(addYears("2026-03-10", 5), "2031-03-10");
+  assert.equal(addYears("2026-03-10T15:00:00Z", 2), "2028-03-10");
+  assert.equal(addYears("2024-02-29", 1), "2025-03-01");
+});
+
+test("validateCourse / normalizeCourse: attestato, ore, validità e varianti", () => {
+  const errors = validateCourse({ hours: "", validity_years: 0, category: "x", variants: [{ hours: 1 }], default_variant: "z" });
+  assert.equal(errors[0], "Inserisci il nome del corso");
+  assert.match(errors[1], /^doc deve essere un attestato di formazione/);
+  assert.deepEqual(errors.slice(2), [
+    "category non valida (base, ruolo, emergenza, attrezzature)", "hours non valido",
+    "validity_years deve essere positivo (null = senza scadenza)", "variants[0]: key mancante", "default_variant sconosciuta: z"
+  ]);
+  const c = normalizeCourse({ name: "Primo soccorso", doc: "ps", hours: "12", validity_years: "3", variants: [{ key: "b", hours: "12" }] });
+  assert.deepEqual(c, {
+    name: "Primo soccorso", doc: "ps", category: "base", hours: 12, refresher_hours: null, validity_years: 3,
+    default_variant: "b", variants: [{ key: "b", label: "b", risk_level: null, hours: 12, refresher_hours: null }], reference: null
+  });
+  assert.equal(normalizeCourse({ validity_years: null }, c).validity_years, null);
+  assert.equal(normalizeCourse({ hours: 16 }, c).validity_years, 3);
+});
+
+test("requiredHours: variante di default e aggiornamento", () => {
+  assert.equal(requiredHours(specifica), 12);
+  assert.equal(requiredHours(specifica, "basso"), 4);
+  assert.equal(requiredHours(specifica, "medio", "refresher"), 6);
+  assert.equal(requiredHours(generale), 4);
+  assert.equal(requiredHours(generale, null, "refresher"), null);
+});
+
+test("validateRecord: corso, data, ore, tipo e variante", () => {
+  assert.deepEqual(validateRecord({}, null), ["Corso sconosciuto"]);
+  assert.deepEqual(validateRecord({ date: "2026-03-10", hours: 4 }, generale), []);
+  assert.deepEqual(validateRecord({ date: "10/03/2026", kind: "refresher", variant: "alto" }, generale), [
+    "date (fine corso) in formato YYYY-MM-DD", "Indica le ore frequentate",
+    "Formazione generale dei lavoratori: non prevede aggiornamento", "variante sconosciuta: alto"
+  ]);
+  assert.deepEqual(validateRecord({ date: "2026-03-10", hours: 1, kind: "boh" }, specifica), ["kind non valido (initial, refresher)"]);
+});
+
+test("newRecord: scadenza dal catalogo, ore insufficienti non completano il corso", () => {
+  const ctx = { id: "FRM-1", by: "USR-1", at: "2026-03-10T12:00:00Z" };
+  const partial = newRecord({ worker_id: "W1", date: "2026-03-10", hours: "8" }, specifica, ctx);
+  assert.equal(partial.variant, "alto");
+  assert.equal(partial.required_hours, 12);
+  assert.equal(partial.complete, false);
+  assert.equal(partial.expiry, "2031-03-10");
+  assert.equal(partial.doc, "corso_specifica_fs");
+
+  assert.equal(newRecord({ worker_id: "W1", date: "2026-03-10", hours: 8, variant: "medio" }, specifica, ctx).complete, true);
+  const refresher = newRecord({ worker_id: "W1", date: "2026-03-10", hours: 6, kind: "refresher" }, specifica, ctx);
+  assert.equal(refresher.required_hours, 6);
+  assert.equal(refresher.complete, true);
+  assert.equal(newRecord({ worker_id: "W1", date: "2026-03-10", hours: 4 }, generale, ctx).expiry, null);
+});
+
+test("docValueFrom / mergeDocValue: la copertura più ampia", () => {
+  assert.equal(docValueFrom([]), null);
+  assert.equal(docValueFrom([{ complete: false, expiry: "2035-01-01" }]), null);
+  assert.equal(docValueFrom([
+    { complete: false, expiry: "2035-01-01" }, { complete: true, expiry: "2029-01-01" }, { complete: true, expiry: "2031-01-01" }
+  ]), "2031-01-01");
+  assert.equal(docValueFrom([{ complete: true, expiry: "2029-01-01" }, { complete: true, expiry: null }]), true);
+
+  assert.equal(mergeDocValue("2029-01-01", "2031-01-01"), "2031-01-01");
+  assert.equal(mergeDocValue("2031-01-01", null), "2031-01-01");
+  assert.equal(mergeDocValue(undefined, "2029-01-01"), "2029-01-01");
+  assert.equal(mergeDocValue("2031-01-01", true), true);
+  assert.equal(mergeDocValue(null, undefined), null);
+});
+
+test("trainingNeeds: corso completo se mai svolto, aggiornamento se scaduto", () => {
+  const workers = [
+    { id: "W1", name: "Mario Rossi", role: "Preposto", docs: {} },
+    { id: "W2", name: "Luca Bianchi", docs: { corso_generale: true, corso_specifica_fs: "2026-05-01", preposto: "2027-01-01" } }
+  ];
+  const out = trainingNeeds({
+    workers, courses: DEFAULT_COURSES, records: [], by: "2026-06-01",
+    requiredFor: () => ["corso_generale", "corso_specifica_fs", "preposto", "dpi_consegna"]
+  });
+  assert.deepEqual(out.needs.map(n => [n.worker_id, n.course_id, n.kind, n.hours, n.reason]), [
+    ["W1", "CRS-GENERALE", "initial", 4, "mancante"],
+    ["W1", "CRS-SPECIFICA", "initial", 12, "mancante"],
+    ["W1", "CRS-PREPOSTO", "initial", 8, "mancante"],
+    ["W2", "CRS-SPECIFICA", "refresher", 6, "scade il 2026-05-01"]
+  ]);
+  assert.deepEqual(out.courses.map(c => [c.course_id, c.kind, c.workers.map(w => w.worker_id)]), [
+    ["CRS-GENERALE", "initial", ["W1"]],
+    ["CRS-SPECIFICA", "initial", ["W1"]],
+    ["CRS-PREPOSTO", "initial", ["W1"]],
+    ["CRS-SPECIFICA", "refresher", ["W2"]]
+  ]);
+  assert.equal(out.workers, 2);
+
+  // Formazione iniziale a registro: si propone l'aggiornamento nella stessa variante
+  const records = [{ worker_id: "W1", doc: "corso_specifica_fs", complete: true, variant: "medio" }];
+  const w1 = trainingNeeds({ workers: [workers[0]], courses: [specifica], records, by: "2026-06-01", requiredFor: () => ["corso_specifica_fs"] });
+  assert.deepEqual(w1.needs.map(n => [n.kind, n.variant, n.hours]), [["refresher", "medio", 6]]);
+});
@@ -0,0 +1,60 @@
+// test/workers.test.js — Import ed export massivo dei lavoratori: lettura CSV, anteprima delle righe, righe di export
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, prepareImport, exportRows, exportCsv } from "../lib/workers.js";
+
+const companies = [{ id: "IMP-A", name: "Alfa", own: true }, { id: "IMP-B", name: "Beta", vat: "IT01234567890" }];
+const csv = [
+  "\uFEFFNome;Cognome;Codice fiscale;Impresa;Idoneità sanitaria;corso_generale;Note",
+  "Mario;Rossi;RSSMRA80A01H501U;Beta;31/12/2026;si;x",
+  '"Verdi, Giuseppe";;VRDGPP85B12H501E;;2026-02-31;boh;',
+  "Anna;Bianchi;RSSMRA80A01H501U;IMP-Z;;;",
+  ""
+].join("\n");
+
+test("parseCsv: separatore dedotto, virgolette, BOM e righe vuote", () => {
+  const m = parseCsv(csv);
+  assert.equal(m.length, 4);
+  assert.equal(m[0][0], "Nome");
+  assert.equal(m[2][0], "Verdi, Giuseppe");
+  assert.deepEqual(parseCsv('a,b\n1,"x""y"\r\n,\n'), [["a", "b"], ["1", 'x"y']]);
+});
+
+test("prepareImport: colonne riconosciute, documenti, impresa e codici fiscali", () => {
+  const plan = prepareImport(parseCsv(csv), {
+    workers: [{ id: "DIP-1", name: "Giuseppe Verdi", cf: "vrdgpp85b12h501e" }], companies, ownCompany: companies[0]
+  });
+  assert.deepEqual(plan.columns.map(c => c.field || c.doc || "-"), ["name", "last_name", "cf", "company", "visita_medica", "corso_generale", "-"]);
+  assert.deepEqual(plan.unknown_columns, ["Note"]);
+  assert.deepEqual(plan.rows.map(r => [r.row, r.status]), [[2, "ok"], [3, "error"], [4, "error"]]);
+  assert.deepEqual(plan.rows[0].worker, {
+    name: "Mario Rossi", cf: "RSSMRA80A01H501U", role: "Operaio", company_id: "IMP-B", company: "Beta",
+    docs: { visita_medica: "2026-12-31", corso_generale: true }
+  });
+  assert.deepEqual(plan.rows[1].errors, [
+    "visita_medica: data non valida (2026-02-31)", "corso_generale: data non valida (boh)",
+    "Codice fiscale già registrato (DIP-1 Giuseppe Verdi)"
+  ]);
+  // Senza colonna impresa vale l'impresa propria
+  assert.equal(plan.rows[1].worker.company_id, "IMP-A");
+  assert.deepEqual(plan.rows[2].errors, [
+    "Codice fiscale non coerente con nome e cognome", "Codice fiscale ripetuto alla riga 2", "Impresa sconosciuta: IMP-Z"
+  ]);
+});
+
+test("prepareImport: colonne obbligatorie", () => {
+  assert.deepEqual(prepareImport([["nome", "mansione"]], {}).errors, ["Colonna codice fiscale mancante"]);
+  assert.deepEqual(prepareImport([[]], {}).errors, ["Colonna nome mancante", "Colonna codice fiscale mancante"]);
+});
+
+test("exportRows / exportCsv: stato dei documenti reimportabile", () => {
+  const rows = exportRows([{ id: "DIP-1", name: "Mario Rossi", cf: "RSSMRA80A01H501U", company_id: "IMP-B", docs: { corso_generale: true } }], { companies });
+  assert.equal(rows[0].company, "Beta");
+  assert.equal(rows[0].corso_generale, "si");
+  assert.equal(rows[0].visita_medica, "");
+  assert.match(rows[0].visita_medica__status, /^mancante/);
+  const [header] = parseCsv(exportCsv(rows));
+  assert.deepEqual(header.slice(0, 3), ["ID", "Nome", "Codice fiscale"]);
+  assert.deepEqual(prepareImport([header], {}).errors, undefined);
+});